@@ -30,6 +30,38 @@ log_debug() {
 # Read hook input from stdin (advanced stop hook API)
 HOOK_INPUT=$(cat)
 
+# Record the conversation in session memory on every stop of an active loop
+# (capture.cjs --from-transcript; installed as an EXIT trap once the loop is known to be active).
+# Repeated captures update the same IN_PROGRESS session; verified completion closes it.
+# Output goes to the debug log so stdout stays hook JSON. NELSON_CAPTURE_TRANSCRIPT=off disables.
+CAPTURE_STATUS="IN_PROGRESS"
+capture_transcript() {
+  if [[ "${NELSON_CAPTURE_TRANSCRIPT:-on}" == "off" ]] || [[ ! -f ".nelson/capture.cjs" ]]; then
+    return 0
+  fi
+  if ! command -v node &> /dev/null || ! command -v jq &> /dev/null; then
+    return 0
+  fi
+
+  local transcript
+  transcript=$(echo "$HOOK_INPUT" | jq -r '.transcript_path // empty' 2>/dev/null || echo "")
+  if [[ -z "$transcript" ]] || [[ ! -f "$transcript" ]]; then
+    return 0
+  fi
+
+  local args=(--from-transcript "$transcript" --status "$CAPTURE_STATUS")
+  if [[ "${ITERATION:-}" =~ ^[0-9]+$ ]]; then
+    args+=(--iteration "$ITERATION")
+  fi
+  if [[ "${HA_HA_MODE:-}" == "true" ]]; then
+    args+=(--mode "HA-HA")
+  fi
+
+  node .nelson/capture.cjs "${args[@]}" >> "$NELSON_LOG" 2>&1 \
+    || log_debug "WARNING: Could not capture transcript into session memory"
+  return 0
+}
+
 # Check for Nelson loop state file
 NELSON_STATE_FILE=".claude/nelson-loop.local.md"
 NELSON_HANDOFF_FILE=".claude/nelson-handoff.local.md"
@@ -78,6 +110,9 @@ if [[ "$ACTIVE" == "false" ]]; then
   exit 0
 fi
 
+# Active loop - capture the transcript whichever way this hook exits
+trap capture_transcript EXIT
+
 # Validate numeric fields with defaults (DON'T DELETE STATE ON PARSE ERRORS)
 if [[ ! "$ITERATION" =~ ^[0-9]+$ ]]; then
   log_debug "WARNING: Invalid iteration '$ITERATION', defaulting to 1"
@@ -183,6 +218,7 @@ if echo "$LAST_OUTPUT" | grep -q "<nelson-verified>VERIFICATION_COMPLETE</nelson
 
     # If all validations passed, allow exit
     if [[ -z "$VERIFICATION_FAILURES" ]]; then
+      CAPTURE_STATUS="COMPLETE"
       echo ""
       echo "HA-HA! Nelson loop: VERIFIED completion after $ITERATION iterations!"
       echo "All quality gates passed. Work verified."
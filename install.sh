@@ -97,6 +97,7 @@ echo -e "${BLUE}[2/9]${NC} Creating directory structure..."
 mkdir -p "$NELSON_DIR"
 mkdir -p "$MEMORY_DIR"
 mkdir -p "$PATTERNS_DIR"
+mkdir -p "$NELSON_DIR/schemas"
 
 echo -e "   ${GREEN}✓${NC} Created $NELSON_DIR/"
 echo -e "   ${GREEN}✓${NC} Created $MEMORY_DIR/"
@@ -128,10 +129,24 @@ install_file() {
 
 # Download core JavaScript files
 install_file "$NELSON_DIR/init-db.cjs" "$GITHUB_RAW/memory-system/init-db.cjs" "init-db.cjs (database initialization)"
+install_file "$NELSON_DIR/embeddings.cjs" "$GITHUB_RAW/memory-system/embeddings.cjs" "embeddings.cjs (vector embeddings)"
+install_file "$NELSON_DIR/code-chunker.cjs" "$GITHUB_RAW/memory-system/code-chunker.cjs" "code-chunker.cjs (source code chunking)"
+install_file "$NELSON_DIR/ignore-rules.cjs" "$GITHUB_RAW/memory-system/ignore-rules.cjs" "ignore-rules.cjs (.gitignore matching)"
+install_file "$NELSON_DIR/config.cjs" "$GITHUB_RAW/memory-system/config.cjs" "config.cjs (project config)"
+install_file "$NELSON_DIR/migrations.cjs" "$GITHUB_RAW/memory-system/migrations.cjs" "migrations.cjs (schema migrations)"
+install_file "$NELSON_DIR/tokenizer.cjs" "$GITHUB_RAW/memory-system/tokenizer.cjs" "tokenizer.cjs (token counting)"
+install_file "$NELSON_DIR/workspaces.cjs" "$GITHUB_RAW/memory-system/workspaces.cjs" "workspaces.cjs (monorepo packages)"
+install_file "$NELSON_DIR/query-parser.cjs" "$GITHUB_RAW/memory-system/query-parser.cjs" "query-parser.cjs (search query syntax)"
+install_file "$NELSON_DIR/search-server.cjs" "$GITHUB_RAW/memory-system/search-server.cjs" "search-server.cjs (warm search server)"
+install_file "$NELSON_DIR/schemas/config.schema.json" "$GITHUB_RAW/schemas/config.schema.json" "schemas/config.schema.json (config validation)"
+install_file "$NELSON_DIR/schemas/search-results.schema.json" "$GITHUB_RAW/schemas/search-results.schema.json" "schemas/search-results.schema.json (search --format json)"
 install_file "$NELSON_DIR/search.cjs" "$GITHUB_RAW/memory-system/search.cjs" "search.cjs (smart search v3.0)"
 install_file "$NELSON_DIR/capture.cjs" "$GITHUB_RAW/memory-system/capture.cjs" "capture.cjs (session capture)"
+install_file "$NELSON_DIR/sessions.cjs" "$GITHUB_RAW/memory-system/sessions.cjs" "sessions.cjs (structured session store)"
+install_file "$NELSON_DIR/transcript.cjs" "$GITHUB_RAW/memory-system/transcript.cjs" "transcript.cjs (transcript → session)"
 install_file "$NELSON_DIR/tools-indexer.cjs" "$GITHUB_RAW/memory-system/tools-indexer.cjs" "tools-indexer.cjs (MCP/skill indexing)"
 install_file "$NELSON_DIR/mcp-skill-docs-extractor.cjs" "$GITHUB_RAW/memory-system/mcp-skill-docs-extractor.cjs" "mcp-skill-docs-extractor.cjs (token optimizer)"
+install_file "$NELSON_DIR/mcp-server.cjs" "$GITHUB_RAW/memory-system/mcp-server.cjs" "mcp-server.cjs (memory as MCP tools)"
 
 # Step 4: Create template files if they don't exist
 echo ""
@@ -410,6 +425,24 @@ else
     fi
 fi
 
+# sqlite-vec is optional - without it search falls back to FTS5 only
+if [ -f "node_modules/sqlite-vec/package.json" ]; then
+    echo -e "   ${GREEN}✓${NC} sqlite-vec already installed"
+elif npm install sqlite-vec --save --silent 2>&1; then
+    echo -e "   ${GREEN}✓${NC} sqlite-vec installed (vector search enabled)"
+else
+    echo -e "   ${YELLOW}⚠${NC} sqlite-vec unavailable (FTS5 search only)"
+fi
+
+# js-tiktoken is optional - without it token counts are estimated offline
+if [ -f "node_modules/js-tiktoken/package.json" ]; then
+    echo -e "   ${GREEN}✓${NC} js-tiktoken already installed"
+elif npm install js-tiktoken --save --silent 2>&1; then
+    echo -e "   ${GREEN}✓${NC} js-tiktoken installed (BPE token counts)"
+else
+    echo -e "   ${YELLOW}⚠${NC} js-tiktoken unavailable (estimated token counts)"
+fi
+
 # Step 6: Initialize database
 echo ""
 echo -e "${BLUE}[6/9]${NC} Initializing vector database..."
@@ -3,22 +3,143 @@
  *
  * Automatically captures session summaries and appends them to daily logs.
  * Can be invoked manually or via hook at session completion.
+ * Each session is also recorded in the sessions table of memory.db (sessions.cjs).
  *
  * Usage:
  *   node .nelson/capture.cjs "Session Name" "Status" --tasks "Task 1, Task 2"
  *   node .nelson/capture.cjs "Session Name" "COMPLETE" --mode HA-HA --commit abc123
+ *   node .nelson/capture.cjs "Name" "BLOCKED" --decision "Use X" --file src/a.ts --blocker "Needs keys"
+ *   echo '{"name": "...", "status": "COMPLETE", "tasks": [...]}' | node .nelson/capture.cjs --from-json -
+ *   node .nelson/capture.cjs --from-transcript path/to/transcript.jsonl --status COMPLETE
+ *   node .nelson/capture.cjs --session 2026-10-18#2 --status COMPLETE --add-task "Wire retries"
+ *   node .nelson/capture.cjs --git --since main     # Commits after main + uncommitted changes
  *   node .nelson/capture.cjs --append "Additional notes to add"
  *
+ * Status is one of IN_PROGRESS, COMPLETE, BLOCKED (any case) - the vocabulary
+ * of the daily log template and `sessions.cjs --status`.
+ *
+ * Sessions are updated in place rather than duplicated: --session <id> merges
+ * into that session, and a capture named like today's latest IN_PROGRESS
+ * session merges into it (--new forces a fresh block). Writers lock the log.
+ *
  * Hook Integration:
  *   Add to .claude/settings.local.json hooks.Stop or session-completion skill
  */
 
 const fs = require('fs');
 const path = require('path');
+const { PROJECT_ROOT } = require('./workspaces.cjs');
+const { validateSchema } = require('./config.cjs');
+const { parseSessions, sectionField, recordCapturedSession } = require('./sessions.cjs');
+const { readTranscriptSession } = require('./transcript.cjs');
 
-const NELSON_DIR = path.join(process.cwd(), '.nelson');
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
 const MEMORY_DIR = path.join(NELSON_DIR, 'memory');
 
+// Status vocabulary of the daily log template and search
+const SESSION_STATUSES = ['IN_PROGRESS', 'COMPLETE', 'BLOCKED'];
+
+// Session ids: daily log date and position in the log (see sessions.cjs)
+const SESSION_ID = /^(\d{4}-\d{2}-\d{2})#([1-9]\d*)$/;
+
+// A capture waits this long for another one to finish writing the log
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 50;
+
+// A lock file older than this was left by a crashed capture
+const LOCK_STALE_MS = 30 * 1000;
+
+const stringList = (description) => ({ type: 'array', items: { type: 'string', minLength: 1 }, description });
+
+// A session as taken by appendSession, --from-json and the MCP capture_session tool
+const SESSION_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1, description: 'Session name (default: Untitled Session)' },
+        status: { type: 'string', enum: SESSION_STATUSES, description: 'Session status (default: IN_PROGRESS)' },
+        mode: { type: 'string', minLength: 1, description: 'Standard or HA-HA' },
+        tasks: stringList('Tasks completed'),
+        decisions: stringList('Key decisions made'),
+        insights: stringList('Insights discovered'),
+        files: stringList('Files modified'),
+        commits: {
+            type: 'array',
+            description: 'Commit hashes, or { hash, message } objects',
+            items: {
+                type: ['string', 'object'],
+                minLength: 1,
+                properties: {
+                    hash: { type: 'string', minLength: 1 },
+                    message: { type: 'string' }
+                },
+                required: ['hash'],
+                additionalProperties: false
+            }
+        },
+        blockers: stringList('Open blockers'),
+        notes: { type: 'string', description: 'Free-form notes' },
+        iteration: { type: ['integer', 'string'], minimum: 1, pattern: '^[1-9][0-9]*$', description: 'Iteration number' },
+        session: {
+            type: 'string',
+            pattern: SESSION_ID.source,
+            description: 'Update this session (e.g. 2026-10-18#2) instead of appending: lists merged, status replaced'
+        },
+        new: { type: 'boolean', description: "Always append, even when today's latest IN_PROGRESS session has this name" }
+    },
+    additionalProperties: false
+};
+
+/**
+ * Normalize a status to the vocabulary ("in progress" → IN_PROGRESS)
+ * Throws for anything else.
+ */
+function normalizeStatus(status) {
+    const normalized = String(status).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (!SESSION_STATUSES.includes(normalized)) {
+        throw new Error(`Invalid status "${status}" (expected ${SESSION_STATUSES.join(', ')})`);
+    }
+    return normalized;
+}
+
+/**
+ * Check a session object against SESSION_SCHEMA (status normalized first)
+ * Returns the session; throws with error.errors listing each problem.
+ */
+function validateSession(session) {
+    const normalized = { ...session };
+    if (normalized.status !== undefined && typeof normalized.status === 'string') {
+        try {
+            normalized.status = normalizeStatus(normalized.status);
+        } catch (e) {
+            // Reported by the schema check below
+        }
+    }
+
+    const errors = validateSchema(normalized, SESSION_SCHEMA, 'session');
+    if (errors.length > 0) {
+        const error = new Error('Invalid session');
+        error.errors = errors;
+        throw error;
+    }
+    return normalized;
+}
+
+/**
+ * Read a session object for --from-json from a file, or stdin for "-"
+ */
+function readSessionJson(source) {
+    if (!source) {
+        throw new Error('--from-json needs a file path, or - for stdin');
+    }
+
+    const text = source === '-' ? fs.readFileSync(0, 'utf-8') : fs.readFileSync(path.resolve(process.cwd(), source), 'utf-8');
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON in ${source === '-' ? 'stdin' : source}: ${e.message}`);
+    }
+}
+
 /**
  * Get today's date in YYYY-MM-DD format
  */
@@ -58,128 +179,360 @@ function getOrCreateDailyLog() {
                 .replace('[DATE]', date);
         }
 
-        fs.writeFileSync(logPath, content);
-        console.log(`📝 Created daily log: ${logPath}`);
+        // 'wx' - a concurrent capture may have created it since the check
+        try {
+            fs.writeFileSync(logPath, content, { flag: 'wx' });
+            console.log(`📝 Created daily log: ${logPath}`);
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
     }
 
     return logPath;
 }
 
 /**
- * Append a new session to today's daily log
+ * Sleep without leaving the synchronous capture path
  */
-function appendSession(options = {}) {
-    const {
-        name = 'Untitled Session',
-        status = 'IN_PROGRESS',
-        mode = 'Standard',
-        tasks = [],
-        decisions = [],
-        insights = [],
-        files = [],
-        commits = [],
-        blockers = [],
-        notes = '',
-        iteration = null
-    } = options;
-
-    const logPath = getOrCreateDailyLog();
-    const time = getCurrentTime();
-
-    let sessionContent = `
-
----
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
 
-## Session: ${name}
+/**
+ * Whether a lock file was left behind by a capture that is no longer running
+ */
+function isStaleLock(lockPath) {
+    try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) return true;
 
-**Started:** ~${time}
-**Mode:** ${mode}
-${iteration ? `**Iteration:** ${iteration}\n` : ''}**Status:** ${status}
+        const pid = parseInt(fs.readFileSync(lockPath, 'utf-8'));
+        if (!pid || pid === process.pid) return false;
+        process.kill(pid, 0);
+        return false;
+    } catch (e) {
+        // ENOENT: released meanwhile; ESRCH: owner has exited
+        return e.code === 'ENOENT' || e.code === 'ESRCH';
+    }
+}
 
-`;
+/**
+ * Run fn while holding <file>.lock, so concurrent captures never interleave
+ * The lock is an exclusively created file holding the owner's pid; locks of
+ * crashed captures are taken over, live ones are waited for up to LOCK_TIMEOUT_MS.
+ */
+function withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
 
-    // Tasks completed
-    if (tasks.length > 0) {
-        sessionContent += `### Tasks Completed\n`;
-        for (const task of tasks) {
-            sessionContent += `- [x] ${task}\n`;
+        if (isStaleLock(lockPath)) {
+            try {
+                fs.unlinkSync(lockPath);
+            } catch (e) {
+                // Another capture took it over first
+            }
+        } else if (Date.now() > deadline) {
+            throw new Error(`${path.basename(filePath)} is locked by another capture (remove ${lockPath} if none is running)`);
+        } else {
+            sleepSync(LOCK_RETRY_MS);
         }
-        sessionContent += '\n';
     }
 
-    // Key decisions
-    if (decisions.length > 0) {
-        sessionContent += `### Key Decisions Made\n`;
-        for (let i = 0; i < decisions.length; i++) {
-            sessionContent += `${i + 1}. ${decisions[i]}\n`;
+    try {
+        return fn();
+    } finally {
+        try {
+            fs.unlinkSync(lockPath);
+        } catch (e) {
+            // Already gone
         }
-        sessionContent += '\n';
     }
+}
 
-    // Insights
-    if (insights.length > 0) {
-        sessionContent += `### Insights Discovered\n`;
-        for (const insight of insights) {
-            sessionContent += `- ${insight}\n`;
-        }
-        sessionContent += '\n';
+/**
+ * Replace a file's content in one step (readers never see a half-written log)
+ */
+function writeFileAtomic(filePath, content) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+}
+
+// How each list field is written inside a session: heading, framing and one line per item
+const LIST_SECTIONS = {
+    tasks: { heading: 'Tasks Completed', item: (task) => `- [x] ${task}` },
+    decisions: { heading: 'Key Decisions Made', item: (decision, n) => `${n}. ${decision}` },
+    insights: { heading: 'Insights Discovered', item: (insight) => `- ${insight}` },
+    files: { heading: 'Files Modified', open: ['```'], close: ['```'], item: (file) => file },
+    commits: {
+        heading: 'Commits',
+        open: ['| Hash | Message |', '|------|---------|'],
+        item: (commit) => typeof commit === 'string'
+            ? `| ${commit} | - |`
+            : `| ${commit.hash} | ${(commit.message || '-').replace(/\|/g, '\\|')} |`
+    },
+    blockers: { heading: 'Blockers', item: (blocker) => `- [ ] ${blocker}` }
+};
+
+/**
+ * Lines of a list section (items numbered from offset + 1)
+ */
+function listSectionLines(field, items, offset = 0) {
+    const section = LIST_SECTIONS[field];
+    return [
+        `### ${section.heading}`,
+        ...(section.open || []),
+        ...items.map((item, i) => section.item(item, offset + i + 1)),
+        ...(section.close || []),
+        ''
+    ];
+}
+
+/**
+ * Markdown block of a new session (from "## Session:" to its closing "---")
+ */
+function formatSessionBlock(session) {
+    const lines = [
+        `## Session: ${session.name}`,
+        '',
+        `**Started:** ~${session.started || getCurrentTime()}`,
+        `**Mode:** ${session.mode}`,
+        ...(session.iteration ? [`**Iteration:** ${session.iteration}`] : []),
+        `**Status:** ${session.status}`,
+        ''
+    ];
+
+    for (const field of Object.keys(LIST_SECTIONS)) {
+        if (session[field].length > 0) lines.push(...listSectionLines(field, session[field]));
+    }
+
+    if (session.notes) {
+        lines.push('### Notes', session.notes, '');
     }
 
-    // Files modified
-    if (files.length > 0) {
-        sessionContent += `### Files Modified\n`;
-        sessionContent += '```\n';
-        for (const file of files) {
-            sessionContent += `${file}\n`;
+    lines.push('---');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Identity of a list item, for merging without duplicates
+ */
+function itemKey(field, item) {
+    if (field === 'commits') return String(typeof item === 'string' ? item : item.hash);
+    return String(item).trim();
+}
+
+/**
+ * Merge changes into one session block's lines (in place in the block)
+ * Meta lines are replaced or added, list items not already present are appended
+ * to their section (created when missing), notes are appended (replaced with
+ * changes.replaceNotes, for snapshots like transcripts). Sections the
+ * parser doesn't know (Goal, Verdict, ...) are left exactly as they were.
+ */
+function mergeSessionBlock(blockLines, existing, changes) {
+    const lines = [...blockLines];
+    const isHeading = (line) => /^#{2,4}\s/.test(line);
+    const firstSection = () => {
+        const index = lines.findIndex((line, i) => i > 0 && isHeading(line));
+        return index === -1 ? lines.length : index;
+    };
+
+    // Meta lines live between "## Session:" and the first sub-heading
+    const setMeta = (label, value, after) => {
+        const end = firstSection();
+        const index = lines.findIndex((line, i) => i < end && line.startsWith(`**${label}:**`));
+        if (index !== -1) {
+            lines[index] = `**${label}:** ${value}`;
+            return;
+        }
+        const anchors = after.map(a => lines.findIndex((line, i) => i < end && line.startsWith(`**${a}:**`)));
+        const anchor = anchors.find(i => i !== -1) || -1;
+        let at = anchor !== -1 ? anchor + 1 : end;
+        if (anchor === -1) {
+            while (at > 1 && !lines[at - 1].trim()) at--;
         }
-        sessionContent += '```\n\n';
-    }
-
-    // Commits
-    if (commits.length > 0) {
-        sessionContent += `### Commits\n`;
-        sessionContent += '| Hash | Message |\n';
-        sessionContent += '|------|---------|\n';
-        for (const commit of commits) {
-            if (typeof commit === 'string') {
-                sessionContent += `| ${commit} | - |\n`;
-            } else {
-                sessionContent += `| ${commit.hash} | ${commit.message} |\n`;
+        lines.splice(at, 0, `**${label}:** ${value}`);
+    };
+
+    if (changes.mode) setMeta('Mode', changes.mode, ['Started']);
+    if (changes.iteration) setMeta('Iteration', changes.iteration, ['Mode', 'Started']);
+    if (changes.status) setMeta('Status', changes.status, ['Iteration', 'Mode', 'Started']);
+
+    // Sections by the field they fill (first one wins, as the parser merges duplicates)
+    const sectionRange = (field) => {
+        const start = lines.findIndex((line, i) => i > 0 && isHeading(line) && sectionField(line.replace(/^#+\s+/, '')) === field);
+        if (start === -1) return null;
+        let end = lines.findIndex((line, i) => i > start && (isHeading(line) || line.trim() === '---'));
+        if (end === -1) end = lines.length;
+        return { start, end };
+    };
+
+    for (const field of Object.keys(LIST_SECTIONS)) {
+        const known = new Set(existing[field].map(item => itemKey(field, item)));
+        const added = (changes[field] || []).filter(item => {
+            const key = itemKey(field, item);
+            if (known.has(key)) return false;
+            known.add(key);
+            return true;
+        });
+        if (added.length === 0) continue;
+
+        const range = sectionRange(field);
+        if (!range) {
+            // New section before the next one in capture order (or at the end of the block)
+            const fields = [...Object.keys(LIST_SECTIONS), 'notes'];
+            const next = fields.slice(fields.indexOf(field) + 1).map(sectionRange).find(r => r);
+            let at = next ? next.start : lines.length;
+            while (!next && at > 1 && (!lines[at - 1].trim() || lines[at - 1].trim() === '---')) at--;
+            const insert = listSectionLines(field, added);
+            if (!next) {
+                insert.pop();
+                insert.unshift('');
             }
+            lines.splice(at, 0, ...insert);
+            continue;
         }
-        sessionContent += '\n';
+
+        // After the section's last item (inside the closing fence for files)
+        let at = range.end;
+        while (at > range.start + 1 && !lines[at - 1].trim()) at--;
+        if (field === 'files' && /^\s*(```|~~~)/.test(lines[at - 1]) && at - 1 > range.start + 1) at--;
+        const section = LIST_SECTIONS[field];
+        lines.splice(at, 0, ...added.map((item, i) => section.item(item, existing[field].length + i + 1)));
     }
 
-    // Blockers
-    if (blockers.length > 0) {
-        sessionContent += `### Blockers\n`;
-        for (const blocker of blockers) {
-            sessionContent += `- [ ] ${blocker}\n`;
+    if (changes.notes) {
+        const range = sectionRange('notes');
+        if (range && changes.replaceNotes) {
+            const next = range.end < lines.length ? [''] : [];
+            lines.splice(range.start + 1, range.end - range.start - 1, changes.notes, ...next);
+        } else if (range) {
+            let at = range.end;
+            while (at > range.start + 1 && !lines[at - 1].trim()) at--;
+            lines.splice(at, 0, '', changes.notes);
+        } else {
+            let at = lines.length;
+            while (at > 1 && (!lines[at - 1].trim() || lines[at - 1].trim() === '---')) at--;
+            lines.splice(at, 0, '', '### Notes', changes.notes);
         }
-        sessionContent += '\n';
     }
 
-    // Notes
-    if (notes) {
-        sessionContent += `### Notes\n${notes}\n\n`;
-    }
+    return lines;
+}
 
-    sessionContent += `---\n`;
+/**
+ * Rewrite one session of a daily log with changes merged in (caller holds the lock)
+ */
+function rewriteSession(logPath, content, existing, changes) {
+    const lines = content.split('\n');
+    const block = lines.slice(existing.line_start - 1, existing.line_end);
+    const merged = mergeSessionBlock(block, existing, changes);
+    lines.splice(existing.line_start - 1, block.length, ...merged);
+    writeFileAtomic(logPath, lines.join('\n'));
+}
 
-    // Append to daily log
-    fs.appendFileSync(logPath, sessionContent);
-    console.log(`✅ Session captured: "${name}"`);
+/**
+ * Report a captured session and record it in the sessions table
+ */
+function reportCapture(verb, name, logPath, ordinal) {
+    console.log(`✅ Session ${verb}: "${name}"`);
     console.log(`   File: ${logPath}`);
 
+    // Structured copy for querying (node .nelson/sessions.cjs)
+    const sessionId = recordCapturedSession(logPath, ordinal);
+    if (sessionId) {
+        console.log(`   Session: ${sessionId}`);
+    }
+}
+
+/**
+ * Append a new session to today's daily log
+ * A capture named like today's latest IN_PROGRESS session updates that session
+ * instead (lists merged, status bumped), so per-iteration and closing captures
+ * don't pile up copies; options.new always appends.
+ * Throws when the status is not IN_PROGRESS, COMPLETE or BLOCKED.
+ */
+function appendSession(options = {}) {
+    const session = {
+        name: options.name || 'Untitled Session',
+        mode: options.mode || 'Standard',
+        notes: options.notes || '',
+        iteration: options.iteration || null,
+        status: normalizeStatus(options.status || 'IN_PROGRESS')
+    };
+    for (const field of Object.keys(LIST_SECTIONS)) {
+        session[field] = options[field] || [];
+    }
+
+    const logPath = getOrCreateDailyLog();
+    const file = path.relative(PROJECT_ROOT, logPath).split(path.sep).join('/');
+
+    const result = withFileLock(logPath, () => {
+        const content = fs.readFileSync(logPath, 'utf-8');
+
+        if (!options.new) {
+            const open = parseSessions(content, file).reverse().find(existing =>
+                existing.name.toLowerCase() === session.name.toLowerCase() &&
+                (existing.status || '').toUpperCase().replace(/[\s-]+/g, '_').startsWith('IN_PROGRESS'));
+            if (open) {
+                rewriteSession(logPath, content, open, { ...session, mode: options.mode, replaceNotes: options.replaceNotes });
+                return { verb: 'updated', ordinal: open.ordinal, name: open.name };
+            }
+        }
+
+        fs.appendFileSync(logPath, `\n\n---\n\n${formatSessionBlock(session)}`);
+        return { verb: 'captured', ordinal: null, name: session.name };
+    });
+
+    reportCapture(result.verb, result.name, logPath, result.ordinal);
     return logPath;
 }
 
 /**
- * Append arbitrary content to today's daily log
+ * Update a captured session in place by id (2026-10-18#2)
+ * changes: status, mode, iteration and notes replace/append; list fields are
+ * merged (items already present are skipped). Throws for an unknown id.
+ */
+function updateSession(id, changes = {}) {
+    const match = String(id).match(SESSION_ID);
+    if (!match) {
+        throw new Error(`Invalid session id "${id}" (ids look like 2026-10-18#2)`);
+    }
+
+    const logPath = path.join(MEMORY_DIR, `${match[1]}.md`);
+    if (!fs.existsSync(logPath)) {
+        throw new Error(`Unknown session "${id}" (no daily log for ${match[1]})`);
+    }
+    const file = path.relative(PROJECT_ROOT, logPath).split(path.sep).join('/');
+    const normalized = { ...changes, status: changes.status ? normalizeStatus(changes.status) : null };
+
+    const name = withFileLock(logPath, () => {
+        const content = fs.readFileSync(logPath, 'utf-8');
+        const existing = parseSessions(content, file).find(session => session.ordinal === parseInt(match[2]));
+        if (!existing) {
+            throw new Error(`Unknown session "${id}" (see: node .nelson/sessions.cjs --since ${match[1]})`);
+        }
+        rewriteSession(logPath, content, existing, normalized);
+        return existing.name;
+    });
+
+    reportCapture('updated', name, logPath, parseInt(match[2]));
+    return logPath;
+}
+
+/**
+ * Append arbitrary content to today's daily log (under the log lock, like session writes)
  */
 function appendToLog(content) {
     const logPath = getOrCreateDailyLog();
-    fs.appendFileSync(logPath, `\n${content}\n`);
+    withFileLock(logPath, () => fs.appendFileSync(logPath, `\n${content}\n`));
     console.log(`✅ Appended to daily log: ${logPath}`);
     return logPath;
 }
@@ -199,41 +552,241 @@ function quickCapture(name, status = 'COMPLETE', tasksStr = '') {
     });
 }
 
+// Conventional commit types, in the order sessions list them
+const COMMIT_TYPES = ['feat', 'fix', 'perf', 'refactor', 'revert', 'docs', 'test', 'build', 'ci', 'style', 'chore'];
+
+// "feat(auth)!: message"
+const CONVENTIONAL_COMMIT = /^(\w+)(?:\(([^)]*)\))?!?:\s+(.+)$/;
+
+// Diffstat rows shown in a session's notes (all files still go to Files Modified)
+const MAX_DIFFSTAT_FILES = 50;
+
+/**
+ * Run git in the project (works from worktrees and subdirectories)
+ * Returns stdout; throws with git's own message on failure.
+ */
+function git(args) {
+    const { execFileSync } = require('child_process');
+    try {
+        return execFileSync('git', args, {
+            cwd: PROJECT_ROOT,
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+    } catch (e) {
+        const message = (e.stderr || '').toString().trim().split('\n')[0].replace(/^fatal:\s*/, '');
+        throw new Error(message || e.message);
+    }
+}
+
+/**
+ * started_at of the running Nelson loop (.claude/nelson-loop.local.md, or the v3 state), or null
+ */
+function loopStartedAt() {
+    const loopState = path.join(PROJECT_ROOT, '.claude', 'nelson-loop.local.md');
+    if (fs.existsSync(loopState)) {
+        const match = fs.readFileSync(loopState, 'utf-8').match(/^started_at:\s*"?([^"\n]+)"?\s*$/m);
+        if (match) return match[1];
+    }
+
+    const v3State = path.join(PROJECT_ROOT, '.claude', 'ralph-v3', 'config.json');
+    if (fs.existsSync(v3State)) {
+        try {
+            const config = JSON.parse(fs.readFileSync(v3State, 'utf-8'));
+            if (config.active !== false && config.started_at) return config.started_at;
+        } catch (e) {
+            // Unreadable state - fall back to the default window
+        }
+    }
+
+    return null;
+}
+
+/**
+ * git log arguments and a description for the capture window
+ * since is a ref (commits after it) or anything git reads as a date
+ * ("2026-10-01", "2 hours ago", "yesterday"); without it the running loop's
+ * start is used, then the last hour.
+ */
+function gitWindow(since) {
+    if (since) {
+        try {
+            const hash = git(['rev-parse', '--verify', '--quiet', `${since}^{commit}`]).trim();
+            return { range: [`${hash}..HEAD`], label: `since ${since} (${hash.slice(0, 7)})` };
+        } catch (e) {
+            // Not a ref - try it as a date
+        }
+
+        // git reads text it can't parse as "now", so a date that lands on now is really an unknown ref
+        const match = git(['rev-parse', `--since=${since}`]).match(/--max-age=(\d+)/);
+        const timestamp = match ? parseInt(match[1]) : null;
+        if (timestamp !== null && (timestamp < Math.floor(Date.now() / 1000) - 1 || since.trim() === 'now')) {
+            const date = new Date(timestamp * 1000).toISOString();
+            return { range: [`--since=${date}`, 'HEAD'], label: `since ${since} (${date})` };
+        }
+
+        const shallow = git(['rev-parse', '--is-shallow-repository']).trim() === 'true';
+        throw new Error(`Unknown ref or date "${since}"${shallow ? ' (shallow clone - fetch more history with git fetch --deepen)' : ''}`);
+    }
+
+    const startedAt = loopStartedAt();
+    if (startedAt) return { range: [`--since=${startedAt}`, 'HEAD'], label: `since loop start (${startedAt})` };
+
+    return { range: ['--since=1 hour ago', 'HEAD'], label: 'last hour' };
+}
+
+/**
+ * Add "added\tdeleted\tpath" numstat lines into a Map of path → { added, deleted, binary }
+ */
+function addNumstat(stats, lines) {
+    for (const line of lines) {
+        const match = line.match(/^(-|\d+)\t(-|\d+)\t(.+)$/);
+        if (!match) continue;
+
+        // Renames: "src/{old => new}.ts" or "old => new"
+        const file = match[3].replace(/\{[^{}]* => ([^{}]*)\}/, '$1').replace(/^.* => /, '').replace(/\/\//g, '/');
+        const stat = stats.get(file) || { added: 0, deleted: 0, binary: false };
+        if (match[1] === '-') {
+            stat.binary = true;
+        } else {
+            stat.added += parseInt(match[1]);
+            stat.deleted += parseInt(match[2]);
+        }
+        stats.set(file, stat);
+    }
+}
+
+/**
+ * "+12 -3" (or "binary")
+ */
+function formatStat(stat) {
+    return stat.binary ? 'binary' : `+${stat.added} -${stat.deleted}`;
+}
+
+/**
+ * Commits in a window with author, conventional type and per-file numstat
+ * Commits at a shallow clone's boundary have no parent to diff against, so
+ * their numstat (every file "added") is left out.
+ */
+function gitCommits(range) {
+    let output;
+    try {
+        output = git(['log', '--no-color', '--numstat', '--format=%x1e%H%x1f%an%x1f%s', ...range]);
+    } catch (e) {
+        // A repository without commits has nothing to log
+        if (/does not have any commits|unknown revision|bad revision/.test(e.message)) return [];
+        throw e;
+    }
+
+    let boundary = new Set();
+    const shallowFile = path.resolve(PROJECT_ROOT, git(['rev-parse', '--git-path', 'shallow']).trim());
+    if (fs.existsSync(shallowFile)) {
+        boundary = new Set(fs.readFileSync(shallowFile, 'utf-8').split('\n').filter(h => h));
+    }
+
+    return output.split('\x1e').filter(record => record.trim()).map(record => {
+        const [header, ...numstat] = record.split('\n');
+        const [hash, author, subject] = header.split('\x1f');
+        const conventional = subject.match(CONVENTIONAL_COMMIT);
+        const type = conventional && COMMIT_TYPES.includes(conventional[1].toLowerCase())
+            ? conventional[1].toLowerCase()
+            : 'other';
+
+        const stats = new Map();
+        if (!boundary.has(hash)) addNumstat(stats, numstat);
+        return { hash, author, subject, type, stats, shallow: boundary.has(hash) };
+    });
+}
+
 /**
- * Generate session summary from git diff (for automatic capture)
+ * Uncommitted changes: [{ status, file, stat }] from git status and git diff HEAD
  */
-function captureFromGit() {
-    const { execSync } = require('child_process');
+function gitWorkingTree() {
+    const stats = new Map();
+    try {
+        addNumstat(stats, git(['diff', '--numstat', 'HEAD']).split('\n'));
+    } catch (e) {
+        // No HEAD yet - everything shows up as untracked/added below
+    }
 
+    return git(['status', '--porcelain=v1', '--untracked-files=all']).split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            const file = line.slice(3).replace(/^.* -> /, '').replace(/^"(.*)"$/, '$1');
+            return { status: line.slice(0, 2).trim(), file, stat: stats.get(file) || null };
+        });
+}
+
+/**
+ * Generate a session from git history (for automatic capture)
+ * Covers the commits in the session window (see gitWindow) plus uncommitted
+ * changes: full hashes, authors, per-file diffstat and conventional commit
+ * types. Returns the log path, or null when there is nothing to capture.
+ */
+function captureFromGit(options = {}) {
     try {
-        // Get recent commits (last hour or last 5)
-        const commits = execSync('git log --oneline -5 --since="1 hour ago" 2>/dev/null || git log --oneline -3', {
-            encoding: 'utf-8',
-            cwd: process.cwd()
-        }).trim().split('\n').filter(c => c);
+        const window = gitWindow(options.since);
+        const commits = gitCommits(window.range);
+        const workingTree = gitWorkingTree();
 
-        // Get modified files
-        const files = execSync('git diff --name-only HEAD~3 2>/dev/null || echo ""', {
-            encoding: 'utf-8',
-            cwd: process.cwd()
-        }).trim().split('\n').filter(f => f);
-
-        // Generate session name from last commit
-        let sessionName = 'Development Session';
-        if (commits.length > 0) {
-            const lastCommit = commits[0];
-            sessionName = lastCommit.substring(8).trim(); // Remove hash prefix
+        if (commits.length === 0 && workingTree.length === 0) {
+            console.log(`⚠️ Nothing to capture from git (${window.label}: no commits, clean working tree)`);
+            return null;
+        }
+
+        // Oldest first, grouped by type
+        const ordered = [...commits].reverse();
+        const grouped = [...COMMIT_TYPES, 'other']
+            .map(type => ordered.filter(commit => commit.type === type))
+            .filter(group => group.length > 0);
+
+        const totals = new Map();
+        for (const commit of ordered) {
+            for (const [file, stat] of commit.stats) {
+                const total = totals.get(file) || { added: 0, deleted: 0, binary: false };
+                total.added += stat.added;
+                total.deleted += stat.deleted;
+                total.binary = total.binary || stat.binary;
+                totals.set(file, total);
+            }
+        }
+
+        const notes = [`**Window:** ${window.label}, ${commits.length} commit${commits.length === 1 ? '' : 's'}`];
+
+        if (grouped.length > 0) {
+            notes.push(`**Commit types:** ${grouped.map(group => `${group.length} ${group[0].type}`).join(', ')}`);
+        }
+
+        if (totals.size > 0) {
+            const rows = [...totals].slice(0, MAX_DIFFSTAT_FILES).map(([file, stat]) => `| ${file} | ${formatStat(stat)} |`);
+            const more = totals.size - rows.length;
+            notes.push(['| File | Changes |', '|------|---------|', ...rows].join('\n') +
+                (more > 0 ? `\n\n…and ${more} more files` : ''));
         }
 
+        if (commits.some(commit => commit.shallow)) {
+            notes.push('Diffstat excludes the shallow clone boundary commit (no parent to diff against).');
+        }
+
+        if (workingTree.length > 0) {
+            notes.push([
+                '**Uncommitted changes:**',
+                ...workingTree.map(change => `- \`${change.status}\` ${change.file}${change.stat ? ` (${formatStat(change.stat)})` : ''}`)
+            ].join('\n'));
+        }
+
+        const last = commits[0];
+        const name = last ? last.subject.replace(CONVENTIONAL_COMMIT, '$3') : 'Uncommitted Changes';
+
         return appendSession({
-            name: sessionName,
+            name,
             status: 'COMPLETE',
             mode: 'Auto-captured',
-            files: files.slice(0, 10), // Limit files
-            commits: commits.map(c => {
-                const [hash, ...msgParts] = c.split(' ');
-                return { hash, message: msgParts.join(' ') };
-            })
+            tasks: grouped.flat().map(commit => commit.subject),
+            files: [...totals.keys()],
+            commits: ordered.map(commit => ({ hash: commit.hash, message: `${commit.subject} (${commit.author})` })),
+            notes: notes.join('\n\n')
         });
     } catch (e) {
         console.log('⚠️ Could not capture from git:', e.message);
@@ -254,22 +807,42 @@ async function main() {
         console.log('  node .nelson/capture.cjs "Session Name" [STATUS]');
         console.log('  node .nelson/capture.cjs "Name" "COMPLETE" --tasks "Task 1, Task 2"');
         console.log('  node .nelson/capture.cjs "Name" --mode "HA-HA" --commit abc123');
+        console.log('  node .nelson/capture.cjs --session 2026-10-18#2 --status COMPLETE --add-task "Task 3"');
         console.log('  node .nelson/capture.cjs --append "Text to append"');
-        console.log('  node .nelson/capture.cjs --git           Auto-capture from git history');
+        console.log('  node .nelson/capture.cjs --git           Auto-capture from git history (since the loop started,');
+        console.log('                                           else the last hour)');
+        console.log('  node .nelson/capture.cjs --git --since <ref|date>   ...after a commit, or since a date/time');
         console.log('');
         console.log('Options:');
+        console.log('  STATUS              IN_PROGRESS (default), COMPLETE or BLOCKED');
+        console.log('  --status S          Same as the STATUS argument');
         console.log('  --tasks "t1, t2"    Comma-separated tasks completed');
+        console.log('  --add-task "text"   Add a completed task (repeatable)');
         console.log('  --mode "HA-HA"      Session mode (Standard, HA-HA)');
-        console.log('  --commit "hash"     Add commit hash');
+        console.log('  --commit "hash"     Add commit hash (repeatable)');
+        console.log('  --decision "text"   Add a key decision (repeatable)');
+        console.log('  --insight "text"    Add an insight (repeatable)');
+        console.log('  --file path         Add a modified file (repeatable)');
+        console.log('  --blocker "text"    Add an open blocker (repeatable)');
         console.log('  --notes "text"      Additional notes');
         console.log('  --iteration N       Iteration number');
+        console.log('  --from-json F       Read the whole session from a JSON file (- for stdin);');
+        console.log('                      flags and positional name/status are applied on top');
+        console.log('  --from-transcript F Build the session from a Claude Code JSONL transcript: edited files,');
+        console.log('                      commands, test outcomes, commits, completed todos, final summary');
+        console.log('  --session ID        Update that session in place (lists merged, status replaced)');
+        console.log('  --new               Append even if today\'s latest IN_PROGRESS session has this name');
+        console.log('');
+        console.log('A capture named like today\'s latest IN_PROGRESS session updates it instead of');
+        console.log('appending a copy, so a closing COMPLETE capture replaces the open entry.');
         console.log('');
         process.exit(0);
     }
 
     // Handle --git auto-capture
     if (args.includes('--git')) {
-        captureFromGit();
+        const sinceIdx = args.indexOf('--since');
+        captureFromGit({ since: sinceIdx !== -1 ? args[sinceIdx + 1] : null });
         process.exit(0);
     }
 
@@ -280,57 +853,151 @@ async function main() {
         process.exit(0);
     }
 
-    // Parse session capture
-    let name = args[0] || 'Untitled Session';
-    let status = 'IN_PROGRESS';
-    let tasks = [];
-    let mode = 'Standard';
-    let commits = [];
-    let notes = '';
-    let iteration = null;
+    // Parse session capture: --from-json first, then flags on top of it
+    const flags = {
+        decisions: [],
+        insights: [],
+        files: [],
+        blockers: [],
+        commits: [],
+        addTasks: []
+    };
+    const positional = [];
+    let fromJson = null;
+    let fromTranscript = null;
 
-    // Second positional arg is status
-    if (args[1] && !args[1].startsWith('--')) {
-        status = args[1];
-    }
-
-    // Parse flags
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--tasks' && args[i + 1]) {
-            tasks = args[i + 1].split(',').map(t => t.trim()).filter(t => t);
+            flags.tasks = args[i + 1].split(',').map(t => t.trim()).filter(t => t);
             i++;
         } else if (args[i] === '--mode' && args[i + 1]) {
-            mode = args[i + 1];
+            flags.mode = args[i + 1];
             i++;
         } else if (args[i] === '--commit' && args[i + 1]) {
-            commits.push(args[i + 1]);
+            flags.commits.push(args[i + 1]);
+            i++;
+        } else if (args[i] === '--decision' && args[i + 1]) {
+            flags.decisions.push(args[i + 1]);
+            i++;
+        } else if (args[i] === '--insight' && args[i + 1]) {
+            flags.insights.push(args[i + 1]);
+            i++;
+        } else if (args[i] === '--file' && args[i + 1]) {
+            flags.files.push(args[i + 1]);
+            i++;
+        } else if (args[i] === '--blocker' && args[i + 1]) {
+            flags.blockers.push(args[i + 1]);
             i++;
         } else if (args[i] === '--notes' && args[i + 1]) {
-            notes = args[i + 1];
+            flags.notes = args[i + 1];
             i++;
         } else if (args[i] === '--iteration' && args[i + 1]) {
-            iteration = args[i + 1];
+            flags.iteration = args[i + 1];
+            i++;
+        } else if (args[i] === '--add-task' && args[i + 1]) {
+            flags.addTasks.push(args[i + 1]);
             i++;
+        } else if (args[i] === '--status' && args[i + 1]) {
+            flags.status = args[i + 1];
+            i++;
+        } else if (args[i] === '--session' && args[i + 1]) {
+            flags.session = args[i + 1];
+            i++;
+        } else if (args[i] === '--new') {
+            flags.new = true;
+        } else if (args[i] === '--from-json') {
+            fromJson = args[i + 1] || '';
+            i++;
+        } else if (args[i] === '--from-transcript') {
+            fromTranscript = args[i + 1] || '';
+            i++;
+        } else if (!args[i].startsWith('--')) {
+            positional.push(args[i]);
         }
     }
 
-    appendSession({
-        name,
-        status,
-        mode,
-        tasks,
-        commits,
-        notes,
-        iteration
-    });
+    let session = {};
+    if (fromJson !== null && fromTranscript !== null) {
+        console.error('❌ Use either --from-json or --from-transcript, not both');
+        process.exit(1);
+    }
+    if (fromTranscript !== null) {
+        try {
+            if (!fromTranscript) throw new Error('--from-transcript needs the path of a .jsonl transcript');
+            session = readTranscriptSession(fromTranscript);
+        } catch (e) {
+            console.error(`❌ ${e.message}`);
+            process.exit(1);
+        }
+        if (!session) {
+            console.log('⚠️ Nothing to capture from transcript (empty conversation)');
+            return;
+        }
+    }
+    if (fromJson !== null) {
+        try {
+            session = readSessionJson(fromJson);
+        } catch (e) {
+            console.error(`❌ ${e.message}`);
+            process.exit(1);
+        }
+        if (!session || typeof session !== 'object' || Array.isArray(session)) {
+            console.error('❌ --from-json expects a JSON object (a session)');
+            process.exit(1);
+        }
+    }
+
+    // Positional name and status, then scalar flags, override the JSON or transcript; list flags add to it
+    if (positional[0]) session.name = positional[0];
+    if (positional[1]) session.status = positional[1];
+    for (const key of ['tasks', 'mode', 'notes', 'iteration', 'status', 'session', 'new']) {
+        if (flags[key] !== undefined) session[key] = flags[key];
+    }
+    for (const key of ['decisions', 'insights', 'files', 'blockers', 'commits']) {
+        if (flags[key].length > 0) session[key] = [...(session[key] || []), ...flags[key]];
+    }
+    if (flags.addTasks.length > 0) session.tasks = [...(session.tasks || []), ...flags.addTasks];
+
+    try {
+        session = validateSession(session);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        for (const problem of e.errors || []) {
+            console.error(`   • ${problem}`);
+        }
+        process.exit(1);
+    }
+
+    try {
+        // A transcript is a snapshot of the whole conversation: its notes replace earlier ones
+        const replaceNotes = fromTranscript !== null;
+        if (session.session) {
+            const { session: id, ...changes } = session;
+            updateSession(id, { ...changes, replaceNotes });
+        } else {
+            appendSession({ ...session, replaceNotes });
+        }
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
 }
 
 // Export for use as module
 module.exports = {
     appendSession,
+    updateSession,
+    normalizeStatus,
+    validateSession,
+    SESSION_SCHEMA,
+    SESSION_STATUSES,
     appendToLog,
     quickCapture,
     captureFromGit,
+    gitWindow,
+    gitCommits,
+    gitWorkingTree,
+    addNumstat,
     getOrCreateDailyLog,
     getTodayDate
 };
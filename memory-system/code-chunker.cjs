@@ -0,0 +1,428 @@
+/**
+ * Nelson Code Chunker v1.0
+ *
+ * LANGUAGE-AWARE CHUNKING FOR SOURCE FILES:
+ * - JavaScript / TypeScript → functions, classes, multi-line declarations
+ * - Python                  → def / async def / class (with decorators)
+ * - Go                      → func, methods, type declarations
+ * - Shell                   → function definitions
+ * - JSON / YAML             → top-level keys
+ *
+ * Runs fully offline: a small character scanner tracks nesting depth,
+ * strings and comments, so only top-level declarations start a section.
+ * Leading doc comments / decorators stay attached to their declaration.
+ *
+ * Returns sections in the same shape as init-db.cjs extractMarkdownSections:
+ *   { header, content, lineStart, lineEnd }
+ * where `header` is the symbol (e.g. "function searchFTS", "class Indexer").
+ */
+
+const path = require('path');
+
+// Extension → language
+const LANGUAGES = {
+    '.js': 'javascript',
+    '.cjs': 'javascript',
+    '.mjs': 'javascript',
+    '.jsx': 'javascript',
+    '.ts': 'typescript',
+    '.tsx': 'typescript',
+    '.mts': 'typescript',
+    '.cts': 'typescript',
+    '.py': 'python',
+    '.go': 'go',
+    '.sh': 'shell',
+    '.bash': 'shell',
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml'
+};
+
+// Languages indexed as configuration rather than code
+const CONFIG_LANGUAGES = ['json', 'yaml'];
+
+// Scanner syntax per brace-delimited language
+const SYNTAX = {
+    javascript: { lineComments: ['//'], blockComment: ['/*', '*/'], quotes: ['"', "'", '`'], regexLiterals: true },
+    typescript: { lineComments: ['//'], blockComment: ['/*', '*/'], quotes: ['"', "'", '`'], regexLiterals: true },
+    go: { lineComments: ['//'], blockComment: ['/*', '*/'], quotes: ['"', "'", '`'] },
+    shell: { lineComments: ['#'], blockComment: null, quotes: ['"', "'"], heredocs: true },
+    json: { lineComments: [], blockComment: null, quotes: ['"'] }
+};
+
+/**
+ * Get the language for a file path (null if not a supported source file)
+ */
+function getLanguage(filePath) {
+    return LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Check if a language should be treated as config (json/yaml)
+ */
+function isConfigLanguage(language) {
+    return CONFIG_LANGUAGES.includes(language);
+}
+
+/**
+ * Find the end of a JS regex literal starting at `start` (the opening '/')
+ * Returns -1 when the slash is division rather than a regex
+ */
+function skipRegexLiteral(line, start) {
+    const before = line.slice(0, start).trimEnd();
+    if (before && !/[(,=:[!&|?{};+\-*%<>~^]$|\breturn$|\btypeof$/.test(before)) {
+        return -1;
+    }
+
+    let inClass = false;
+    for (let i = start + 1; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '\\') i++;
+        else if (ch === '[') inClass = true;
+        else if (ch === ']') inClass = false;
+        else if (ch === '/' && !inClass) return i;
+    }
+
+    return -1;
+}
+
+/**
+ * Scan lines and report the lexical state at the START of each line:
+ * { depth, inComment, inString } - depth counts open (, [ and {
+ */
+function scanLines(lines, syntax) {
+    const states = [];
+    let depth = 0;
+    let inComment = false;
+    let quote = null;
+    let heredoc = null;
+
+    for (const line of lines) {
+        states.push({ depth, inComment, inString: quote !== null || heredoc !== null });
+
+        if (heredoc) {
+            if (line.trim() === heredoc) heredoc = null;
+            continue;
+        }
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+
+            if (inComment) {
+                if (line.startsWith(syntax.blockComment[1], i)) {
+                    inComment = false;
+                    i += syntax.blockComment[1].length - 1;
+                }
+                continue;
+            }
+
+            if (quote) {
+                if (ch === '\\') {
+                    i++;
+                } else if (ch === quote) {
+                    quote = null;
+                }
+                continue;
+            }
+
+            if (syntax.lineComments.some(c => line.startsWith(c, i))) {
+                // Shell: '#' only starts a comment at a word boundary ($#, ${#x} are not comments)
+                if (syntax.lineComments[0] !== '#' || i === 0 || /\s/.test(line[i - 1])) break;
+            }
+
+            if (syntax.blockComment && line.startsWith(syntax.blockComment[0], i)) {
+                inComment = true;
+                i += syntax.blockComment[0].length - 1;
+                continue;
+            }
+
+            if (syntax.quotes.includes(ch)) {
+                quote = ch;
+                continue;
+            }
+
+            if (syntax.regexLiterals && ch === '/') {
+                const end = skipRegexLiteral(line, i);
+                if (end !== -1) {
+                    i = end;
+                    continue;
+                }
+            }
+
+            if (syntax.heredocs && line.startsWith('<<', i)) {
+                const match = line.slice(i).match(/^<<-?\s*['"]?([A-Za-z_][A-Za-z0-9_]*)['"]?/);
+                if (match) {
+                    heredoc = match[1];
+                    i += match[0].length - 1;
+                    continue;
+                }
+            }
+
+            if (ch === '{' || ch === '(' || ch === '[') depth++;
+            else if (ch === '}' || ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+        }
+
+        // Only shell lets single and double quoted strings span lines
+        if ((quote === '"' || quote === "'") && !syntax.heredocs) {
+            quote = null;
+        }
+    }
+
+    return states;
+}
+
+/**
+ * Detect a JavaScript / TypeScript declaration on a top-level line
+ * `multiline` - whether the statement continues past this line
+ */
+function detectJsSymbol(line, multiline) {
+    const patterns = [
+        [/^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/, 'function'],
+        [/^(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([\w$]+)/, 'class'],
+        [/^(?:export\s+)?(?:declare\s+)?interface\s+([\w$]+)/, 'interface'],
+        [/^(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([\w$]+)/, 'enum'],
+        [/^(?:export\s+)?(?:declare\s+)?namespace\s+([\w$.]+)/, 'namespace']
+    ];
+
+    for (const [regex, kind] of patterns) {
+        const match = line.match(regex);
+        if (match) return `${kind} ${match[1]}`;
+    }
+
+    // Variables and type aliases only count when they span lines (functions, objects, tables)
+    if (multiline) {
+        const variable = line.match(/^(?:export\s+)?(?:declare\s+)?(const|let|var|type)\s+([\w$]+)/);
+        if (variable) return `${variable[1]} ${variable[2]}`;
+
+        if (/^module\.exports\s*=/.test(line)) return 'module.exports';
+        if (/^export\s+default\b/.test(line)) return 'export default';
+
+        const assigned = line.match(/^(?:module\.)?exports\.([\w$]+)\s*=/);
+        if (assigned) return `exports.${assigned[1]}`;
+    }
+
+    return null;
+}
+
+/**
+ * Detect a Go declaration on a top-level line
+ */
+function detectGoSymbol(line, multiline) {
+    const func = line.match(/^func\s+(?:\(\s*\w*\s*\*?\s*([\w.]+)(?:\[[^\]]*\])?\s*\)\s*)?(\w+)/);
+    if (func) return func[1] ? `func ${func[1]}.${func[2]}` : `func ${func[2]}`;
+
+    const type = line.match(/^type\s+(\w+)/);
+    if (type) return `type ${type[1]}`;
+
+    if (multiline) {
+        const variable = line.match(/^(var|const)\s+(\w+)/);
+        if (variable) return `${variable[1]} ${variable[2]}`;
+    }
+
+    return null;
+}
+
+/**
+ * Detect a shell function definition on a top-level line
+ */
+function detectShellSymbol(line) {
+    const match = line.match(/^function\s+([\w.:-]+)/) || line.match(/^([\w.:-]+)\s*\(\s*\)/);
+    return match ? `function ${match[1]}` : null;
+}
+
+/**
+ * Boundaries for brace-delimited languages (JS/TS/Go/Shell)
+ */
+function braceBoundaries(lines, language) {
+    const states = scanLines(lines, SYNTAX[language]);
+    const commentPrefix = language === 'shell' ? /^#/ : /^(\/\/|\/\*|\*)/;
+    const boundaries = [];
+    let pendingStart = null;
+    let inSymbol = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const state = states[i];
+        const trimmed = lines[i].trim();
+
+        if (state.depth > 0 || state.inString) continue;
+
+        if (!trimmed) {
+            pendingStart = null;
+            continue;
+        }
+
+        if (state.inComment || commentPrefix.test(trimmed)) {
+            if (pendingStart === null) pendingStart = i;
+            continue;
+        }
+
+        const multiline = i + 1 < lines.length && (states[i + 1].depth > 0 || states[i + 1].inString);
+        let symbol = null;
+        if (language === 'go') symbol = detectGoSymbol(trimmed, multiline);
+        else if (language === 'shell') symbol = detectShellSymbol(trimmed);
+        else symbol = detectJsSymbol(trimmed, multiline);
+
+        if (symbol) {
+            boundaries.push({ index: pendingStart !== null ? pendingStart : i, header: symbol });
+            inSymbol = true;
+        } else if (inSymbol) {
+            boundaries.push({ index: pendingStart !== null ? pendingStart : i, header: null });
+            inSymbol = false;
+        }
+
+        pendingStart = null;
+    }
+
+    return boundaries;
+}
+
+/**
+ * Boundaries for Python (indentation-delimited)
+ */
+function pythonBoundaries(lines) {
+    const boundaries = [];
+    let pendingStart = null;
+    let inSymbol = false;
+    let tripleQuote = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const startsInString = tripleQuote !== null;
+
+        // Track triple-quoted strings so docstrings at column 0 don't split sections
+        const quotes = line.match(/"""|'''/g) || [];
+        for (const q of quotes) {
+            if (tripleQuote === null) tripleQuote = q;
+            else if (tripleQuote === q) tripleQuote = null;
+        }
+
+        if (startsInString || /^\s/.test(line)) continue;
+
+        if (!line.trim()) {
+            pendingStart = null;
+            continue;
+        }
+
+        if (line.startsWith('@') || line.startsWith('#')) {
+            if (pendingStart === null) pendingStart = i;
+            continue;
+        }
+
+        const match = line.match(/^(async\s+def|def|class)\s+(\w+)/);
+        if (match) {
+            const kind = match[1].startsWith('async') ? 'async def' : match[1];
+            boundaries.push({ index: pendingStart !== null ? pendingStart : i, header: `${kind} ${match[2]}` });
+            inSymbol = true;
+        } else if (inSymbol) {
+            boundaries.push({ index: pendingStart !== null ? pendingStart : i, header: null });
+            inSymbol = false;
+        }
+
+        pendingStart = null;
+    }
+
+    return boundaries;
+}
+
+/**
+ * Boundaries for JSON (one section per top-level key)
+ */
+function jsonBoundaries(lines) {
+    const states = scanLines(lines, SYNTAX.json);
+    const boundaries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (states[i].depth !== 1 || states[i].inString) continue;
+
+        const match = lines[i].match(/^\s*"((?:[^"\\]|\\.)*)"\s*:/);
+        if (match) {
+            boundaries.push({ index: boundaries.length === 0 ? 0 : i, header: match[1] });
+        }
+    }
+
+    return boundaries;
+}
+
+/**
+ * Boundaries for YAML (one section per top-level key)
+ */
+function yamlBoundaries(lines) {
+    const boundaries = [];
+    let pendingStart = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            pendingStart = null;
+            continue;
+        }
+
+        if (line.startsWith('#')) {
+            if (pendingStart === null) pendingStart = i;
+            continue;
+        }
+
+        const match = line.match(/^(["']?)([^\s#:"'][^#:]*?)\1\s*:(\s|$)/);
+        if (match) {
+            boundaries.push({ index: pendingStart !== null ? pendingStart : i, header: match[2] });
+        }
+
+        pendingStart = null;
+    }
+
+    return boundaries;
+}
+
+/**
+ * Split source code into symbol-level sections
+ * Returns array of { header, content, lineStart, lineEnd }
+ */
+function extractCodeSections(content, language) {
+    const lines = content.split('\n');
+    let boundaries;
+
+    switch (language) {
+        case 'python':
+            boundaries = pythonBoundaries(lines);
+            break;
+        case 'json':
+            boundaries = jsonBoundaries(lines);
+            break;
+        case 'yaml':
+            boundaries = yamlBoundaries(lines);
+            break;
+        default:
+            boundaries = braceBoundaries(lines, language);
+    }
+
+    // Anything before the first declaration (imports, file header) is its own section
+    if (boundaries.length === 0 || boundaries[0].index > 0) {
+        boundaries.unshift({ index: 0, header: null });
+    }
+
+    const sections = [];
+    for (let b = 0; b < boundaries.length; b++) {
+        const start = boundaries[b].index;
+        const end = b < boundaries.length - 1 ? boundaries[b + 1].index - 1 : lines.length - 1;
+        if (end < start) continue;
+
+        sections.push({
+            header: boundaries[b].header,
+            content: lines.slice(start, end + 1).join('\n'),
+            lineStart: start + 1,
+            lineEnd: end + 1
+        });
+    }
+
+    return sections;
+}
+
+// Export for use as module
+module.exports = {
+    getLanguage,
+    isConfigLanguage,
+    extractCodeSections,
+    scanLines,
+    LANGUAGES
+};
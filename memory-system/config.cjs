@@ -0,0 +1,248 @@
+/**
+ * Nelson Project Config v1.0
+ *
+ * PROJECT SETTINGS IN .nelson/config.json:
+ * - index.include / index.exclude → extra globs to index / never index
+ * - index.patterns                → per-glob priority and file_type labels
+ * - index.chunk                   → chunk size and overlap (tokens)
+ * - index.workspaces              → monorepo package directories (globs)
+ * - search                        → default result limit, fusion weights, package,
+ *                                   priority and recency boosts
+ * - tools                         → extra MCP config files and skill directories
+ *
+ * Read by init-db.cjs, search.cjs and tools-indexer.cjs, and validated
+ * against schemas/config.schema.json (no external validator needed).
+ *
+ * Usage:
+ *   node .nelson/config.cjs            # Validate and print the effective config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROJECT_ROOT } = require('./workspaces.cjs');
+
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
+const CONFIG_PATH = path.join(NELSON_DIR, 'config.json');
+
+// Installed next to the scripts (.nelson/schemas/) or in the repo (schemas/)
+const SCHEMA_PATHS = [
+    path.join(__dirname, 'schemas', 'config.schema.json'),
+    path.join(__dirname, '..', 'schemas', 'config.schema.json')
+];
+
+// Effective settings when config.json is missing or leaves a key out
+const DEFAULT_CONFIG = {
+    index: {
+        include: [],
+        exclude: [],
+        patterns: [],
+        workspaces: [],
+        code: true,
+        chunk: { size: 600, overlap: 100 }
+    },
+    search: {
+        limit: 5,
+        weights: {},
+        package_boost: 1.2,
+        priority_weight: 0.5,
+        recency_weight: 0.5,
+        recency_half_life_days: 14,
+        expansion: {},
+        max_expand_lines: 300,
+        min_similarity: 0.2
+    },
+    tools: {
+        config_paths: [],
+        skill_paths: []
+    }
+};
+
+/**
+ * Check a value's JSON type against a schema type name
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Validate a value against the subset of JSON Schema the Nelson schemas use:
+ * type, properties, required, additionalProperties, items, enum, const,
+ * minimum, maximum, minLength, pattern
+ * Returns a list of "path: problem" strings (empty when valid)
+ */
+function validateSchema(value, schema, at = 'config', errors = []) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${at}: expected ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validateSchema(item, schema.items, `${at}[${i}]`, errors));
+    }
+
+    if (matchesType(value, 'object')) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${at}: missing required "${key}"`);
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                validateSchema(child, properties[key], `${at}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unknown key "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateSchema(child, schema.additionalProperties, `${at}.${key}`, errors);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Load the config schema (null if it wasn't installed)
+ */
+function loadSchema() {
+    const schemaPath = SCHEMA_PATHS.find(p => fs.existsSync(p));
+    return schemaPath ? JSON.parse(fs.readFileSync(schemaPath, 'utf-8')) : null;
+}
+
+/**
+ * Merge a validated user config over the defaults (one level of sections deep)
+ */
+function mergeConfig(user) {
+    const merged = {};
+    for (const [section, defaults] of Object.entries(DEFAULT_CONFIG)) {
+        merged[section] = { ...defaults, ...(user[section] || {}) };
+    }
+    merged.index.chunk = { ...DEFAULT_CONFIG.index.chunk, ...((user.index || {}).chunk || {}) };
+    return merged;
+}
+
+const configCache = new Map();
+
+/**
+ * Load .nelson/config.json merged over the defaults
+ * Cached per file until its mtime changes. Throws when invalid
+ * (error.errors lists each schema violation).
+ */
+function loadConfig(configPath = CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+        return mergeConfig({});
+    }
+
+    const mtime = fs.statSync(configPath).mtimeMs;
+    const cached = configCache.get(configPath);
+    if (cached && cached.mtime === mtime) {
+        return cached.config;
+    }
+
+    let user;
+    try {
+        user = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Invalid JSON in ${path.relative(process.cwd(), configPath)}: ${e.message}`);
+    }
+
+    const schema = loadSchema();
+    const errors = schema ? validateSchema(user, schema) : [];
+    if (errors.length > 0) {
+        const error = new Error(`${path.relative(process.cwd(), configPath)} does not match the config schema`);
+        error.errors = errors;
+        throw error;
+    }
+
+    const config = mergeConfig(user);
+    configCache.set(configPath, { mtime, config });
+    return config;
+}
+
+/**
+ * Resolve a config path relative to the project root
+ */
+function resolveProjectPath(p) {
+    return path.isAbsolute(p) ? p : path.join(PROJECT_ROOT, p);
+}
+
+/**
+ * Print a config error (to stderr) with one line per schema violation
+ */
+function reportConfigError(error) {
+    console.error(`❌ ${error.message}`);
+    for (const problem of error.errors || []) {
+        console.error(`   • ${problem}`);
+    }
+}
+
+/**
+ * CLI: validate config.json and print the effective settings
+ */
+async function main() {
+    if (!fs.existsSync(CONFIG_PATH)) {
+        console.log(`ℹ️  No ${path.relative(process.cwd(), CONFIG_PATH)} - using defaults`);
+    }
+
+    try {
+        const config = loadConfig();
+        if (fs.existsSync(CONFIG_PATH)) {
+            console.log(`✓ ${path.relative(process.cwd(), CONFIG_PATH)} is valid`);
+        }
+        console.log('');
+        console.log(JSON.stringify(config, null, 2));
+    } catch (e) {
+        reportConfigError(e);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = {
+    loadConfig,
+    validateSchema,
+    resolveProjectPath,
+    reportConfigError,
+    DEFAULT_CONFIG,
+    CONFIG_PATH
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
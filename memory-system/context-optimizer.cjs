@@ -23,11 +23,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const { countTokens, getTokenizer } = require('./tokenizer.cjs');
 
-// Token estimation (4 chars ≈ 1 token for English text)
+// Token counts come from the shared tokenizer (see tokenizer.cjs)
 function estimateTokens(text) {
-    if (!text) return 0;
-    return Math.ceil(text.length / 4);
+    return countTokens(text);
 }
 
 // MCP token costs (approximate, from real measurements)
@@ -107,7 +107,7 @@ const CLAUDE_SECTIONS = {
 /**
  * Analyze current context usage
  */
-function analyzeContext(claudeMdPath) {
+function analyzeContext(claudeMdPath = path.join(process.cwd(), 'CLAUDE.md')) {
     console.log('');
     console.log('╔══════════════════════════════════════════════════════════════════╗');
     console.log('║            NELSON CONTEXT OPTIMIZER - ANALYSIS                   ║');
@@ -143,8 +143,17 @@ function analyzeContext(claudeMdPath) {
         }
     }
 
+    // Measure the real CLAUDE.md when there is one (the section table is a typical profile)
+    let claudeMdSource = 'typical';
+    if (claudeMdPath && fs.existsSync(claudeMdPath)) {
+        claudeMdTokens = countTokens(fs.readFileSync(claudeMdPath, 'utf-8'));
+        essentialTokens = Math.min(essentialTokens, claudeMdTokens);
+        compressibleTokens = claudeMdTokens - essentialTokens;
+        claudeMdSource = `measured, ${getTokenizer().name}`;
+    }
+
     console.log('   VARIABLE COSTS (can optimize):');
-    console.log(`   ├── CLAUDE.md:          ${claudeMdTokens.toLocaleString()} tokens (current)`);
+    console.log(`   ├── CLAUDE.md:          ${claudeMdTokens.toLocaleString()} tokens (${claudeMdSource})`);
     console.log(`   │   ├── Essential:      ${essentialTokens.toLocaleString()} tokens (must keep)`);
     console.log(`   │   └── Compressible:   ${compressibleTokens.toLocaleString()} tokens (can move to DB)`);
 
@@ -0,0 +1,288 @@
+/**
+ * Nelson Embedding Providers v1.0
+ *
+ * PLUGGABLE EMBEDDINGS FOR VECTOR SEARCH:
+ * - hash (default) → Deterministic feature-hashing embedder, fully offline
+ * - Custom module  → Any .cjs exporting { name, dimensions, embed(texts) }
+ *
+ * Vectors live in the `chunks_vec` sqlite-vec table, keyed by chunk rowid.
+ * sqlite-vec is loaded from the `sqlite-vec` npm package when installed,
+ * falling back to a system-wide `vec0` extension.
+ *
+ * Usage:
+ *   node .nelson/init-db.cjs                                         # hash embedder
+ *   NELSON_EMBEDDING_PROVIDER=./my-embedder.cjs node .nelson/init-db.cjs
+ *
+ * Provider contract (synchronous, so indexing stays a single transaction):
+ *   module.exports = { name: 'my-model', dimensions: 384, embed: (texts) => [Float32Array, ...] }
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PROVIDER = 'hash';
+const DEFAULT_DIMENSIONS = 256;
+
+/**
+ * Load the sqlite-vec extension into a database connection
+ * Returns true when vector search is available
+ */
+function loadVectorExtension(db) {
+    try {
+        require('sqlite-vec').load(db);
+        return true;
+    } catch (e) {
+        // Package not installed - try a system-wide extension
+    }
+
+    try {
+        db.loadExtension('vec0');
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Split text into lowercase word tokens (camelCase and snake_case aware)
+ */
+function tokenizeForEmbedding(text) {
+    return text
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 1);
+}
+
+/**
+ * Hash a feature to a signed bucket index
+ */
+function hashFeature(feature, dimensions) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const bucket = digest.readUInt32LE(0) % dimensions;
+    const sign = (digest[4] & 1) === 0 ? 1 : -1;
+    return { bucket, sign };
+}
+
+/**
+ * Create the default offline embedder
+ * Feature hashing over words, word bigrams and character trigrams,
+ * log-scaled term frequency, L2-normalized.
+ */
+function createHashEmbedder(dimensions = DEFAULT_DIMENSIONS) {
+    function embedOne(text) {
+        const vector = new Float32Array(dimensions);
+        const words = tokenizeForEmbedding(text || '');
+        const features = new Map();
+
+        const add = (feature, weight) => {
+            features.set(feature, (features.get(feature) || 0) + weight);
+        };
+
+        for (let i = 0; i < words.length; i++) {
+            add(`w:${words[i]}`, 1);
+            if (i < words.length - 1) {
+                add(`b:${words[i]} ${words[i + 1]}`, 0.5);
+            }
+            const padded = `^${words[i]}$`;
+            for (let j = 0; j < padded.length - 2; j++) {
+                add(`c:${padded.slice(j, j + 3)}`, 0.25);
+            }
+        }
+
+        for (const [feature, count] of features) {
+            const { bucket, sign } = hashFeature(feature, dimensions);
+            vector[bucket] += sign * (1 + Math.log(count));
+        }
+
+        let norm = 0;
+        for (let i = 0; i < dimensions; i++) norm += vector[i] * vector[i];
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < dimensions; i++) vector[i] /= norm;
+        }
+
+        return vector;
+    }
+
+    return {
+        name: `hash-${dimensions}`,
+        dimensions,
+        embed: (texts) => texts.map(embedOne)
+    };
+}
+
+/**
+ * Resolve an embedding provider by name or module path
+ * Reads NELSON_EMBEDDING_PROVIDER when no spec is given
+ */
+function loadEmbeddingProvider(spec = process.env.NELSON_EMBEDDING_PROVIDER || DEFAULT_PROVIDER) {
+    if (spec === 'hash') {
+        return createHashEmbedder();
+    }
+
+    const modulePath = path.isAbsolute(spec) ? spec : path.join(process.cwd(), spec);
+    const provider = require(modulePath);
+
+    if (!provider || typeof provider.embed !== 'function' || !Number.isInteger(provider.dimensions)) {
+        throw new Error(`Invalid embedding provider "${spec}": expected { name, dimensions, embed(texts) }`);
+    }
+
+    return {
+        name: provider.name || path.basename(spec),
+        dimensions: provider.dimensions,
+        embed: provider.embed
+    };
+}
+
+/**
+ * Convert a vector to the float32 blob format sqlite-vec expects
+ */
+function toBlob(vector) {
+    const floats = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+    return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+/**
+ * Create chunks_vec sized for a provider's vectors
+ */
+function createVectorTable(db, provider) {
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS chunks_vec USING vec0(
+            embedding float[${provider.dimensions}] distance_metric=cosine
+        );
+    `);
+}
+
+/**
+ * Ordered schema migrations for the vector tables (see migrations.cjs)
+ * Only applied where sqlite-vec loads; chunks_vec is sized for the provider.
+ * Never edit an applied step - append a new version instead
+ */
+function vectorMigrations(provider) {
+    return [
+        {
+            version: 1,
+            name: 'embedding_meta table and chunks_vec vector table',
+            up: (db) => {
+                db.exec(`
+                    CREATE TABLE IF NOT EXISTS embedding_meta (
+                        key TEXT PRIMARY KEY,
+                        value TEXT
+                    );
+                `);
+                createVectorTable(db, provider);
+            }
+        }
+    ];
+}
+
+/**
+ * Rebuild the vector table if the provider changed (run after vectorMigrations)
+ * Returns { rebuilt } so callers know every chunk needs re-embedding
+ */
+function ensureVectorTable(db, provider) {
+    const current = db.prepare('SELECT value FROM embedding_meta WHERE key = ?').get('provider');
+    const signature = `${provider.name}:${provider.dimensions}`;
+    let rebuilt = false;
+
+    if (current && current.value !== signature) {
+        db.exec('DROP TABLE IF EXISTS chunks_vec');
+        createVectorTable(db, provider);
+        rebuilt = true;
+    }
+
+    db.prepare('INSERT OR REPLACE INTO embedding_meta (key, value) VALUES (?, ?)').run('provider', signature);
+
+    return { rebuilt };
+}
+
+/**
+ * Read the stored vectors for a file, keyed by chunk content_hash
+ * Lets re-indexing reuse embeddings for chunks whose content didn't change
+ */
+function getFileEmbeddings(db, file) {
+    const rows = db.prepare(`
+        SELECT c.content_hash, v.embedding
+        FROM chunks c
+        JOIN chunks_vec v ON v.rowid = c.rowid
+        WHERE c.file = ?
+    `).all(file);
+
+    const byHash = new Map();
+    for (const row of rows) {
+        byHash.set(row.content_hash, row.embedding);
+    }
+    return byHash;
+}
+
+/**
+ * Delete the vectors belonging to a file's chunks
+ */
+function deleteFileEmbeddings(db, file) {
+    db.prepare('DELETE FROM chunks_vec WHERE rowid IN (SELECT rowid FROM chunks WHERE file = ?)').run(file);
+}
+
+/**
+ * Store vectors for chunks ({ rowid, content, content_hash })
+ * Chunks whose content_hash is in `reuse` keep their previous vector.
+ * Returns the number of chunks that were actually embedded.
+ */
+function storeEmbeddings(db, provider, chunks, reuse = new Map()) {
+    const insert = db.prepare('INSERT OR REPLACE INTO chunks_vec (rowid, embedding) VALUES (?, ?)');
+    const toEmbed = chunks.filter(c => !reuse.has(c.content_hash));
+    const vectors = toEmbed.length > 0 ? provider.embed(toEmbed.map(c => c.content)) : [];
+
+    toEmbed.forEach((chunk, i) => {
+        insert.run(BigInt(chunk.rowid), toBlob(vectors[i]));
+    });
+
+    for (const chunk of chunks) {
+        if (reuse.has(chunk.content_hash)) {
+            insert.run(BigInt(chunk.rowid), reuse.get(chunk.content_hash));
+        }
+    }
+
+    return toEmbed.length;
+}
+
+/**
+ * Embed every chunk that has no vector yet (new DB, provider change, upgrade)
+ */
+function embedMissingChunks(db, provider, batchSize = 64) {
+    const missing = db.prepare(`
+        SELECT rowid, content, content_hash
+        FROM chunks
+        WHERE rowid NOT IN (SELECT rowid FROM chunks_vec)
+    `).all();
+
+    const storeBatch = db.transaction((batch) => storeEmbeddings(db, provider, batch));
+
+    let embedded = 0;
+    for (let i = 0; i < missing.length; i += batchSize) {
+        embedded += storeBatch(missing.slice(i, i + batchSize));
+    }
+
+    return embedded;
+}
+
+// Export for use as module
+module.exports = {
+    // Extension + providers
+    loadVectorExtension,
+    loadEmbeddingProvider,
+    createHashEmbedder,
+
+    // Storage
+    vectorMigrations,
+    ensureVectorTable,
+    getFileEmbeddings,
+    deleteFileEmbeddings,
+    storeEmbeddings,
+    embedMissingChunks,
+
+    // Utilities
+    toBlob,
+    tokenizeForEmbedding,
+    DEFAULT_DIMENSIONS
+};
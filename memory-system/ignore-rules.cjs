@@ -0,0 +1,257 @@
+/**
+ * Nelson Ignore Rules v1.0
+ *
+ * GITIGNORE SEMANTICS FOR INDEXING:
+ * - .gitignore files at every directory level (deeper files win)
+ * - .git/info/exclude
+ * - .nelsonignore files (memory-specific exclusions, evaluated after .gitignore)
+ *
+ * Supported syntax: comments, blank lines, negation (!), escaped \# and \!,
+ * directory-only patterns (trailing /), anchored patterns (containing /),
+ * *, ?, [a-z] character classes and ** (leading, trailing and middle).
+ *
+ * As in git, a file cannot be re-included once a parent directory is excluded.
+ *
+ * .gitignore rules never apply inside `.nelson/` - the memory directory is
+ * always indexed unless a .nelsonignore says otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILES = ['.gitignore', '.nelsonignore'];
+
+// Directories that .gitignore rules never exclude (relative to root)
+const GITIGNORE_EXEMPT = ['.nelson'];
+
+/**
+ * Convert a gitignore glob to a regex source (matched against a relative path)
+ */
+function globToRegex(glob) {
+    let regex = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+
+        if (ch === '*') {
+            if (glob[i + 1] === '*') {
+                const atStart = i === 0 || glob[i - 1] === '/';
+                const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+
+                if (atStart && atEnd) {
+                    if (i + 2 === glob.length) {
+                        regex += '.*';           // "foo/**" - everything inside
+                    } else {
+                        regex += '(?:.*/)?';     // "**/foo" or "a/**/b" - zero or more dirs
+                        i++;                     // consume the following '/'
+                    }
+                    i++;
+                    continue;
+                }
+
+                // "a**b" behaves like a single '*'
+                regex += '[^/]*';
+                i++;
+                continue;
+            }
+            regex += '[^/]*';
+        } else if (ch === '?') {
+            regex += '[^/]';
+        } else if (ch === '[') {
+            const close = glob.indexOf(']', i + 2);
+            if (close === -1) {
+                regex += '\\[';
+            } else {
+                let cls = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+                if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+                regex += `[${cls}]`;
+                i = close;
+            }
+        } else if (ch === '\\' && i + 1 < glob.length) {
+            regex += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            i++;
+        } else {
+            regex += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+
+    return regex;
+}
+
+/**
+ * Compile a glob to a regex over '/'-separated relative paths
+ * A slash anywhere but the end anchors the glob to its base directory;
+ * otherwise it matches at any depth.
+ */
+function compileGlob(glob) {
+    const anchored = glob.replace(/\/$/, '').includes('/');
+    const body = globToRegex(glob.replace(/^\//, '').replace(/\/$/, ''));
+    return new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+}
+
+/**
+ * Parse one ignore file into rules
+ * Each rule: { pattern, negate, dirOnly, regex, source, line, kind }
+ */
+function parseIgnoreFile(content, source, kind) {
+    const rules = [];
+    const lines = content.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i];
+
+        // Trailing spaces are ignored unless escaped
+        line = line.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        let dirOnly = false;
+        if (line.endsWith('/')) {
+            dirOnly = true;
+            line = line.slice(0, -1);
+        }
+        if (!line) continue;
+
+        rules.push({
+            pattern: lines[i].trim(),
+            negate,
+            dirOnly,
+            regex: compileGlob(line),
+            source,
+            line: i + 1,
+            kind
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Create an ignore matcher rooted at a project directory
+ * Ignore files are loaded lazily per directory and cached.
+ * options.exclude adds gitignore-syntax globs on top of the root ignore files.
+ */
+function createIgnoreMatcher(rootDir, options = {}) {
+    const root = path.resolve(rootDir);
+    const exempt = options.gitignoreExempt || GITIGNORE_EXEMPT;
+    const excludes = options.exclude || [];
+    const cache = new Map();
+
+    // Rules declared by the ignore files in one directory
+    function rulesIn(dir) {
+        if (cache.has(dir)) return cache.get(dir);
+
+        const rules = [];
+
+        if (dir === root) {
+            const excludePath = path.join(root, '.git', 'info', 'exclude');
+            if (fs.existsSync(excludePath)) {
+                rules.push(...parseIgnoreFile(fs.readFileSync(excludePath, 'utf-8'), path.relative(root, excludePath), 'gitignore'));
+            }
+        }
+
+        for (const name of IGNORE_FILES) {
+            const filePath = path.join(dir, name);
+            if (fs.existsSync(filePath)) {
+                const kind = name === '.nelsonignore' ? 'nelsonignore' : 'gitignore';
+                rules.push(...parseIgnoreFile(fs.readFileSync(filePath, 'utf-8'), path.relative(root, filePath), kind));
+            }
+        }
+
+        // Extra exclusions (index.exclude in .nelson/config.json) apply from the root
+        if (dir === root && excludes.length > 0) {
+            rules.push(...parseIgnoreFile(excludes.join('\n'), '.nelson/config.json index.exclude', 'nelsonignore'));
+        }
+
+        cache.set(dir, rules);
+        return rules;
+    }
+
+    // Find the last rule matching a path, checking ignore files from root down to its parent
+    // (a negated rule as the last match means the path is re-included)
+    function lastMatch(absPath, isDir) {
+        const relToRoot = path.relative(root, absPath).split(path.sep).join('/');
+        const isExempt = exempt.some(e => relToRoot === e || relToRoot.startsWith(e + '/'));
+        let match = null;
+
+        let dir = root;
+        const parts = path.relative(root, path.dirname(absPath)).split(path.sep).filter(Boolean);
+
+        for (let depth = 0; depth <= parts.length; depth++) {
+            if (depth > 0) dir = path.join(dir, parts[depth - 1]);
+
+            const relPath = path.relative(dir, absPath).split(path.sep).join('/');
+            for (const rule of rulesIn(dir)) {
+                if (rule.dirOnly && !isDir) continue;
+                if (rule.kind === 'gitignore' && isExempt) continue;
+                if (rule.regex.test(relPath)) match = rule;
+            }
+        }
+
+        return match;
+    }
+
+    /**
+     * Explain why a path is ignored
+     * Returns null when not ignored, else { path, rule, viaParent }
+     */
+    function explain(absPath, isDir) {
+        const target = path.resolve(absPath);
+        if (isDir === undefined) {
+            isDir = fs.existsSync(target) && fs.statSync(target).isDirectory();
+        }
+
+        // A parent directory excluded means git never looks inside it
+        const parts = path.relative(root, target).split(path.sep).filter(Boolean);
+        let current = root;
+        for (let i = 0; i < parts.length - 1; i++) {
+            current = path.join(current, parts[i]);
+            const rule = lastMatch(current, true);
+            if (rule && !rule.negate) {
+                return { path: path.relative(root, current), rule, viaParent: true };
+            }
+        }
+
+        const rule = lastMatch(target, isDir);
+        if (rule && !rule.negate) {
+            return { path: path.relative(root, target), rule, viaParent: false };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a single path (callers walking a tree only need to check each entry,
+     * because excluded directories are never descended into)
+     */
+    function isIgnored(absPath, isDir = false) {
+        const rule = lastMatch(path.resolve(absPath), isDir);
+        return Boolean(rule && !rule.negate);
+    }
+
+    return { root, isIgnored, explain };
+}
+
+/**
+ * Format an explain() result for display
+ */
+function formatRule(rule) {
+    return `${rule.source}:${rule.line}: ${rule.pattern}`;
+}
+
+// Export for use as module
+module.exports = {
+    createIgnoreMatcher,
+    parseIgnoreFile,
+    globToRegex,
+    compileGlob,
+    formatRule,
+    IGNORE_FILES
+};
@@ -1,34 +1,64 @@
 /**
- * Nelson Memory Vector Database Initialization v2.0
+ * Nelson Memory Vector Database Initialization v2.1
  *
  * ENHANCED: Indexes ALL project documentation, not just .nelson/ files
  * - CLAUDE.md (project instructions - highest priority)
  * - README.md (project overview)
- * - docs/**/*.md (all documentation)
- * - .nelson/**/*.md (memory, patterns, soul)
+ * - docs/ (all documentation, recursive)
+ * - .nelson/ (memory, patterns, soul)
+ * - Source code (js/ts/py/go/sh) and config (json/yaml) - lower priority band
  *
  * Features:
- * - Semantic chunking (respects markdown headers)
+ * - Semantic chunking (respects markdown headers, never splits code fences or tables)
+ * - Chunk sizes measured in real tokens (tokenizer.cjs, NELSON_TOKENIZER)
+ * - Language-aware code chunking (functions, classes, top-level declarations)
  * - File priority weighting for search ranking
  * - Auto-skip of binary files and excluded directories
+ * - Respects .gitignore (nested, negations, ** globs) and .nelsonignore
+ * - Purges deleted/ignored files; renames are detected by content hash
+ *   (chunks, embeddings and created_at history move with the file)
+ * - Watch mode (--watch): debounced re-index on change, with a heartbeat
+ *   file that search.cjs uses to warn when the index is behind disk
+ * - Monorepos: one index at the repo root (found from any package directory),
+ *   every chunk tagged with its workspace package
+ * - Project settings from .nelson/config.json (include/exclude globs,
+ *   per-glob priority and file_type, chunk size/overlap)
+ * - Chunk embeddings in `chunks_vec` when sqlite-vec is available
+ *   (only chunks whose content_hash changed are re-embedded)
  *
  * Run: node .nelson/init-db.cjs
- * Run with custom paths: node .nelson/init-db.cjs --include "src/**/*.md"
+ * Run without source code: node .nelson/init-db.cjs --no-code
+ * Index extra files: node .nelson/init-db.cjs --include "notes/*.txt" (repeatable)
+ * Run with a custom embedder: NELSON_EMBEDDING_PROVIDER=./embedder.cjs node .nelson/init-db.cjs
+ * Explain why a file is skipped: node .nelson/init-db.cjs --explain-skip path/to/file.md
+ * Apply schema migrations only: node .nelson/init-db.cjs migrate [--dry-run]
+ * Keep the index fresh: node .nelson/init-db.cjs --watch
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-
-const NELSON_DIR = path.join(process.cwd(), '.nelson');
+const {
+    loadVectorExtension,
+    loadEmbeddingProvider,
+    vectorMigrations,
+    ensureVectorTable,
+    getFileEmbeddings,
+    deleteFileEmbeddings,
+    storeEmbeddings,
+    embedMissingChunks
+} = require('./embeddings.cjs');
+const { getLanguage, isConfigLanguage, extractCodeSections } = require('./code-chunker.cjs');
+const { createIgnoreMatcher, globToRegex, compileGlob, formatRule, IGNORE_FILES } = require('./ignore-rules.cjs');
+const { loadConfig, reportConfigError, DEFAULT_CONFIG } = require('./config.cjs');
+const { runMigrations, reportMigrations } = require('./migrations.cjs');
+const { dailyLogDate, syncSessionsFromLog, hasSessionRecords, removeSessions } = require('./sessions.cjs');
+const { getTokenizer } = require('./tokenizer.cjs');
+const { PROJECT_ROOT, loadPackages, findPackage, WORKSPACE_FILES } = require('./workspaces.cjs');
+
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
 const DB_PATH = path.join(NELSON_DIR, 'memory.db');
 
-// Chunk configuration - optimized for LLM context retrieval
-const CHUNK_SIZE = 600; // tokens (increased from 400 for better semantic units)
-const CHUNK_OVERLAP = 100; // tokens overlap between chunks
-const CHARS_PER_CHUNK = CHUNK_SIZE * 4; // ~2400 chars
-const CHARS_OVERLAP = CHUNK_OVERLAP * 4; // ~400 chars
-
 // Directories to always skip
 const EXCLUDED_DIRS = [
     'node_modules',
@@ -44,96 +74,224 @@ const EXCLUDED_DIRS = [
     '.venv'
 ];
 
-// File patterns to index (in priority order)
+// Source files that are generated or too noisy to be worth indexing
+const EXCLUDED_CODE_FILES = [
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'pnpm-lock.yaml',
+    'yarn.lock',
+    'composer.lock',
+    'tsconfig.tsbuildinfo'
+];
+
+// Skip source files larger than this (bundles, fixtures, generated code)
+const MAX_CODE_FILE_BYTES = 256 * 1024;
+
+// Watch mode: batch file events, and tell search.cjs the watcher is alive
+const HEARTBEAT_PATH = path.join(NELSON_DIR, 'index-heartbeat.json');
+const WATCH_DEBOUNCE_MS = 300;
+const HEARTBEAT_INTERVAL_MS = 5000;
+
+// Source code has its own band below all documentation (0.5+)
+// so code matches never drown out instructions, memory and docs
+const CODE_PRIORITY = {
+    code: 0.4,
+    config: 0.3
+};
+
+// Default file patterns (in priority order)
+// Project-specific globs go in index.patterns of .nelson/config.json and are checked first
 const INDEX_PATTERNS = [
     // Priority 1: Project instructions (highest weight)
-    { pattern: 'CLAUDE.md', priority: 1.0, description: 'Project instructions' },
+    { pattern: 'CLAUDE.md', priority: 1.0, fileType: 'instructions', description: 'Project instructions' },
 
     // Priority 2: Nelson memory system
-    { pattern: '.nelson/NELSON_SOUL.md', priority: 0.95, description: 'Agent identity' },
-    { pattern: '.nelson/MEMORY.md', priority: 0.9, description: 'Long-term memory' },
-    { pattern: '.nelson/patterns/*.md', priority: 0.85, description: 'Patterns' },
-    { pattern: '.nelson/memory/*.md', priority: 0.8, description: 'Daily logs' },
+    { pattern: '.nelson/NELSON_SOUL.md', priority: 0.95, fileType: 'soul', description: 'Agent identity' },
+    { pattern: '.nelson/MEMORY.md', priority: 0.9, fileType: 'memory', description: 'Long-term memory' },
+    { pattern: '.nelson/patterns/*.md', priority: 0.85, fileType: 'pattern', description: 'Patterns' },
+    { pattern: '.nelson/memory/*.md', priority: 0.8, fileType: 'daily_log', description: 'Daily logs' },
 
     // Priority 3: Core documentation
-    { pattern: 'README.md', priority: 0.75, description: 'Project overview' },
-    { pattern: 'docs/1-strategy/*.md', priority: 0.7, description: 'Strategy docs' },
-    { pattern: 'docs/5-technical/*.md', priority: 0.65, description: 'Technical docs' },
+    { pattern: 'README.md', priority: 0.75, fileType: 'readme', description: 'Project overview' },
 
     // Priority 4: Other documentation
-    { pattern: 'docs/**/*.md', priority: 0.6, description: 'Documentation' },
+    { pattern: 'docs/**/*.md', priority: 0.6, fileType: 'documentation', description: 'Documentation' },
 
     // Priority 5: Other markdown files
-    { pattern: '**/*.md', priority: 0.5, description: 'Other markdown' }
+    { pattern: '**/*.md', priority: 0.5, fileType: 'other', description: 'Other markdown' }
+];
+
+// Ordered schema migrations for the memory tables (see migrations.cjs)
+// Never edit an applied step - append a new version instead
+const MEMORY_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'chunks, indexed_files and FTS5 index',
+        up: (db) => {
+            db.exec(`
+                -- Memory chunks table with priority weighting
+                CREATE TABLE IF NOT EXISTS chunks (
+                    id TEXT PRIMARY KEY,
+                    file TEXT NOT NULL,
+                    line_start INTEGER,
+                    line_end INTEGER,
+                    content TEXT NOT NULL,
+                    content_hash TEXT NOT NULL,
+                    chunk_index INTEGER,
+                    section_header TEXT,
+                    file_priority REAL DEFAULT 0.5,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now'))
+                );
+
+                -- Metadata table for tracking indexed files
+                CREATE TABLE IF NOT EXISTS indexed_files (
+                    file TEXT PRIMARY KEY,
+                    content_hash TEXT NOT NULL,
+                    chunk_count INTEGER,
+                    file_priority REAL DEFAULT 0.5,
+                    file_type TEXT,
+                    indexed_at TEXT DEFAULT (datetime('now'))
+                );
+
+                -- Full-text search index using FTS5
+                CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+                    content,
+                    file,
+                    section_header,
+                    content='chunks',
+                    content_rowid='rowid'
+                );
+
+                -- Triggers to keep FTS in sync with chunks table
+                CREATE TRIGGER IF NOT EXISTS chunks_ai AFTER INSERT ON chunks BEGIN
+                    INSERT INTO chunks_fts(rowid, content, file, section_header)
+                    VALUES (new.rowid, new.content, new.file, new.section_header);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS chunks_ad AFTER DELETE ON chunks BEGIN
+                    INSERT INTO chunks_fts(chunks_fts, rowid, content, file, section_header)
+                    VALUES('delete', old.rowid, old.content, old.file, old.section_header);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS chunks_au AFTER UPDATE ON chunks BEGIN
+                    INSERT INTO chunks_fts(chunks_fts, rowid, content, file, section_header)
+                    VALUES('delete', old.rowid, old.content, old.file, old.section_header);
+                    INSERT INTO chunks_fts(rowid, content, file, section_header)
+                    VALUES (new.rowid, new.content, new.file, new.section_header);
+                END;
+
+                -- Indexes for efficient querying
+                CREATE INDEX IF NOT EXISTS idx_chunks_file ON chunks(file);
+                CREATE INDEX IF NOT EXISTS idx_chunks_hash ON chunks(content_hash);
+                CREATE INDEX IF NOT EXISTS idx_chunks_priority ON chunks(file_priority DESC);
+                CREATE INDEX IF NOT EXISTS idx_chunks_created ON chunks(created_at);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'index_meta table for chunking/priority settings',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS index_meta (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                );
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'chunks.token_count',
+        up: (db) => {
+            db.exec('ALTER TABLE chunks ADD COLUMN token_count INTEGER');
+        }
+    },
+    {
+        version: 4,
+        name: 'chunks.package for monorepo scoping',
+        up: (db) => {
+            db.exec(`
+                ALTER TABLE chunks ADD COLUMN package TEXT;
+                CREATE INDEX IF NOT EXISTS idx_chunks_package ON chunks(package);
+            `);
+        }
+    }
 ];
 
 /**
- * Initialize the database schema
- */
-function initializeSchema(db) {
-    console.log('📊 Creating database schema...');
-
-    db.exec(`
-        -- Memory chunks table with priority weighting
-        CREATE TABLE IF NOT EXISTS chunks (
-            id TEXT PRIMARY KEY,
-            file TEXT NOT NULL,
-            line_start INTEGER,
-            line_end INTEGER,
-            content TEXT NOT NULL,
-            content_hash TEXT NOT NULL,
-            chunk_index INTEGER,
-            section_header TEXT,
-            file_priority REAL DEFAULT 0.5,
-            created_at TEXT DEFAULT (datetime('now')),
-            updated_at TEXT DEFAULT (datetime('now'))
-        );
+ * Apply (or with options.dryRun, list) pending migrations for every component in memory.db
+ * db may be null in dry-run mode when the database doesn't exist yet.
+ * The vector tables are included when options.embedder is set (sqlite-vec loaded).
+ */
+function migrateDatabase(db, options = {}) {
+    const components = [
+        ['memory', MEMORY_MIGRATIONS],
+        ['tools', require('./tools-indexer.cjs').TOOLS_MIGRATIONS],
+        ['tool_docs', require('./mcp-skill-docs-extractor.cjs').DOCS_MIGRATIONS],
+        ['sessions', require('./sessions.cjs').SESSIONS_MIGRATIONS]
+    ];
+    if (options.embedder) {
+        components.push(['vectors', vectorMigrations(options.embedder)]);
+    }
 
-        -- Metadata table for tracking indexed files
-        CREATE TABLE IF NOT EXISTS indexed_files (
-            file TEXT PRIMARY KEY,
-            content_hash TEXT NOT NULL,
-            chunk_count INTEGER,
-            file_priority REAL DEFAULT 0.5,
-            file_type TEXT,
-            indexed_at TEXT DEFAULT (datetime('now'))
-        );
+    const results = {};
+    for (const [component, migrations] of components) {
+        results[component] = runMigrations(db, component, migrations, options);
+        reportMigrations(component, results[component], options);
+    }
+    return results;
+}
 
-        -- Full-text search index using FTS5
-        CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
-            content,
-            file,
-            section_header,
-            content='chunks',
-            content_rowid='rowid'
-        );
+/**
+ * Initialize the database schema (applies pending migrations)
+ * Pass the embedder when sqlite-vec is loaded to migrate the vector tables too
+ */
+function initializeSchema(db, embedder = null) {
+    console.log('📊 Migrating database schema...');
+    migrateDatabase(db, { embedder });
+}
 
-        -- Triggers to keep FTS in sync with chunks table
-        CREATE TRIGGER IF NOT EXISTS chunks_ai AFTER INSERT ON chunks BEGIN
-            INSERT INTO chunks_fts(rowid, content, file, section_header)
-            VALUES (new.rowid, new.content, new.file, new.section_header);
-        END;
-
-        CREATE TRIGGER IF NOT EXISTS chunks_ad AFTER DELETE ON chunks BEGIN
-            INSERT INTO chunks_fts(chunks_fts, rowid, content, file, section_header)
-            VALUES('delete', old.rowid, old.content, old.file, old.section_header);
-        END;
-
-        CREATE TRIGGER IF NOT EXISTS chunks_au AFTER UPDATE ON chunks BEGIN
-            INSERT INTO chunks_fts(chunks_fts, rowid, content, file, section_header)
-            VALUES('delete', old.rowid, old.content, old.file, old.section_header);
-            INSERT INTO chunks_fts(rowid, content, file, section_header)
-            VALUES (new.rowid, new.content, new.file, new.section_header);
-        END;
-
-        -- Indexes for efficient querying
-        CREATE INDEX IF NOT EXISTS idx_chunks_file ON chunks(file);
-        CREATE INDEX IF NOT EXISTS idx_chunks_hash ON chunks(content_hash);
-        CREATE INDEX IF NOT EXISTS idx_chunks_priority ON chunks(file_priority DESC);
-        CREATE INDEX IF NOT EXISTS idx_chunks_created ON chunks(created_at);
-    `);
+/**
+ * Record the settings that shape chunks (size, overlap, priority rules, tokenizer)
+ * When they change, every file is re-chunked on this run even if its content didn't change
+ */
+function ensureIndexSettings(db, config) {
+    const signatureOf = (index, tokenizer) => JSON.stringify({ chunk: index.chunk, patterns: index.patterns, tokenizer });
+    const signature = signatureOf(config.index, getTokenizer().name);
+
+    // Databases from before config.json support were built with the defaults
+    const current = db.prepare('SELECT value FROM index_meta WHERE key = ?').get('settings');
+    const previous = current ? current.value : signatureOf(DEFAULT_CONFIG.index);
+    const isEmpty = !db.prepare('SELECT 1 FROM indexed_files LIMIT 1').get();
+    const changed = previous !== signature && !isEmpty;
+
+    if (changed) {
+        db.prepare("UPDATE indexed_files SET content_hash = ''").run();
+    }
+
+    db.prepare('INSERT OR REPLACE INTO index_meta (key, value) VALUES (?, ?)').run('settings', signature);
+
+    return { changed };
+}
 
-    console.log('   ✓ Schema created');
+/**
+ * Chunk size and overlap in tokens, from the project config
+ */
+function getChunkSettings(config = loadConfig()) {
+    return {
+        chunkTokens: config.index.chunk.size,
+        overlapTokens: config.index.chunk.overlap,
+        tokenizer: getTokenizer()
+    };
+}
+
+/**
+ * Parse a SQLite datetime('now') value (UTC) to epoch milliseconds
+ */
+function parseSqliteTime(value) {
+    return value ? Date.parse(value.replace(' ', 'T') + 'Z') : 0;
 }
 
 /**
@@ -144,34 +302,176 @@ function hashContent(content) {
 }
 
 /**
- * Check if a path should be excluded
+ * Check if a path should be excluded (built-in directories, then ignore files)
  */
-function shouldExclude(filePath) {
+function shouldExclude(filePath, ignore = null) {
     const parts = filePath.split(path.sep);
-    return parts.some(part => EXCLUDED_DIRS.includes(part));
+    if (parts.some(part => EXCLUDED_DIRS.includes(part))) return true;
+    return Boolean(ignore && ignore.explain(filePath, false));
+}
+
+/**
+ * Check if a source file should be indexed (supported language, not generated)
+ */
+function isIndexableCode(filePath) {
+    const language = getLanguage(filePath);
+    if (!language) return false;
+
+    const name = path.basename(filePath);
+    if (EXCLUDED_CODE_FILES.includes(name) || /\.min\.(js|css)$/.test(name)) return false;
+
+    // The memory system's own scripts are not project code
+    const relativePath = path.relative(PROJECT_ROOT, filePath);
+    return !relativePath.startsWith('.nelson' + path.sep);
+}
+
+const patternCache = new Map();
+
+/**
+ * Match a project-root-relative path against a priority pattern (anchored at the root)
+ */
+function matchesPattern(pattern, relativePath) {
+    if (!patternCache.has(pattern)) {
+        patternCache.set(pattern, new RegExp('^' + globToRegex(pattern.replace(/^\//, '')) + '$'));
+    }
+    return patternCache.get(pattern).test(relativePath);
+}
+
+/**
+ * Check a file against include/exclude globs (gitignore syntax)
+ */
+function matchesGlobs(globs, filePath) {
+    if (!globs || globs.length === 0) return false;
+    const relativePath = path.relative(PROJECT_ROOT, filePath).split(path.sep).join('/');
+    return globs.some(glob => compileGlob(glob).test(relativePath));
+}
+
+/**
+ * Built-in priority and file type: code band first, then the default patterns
+ */
+function getDefaultFileRule(filePath, relativePath) {
+    const language = getLanguage(filePath);
+    if (language) {
+        return isConfigLanguage(language)
+            ? { priority: CODE_PRIORITY.config, fileType: 'config' }
+            : { priority: CODE_PRIORITY.code, fileType: 'code' };
+    }
+
+    for (const { pattern, priority, fileType } of INDEX_PATTERNS) {
+        if (matchesPattern(pattern, relativePath)) {
+            return { priority, fileType };
+        }
+    }
+
+    return { priority: 0.5, fileType: 'other' }; // Default priority
+}
+
+/**
+ * Resolve priority and file type for a file
+ * Patterns from .nelson/config.json win; missing fields fall back to the defaults
+ */
+function resolveFileRule(filePath, config = loadConfig()) {
+    const relativePath = path.relative(PROJECT_ROOT, path.resolve(PROJECT_ROOT, filePath)).split(path.sep).join('/');
+    const fallback = getDefaultFileRule(filePath, relativePath);
+
+    for (const rule of config.index.patterns) {
+        if (matchesPattern(rule.glob, relativePath)) {
+            return {
+                priority: rule.priority !== undefined ? rule.priority : fallback.priority,
+                fileType: rule.file_type || fallback.fileType
+            };
+        }
+    }
+
+    return fallback;
 }
 
 /**
  * Get file priority based on matching pattern
  */
-function getFilePriority(filePath) {
-    const relativePath = filePath.replace(process.cwd() + path.sep, '');
+function getFilePriority(filePath, config) {
+    return resolveFileRule(filePath, config).priority;
+}
 
-    for (const { pattern, priority } of INDEX_PATTERNS) {
-        // Simple glob matching
-        const regex = new RegExp(
-            '^' + pattern
-                .replace(/\*\*/g, '.*')
-                .replace(/\*/g, '[^/]*')
-                .replace(/\//g, '[\\\\/]') + '$'
-        );
+/**
+ * Get the workspace package a file belongs to (null outside every package)
+ */
+function getFilePackage(relativePath, config = loadConfig()) {
+    const pkg = findPackage(loadPackages(PROJECT_ROOT, config), relativePath);
+    return pkg ? pkg.name : null;
+}
 
-        if (regex.test(relativePath)) {
-            return priority;
+/**
+ * Re-tag chunks whose package changed (packages added, removed or renamed)
+ * Returns the number of files re-tagged
+ */
+function tagPackages(db, config) {
+    const files = db.prepare('SELECT DISTINCT file, package FROM chunks').all();
+    const update = db.prepare('UPDATE chunks SET package = ? WHERE file = ?');
+    const retagged = new Set();
+
+    db.transaction(() => {
+        for (const row of files) {
+            const pkg = getFilePackage(row.file, config);
+            if (pkg !== row.package) {
+                update.run(pkg, row.file);
+                retagged.add(row.file);
+            }
         }
+    })();
+
+    return retagged.size;
+}
+
+/**
+ * Match an opening or closing code fence (``` or ~~~, up to 3 spaces of indent)
+ */
+function matchFence(line) {
+    const match = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Check if a line is a markdown table delimiter row (|---|:--:|)
+ */
+function isTableDelimiter(line) {
+    return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+}
+
+/**
+ * Group lines into blocks that must stay together in one chunk
+ * In markdown, a fenced code block or a table is one block; every other line is its own.
+ * Returns array of { start, end } (line indices, inclusive)
+ */
+function groupLineBlocks(lines, markdown) {
+    const blocks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        let end = i;
+
+        if (markdown) {
+            const fence = matchFence(lines[i]);
+            if (fence) {
+                // Runs to the matching close (same character, at least as long) or the end
+                end = lines.length - 1;
+                for (let j = i + 1; j < lines.length; j++) {
+                    const close = matchFence(lines[j]);
+                    if (close && close[0] === fence[0] && close.length >= fence.length && lines[j].trim() === close) {
+                        end = j;
+                        break;
+                    }
+                }
+            } else if (lines[i].includes('|') && i + 1 < lines.length && isTableDelimiter(lines[i + 1])) {
+                end = i + 1;
+                while (end + 1 < lines.length && lines[end + 1].trim() && lines[end + 1].includes('|')) end++;
+            }
+        }
+
+        blocks.push({ start: i, end });
+        i = end;
     }
 
-    return 0.5; // Default priority
+    return blocks;
 }
 
 /**
@@ -187,12 +487,21 @@ function extractMarkdownSections(content) {
         lineStart: 1,
         lineEnd: 1
     };
+    let fence = null;
 
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
 
+        // "# comment" inside a code fence is not a header
+        const fenceMatch = matchFence(line);
+        if (fenceMatch && !fence) {
+            fence = fenceMatch;
+        } else if (fenceMatch && fenceMatch[0] === fence[0] && fenceMatch.length >= fence.length && line.trim() === fenceMatch) {
+            fence = null;
+        }
+
         // Check for header (# ## ### etc.)
-        const headerMatch = line.match(/^(#{1,6})\s+(.+)$/);
+        const headerMatch = !fence && line.match(/^(#{1,6})\s+(.+)$/);
 
         if (headerMatch) {
             // Save previous section if it has content
@@ -235,81 +544,91 @@ function extractMarkdownSections(content) {
 /**
  * Split content into overlapping chunks, respecting section boundaries
  */
-function chunkContent(content, filePath, priority) {
-    const sections = extractMarkdownSections(content);
+function chunkContent(content, filePath, priority, chunking = getChunkSettings()) {
+    const { chunkTokens, overlapTokens, tokenizer } = chunking;
+    const language = getLanguage(filePath);
+    const markdown = !(language && !filePath.endsWith('.md'));
+    const sections = markdown
+        ? extractMarkdownSections(content)
+        : extractCodeSections(content, language);
     const chunks = [];
     let chunkIndex = 0;
 
+    const addChunk = (chunkContent, lineStart, lineEnd, header, tokenCount) => {
+        chunks.push({
+            id: `${filePath}:${lineStart}-${lineEnd}:${chunkIndex}`,
+            file: filePath,
+            line_start: lineStart,
+            line_end: lineEnd,
+            content: chunkContent,
+            content_hash: hashContent(chunkContent),
+            chunk_index: chunkIndex,
+            section_header: header,
+            file_priority: priority,
+            token_count: tokenCount
+        });
+        chunkIndex++;
+    };
+
     for (const section of sections) {
         const sectionContent = section.content;
+        const sectionTokens = tokenizer.count(sectionContent);
 
         // If section is small enough, keep it as one chunk
-        if (sectionContent.length <= CHARS_PER_CHUNK) {
+        if (sectionTokens <= chunkTokens) {
             if (sectionContent.trim().length > 0) {
-                chunks.push({
-                    id: `${filePath}:${section.lineStart}-${section.lineEnd}:${chunkIndex}`,
-                    file: filePath,
-                    line_start: section.lineStart,
-                    line_end: section.lineEnd,
-                    content: sectionContent,
-                    content_hash: hashContent(sectionContent),
-                    chunk_index: chunkIndex,
-                    section_header: section.header,
-                    file_priority: priority
-                });
-                chunkIndex++;
+                addChunk(sectionContent, section.lineStart, section.lineEnd, section.header, sectionTokens);
             }
             continue;
         }
 
-        // Large section - split with overlap
+        // Large section - split between blocks (never inside a code fence or table), with overlap.
+        // A single block larger than the chunk size becomes one oversized chunk.
         const lines = sectionContent.split('\n');
-        let currentChunk = '';
-        let currentLineStart = section.lineStart;
-
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const potentialChunk = currentChunk + (currentChunk ? '\n' : '') + line;
-
-            if (potentialChunk.length > CHARS_PER_CHUNK && currentChunk.length > 0) {
-                // Save current chunk
-                chunks.push({
-                    id: `${filePath}:${currentLineStart}-${section.lineStart + i - 1}:${chunkIndex}`,
-                    file: filePath,
-                    line_start: currentLineStart,
-                    line_end: section.lineStart + i - 1,
-                    content: currentChunk,
-                    content_hash: hashContent(currentChunk),
-                    chunk_index: chunkIndex,
-                    section_header: section.header,
-                    file_priority: priority
-                });
-                chunkIndex++;
-
-                // Start new chunk with overlap
-                const overlapLines = Math.ceil(CHARS_OVERLAP / 80);
-                const startLine = Math.max(0, i - overlapLines);
-                currentChunk = lines.slice(startLine, i + 1).join('\n');
-                currentLineStart = section.lineStart + startLine;
-            } else {
-                currentChunk = potentialChunk;
+        const blocks = groupLineBlocks(lines, markdown).map(block => ({
+            ...block,
+            tokens: tokenizer.count(lines.slice(block.start, block.end + 1).join('\n')) + 1
+        }));
+
+        const flush = (current) => {
+            const text = lines.slice(current[0].start, current[current.length - 1].end + 1).join('\n');
+            if (text.trim().length > 0) {
+                addChunk(
+                    text,
+                    section.lineStart + current[0].start,
+                    section.lineStart + current[current.length - 1].end,
+                    section.header,
+                    tokenizer.count(text)
+                );
             }
+        };
+
+        let current = [];
+        let currentTokens = 0;
+
+        for (const block of blocks) {
+            if (currentTokens + block.tokens > chunkTokens && current.length > 0) {
+                flush(current);
+
+                // Start new chunk with the trailing blocks that fit in the overlap
+                const overlap = [];
+                let overlapSize = 0;
+                for (let j = current.length - 1; j > 0; j--) {
+                    if (overlapSize + current[j].tokens > overlapTokens) break;
+                    overlap.unshift(current[j]);
+                    overlapSize += current[j].tokens;
+                }
+                current = overlap;
+                currentTokens = overlapSize;
+            }
+
+            current.push(block);
+            currentTokens += block.tokens;
         }
 
         // Don't forget the last chunk
-        if (currentChunk.trim().length > 0) {
-            chunks.push({
-                id: `${filePath}:${currentLineStart}-${section.lineEnd}:${chunkIndex}`,
-                file: filePath,
-                line_start: currentLineStart,
-                line_end: section.lineEnd,
-                content: currentChunk,
-                content_hash: hashContent(currentChunk),
-                chunk_index: chunkIndex,
-                section_header: section.header,
-                file_priority: priority
-            });
-            chunkIndex++;
+        if (current.length > 0) {
+            flush(current);
         }
     }
 
@@ -318,53 +637,80 @@ function chunkContent(content, filePath, priority) {
 
 /**
  * Index a single file
+ * Pass options.embedder to store chunk vectors in chunks_vec
  */
-function indexFile(db, filePath, priority) {
-    const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+function indexFile(db, filePath, priority, options = {}) {
+    const embedder = options.embedder || null;
+    const config = options.config || loadConfig();
+    const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(PROJECT_ROOT, filePath);
 
     if (!fs.existsSync(absolutePath)) {
         return { indexed: false, reason: 'not_found' };
     }
 
-    // Skip non-markdown files
-    if (!absolutePath.endsWith('.md')) {
-        return { indexed: false, reason: 'not_markdown' };
+    // Skip files that are neither markdown, supported source code, nor explicitly included
+    const isCode = !absolutePath.endsWith('.md');
+    const isIncluded = matchesGlobs(options.include || config.index.include, absolutePath);
+    if (isCode && !isIncluded && !isIndexableCode(absolutePath)) {
+        return { indexed: false, reason: 'unsupported' };
+    }
+
+    if (isCode && fs.statSync(absolutePath).size > MAX_CODE_FILE_BYTES) {
+        return { indexed: false, reason: 'too_large' };
     }
 
-    // Skip excluded directories
-    if (shouldExclude(absolutePath)) {
+    // Skip excluded directories and ignored files
+    if (shouldExclude(absolutePath, options.ignore)) {
         return { indexed: false, reason: 'excluded' };
     }
 
     const content = fs.readFileSync(absolutePath, 'utf-8');
     const contentHash = hashContent(content);
-    const relativePath = path.relative(process.cwd(), absolutePath);
+    const relativePath = path.relative(PROJECT_ROOT, absolutePath);
 
     // Check if file is already indexed with same content
-    const existing = db.prepare('SELECT content_hash FROM indexed_files WHERE file = ?').get(relativePath);
+    const existing = db.prepare('SELECT content_hash, indexed_at FROM indexed_files WHERE file = ?').get(relativePath);
 
     if (existing && existing.content_hash === contentHash) {
+        // Touched but identical - refresh indexed_at so search doesn't report the file as stale
+        if (fs.statSync(absolutePath).mtimeMs > parseSqliteTime(existing.indexed_at)) {
+            db.prepare("UPDATE indexed_files SET indexed_at = datetime('now') WHERE file = ?").run(relativePath);
+        }
+        // Daily logs indexed before the sessions table existed
+        if (dailyLogDate(relativePath) && !hasSessionRecords(db, relativePath)) {
+            syncSessionsFromLog(db, relativePath, content);
+        }
         return { indexed: false, reason: 'unchanged', chunks: 0 };
     }
 
-    // Delete old chunks for this file
-    db.prepare('DELETE FROM chunks WHERE file = ?').run(relativePath);
+    // Daily log sessions are also kept as structured rows (sessions.cjs)
+    syncSessionsFromLog(db, relativePath, content);
 
-    // Chunk and insert
-    const chunks = chunkContent(content, relativePath, priority);
+    // Keep vectors of unchanged chunks so only edited content is re-embedded
+    const reusableVectors = embedder ? getFileEmbeddings(db, relativePath) : new Map();
 
-    if (chunks.length === 0) {
-        return { indexed: false, reason: 'empty', chunks: 0 };
-    }
+    // Chunk, and determine file type (config.json file_type labels win)
+    const chunks = chunkContent(content, relativePath, priority, getChunkSettings(config));
+    const { fileType } = resolveFileRule(absolutePath, config);
 
+    const pkg = getFilePackage(relativePath, config);
     const insertChunk = db.prepare(`
-        INSERT INTO chunks (id, file, line_start, line_end, content, content_hash, chunk_index, section_header, file_priority)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO chunks (id, file, line_start, line_end, content, content_hash, chunk_index, section_header, file_priority, token_count, package)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const insertMany = db.transaction((chunks) => {
+    let embedded = 0;
+
+    // Old chunks out, new chunks and the indexed_files row in, as one step.
+    // An emptied file keeps its row (0 chunks) so freshness and stats see its new hash.
+    const replaceFile = db.transaction((chunks) => {
+        if (embedder) {
+            deleteFileEmbeddings(db, relativePath);
+        }
+        db.prepare('DELETE FROM chunks WHERE file = ?').run(relativePath);
+
         for (const chunk of chunks) {
-            insertChunk.run(
+            const info = insertChunk.run(
                 chunk.id,
                 chunk.file,
                 chunk.line_start,
@@ -373,50 +719,57 @@ function indexFile(db, filePath, priority) {
                 chunk.content_hash,
                 chunk.chunk_index,
                 chunk.section_header,
-                chunk.file_priority
+                chunk.file_priority,
+                chunk.token_count,
+                pkg
             );
+            chunk.rowid = info.lastInsertRowid;
         }
-    });
 
-    insertMany(chunks);
+        if (embedder && chunks.length > 0) {
+            embedded = storeEmbeddings(db, embedder, chunks, reusableVectors);
+        }
 
-    // Determine file type
-    let fileType = 'other';
-    if (relativePath.includes('.nelson/memory/')) fileType = 'daily_log';
-    else if (relativePath.includes('.nelson/patterns/')) fileType = 'pattern';
-    else if (relativePath === '.nelson/MEMORY.md') fileType = 'memory';
-    else if (relativePath === '.nelson/NELSON_SOUL.md') fileType = 'soul';
-    else if (relativePath === 'CLAUDE.md') fileType = 'instructions';
-    else if (relativePath === 'README.md') fileType = 'readme';
-    else if (relativePath.startsWith('docs/')) fileType = 'documentation';
+        db.prepare(`
+            INSERT OR REPLACE INTO indexed_files (file, content_hash, chunk_count, file_priority, file_type, indexed_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now'))
+        `).run(relativePath, contentHash, chunks.length, priority, fileType);
+    });
 
-    // Update indexed_files tracking
-    db.prepare(`
-        INSERT OR REPLACE INTO indexed_files (file, content_hash, chunk_count, file_priority, file_type, indexed_at)
-        VALUES (?, ?, ?, ?, ?, datetime('now'))
-    `).run(relativePath, contentHash, chunks.length, priority, fileType);
+    replaceFile(chunks);
 
-    return { indexed: true, chunks: chunks.length, fileType };
+    if (chunks.length === 0) {
+        return { indexed: false, reason: 'empty', chunks: 0 };
+    }
+
+    return { indexed: true, chunks: chunks.length, embedded, fileType };
 }
 
 /**
- * Recursively find all markdown files
+ * Recursively find all markdown files (and source files unless options.includeCode is false)
+ * Files matching options.include globs are always picked up.
+ * Entries matched by options.ignore are skipped; ignored directories are never descended into.
  */
-function findMarkdownFiles(dir, files = []) {
+function findIndexableFiles(dir, files = [], options = {}) {
     if (!fs.existsSync(dir)) {
         return files;
     }
 
+    const ignore = options.ignore || null;
     const items = fs.readdirSync(dir, { withFileTypes: true });
 
     for (const item of items) {
         const fullPath = path.join(dir, item.name);
 
+        if (ignore && ignore.isIgnored(fullPath, item.isDirectory())) {
+            continue;
+        }
+
         if (item.isDirectory()) {
             if (!EXCLUDED_DIRS.includes(item.name)) {
-                findMarkdownFiles(fullPath, files);
+                findIndexableFiles(fullPath, files, options);
             }
-        } else if (item.isFile() && item.name.endsWith('.md')) {
+        } else if (item.isFile() && isCandidateFile(fullPath, options)) {
             files.push(fullPath);
         }
     }
@@ -424,10 +777,123 @@ function findMarkdownFiles(dir, files = []) {
     return files;
 }
 
+/**
+ * Check if a file is something this run indexes: markdown, source code
+ * (unless options.includeCode is false) or a match for options.include
+ */
+function isCandidateFile(filePath, options = {}) {
+    if (filePath.endsWith('.md')) return true;
+    if (options.includeCode !== false && isIndexableCode(filePath)) return true;
+    return matchesGlobs(options.include, filePath);
+}
+
+/**
+ * Move an indexed file's rows to a new path (rename detected by content hash)
+ * Chunk rowids are kept, so embeddings and created_at history survive.
+ */
+function renameIndexedFile(db, oldPath, newPath, config) {
+    const { priority, fileType } = resolveFileRule(path.join(PROJECT_ROOT, newPath), config);
+    const pkg = getFilePackage(newPath, config);
+
+    const chunks = db.prepare('SELECT rowid, id FROM chunks WHERE file = ?').all(oldPath);
+    const updateChunk = db.prepare(`
+        UPDATE chunks SET id = ?, file = ?, file_priority = ?, package = ?, updated_at = datetime('now')
+        WHERE rowid = ?
+    `);
+
+    for (const chunk of chunks) {
+        const newId = chunk.id.startsWith(oldPath + ':') ? newPath + chunk.id.slice(oldPath.length) : chunk.id;
+        updateChunk.run(newId, newPath, priority, pkg, chunk.rowid);
+    }
+
+    db.prepare(`
+        UPDATE indexed_files SET file = ?, file_priority = ?, file_type = ?, indexed_at = datetime('now')
+        WHERE file = ?
+    `).run(newPath, priority, fileType, oldPath);
+
+    // Session ids carry the log's date - re-parsed under the new name on the next index
+    removeSessions(db, oldPath);
+}
+
+/**
+ * Remove an indexed file's chunks (FTS rows go with them via trigger) and vectors
+ */
+function removeIndexedFile(db, file, options = {}) {
+    if (options.embedder) {
+        deleteFileEmbeddings(db, file);
+    }
+    db.prepare('DELETE FROM chunks WHERE file = ?').run(file);
+    db.prepare('DELETE FROM indexed_files WHERE file = ?').run(file);
+    removeSessions(db, file);
+}
+
+/**
+ * Garbage-collect files that vanished from the project or are now ignored
+ * A new file with the same content hash as a vanished one is treated as a rename.
+ * Returns { removed: [file], renamed: [{ from, to }] }
+ */
+function collectStaleFiles(db, discoveredFiles, options = {}) {
+    const config = options.config || loadConfig();
+    const discovered = new Set(discoveredFiles.map(f => path.relative(PROJECT_ROOT, f)));
+    const indexed = db.prepare('SELECT file, content_hash FROM indexed_files').all();
+    const indexedPaths = new Set(indexed.map(row => row.file));
+
+    // Files skipped by this run (e.g. --no-code) but still present and allowed stay indexed
+    const stale = indexed.filter(row => {
+        if (discovered.has(row.file)) return false;
+        const absolutePath = path.join(PROJECT_ROOT, row.file);
+        return !fs.existsSync(absolutePath) || shouldExclude(absolutePath, options.ignore);
+    });
+
+    const candidates = [...discovered].filter(file => !indexedPaths.has(file));
+    return reconcileStaleFiles(db, stale, candidates, { ...options, config });
+}
+
+/**
+ * Apply renames and removals for stale index rows ({ file, content_hash })
+ * A candidate (new, not yet indexed) file with the same content hash is a rename.
+ * With options.keepUnmatched, stale rows without a match are returned instead of removed.
+ * Returns { removed: [file], renamed: [{ from, to }], unmatched: [row] }
+ */
+function reconcileStaleFiles(db, stale, candidates, options = {}) {
+    const config = options.config || loadConfig();
+    const result = { removed: [], renamed: [], unmatched: [] };
+    if (stale.length === 0) {
+        return result;
+    }
+
+    // Hash only the files that are new to the index - rename candidates
+    const newByHash = new Map();
+    for (const file of candidates) {
+        const content = fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf-8');
+        const hash = hashContent(content);
+        if (!newByHash.has(hash)) newByHash.set(hash, file);
+    }
+
+    const apply = db.transaction(() => {
+        for (const row of stale) {
+            const newPath = newByHash.get(row.content_hash);
+            if (newPath) {
+                newByHash.delete(row.content_hash);
+                renameIndexedFile(db, row.file, newPath, config);
+                result.renamed.push({ from: row.file, to: newPath });
+            } else if (options.keepUnmatched) {
+                result.unmatched.push(row);
+            } else {
+                removeIndexedFile(db, row.file, options);
+                result.removed.push(row.file);
+            }
+        }
+    });
+
+    apply();
+    return result;
+}
+
 /**
  * Index all files matching patterns
  */
-function indexAllFiles(db) {
+function indexAllFiles(db, options = {}) {
     console.log('');
     console.log('📚 Indexing files...');
 
@@ -435,33 +901,65 @@ function indexAllFiles(db) {
         indexed: 0,
         skipped: 0,
         unchanged: 0,
+        removed: 0,
+        renamed: 0,
+        retagged: 0,
         totalChunks: 0,
+        embedded: 0,
         byType: {}
     };
 
-    // Find all markdown files in project
-    const allFiles = findMarkdownFiles(process.cwd());
+    const config = options.config || loadConfig();
+    options = { ...options, config, include: options.include || config.index.include };
 
-    // Also check for specific high-priority files that might be missed
+    // Re-detect workspace packages (a long-running watcher may have seen new ones)
+    const { source: packageSource, packages } = loadPackages(PROJECT_ROOT, config, { refresh: true });
+    if (packages.length > 0) {
+        console.log(`   Packages: ${packages.length} (from ${packageSource})`);
+    }
+
+    // Honour .gitignore / .nelsonignore / config excludes unless the caller supplied its own matcher
+    if (!options.ignore) {
+        options.ignore = createIgnoreMatcher(PROJECT_ROOT, { exclude: config.index.exclude });
+    }
+
+    // Find all markdown (and source) files in project
+    const allFiles = findIndexableFiles(PROJECT_ROOT, [], options);
+
+    // Also check for specific high-priority files that might be missed (unless ignored -
+    // an ignored one is then purged as stale below)
     const priorityFiles = ['CLAUDE.md', 'README.md'];
     for (const file of priorityFiles) {
-        const fullPath = path.join(process.cwd(), file);
-        if (fs.existsSync(fullPath) && !allFiles.includes(fullPath)) {
+        const fullPath = path.join(PROJECT_ROOT, file);
+        if (fs.existsSync(fullPath) && !allFiles.includes(fullPath) && !shouldExclude(fullPath, options.ignore)) {
             allFiles.unshift(fullPath);
         }
     }
 
-    console.log(`   Found ${allFiles.length} markdown files`);
+    const markdownCount = allFiles.filter(f => f.endsWith('.md')).length;
+    console.log(`   Found ${allFiles.length} files (${markdownCount} markdown, ${allFiles.length - markdownCount} source)`);
     console.log('');
 
+    // Purge deleted files and carry renamed ones over before indexing
+    const { removed, renamed } = collectStaleFiles(db, allFiles, options);
+    for (const { from, to } of renamed) {
+        console.log(`   ↻ ${from} → ${to} (renamed)`);
+    }
+    for (const file of removed) {
+        console.log(`   ✗ ${file} (removed)`);
+    }
+    stats.removed = removed.length;
+    stats.renamed = renamed.length;
+
     for (const filePath of allFiles) {
-        const priority = getFilePriority(filePath);
-        const result = indexFile(db, filePath, priority);
-        const relativePath = path.relative(process.cwd(), filePath);
+        const priority = getFilePriority(filePath, config);
+        const result = indexFile(db, filePath, priority, options);
+        const relativePath = path.relative(PROJECT_ROOT, filePath);
 
         if (result.indexed) {
             stats.indexed++;
             stats.totalChunks += result.chunks;
+            stats.embedded += result.embedded;
             stats.byType[result.fileType] = (stats.byType[result.fileType] || 0) + 1;
             console.log(`   ✓ ${relativePath} (${result.chunks} chunks, priority: ${priority.toFixed(2)})`);
         } else if (result.reason === 'unchanged') {
@@ -472,10 +970,22 @@ function indexAllFiles(db) {
         }
     }
 
+    stats.retagged = tagPackages(db, config);
+
     console.log('');
     console.log(`   Indexed: ${stats.indexed} files (${stats.totalChunks} chunks)`);
     console.log(`   Unchanged: ${stats.unchanged} files`);
     console.log(`   Skipped: ${stats.skipped} files`);
+    console.log(`   Removed: ${stats.removed} files`);
+    if (stats.renamed > 0) {
+        console.log(`   Renamed: ${stats.renamed} files`);
+    }
+    if (stats.retagged > 0) {
+        console.log(`   Re-tagged: ${stats.retagged} files (package changed)`);
+    }
+    if (options.embedder) {
+        console.log(`   Embedded: ${stats.embedded} chunks (${options.embedder.name})`);
+    }
 
     if (Object.keys(stats.byType).length > 0) {
         console.log('');
@@ -488,12 +998,403 @@ function indexAllFiles(db) {
     return stats;
 }
 
+/**
+ * Explain why a file would be skipped during indexing
+ * Returns { skipped, reason, detail }
+ */
+function explainSkip(filePath, options = {}) {
+    // Paths on the command line are relative to where the command runs
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    const relativePath = path.relative(PROJECT_ROOT, absolutePath);
+    const config = options.config || loadConfig();
+    const ignore = options.ignore || createIgnoreMatcher(PROJECT_ROOT, { exclude: config.index.exclude });
+
+    if (!fs.existsSync(absolutePath)) {
+        return { skipped: true, reason: 'not_found', detail: `${relativePath} does not exist` };
+    }
+
+    if (relativePath.startsWith('..')) {
+        return { skipped: true, reason: 'outside_project', detail: `${relativePath} is outside the project root` };
+    }
+
+    const excludedDir = relativePath.split(path.sep).find(part => EXCLUDED_DIRS.includes(part));
+    if (excludedDir) {
+        return { skipped: true, reason: 'excluded_dir', detail: `built-in excluded directory "${excludedDir}/"` };
+    }
+
+    const match = ignore.explain(absolutePath);
+    if (match) {
+        const via = match.viaParent ? ` (parent directory ${match.path}/ is ignored)` : '';
+        return { skipped: true, reason: 'ignored', detail: `${formatRule(match.rule)}${via}`, rule: match.rule };
+    }
+
+    if (fs.statSync(absolutePath).isDirectory()) {
+        return { skipped: false, reason: null, detail: 'directory is not ignored (files inside are checked individually)' };
+    }
+
+    const isCode = !absolutePath.endsWith('.md');
+    const isIncluded = matchesGlobs(options.include || config.index.include, absolutePath);
+    if (isCode && !isIncluded) {
+        if (!getLanguage(absolutePath)) {
+            return { skipped: true, reason: 'unsupported', detail: 'not markdown and not a supported source language' };
+        }
+        if (!isIndexableCode(absolutePath)) {
+            return { skipped: true, reason: 'unsupported', detail: 'generated file (lockfile, minified) or a memory-system script' };
+        }
+        if (options.includeCode === false) {
+            return { skipped: true, reason: 'no_code', detail: 'source files are disabled (--no-code or index.code: false)' };
+        }
+    }
+
+    if (isCode && fs.statSync(absolutePath).size > MAX_CODE_FILE_BYTES) {
+        return { skipped: true, reason: 'too_large', detail: `larger than ${MAX_CODE_FILE_BYTES / 1024} KB` };
+    }
+
+    const { priority, fileType } = resolveFileRule(absolutePath, config);
+    return {
+        skipped: false,
+        reason: null,
+        detail: `would be indexed (priority: ${priority.toFixed(2)}, type: ${fileType})`
+    };
+}
+
+/**
+ * Start fs.watch on the project root. Calls onChange(relativePath), and
+ * onError(error) when a watcher fails.
+ * macOS and Windows watch recursively natively; elsewhere (Linux) Node's
+ * recursive mode misses deletes and rename-over saves in subdirectories,
+ * so every non-ignored directory gets its own watcher - including ones created
+ * later. getIgnore() returns the current ignore matcher (it changes on reload);
+ * call rescan() after a reload to watch newly un-ignored directories and
+ * close the watchers of newly ignored ones.
+ */
+function startWatchers(root, getIgnore, onChange, onError = () => {}) {
+    const handle = (dir) => (eventType, filename) => {
+        if (filename) onChange(path.relative(root, path.join(dir, filename.toString())));
+    };
+
+    if (process.platform === 'darwin' || process.platform === 'win32') {
+        const watcher = fs.watch(root, { recursive: true }, handle(root));
+        watcher.on('error', onError);
+        return { rescan: () => {}, close: () => watcher.close() };
+    }
+
+    const isWatchable = (dir) => {
+        if (shouldExclude(dir, null)) return false;
+        const ignore = getIgnore();
+        return !(ignore && ignore.isIgnored(dir, true));
+    };
+
+    // Directories can vanish between the event and the check
+    const isDirectory = (fullPath) => {
+        try {
+            return fs.statSync(fullPath).isDirectory();
+        } catch (e) {
+            return false;
+        }
+    };
+
+    const subdirectories = (dir) => {
+        try {
+            return fs.readdirSync(dir, { withFileTypes: true })
+                .filter(item => item.isDirectory())
+                .map(item => path.join(dir, item.name));
+        } catch (e) {
+            return [];
+        }
+    };
+
+    const watched = new Map();
+    const watchDir = (dir) => {
+        if (watched.has(dir)) return;
+
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (eventType, filename) => {
+                handle(dir)(eventType, filename);
+                const fullPath = filename ? path.join(dir, filename.toString()) : null;
+                if (fullPath && isDirectory(fullPath) && isWatchable(fullPath)) {
+                    watchDir(fullPath);
+                }
+            });
+        } catch (e) {
+            return; // Directory vanished before we could watch it
+        }
+        watched.set(dir, watcher);
+
+        // A deleted directory's watcher errors - drop it so the path can be watched again if recreated
+        watcher.on('error', (e) => {
+            watcher.close();
+            if (watched.get(dir) === watcher) watched.delete(dir);
+            onError(e);
+        });
+
+        for (const subdir of subdirectories(dir)) {
+            if (isWatchable(subdir)) watchDir(subdir);
+        }
+    };
+
+    // Re-walk the tree under the current rules; a directory is watched only if every parent is
+    const rescan = () => {
+        const reachable = new Set();
+        const walk = (dir) => {
+            reachable.add(dir);
+            for (const subdir of subdirectories(dir)) {
+                if (isWatchable(subdir)) walk(subdir);
+            }
+        };
+        walk(root);
+
+        for (const [dir, watcher] of watched) {
+            if (!reachable.has(dir)) {
+                watcher.close();
+                watched.delete(dir);
+            }
+        }
+        for (const dir of reachable) watchDir(dir);
+    };
+
+    const close = () => {
+        for (const watcher of watched.values()) watcher.close();
+        watched.clear();
+    };
+
+    watchDir(root);
+    return { rescan, close };
+}
+
+/**
+ * Watch mode - re-index changed files as they are written
+ *
+ * Events are debounced into batches; each file goes through indexFile, so the
+ * content-hash check skips saves that didn't change anything. Editors that save
+ * atomically (write a temp file, rename it over the target) can make a file
+ * vanish briefly, so a missing file is only purged if it is still missing one
+ * debounce cycle later. A heartbeat file lets search.cjs tell if a watcher is running.
+ */
+function watchFiles(db, options = {}) {
+    const root = PROJECT_ROOT;
+    const debounceMs = options.debounceMs || WATCH_DEBOUNCE_MS;
+    const heartbeatName = path.relative(root, HEARTBEAT_PATH);
+
+    let watchOptions = {
+        ...options,
+        ignore: createIgnoreMatcher(root, { exclude: options.config.index.exclude })
+    };
+
+    const pending = new Set();
+    const missing = new Set();
+    const state = {
+        pid: process.pid,
+        started_at: new Date().toISOString(),
+        updated_at: null,
+        last_sync_at: new Date().toISOString(),
+        pending: 0
+    };
+    let timer = null;
+
+    const writeHeartbeat = () => {
+        state.updated_at = new Date().toISOString();
+        state.pending = pending.size + missing.size;
+        fs.writeFileSync(HEARTBEAT_PATH, JSON.stringify(state, null, 2));
+    };
+
+    // Database writes, the heartbeat and excluded directories never trigger a re-index
+    const isNoise = (relativePath) => {
+        if (relativePath === heartbeatName || relativePath.startsWith(path.relative(root, DB_PATH))) return true;
+        return relativePath.split(path.sep).some(part => EXCLUDED_DIRS.includes(part));
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+    };
+
+    const log = (message) => {
+        console.log(`   [${new Date().toLocaleTimeString()}] ${message}`);
+    };
+
+    // Ignore rules or config changed - reload them and run a full incremental pass
+    const reload = () => {
+        try {
+            const config = loadConfig();
+            watchOptions = {
+                ...watchOptions,
+                config,
+                include: [...config.index.include, ...(options.cliInclude || [])],
+                ignore: createIgnoreMatcher(root, { exclude: config.index.exclude })
+            };
+        } catch (e) {
+            reportConfigError(e);
+            log('Keeping the previous config');
+            return;
+        }
+
+        log('Ignore rules, config or workspace packages changed - re-scanning project');
+        watchers.rescan();
+        indexAllFiles(db, watchOptions);
+    };
+
+    // A failed batch (file vanished mid-read, SQLITE_BUSY, ...) is logged; the watcher keeps running
+    function flush() {
+        try {
+            syncBatch();
+        } catch (e) {
+            log(`❌ Sync failed: ${e.message}`);
+        }
+    }
+
+    function syncBatch() {
+        const batch = [...pending, ...missing];
+        const recheck = new Set(missing);
+        pending.clear();
+        missing.clear();
+
+        const settingsChanged = batch.some(relativePath =>
+            IGNORE_FILES.includes(path.basename(relativePath)) ||
+            relativePath === path.join('.nelson', 'config.json') ||
+            WORKSPACE_FILES.includes(relativePath) ||
+            path.basename(relativePath) === 'package.json'
+        );
+        if (settingsChanged) {
+            reload();
+            state.last_sync_at = new Date().toISOString();
+            writeHeartbeat();
+            return;
+        }
+
+        const present = [];
+        const vanished = [];
+
+        for (const relativePath of batch) {
+            const absolutePath = path.join(root, relativePath);
+
+            let stat;
+            try {
+                stat = fs.statSync(absolutePath);
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+                vanished.push(relativePath);
+                continue;
+            }
+
+            if (stat.isDirectory()) {
+                if (!shouldExclude(absolutePath, null) && !watchOptions.ignore.isIgnored(absolutePath, true)) {
+                    findIndexableFiles(absolutePath, present, watchOptions);
+                }
+            } else if (isCandidateFile(absolutePath, watchOptions) && !shouldExclude(absolutePath, watchOptions.ignore)) {
+                present.push(absolutePath);
+            }
+        }
+
+        // Vanished paths may be files or whole directories
+        if (vanished.length > 0) {
+            const indexed = db.prepare('SELECT file, content_hash FROM indexed_files').all();
+            const indexedPaths = new Set(indexed.map(row => row.file));
+            const staleUnder = (paths) => indexed.filter(row =>
+                paths.some(v => row.file === v || row.file.startsWith(v + path.sep))
+            );
+            const candidates = present
+                .map(f => path.relative(root, f))
+                .filter(f => !indexedPaths.has(f));
+
+            // Renames are applied now; anything else gets one more cycle to reappear
+            const firstSighting = staleUnder(vanished.filter(v => !recheck.has(v)));
+            const confirmed = staleUnder(vanished.filter(v => recheck.has(v)));
+
+            const result = reconcileStaleFiles(db, firstSighting, candidates, { ...watchOptions, keepUnmatched: true });
+            const gone = reconcileStaleFiles(db, confirmed, [], watchOptions);
+
+            for (const { from, to } of result.renamed) log(`↻ ${from} → ${to} (renamed)`);
+            for (const file of gone.removed) log(`✗ ${file} (removed)`);
+            for (const row of result.unmatched) missing.add(row.file);
+        }
+
+        for (const filePath of new Set(present)) {
+            const priority = getFilePriority(filePath, watchOptions.config);
+            const result = indexFile(db, filePath, priority, watchOptions);
+            if (result.indexed) {
+                log(`✓ ${path.relative(root, filePath)} (${result.chunks} chunks)`);
+            }
+        }
+
+        state.last_sync_at = new Date().toISOString();
+        writeHeartbeat();
+        if (missing.size > 0) schedule();
+    }
+
+    const watchers = startWatchers(root, () => watchOptions.ignore, (relativePath) => {
+        if (isNoise(relativePath)) return;
+        pending.add(relativePath);
+        schedule();
+    }, (e) => log(`⚠️  Watcher error: ${e.message}`));
+
+    writeHeartbeat();
+    const heartbeat = setInterval(writeHeartbeat, HEARTBEAT_INTERVAL_MS);
+
+    const stop = () => {
+        clearTimeout(timer);
+        clearInterval(heartbeat);
+        watchers.close();
+        if (fs.existsSync(HEARTBEAT_PATH)) fs.unlinkSync(HEARTBEAT_PATH);
+        db.close();
+        console.log('');
+        console.log('👋 Stopped watching');
+        process.exit(0);
+    };
+
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    return { stop };
+}
+
 /**
  * Main initialization
  */
 async function main() {
+    const args = process.argv.slice(2);
+
+    let config;
+    try {
+        config = loadConfig();
+    } catch (e) {
+        reportConfigError(e);
+        process.exit(1);
+    }
+
+    // Command-line flags add to (--include) or narrow (--no-code) the config
+    const cliInclude = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--include' && args[i + 1]) {
+            cliInclude.push(args[i + 1]);
+            i++;
+        }
+    }
+    const include = [...config.index.include, ...cliInclude];
+    const includeCode = config.index.code && !args.includes('--no-code');
+    const indexOptions = { config, include, includeCode };
+
+    const explainIndex = args.indexOf('--explain-skip');
+    if (explainIndex !== -1) {
+        const target = args[explainIndex + 1];
+        if (!target) {
+            console.log('Usage: node .nelson/init-db.cjs --explain-skip <path>');
+            process.exit(1);
+        }
+
+        const result = explainSkip(target, indexOptions);
+        if (result.skipped) {
+            console.log(`⏭️  ${target}: skipped (${result.reason})`);
+        } else {
+            console.log(`✓ ${target}: not skipped`);
+        }
+        console.log(`   ${result.detail}`);
+        return;
+    }
+
     console.log('╔══════════════════════════════════════════════════════════════════╗');
-    console.log('║     NELSON MEMORY DATABASE v2.0 - FULL DOCUMENTATION INDEX        ║');
+    console.log('║     NELSON MEMORY DATABASE v2.1 - FULL DOCUMENTATION INDEX        ║');
     console.log('╚══════════════════════════════════════════════════════════════════╝');
     console.log('');
 
@@ -521,12 +1422,30 @@ async function main() {
         process.exit(0);
     }
 
+    // Migrate only: apply (or list) pending schema steps without re-indexing
+    if (args[0] === 'migrate') {
+        const dryRun = args.includes('--dry-run');
+        const exists = fs.existsSync(DB_PATH);
+        const db = exists ? new Database(DB_PATH, { readonly: dryRun }) : (dryRun ? null : new Database(DB_PATH));
+
+        // The vector tables are only migrated where sqlite-vec loads
+        const probe = db || new Database(':memory:');
+        const embedder = loadVectorExtension(probe) ? loadEmbeddingProvider() : null;
+        if (!db) probe.close();
+
+        console.log(`📁 Database path: ${DB_PATH}${exists ? '' : ' (not created yet)'}`);
+        console.log(dryRun ? '📋 Pending migrations (dry run):' : '📊 Applying migrations...');
+        migrateDatabase(db, { dryRun, embedder });
+
+        if (db) db.close();
+        return;
+    }
+
     // Initialize database
     console.log(`📁 Database path: ${DB_PATH}`);
 
     // Delete old database to ensure clean schema
     if (fs.existsSync(DB_PATH)) {
-        const args = process.argv.slice(2);
         if (args.includes('--force') || args.includes('-f')) {
             fs.unlinkSync(DB_PATH);
             console.log('   Removed old database (--force)');
@@ -536,21 +1455,43 @@ async function main() {
     const db = new Database(DB_PATH);
 
     // Try to load sqlite-vec for vector search (optional)
-    try {
-        db.loadExtension('vec0');
-        console.log('✓ sqlite-vec extension loaded (vector search enabled)');
-    } catch (e) {
+    let embedder = null;
+    if (loadVectorExtension(db)) {
+        embedder = loadEmbeddingProvider();
+        console.log(`✓ sqlite-vec extension loaded (vector search enabled, embedder: ${embedder.name})`);
+    } else {
         console.log('ℹ️  sqlite-vec not available (using FTS5 full-text search)');
+        console.log('   Enable vector search with: npm install sqlite-vec');
     }
 
     // Initialize schema
-    initializeSchema(db);
+    initializeSchema(db, embedder);
+
+    const { changed } = ensureIndexSettings(db, config);
+    if (changed) {
+        console.log('   ✓ Chunk or priority settings changed - all files will be re-indexed');
+    }
+
+    if (embedder) {
+        const { rebuilt } = ensureVectorTable(db, embedder);
+        if (rebuilt) {
+            console.log('   ✓ Embedding provider changed - vectors will be rebuilt');
+        }
+    }
 
     // Index all files
-    const stats = indexAllFiles(db);
+    const stats = indexAllFiles(db, { ...indexOptions, embedder });
+
+    // Backfill vectors for chunks indexed before vector search was enabled
+    if (embedder) {
+        const backfilled = embedMissingChunks(db, embedder);
+        if (backfilled > 0) {
+            console.log(`   Backfilled: ${backfilled} chunk embeddings`);
+        }
+    }
 
     // Report final status
-    const chunkCount = db.prepare('SELECT COUNT(*) as count FROM chunks').get();
+    const chunkCount = db.prepare('SELECT COUNT(*) as count, SUM(token_count) as tokens FROM chunks').get();
     const fileCount = db.prepare('SELECT COUNT(*) as count FROM indexed_files').get();
 
     // Get priority distribution
@@ -576,6 +1517,11 @@ async function main() {
     console.log('📊 Database Statistics:');
     console.log(`   • Files indexed: ${fileCount.count}`);
     console.log(`   • Total chunks: ${chunkCount.count}`);
+    console.log(`   • Tokens indexed: ${(chunkCount.tokens || 0).toLocaleString()} (${getTokenizer().name})`);
+    if (embedder) {
+        const vectorCount = db.prepare('SELECT COUNT(*) as count FROM chunks_vec').get();
+        console.log(`   • Chunk embeddings: ${vectorCount.count}`);
+    }
     console.log(`   • Database size: ${(fs.statSync(DB_PATH).size / 1024).toFixed(1)} KB`);
 
     if (priorityDist.length > 0) {
@@ -586,6 +1532,28 @@ async function main() {
         }
     }
 
+    const packageDist = db.prepare(`
+        SELECT package, COUNT(DISTINCT file) as files, COUNT(*) as chunks
+        FROM chunks WHERE package IS NOT NULL
+        GROUP BY package ORDER BY package
+    `).all();
+
+    if (packageDist.length > 0) {
+        console.log('');
+        console.log('📦 Packages:');
+        for (const { package: name, files, chunks } of packageDist) {
+            console.log(`   • ${name}: ${files} files (${chunks} chunks)`);
+        }
+    }
+
+    // Watch mode: keep the database open and re-index on change
+    if (args.includes('--watch')) {
+        console.log('');
+        console.log('👀 Watching for changes (Ctrl+C to stop)...');
+        watchFiles(db, { ...indexOptions, embedder, cliInclude });
+        return;
+    }
+
     console.log('');
     console.log('🔍 Search with:');
     console.log('   node .nelson/search.cjs "your query"');
@@ -594,9 +1562,45 @@ async function main() {
     console.log('🔄 Re-index with:');
     console.log('   node .nelson/init-db.cjs          # Incremental (skip unchanged)');
     console.log('   node .nelson/init-db.cjs --force  # Full re-index');
+    console.log('   node .nelson/init-db.cjs --watch  # Keep re-indexing as files change');
+    console.log('   node .nelson/init-db.cjs migrate --dry-run  # Show pending schema migrations');
+    console.log('   node .nelson/init-db.cjs --no-code  # Markdown only (skip source files)');
+    console.log('   node .nelson/init-db.cjs --include "notes/*.txt"  # Also index matching files');
+    console.log('   node .nelson/init-db.cjs --explain-skip <path>  # Why a file is not indexed');
     console.log('');
 
     db.close();
 }
 
-main().catch(console.error);
+// Export for use as module
+module.exports = {
+    // Schema
+    initializeSchema,
+    migrateDatabase,
+    MEMORY_MIGRATIONS,
+
+    // Indexing
+    indexFile,
+    indexAllFiles,
+    findIndexableFiles,
+    collectStaleFiles,
+    reconcileStaleFiles,
+    chunkContent,
+
+    // Watch mode
+    watchFiles,
+    startWatchers,
+    HEARTBEAT_PATH,
+
+    // File rules
+    resolveFileRule,
+    getFilePriority,
+    getFilePackage,
+    tagPackages,
+    explainSkip
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -0,0 +1,412 @@
+/**
+ * Nelson Memory MCP Server v1.0
+ *
+ * MEMORY AS NATIVE TOOLS:
+ * A stdio Model Context Protocol server, so the agent calls memory directly
+ * instead of shelling out to `node .nelson/*.cjs`:
+ * - search_memory         → search.cjs (smart/section/chunk/header search)
+ * - get_context_for_task  → search.cjs --context (optionally token-budgeted)
+ * - list_sessions         → search.cjs --list-sessions (filters: sessions.cjs)
+ * - capture_session       → capture.cjs
+ * - recommend_tools       → tools-indexer.cjs recommend
+ * - retrieve_tool_docs    → mcp-skill-docs-extractor.cjs retrieve
+ *
+ * Transport: newline-delimited JSON-RPC 2.0 on stdin/stdout (MCP stdio).
+ * Everything the reused modules log goes to stderr so stdout stays protocol-only.
+ * Arguments are checked against each tool's inputSchema before running.
+ *
+ * Register in .mcp.json (or with `claude mcp add nelson-memory -- node .nelson/mcp-server.cjs`):
+ *   { "mcpServers": { "nelson-memory": { "command": "node", "args": [".nelson/mcp-server.cjs"] } } }
+ *
+ * Usage:
+ *   node .nelson/mcp-server.cjs            # Serve on stdio
+ *   node .nelson/mcp-server.cjs --tools    # Print the tool list with schemas
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, validateSchema } = require('./config.cjs');
+const { PROJECT_ROOT } = require('./workspaces.cjs');
+const search = require('./search.cjs');
+const { appendSession, updateSession, SESSION_SCHEMA } = require('./capture.cjs');
+const { initializeToolsSchema, recommendTools, formatRecommendations } = require('./tools-indexer.cjs');
+const { initializeDocsSchema, retrieveDocs, formatDocsForContext } = require('./mcp-skill-docs-extractor.cjs');
+const { initializeSessionsSchema, querySessions } = require('./sessions.cjs');
+
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
+const DB_PATH = path.join(NELSON_DIR, 'memory.db');
+
+const SERVER_INFO = { name: 'nelson-memory', version: '1.0.0' };
+
+// Candidates fetched before packing into a budget (as search.cjs --budget)
+const BUDGET_CANDIDATES = 20;
+
+// Newest first; the client's version is echoed back when supported
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const limitSchema = (max, fallback) => ({
+    type: 'integer',
+    minimum: 1,
+    maximum: max,
+    description: `Maximum number of results (default: ${fallback})`
+});
+
+const budgetSchema = {
+    type: 'integer',
+    minimum: 100,
+    description: 'Token budget: pack the best results into this many tokens (last one summarized or truncated)'
+};
+
+// Tool definitions (inputSchema uses the JSON Schema subset validateSchema understands)
+const TOOLS = [
+    {
+        name: 'search_memory',
+        description: 'Search project memory (CLAUDE.md, .nelson/ logs and patterns, docs, code). ' +
+            'Daily log hits expand to the whole session, docs to the whole section, code to the whole symbol. ' +
+            'Query syntax: "exact phrase", prefix*, AND/OR/NOT, file:docs/ header:Webhook type:daily_log after:2026-01-01.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', minLength: 1, description: 'Search query' },
+                mode: {
+                    type: 'string',
+                    enum: ['smart', 'section', 'chunk', 'header'],
+                    description: 'smart (default) expands by file type; section forces sections; chunk returns raw chunks; header finds sections by header name'
+                },
+                limit: limitSchema(50, 5),
+                file: { type: 'string', minLength: 1, description: 'Only files whose path contains this' },
+                type: { type: 'string', minLength: 1, description: 'Only these file types, comma-separated (instructions, memory, soul, pattern, daily_log, documentation, readme)' },
+                package: { type: 'string', minLength: 1, description: 'Only this workspace package (monorepos)' },
+                budget: budgetSchema,
+                format: { type: 'string', enum: ['markdown', 'json'], description: 'Result format (default: markdown)' }
+            },
+            required: ['query'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'get_context_for_task',
+        description: 'Retrieve memory relevant to a task description (sessions, decisions, sections). ' +
+            'Use at the start of a task; pass budget to cap the tokens returned.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                task: { type: 'string', minLength: 1, description: 'What you are about to do' },
+                limit: limitSchema(50, 5),
+                budget: budgetSchema,
+                format: { type: 'string', enum: ['markdown', 'json'], description: 'Result format (default: markdown)' }
+            },
+            required: ['task'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'list_sessions',
+        description: 'List recent work sessions from the daily logs (newest first) with their status and location. ' +
+            'Filters query the structured sessions table, e.g. all BLOCKED sessions touching src/auth since a date.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                limit: limitSchema(200, 20),
+                status: { type: 'string', minLength: 1, description: 'Status prefix, case-insensitive (COMPLETE, BLOCKED, ...)' },
+                touching: { type: 'string', minLength: 1, description: 'Only sessions that modified a file whose path contains this (case-sensitive)' },
+                since: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'On or after this date (YYYY-MM-DD)' },
+                until: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'On or before this date (YYYY-MM-DD)' },
+                text: { type: 'string', minLength: 1, description: 'Text in the name, tasks, decisions, insights, blockers or notes' }
+            },
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'capture_session',
+        description: "Append a session summary to today's daily log (.nelson/memory/YYYY-MM-DD.md), " +
+            "or update one: pass session (an id) or reuse the name of today's open IN_PROGRESS session.",
+        inputSchema: SESSION_SCHEMA
+    },
+    {
+        name: 'recommend_tools',
+        description: 'Recommend MCP tools and skills for a task (requires `tools-indexer.cjs sync`).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                task: { type: 'string', minLength: 1, description: 'Task description' },
+                limit: limitSchema(20, 5),
+                format: { type: 'string', enum: ['markdown', 'json'], description: 'Result format (default: markdown)' }
+            },
+            required: ['task'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'retrieve_tool_docs',
+        description: 'Retrieve usage docs (operations, examples) for the MCP tools and skills relevant to a task ' +
+            '(requires `mcp-skill-docs-extractor.cjs extract`).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                task: { type: 'string', minLength: 1, description: 'Task description' },
+                limit: limitSchema(10, 3)
+            },
+            required: ['task'],
+            additionalProperties: false
+        }
+    }
+];
+
+let db = null;
+const initializedSchemas = new Set();
+
+/**
+ * Open memory.db once (statements cached for the life of the server)
+ * Tool and doc tables are created on first use, like their CLIs do.
+ */
+function getDb(schema = null) {
+    if (!db) {
+        if (!fs.existsSync(DB_PATH)) {
+            throw new Error('Database not found. Run: node .nelson/init-db.cjs');
+        }
+        const Database = require('better-sqlite3');
+        db = search.cacheStatements(new Database(DB_PATH));
+    }
+
+    if (schema && !initializedSchemas.has(schema)) {
+        if (schema === 'tools') initializeToolsSchema(db);
+        if (schema === 'docs') initializeDocsSchema(db);
+        if (schema === 'sessions') initializeSessionsSchema(db);
+        initializedSchemas.add(schema);
+    }
+
+    return db;
+}
+
+/**
+ * Render search results for a tool response (markdown or the search.cjs JSON envelope)
+ */
+function renderSearchResults(results, format, meta) {
+    return format === 'json'
+        ? search.renderResults(results, 'json', { highlight: 'none', meta })
+        : search.renderResults(results, 'markdown', { highlight: 'markdown' });
+}
+
+/**
+ * Pack results into a token budget when one was given
+ */
+function applyBudget(results, args, meta) {
+    if (!args.budget) return results;
+    const packing = search.packToBudget(results, args.budget, { limit: args.limit || null });
+    meta.budget = { tokens: args.budget, used: packing.used, deduped: packing.deduped, truncated: packing.truncated };
+    return packing.results;
+}
+
+// Shared with search.cjs serve: same search, package and type resolution
+const service = search.createSearchService(() => getDb());
+
+// Tool implementations: (args) => text
+const HANDLERS = {
+    search_memory: (args) => {
+        const mode = args.mode || 'smart';
+        const limit = args.limit || loadConfig().search.limit;
+        const options = {
+            limit: args.budget ? Math.max(limit, BUDGET_CANDIDATES) : limit,
+            file: args.file || null,
+            type: args.type ? service.resolveType({ spec: args.type }) : null,
+            package: args.package ? service.resolvePackage({ spec: args.package }) : null,
+            section: mode === 'section'
+        };
+
+        const meta = { query: args.query, mode, limit, filters: { file: options.file, type: options.type, package: options.package } };
+        const results = service.search({ mode: mode === 'section' ? 'smart' : mode, query: args.query, options });
+        return renderSearchResults(applyBudget(results, args, meta), args.format, meta);
+    },
+
+    get_context_for_task: (args) => {
+        const limit = args.limit || loadConfig().search.limit;
+        const options = args.budget ? { limit: Math.max(limit, BUDGET_CANDIDATES), summaryOnly: false } : { limit };
+        const meta = { query: args.task, mode: 'context', limit, filters: { file: null, type: null, package: null } };
+        const results = service.search({ mode: 'context', query: args.task, options });
+        return renderSearchResults(applyBudget(results, args, meta), args.format, meta);
+    },
+
+    list_sessions: (args) => {
+        const { limit = 20, ...filters } = args;
+        if (Object.keys(filters).length > 0) {
+            const sessions = querySessions(getDb('sessions'), { ...filters, limit });
+            if (sessions.length === 0) return 'No matching sessions (the table fills as daily logs are indexed).';
+            return sessions.map(s => `- **${s.id}** ${s.name} (${s.status || 'Unknown'}) - \`${s.file}:${s.line_start}\`` +
+                (s.files.length > 0 ? ` - files: ${s.files.join(', ')}` : '') +
+                (s.blockers.length > 0 ? ` - blockers: ${s.blockers.join('; ')}` : '')).join('\n');
+        }
+
+        const sessions = search.listSessions({ limit });
+        if (sessions.length === 0) return 'No sessions found in .nelson/memory/.';
+        return sessions.map(s => `- **${s.date}** ${s.name} (${s.status}) - \`${s.file}:${s.line}\``).join('\n');
+    },
+
+    capture_session: (args) => {
+        const { session, ...fields } = args;
+        if (fields.iteration) fields.iteration = String(fields.iteration);
+        const logPath = session ? updateSession(session, fields) : appendSession(fields);
+        const label = session || `"${fields.name || 'Untitled Session'}"`;
+        return `Session ${label} saved in ${path.relative(PROJECT_ROOT, logPath)}.\n` +
+            'It becomes searchable after the next index (node .nelson/init-db.cjs, or instantly with --watch).';
+    },
+
+    recommend_tools: (args) => {
+        const recommendations = recommendTools(getDb('tools'), args.task, { limit: args.limit || 5 });
+        return args.format === 'json'
+            ? JSON.stringify({ count: recommendations.length, tools: recommendations }, null, 2)
+            : formatRecommendations(recommendations).trim();
+    },
+
+    retrieve_tool_docs: (args) => {
+        const docs = retrieveDocs(getDb('docs'), args.task, { limit: args.limit || 3 });
+        return formatDocsForContext(docs).trim() || 'No tool documentation found for this task.';
+    }
+};
+
+/**
+ * Run a tools/call request
+ * Invalid arguments are a protocol error; failures inside a tool are reported
+ * as an isError result so the agent can read and react to them.
+ */
+function callTool(params) {
+    const tool = TOOLS.find(t => t.name === (params && params.name));
+    if (!tool) {
+        return { error: { code: INVALID_PARAMS, message: `Unknown tool "${params && params.name}"` } };
+    }
+
+    const args = (params && params.arguments) || {};
+    const problems = validateSchema(args, tool.inputSchema, 'arguments');
+    if (problems.length > 0) {
+        return { error: { code: INVALID_PARAMS, message: `Invalid arguments for ${tool.name}: ${problems.join('; ')}` } };
+    }
+
+    try {
+        return { result: { content: [{ type: 'text', text: HANDLERS[tool.name](args) }] } };
+    } catch (e) {
+        return { result: { content: [{ type: 'text', text: `Error: ${e.message}` }], isError: true } };
+    }
+}
+
+/**
+ * Handle one JSON-RPC message (the whole server, minus the transport)
+ * Returns the response object, or null for notifications.
+ */
+function handleMessage(message) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        return { jsonrpc: '2.0', id: message && message.id !== undefined ? message.id : null, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+
+    // Notifications (no id) never get a response
+    if (message.id === undefined) {
+        return null;
+    }
+
+    const respond = (outcome) => ({ jsonrpc: '2.0', id: message.id, ...outcome });
+    const params = message.params || {};
+
+    switch (message.method) {
+        case 'initialize': {
+            const requested = params.protocolVersion;
+            return respond({
+                result: {
+                    protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+                    capabilities: { tools: { listChanged: false } },
+                    serverInfo: SERVER_INFO,
+                    instructions: 'Project memory for this repository. Call get_context_for_task before starting work ' +
+                        'and capture_session when you finish.'
+                }
+            });
+        }
+        case 'ping':
+            return respond({ result: {} });
+        case 'tools/list':
+            return respond({ result: { tools: TOOLS } });
+        case 'tools/call':
+            return respond(callTool(params));
+        default:
+            return respond({ error: { code: METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } });
+    }
+}
+
+/**
+ * Serve MCP over stdio until stdin closes
+ */
+function serveStdio() {
+    // Reused modules log progress with console.log; keep stdout for protocol messages
+    const send = (response) => process.stdout.write(JSON.stringify(response) + '\n');
+    console.log = (...args) => console.error(...args);
+
+    let buffer = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', (data) => {
+        buffer += data;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (e) {
+                send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+                continue;
+            }
+
+            const response = handleMessage(message);
+            if (response) send(response);
+        }
+    });
+
+    process.stdin.on('end', () => {
+        if (db) db.close();
+        process.exit(0);
+    });
+}
+
+/**
+ * CLI: serve on stdio, or print the tools
+ */
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help')) {
+        console.log('Nelson Memory MCP Server v1.0');
+        console.log('');
+        console.log('Usage:');
+        console.log('  node .nelson/mcp-server.cjs            Serve MCP on stdio');
+        console.log('  node .nelson/mcp-server.cjs --tools    Print the tools and their input schemas');
+        console.log('');
+        console.log('Register with Claude Code:');
+        console.log('  claude mcp add nelson-memory -- node .nelson/mcp-server.cjs');
+        process.exit(0);
+    }
+
+    if (args.includes('--tools')) {
+        console.log(JSON.stringify(TOOLS, null, 2));
+        return;
+    }
+
+    serveStdio();
+}
+
+// Export for use as module
+module.exports = {
+    handleMessage,
+    callTool,
+    TOOLS,
+    PROTOCOL_VERSIONS
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -15,60 +15,91 @@
 
 const fs = require('fs');
 const path = require('path');
+const { runMigrations } = require('./migrations.cjs');
+const { countTokens } = require('./tokenizer.cjs');
+const { PROJECT_ROOT } = require('./workspaces.cjs');
 
-const NELSON_DIR = path.join(process.cwd(), '.nelson');
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
 const DB_PATH = path.join(NELSON_DIR, 'memory.db');
 
+// Ordered schema migrations for the tool_docs tables (see migrations.cjs)
+// Never edit an applied step - append a new version instead
+const DOCS_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'tool_docs table and FTS5 index',
+        up: (db) => {
+            db.exec(`
+                -- Tool documentation table (stores full docs, examples, usage patterns)
+                CREATE TABLE IF NOT EXISTS tool_docs (
+                    id TEXT PRIMARY KEY,
+                    tool_name TEXT NOT NULL,
+                    tool_type TEXT NOT NULL,           -- 'mcp' | 'skill' | 'mcp_operation'
+                    service TEXT,                       -- 'stripe', 'vapi', 'vercel', etc.
+                    category TEXT,                      -- 'payment', 'session', 'audit', etc.
+                    short_description TEXT,             -- 1-line description
+                    full_documentation TEXT,            -- Complete usage docs
+                    operations TEXT,                    -- JSON array of operations (for MCPs)
+                    examples TEXT,                      -- JSON array of code examples
+                    parameters TEXT,                    -- JSON schema of parameters
+                    keywords TEXT,                      -- JSON array of keywords
+                    priority REAL DEFAULT 0.5,
+                    token_count INTEGER,                -- Approx tokens in full_documentation
+                    indexed_at TEXT DEFAULT (datetime('now'))
+                );
+
+                -- FTS for fast documentation search
+                CREATE VIRTUAL TABLE IF NOT EXISTS tool_docs_fts USING fts5(
+                    tool_name,
+                    short_description,
+                    full_documentation,
+                    keywords,
+                    category,
+                    content='tool_docs',
+                    content_rowid='rowid'
+                );
+
+                -- Triggers for FTS sync
+                CREATE TRIGGER IF NOT EXISTS tool_docs_ai AFTER INSERT ON tool_docs BEGIN
+                    INSERT INTO tool_docs_fts(rowid, tool_name, short_description, full_documentation, keywords, category)
+                    VALUES (new.rowid, new.tool_name, new.short_description, new.full_documentation, new.keywords, new.category);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS tool_docs_ad AFTER DELETE ON tool_docs BEGIN
+                    INSERT INTO tool_docs_fts(tool_docs_fts, rowid, tool_name, short_description, full_documentation, keywords, category)
+                    VALUES('delete', old.rowid, old.tool_name, old.short_description, old.full_documentation, old.keywords, old.category);
+                END;
+
+                -- Index for efficient lookups
+                CREATE INDEX IF NOT EXISTS idx_tool_docs_service ON tool_docs(service);
+                CREATE INDEX IF NOT EXISTS idx_tool_docs_category ON tool_docs(category);
+                CREATE INDEX IF NOT EXISTS idx_tool_docs_type ON tool_docs(tool_type);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'tool_docs update trigger and FTS rebuild',
+        up: (db) => {
+            db.exec(`
+                CREATE TRIGGER IF NOT EXISTS tool_docs_au AFTER UPDATE ON tool_docs BEGIN
+                    INSERT INTO tool_docs_fts(tool_docs_fts, rowid, tool_name, short_description, full_documentation, keywords, category)
+                    VALUES('delete', old.rowid, old.tool_name, old.short_description, old.full_documentation, old.keywords, old.category);
+                    INSERT INTO tool_docs_fts(rowid, tool_name, short_description, full_documentation, keywords, category)
+                    VALUES (new.rowid, new.tool_name, new.short_description, new.full_documentation, new.keywords, new.category);
+                END;
+
+                INSERT INTO tool_docs_fts(tool_docs_fts) VALUES('rebuild');
+            `);
+        }
+    }
+];
+
 /**
- * Initialize enhanced tools schema with documentation storage
+ * Initialize enhanced tools schema with documentation storage (applies pending migrations)
  */
 function initializeDocsSchema(db) {
-    db.exec(`
-        -- Tool documentation table (stores full docs, examples, usage patterns)
-        CREATE TABLE IF NOT EXISTS tool_docs (
-            id TEXT PRIMARY KEY,
-            tool_name TEXT NOT NULL,
-            tool_type TEXT NOT NULL,           -- 'mcp' | 'skill' | 'mcp_operation'
-            service TEXT,                       -- 'stripe', 'vapi', 'vercel', etc.
-            category TEXT,                      -- 'payment', 'session', 'audit', etc.
-            short_description TEXT,             -- 1-line description
-            full_documentation TEXT,            -- Complete usage docs
-            operations TEXT,                    -- JSON array of operations (for MCPs)
-            examples TEXT,                      -- JSON array of code examples
-            parameters TEXT,                    -- JSON schema of parameters
-            keywords TEXT,                      -- JSON array of keywords
-            priority REAL DEFAULT 0.5,
-            token_count INTEGER,                -- Approx tokens in full_documentation
-            indexed_at TEXT DEFAULT (datetime('now'))
-        );
-
-        -- FTS for fast documentation search
-        CREATE VIRTUAL TABLE IF NOT EXISTS tool_docs_fts USING fts5(
-            tool_name,
-            short_description,
-            full_documentation,
-            keywords,
-            category,
-            content='tool_docs',
-            content_rowid='rowid'
-        );
-
-        -- Triggers for FTS sync
-        CREATE TRIGGER IF NOT EXISTS tool_docs_ai AFTER INSERT ON tool_docs BEGIN
-            INSERT INTO tool_docs_fts(rowid, tool_name, short_description, full_documentation, keywords, category)
-            VALUES (new.rowid, new.tool_name, new.short_description, new.full_documentation, new.keywords, new.category);
-        END;
-
-        CREATE TRIGGER IF NOT EXISTS tool_docs_ad AFTER DELETE ON tool_docs BEGIN
-            INSERT INTO tool_docs_fts(tool_docs_fts, rowid, tool_name, short_description, full_documentation, keywords, category)
-            VALUES('delete', old.rowid, old.tool_name, old.short_description, old.full_documentation, old.keywords, old.category);
-        END;
-
-        -- Index for efficient lookups
-        CREATE INDEX IF NOT EXISTS idx_tool_docs_service ON tool_docs(service);
-        CREATE INDEX IF NOT EXISTS idx_tool_docs_category ON tool_docs(category);
-        CREATE INDEX IF NOT EXISTS idx_tool_docs_type ON tool_docs(tool_type);
-    `);
+    return runMigrations(db, 'tool_docs', DOCS_MIGRATIONS);
 }
 
 /**
@@ -319,9 +350,22 @@ function indexAllDocs(db) {
     const stats = { mcps: 0, skills: 0, total_tokens: 0 };
 
     const insertDoc = db.prepare(`
-        INSERT OR REPLACE INTO tool_docs
+        INSERT INTO tool_docs
         (id, tool_name, tool_type, service, category, short_description, full_documentation, operations, examples, keywords, priority, token_count, indexed_at)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(id) DO UPDATE SET
+            tool_name = excluded.tool_name,
+            tool_type = excluded.tool_type,
+            service = excluded.service,
+            category = excluded.category,
+            short_description = excluded.short_description,
+            full_documentation = excluded.full_documentation,
+            operations = excluded.operations,
+            examples = excluded.examples,
+            keywords = excluded.keywords,
+            priority = excluded.priority,
+            token_count = excluded.token_count,
+            indexed_at = excluded.indexed_at
     `);
 
     // Index MCPs
@@ -329,7 +373,7 @@ function indexAllDocs(db) {
     console.log('📡 Indexing MCP documentation...');
     for (const mcp of TOOL_DOCUMENTATION.mcps) {
         const fullDoc = mcp.full_documentation || generateMCPDoc(mcp);
-        const tokenCount = Math.ceil(fullDoc.length / 4);
+        const tokenCount = countTokens(fullDoc);
 
         insertDoc.run(
             mcp.id,
@@ -348,7 +392,7 @@ function indexAllDocs(db) {
 
         stats.mcps++;
         stats.total_tokens += tokenCount;
-        console.log(`   ✓ ${mcp.tool_name} (~${tokenCount} tokens)`);
+        console.log(`   ✓ ${mcp.tool_name} (${tokenCount} tokens)`);
     }
 
     // Index Skills
@@ -357,7 +401,7 @@ function indexAllDocs(db) {
     for (const [category, skills] of Object.entries(TOOL_DOCUMENTATION.skills)) {
         for (const skill of skills) {
             const fullDoc = skill.full_documentation || skill.short_description;
-            const tokenCount = Math.ceil(fullDoc.length / 4);
+            const tokenCount = countTokens(fullDoc);
 
             insertDoc.run(
                 skill.id,
@@ -680,6 +724,7 @@ async function main() {
 // Export for module use
 module.exports = {
     initializeDocsSchema,
+    DOCS_MIGRATIONS,
     indexAllDocs,
     retrieveDocs,
     formatDocsForContext,
@@ -0,0 +1,144 @@
+/**
+ * Nelson Schema Migrations v1.0
+ *
+ * ORDERED MIGRATIONS FOR memory.db:
+ * Every module that owns tables in memory.db declares its own ordered list
+ * and applies it through this runner:
+ * - memory    → init-db.cjs (chunks, indexed_files, FTS)
+ * - tools     → tools-indexer.cjs (tools, FTS, usage counts)
+ * - tool_docs → mcp-skill-docs-extractor.cjs (tool_docs, FTS)
+ * - sessions  → sessions.cjs (structured sessions from the daily logs)
+ * - vectors   → embeddings.cjs (embedding_meta, chunks_vec; only where sqlite-vec loads)
+ *
+ * Applied steps are recorded in `schema_version`, one row per component/version,
+ * so upgrading the plugin only runs what is new - no --force, no lost data.
+ *
+ * Migration contract:
+ *   { version: 2, name: 'Add X column', up: (db) => db.exec('ALTER TABLE ...') }
+ *
+ * Version 1 of each component uses CREATE ... IF NOT EXISTS, so databases
+ * created before versioning existed are adopted without changes.
+ *
+ * Usage:
+ *   node .nelson/init-db.cjs migrate            # Apply pending migrations
+ *   node .nelson/init-db.cjs migrate --dry-run  # Print pending steps only
+ */
+
+/**
+ * Create the version tracking table
+ */
+function ensureVersionTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            component TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            name TEXT,
+            applied_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (component, version)
+        );
+    `);
+}
+
+/**
+ * Check that a migration list is strictly ordered by version
+ */
+function validateMigrations(component, migrations) {
+    let previous = 0;
+    for (const migration of migrations) {
+        if (!Number.isInteger(migration.version) || migration.version <= previous) {
+            throw new Error(`Migrations for "${component}" must have increasing integer versions (got ${migration.version} after ${previous})`);
+        }
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${component} v${migration.version} has no up(db) function`);
+        }
+        previous = migration.version;
+    }
+}
+
+/**
+ * Get the highest applied version for a component (0 when none)
+ * Works on read-only connections and databases without schema_version.
+ */
+function getSchemaVersion(db, component) {
+    const table = db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'
+    `).get();
+    if (!table) return 0;
+
+    const row = db.prepare('SELECT MAX(version) as version FROM schema_version WHERE component = ?').get(component);
+    return row && row.version ? row.version : 0;
+}
+
+/**
+ * List the migrations that have not been applied yet
+ * Pass db = null for a database that doesn't exist (everything is pending).
+ */
+function getPendingMigrations(db, component, migrations) {
+    validateMigrations(component, migrations);
+    const current = db ? getSchemaVersion(db, component) : 0;
+    return migrations.filter(m => m.version > current);
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * Returns { from, to, applied: [{ version, name }] }
+ * With options.dryRun nothing is written and `applied` lists what would run.
+ */
+function runMigrations(db, component, migrations, options = {}) {
+    const pending = getPendingMigrations(db, component, migrations);
+    const from = db ? getSchemaVersion(db, component) : 0;
+
+    if (options.dryRun || pending.length === 0) {
+        return {
+            from,
+            to: pending.length > 0 ? pending[pending.length - 1].version : from,
+            applied: pending.map(({ version, name }) => ({ version, name }))
+        };
+    }
+
+    ensureVersionTable(db);
+    const record = db.prepare('INSERT INTO schema_version (component, version, name) VALUES (?, ?, ?)');
+    const applied = [];
+
+    for (const migration of pending) {
+        const apply = db.transaction(() => {
+            migration.up(db);
+            record.run(component, migration.version, migration.name);
+        });
+
+        try {
+            apply();
+        } catch (e) {
+            throw new Error(`Migration ${component} v${migration.version} (${migration.name}) failed: ${e.message}`);
+        }
+
+        applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return { from, to: applied[applied.length - 1].version, applied };
+}
+
+/**
+ * Print the result of runMigrations for one component
+ */
+function reportMigrations(component, result, options = {}) {
+    if (result.applied.length === 0) {
+        console.log(`   ✓ ${component}: up to date (v${result.from})`);
+        return;
+    }
+
+    const verb = options.dryRun ? 'pending' : 'applied';
+    console.log(`   ${options.dryRun ? '•' : '✓'} ${component}: v${result.from} → v${result.to} (${result.applied.length} ${verb})`);
+    for (const { version, name } of result.applied) {
+        console.log(`      ${options.dryRun ? '○' : '✓'} v${version}: ${name}`);
+    }
+}
+
+// Export for use as module
+module.exports = {
+    ensureVersionTable,
+    getSchemaVersion,
+    getPendingMigrations,
+    runMigrations,
+    reportMigrations
+};
@@ -0,0 +1,379 @@
+/**
+ * Nelson Query Parser v1.0
+ *
+ * SAFE SEARCH SYNTAX FOR FTS5:
+ * - Terms          → quoted for FTS5, so hyphens, dots and colons are literal
+ *                    ("ha-ha", "stop-hook.sh", "http://...")
+ * - "exact phrase" → FTS5 phrase
+ * - prefix*        → FTS5 prefix query ("exact phr"* works too)
+ * - AND / OR / NOT → boolean operators (uppercase only; lowercase words are terms),
+ *                    parentheses group; adjacent terms are ANDed
+ * - Field filters  → SQL predicates applied to every ranking signal:
+ *     file:docs/            path contains "docs/"
+ *     header:Webhook        section header contains "Webhook"
+ *     type:daily_log        indexed file type (see index.patterns in config.json)
+ *     after:2026-01-01      on or after a date (daily logs by file name, other files by index date)
+ *     before:2026-02-01     before a date
+ *   Values can be quoted (header:"Security Rules"). Repeating a field ORs its
+ *   values; different fields AND. Filters apply to the whole query wherever they appear.
+ *
+ * Nothing the user types can produce an FTS5 syntax error: unbalanced
+ * parentheses and dangling operators are ignored.
+ *
+ * Usage:
+ *   node .nelson/query-parser.cjs 'webhook NOT stripe file:docs/'   # Show the compiled query
+ */
+
+// Field filters (field:value)
+const FILTER_FIELDS = ['file', 'header', 'type', 'after', 'before'];
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a value is a real YYYY-MM-DD date (Date.parse accepts 2026-02-30)
+ */
+function isCalendarDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const time = Date.parse(value);
+    return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Split a query into tokens: ( ) operators, terms, phrases and field filters
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    // Read a quoted string starting at its opening quote (an unclosed quote runs to the end)
+    const readQuoted = (start) => {
+        const close = input.indexOf('"', start + 1);
+        const end = close === -1 ? input.length : close;
+        return { value: input.slice(start + 1, end), next: close === -1 ? end : end + 1 };
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch === '(' ? 'lparen' : 'rparen' });
+            i++;
+        } else if (ch === '"') {
+            const { value, next } = readQuoted(i);
+            const prefix = input[next] === '*';
+            tokens.push({ type: 'phrase', value, prefix });
+            i = prefix ? next + 1 : next;
+        } else {
+            const field = input.slice(i).match(/^([a-z]+):(?=\S)/i);
+
+            if (field && FILTER_FIELDS.includes(field[1].toLowerCase())) {
+                const start = i + field[0].length;
+                let value;
+                if (input[start] === '"') {
+                    ({ value, next: i } = readQuoted(start));
+                } else {
+                    const word = input.slice(start).match(/^[^\s()]+/)[0];
+                    value = word;
+                    i = start + word.length;
+                }
+                tokens.push({ type: 'filter', field: field[1].toLowerCase(), value });
+                continue;
+            }
+
+            const word = input.slice(i).match(/^[^\s()"]+/)[0];
+            i += word.length;
+
+            if (OPERATORS.includes(word)) {
+                tokens.push({ type: 'op', value: word });
+            } else if (word.length > 1 && word.endsWith('*')) {
+                tokens.push({ type: 'term', value: word.replace(/\*+$/, ''), prefix: true });
+            } else {
+                tokens.push({ type: 'term', value: word, prefix: false });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree (NOT binds tightest, then AND, then OR)
+ * Filters are collected separately. Returns { expr, filters }.
+ */
+function parseTokens(tokens) {
+    const filters = [];
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'op' && peek().value === 'OR') {
+            pos++;
+            children.push(parseAnd());
+        }
+        return simplify('or', children);
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'rparen' && !(peek().type === 'op' && peek().value === 'OR')) {
+            if (peek().type === 'op' && peek().value === 'AND') {
+                pos++;
+                continue;
+            }
+            children.push(parseUnary());
+        }
+        return simplify('and', children);
+    };
+
+    const parseUnary = () => {
+        const token = tokens[pos++];
+
+        if (token.type === 'op' && token.value === 'NOT') {
+            // "a NOT" - nothing to negate
+            if (!peek() || peek().type === 'rparen' || peek().type === 'op') return null;
+            const child = parseUnary();
+            return child ? { type: 'not', child } : null;
+        }
+        if (token.type === 'lparen') {
+            const expr = parseOr();
+            if (peek() && peek().type === 'rparen') pos++;
+            return expr;
+        }
+        if (token.type === 'filter') {
+            filters.push({ field: token.field, value: token.value });
+            return null;
+        }
+        if (token.type === 'phrase' || token.type === 'term') {
+            return token.value.trim() ? { type: token.type, value: token.value, prefix: token.prefix } : null;
+        }
+        // Stray operator or ")" handled by the callers
+        return null;
+    };
+
+    const parts = [];
+    while (pos < tokens.length) {
+        parts.push(parseOr());
+        // Skip a stray ")" at the top level
+        if (peek() && peek().type === 'rparen') pos++;
+    }
+
+    return { expr: simplify('and', parts), filters };
+}
+
+/**
+ * Drop empty children and collapse single-child groups
+ */
+function simplify(type, children) {
+    const kept = children.filter(Boolean);
+    if (kept.length === 0) return null;
+    if (kept.length === 1) return kept[0];
+    return { type, children: kept };
+}
+
+/**
+ * Quote a term or phrase for FTS5 (null when it has no indexable characters)
+ */
+function quoteFts(node) {
+    if (!/[\p{L}\p{N}]/u.test(node.value)) return null;
+    return `"${node.value.replace(/"/g, '""')}"${node.prefix ? '*' : ''}`;
+}
+
+/**
+ * Compile an expression tree to an FTS5 MATCH string (null when empty)
+ * FTS5's NOT is binary, so negations are attached to the positive terms of their group.
+ */
+function compileFts(node) {
+    if (!node) return null;
+
+    if (node.type === 'term' || node.type === 'phrase') {
+        return quoteFts(node);
+    }
+
+    if (node.type === 'not') {
+        throw new Error('NOT needs a term to exclude from (e.g. "webhook NOT stripe")');
+    }
+
+    if (node.type === 'or') {
+        const parts = node.children.map(compileFts).filter(Boolean);
+        if (parts.length === 0) return null;
+        return parts.length === 1 ? parts[0] : `(${parts.join(' OR ')})`;
+    }
+
+    // AND: (positives) NOT (negative OR negative)
+    const positives = node.children.filter(c => c.type !== 'not').map(compileFts).filter(Boolean);
+    const negatives = node.children.filter(c => c.type === 'not').map(c => compileFts(c.child)).filter(Boolean);
+
+    if (positives.length === 0) {
+        if (negatives.length === 0) return null;
+        throw new Error('NOT needs a term to exclude from (e.g. "webhook NOT stripe")');
+    }
+
+    const positive = positives.length === 1 ? positives[0] : `(${positives.join(' AND ')})`;
+    if (negatives.length === 0) return positive;
+    return `${positive} NOT (${negatives.join(' OR ')})`;
+}
+
+/**
+ * Collect the positive terms and phrases (for the exact-phrase and vector signals)
+ */
+function positiveText(node) {
+    if (!node || node.type === 'not') return [];
+    if (node.type === 'term' || node.type === 'phrase') return [node.value];
+    return node.children.flatMap(positiveText);
+}
+
+/**
+ * Parse a search query
+ * Returns { input, match, exclude, text, filters }:
+ * - match   → FTS5 MATCH string for the positive part (null when there is none)
+ * - exclude → FTS5 MATCH string of top-level NOT terms, applied to every signal
+ * - text    → positive terms and phrases as plain text
+ * - filters → { file: [], header: [], type: [], after, before }
+ * Throws on invalid filter values (e.g. a malformed date).
+ */
+function parseQuery(input) {
+    const { expr, filters: rawFilters } = parseTokens(tokenize(String(input || '')));
+
+    const filters = { file: [], header: [], type: [], after: null, before: null };
+    for (const { field, value } of rawFilters) {
+        if (field === 'after' || field === 'before') {
+            if (!isCalendarDate(value)) {
+                throw new Error(`Invalid ${field}: date "${value}" (expected YYYY-MM-DD)`);
+            }
+            filters[field] = value;
+        } else {
+            filters[field].push(value);
+        }
+    }
+
+    // Top-level negations exclude chunks from every signal, not just FTS
+    let positive = expr;
+    let negatives = [];
+    if (expr && expr.type === 'not') {
+        positive = null;
+        negatives = [expr.child];
+    } else if (expr && expr.type === 'and') {
+        positive = simplify('and', expr.children.filter(c => c.type !== 'not'));
+        negatives = expr.children.filter(c => c.type === 'not').map(c => c.child);
+    }
+
+    const excludeParts = negatives.map(compileFts).filter(Boolean);
+
+    return {
+        input: String(input || ''),
+        match: compileFts(positive),
+        exclude: excludeParts.length > 0 ? excludeParts.join(' OR ') : null,
+        text: positiveText(positive).join(' '),
+        filters
+    };
+}
+
+/**
+ * Escape LIKE wildcards (used with ESCAPE '\')
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Compile filters and exclusions to SQL predicates on the chunks table
+ * alias is the chunks table prefix ('c.' or ''). Returns { clauses, params }.
+ */
+function compileFilters(parsed, alias = '') {
+    const clauses = [];
+    const params = [];
+    const { filters } = parsed;
+
+    const anyLike = (column, values) => {
+        clauses.push(`(${values.map(() => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+        params.push(...values.map(v => `%${escapeLike(v)}%`));
+    };
+
+    if (filters.file.length > 0) anyLike(`${alias}file`, filters.file);
+    if (filters.header.length > 0) anyLike(`${alias}section_header`, filters.header);
+
+    if (filters.type.length > 0) {
+        clauses.push(`${alias}file IN (SELECT file FROM indexed_files WHERE file_type IN (${filters.type.map(() => '?').join(', ')}))`);
+        params.push(...filters.type);
+    }
+
+    if (filters.after || filters.before) {
+        // Daily logs are dated by their file name (memory/YYYY-MM-DD.md)
+        const day = `(CASE WHEN ${alias}file GLOB '*memory/[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9].md'
+            THEN substr(${alias}file, -13, 10) ELSE date(${alias}updated_at) END)`;
+        if (filters.after) {
+            clauses.push(`${day} >= ?`);
+            params.push(filters.after);
+        }
+        if (filters.before) {
+            clauses.push(`${day} < ?`);
+            params.push(filters.before);
+        }
+    }
+
+    if (parsed.exclude) {
+        clauses.push(`${alias}rowid NOT IN (SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH ?)`);
+        params.push(parsed.exclude);
+    }
+
+    return { clauses, params };
+}
+
+/**
+ * Whether a parsed query has any filter or exclusion
+ */
+function hasFilters(parsed) {
+    const { filters } = parsed;
+    return filters.file.length > 0 || filters.header.length > 0 || filters.type.length > 0 ||
+        Boolean(filters.after || filters.before || parsed.exclude);
+}
+
+/**
+ * CLI: show how a query compiles
+ */
+async function main() {
+    const input = process.argv.slice(2).join(' ');
+    if (!input) {
+        console.log('Usage: node .nelson/query-parser.cjs "query"');
+        process.exit(1);
+    }
+
+    let parsed;
+    try {
+        parsed = parseQuery(input);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+
+    const { clauses, params } = compileFilters(parsed);
+    console.log(`🔎 Query: ${parsed.input}`);
+    console.log(`   FTS5 MATCH: ${parsed.match || '(none)'}`);
+    console.log(`   Text: ${parsed.text || '(none)'}`);
+    if (clauses.length > 0) {
+        console.log('   Filters:');
+        clauses.forEach(clause => console.log(`     • ${clause.replace(/\s+/g, ' ')}`));
+        console.log(`   Params: ${JSON.stringify(params)}`);
+    }
+}
+
+// Export for use as module
+module.exports = {
+    parseQuery,
+    compileFilters,
+    hasFilters,
+    escapeLike,
+    tokenize,
+    FILTER_FIELDS
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -0,0 +1,235 @@
+/**
+ * Nelson Search Server Transport v1.0
+ *
+ * KEEPS SEARCH WARM BETWEEN CALLS:
+ * `node .nelson/search.cjs serve` holds the database, prepared statements,
+ * embedder and file contents in memory; every later search.cjs call connects
+ * here instead of starting from scratch (and falls back to direct mode when
+ * no server is running).
+ *
+ * This module is only the transport:
+ * - Newline-delimited JSON-RPC 2.0 over a Unix socket in .nelson/
+ *   (a named pipe on Windows, a temp-dir socket when the path is too long)
+ * - One request per line, one response per line; handlers may be async
+ *
+ * Usage:
+ *   node .nelson/search.cjs serve            # Start (foreground)
+ *   node .nelson/search.cjs serve --status   # Show pid, uptime and cache sizes
+ *   node .nelson/search.cjs serve --stop     # Stop a running server
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// How long a client waits for a server before using direct mode
+const CONNECT_TIMEOUT_MS = 250;
+
+// Longest a single request may take
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Unix socket paths are limited to ~104 bytes (sun_path)
+const MAX_SOCKET_PATH = 100;
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const SERVER_ERROR = -32000;
+
+/**
+ * Socket path for a project's .nelson/ directory
+ */
+function socketPathFor(nelsonDir) {
+    const hash = crypto.createHash('sha1').update(path.resolve(nelsonDir)).digest('hex').slice(0, 12);
+
+    if (process.platform === 'win32') {
+        return `\\\\.\\pipe\\nelson-search-${hash}`;
+    }
+
+    const local = path.join(nelsonDir, 'search.sock');
+    return Buffer.byteLength(local) < MAX_SOCKET_PATH ? local : path.join(os.tmpdir(), `nelson-search-${hash}.sock`);
+}
+
+/**
+ * Split a stream into lines and call onLine for each complete one
+ */
+function onLines(socket, onLine) {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', (data) => {
+        buffer += data;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (line.trim()) onLine(line);
+        }
+    });
+}
+
+/**
+ * Connect to a server (null when none is listening)
+ * Returns { call(method, params), close() }; call() rejects with the server's error message.
+ */
+function connectServer(socketPath, options = {}) {
+    return new Promise((resolve) => {
+        const socket = net.createConnection(socketPath);
+        const pending = new Map();
+        let nextId = 1;
+
+        const timer = setTimeout(() => {
+            socket.destroy();
+            resolve(null);
+        }, options.connectTimeout || CONNECT_TIMEOUT_MS);
+
+        const failAll = (message) => {
+            for (const { reject, timeout } of pending.values()) {
+                clearTimeout(timeout);
+                reject(new Error(message));
+            }
+            pending.clear();
+        };
+
+        socket.once('connect', () => {
+            clearTimeout(timer);
+            resolve({
+                call: (method, params = {}) => new Promise((resolveCall, reject) => {
+                    const id = nextId++;
+                    const timeout = setTimeout(() => {
+                        pending.delete(id);
+                        reject(new Error(`Search server did not answer "${method}" within ${REQUEST_TIMEOUT_MS / 1000}s`));
+                    }, options.requestTimeout || REQUEST_TIMEOUT_MS);
+                    pending.set(id, { resolve: resolveCall, reject, timeout });
+                    socket.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+                }),
+                close: () => socket.end()
+            });
+        });
+
+        socket.on('error', (e) => {
+            clearTimeout(timer);
+            failAll(`Search server connection failed: ${e.message}`);
+            resolve(null);
+        });
+
+        socket.on('close', () => failAll('Search server closed the connection'));
+
+        onLines(socket, (line) => {
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (e) {
+                return;
+            }
+            const request = pending.get(message.id);
+            if (!request) return;
+
+            pending.delete(message.id);
+            clearTimeout(request.timeout);
+            if (message.error) {
+                request.reject(new Error(message.error.message));
+            } else {
+                request.resolve(message.result);
+            }
+        });
+    });
+}
+
+/**
+ * Start a JSON-RPC server on socketPath
+ * handlers maps method names to functions (params) => result (sync or async).
+ * A leftover socket from a crashed server is removed; a live one is an error.
+ */
+async function startServer(socketPath, handlers, options = {}) {
+    if (process.platform !== 'win32' && fs.existsSync(socketPath)) {
+        const existing = await connectServer(socketPath);
+        if (existing) {
+            existing.close();
+            throw new Error(`A search server is already running on ${socketPath}`);
+        }
+        fs.unlinkSync(socketPath);
+    }
+
+    const server = net.createServer((socket) => {
+        const reply = (message) => {
+            if (!socket.destroyed) socket.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+        };
+
+        // Nothing may escape this async callback - an unhandled rejection would end the server
+        onLines(socket, async (line) => {
+            let request;
+            try {
+                request = JSON.parse(line);
+            } catch (e) {
+                reply({ id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+                return;
+            }
+
+            if (!request || typeof request !== 'object' || Array.isArray(request) || typeof request.method !== 'string') {
+                const id = request && typeof request === 'object' && request.id !== undefined ? request.id : null;
+                reply({ id, error: { code: INVALID_REQUEST, message: 'Invalid request' } });
+                return;
+            }
+
+            try {
+                const handler = Object.prototype.hasOwnProperty.call(handlers, request.method) ? handlers[request.method] : null;
+                if (!handler) {
+                    reply({ id: request.id, error: { code: METHOD_NOT_FOUND, message: `Unknown method "${request.method}"` } });
+                    return;
+                }
+
+                if (options.onRequest) options.onRequest(request.method);
+                reply({ id: request.id, result: await handler(request.params || {}) });
+            } catch (e) {
+                reply({ id: request.id, error: { code: SERVER_ERROR, message: e.message } });
+            }
+        });
+
+        socket.on('error', () => {
+            // Client went away mid-request - nothing to clean up
+        });
+    });
+
+    // Only the owner may query the project's memory: the socket file is bound
+    // under a restrictive umask, so it is 0600 from the moment it exists
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        const umask = process.platform !== 'win32' ? process.umask(0o177) : null;
+        try {
+            server.listen(socketPath, () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        } finally {
+            if (umask !== null) process.umask(umask);
+        }
+    });
+
+    return server;
+}
+
+/**
+ * Stop a server and remove its socket file
+ */
+function stopServer(server, socketPath) {
+    server.close();
+    if (process.platform !== 'win32') {
+        try {
+            fs.unlinkSync(socketPath);
+        } catch (e) {
+            // Already removed by close()
+        }
+    }
+}
+
+// Export for use as module
+module.exports = {
+    socketPathFor,
+    connectServer,
+    startServer,
+    stopServer,
+    CONNECT_TIMEOUT_MS
+};
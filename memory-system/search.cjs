@@ -1,71 +1,260 @@
 /**
- * Nelson Memory Search Module v3.0
+ * Nelson Memory Search Module v3.1
+ *
+ * HYBRID RANKING:
+ * Reciprocal rank fusion of FTS5 BM25, vector cosine similarity (sqlite-vec)
+ * and exact-phrase hits. Weights are configurable per query.
  *
  * INTELLIGENT CONTEXT RETRIEVAL:
  * - Daily logs → Full session retrieval
  * - Documentation → Section-level retrieval (header to header)
+ * - Source code → Symbol-level retrieval (function, class, declaration)
  * - Any file → Context expansion (adjacent chunks)
+ * Strategies are set per file type under search.expansion in config.json
+ * (session, section[:N], symbol, adjacent[:N], file[:N], none; lists fall back
+ * in order). Expansions over search.max_expand_lines (--max-expand-lines N)
+ * fall back to the next strategy.
  *
  * THE CHUNK PROBLEM SOLVED:
  * When a chunk matches but doesn't contain full context, we automatically:
  * 1. Expand to include the parent section (## Header → next ## Header)
  * 2. Include adjacent chunks for continuity
- * 3. Merge overlapping results to avoid duplicates
+ * 3. Merge overlapping results to avoid duplicates (line ranges within a file,
+ *    near-identical text across files → "Also found in")
  *
  * Usage:
  *   node .nelson/search.cjs "your query"              # Smart retrieval (auto-expands)
  *   node .nelson/search.cjs "query" --expand          # Force context expansion
  *   node .nelson/search.cjs "query" --section         # Return full sections
  *   node .nelson/search.cjs "query" --chunk           # Raw chunks only (no expansion)
+ *   node .nelson/search.cjs "query" --max-expand-lines 80  # Cap expanded results
  *   node .nelson/search.cjs "query" --limit 10        # Limit results
  *   node .nelson/search.cjs "query" --file MEMORY.md  # Filter by file
+ *   node .nelson/search.cjs "query" --type instructions  # Filter by file type
+ *   node .nelson/search.cjs --stats                   # Index statistics
  *   node .nelson/search.cjs --context "task"          # Auto-retrieve for task
+ *   node .nelson/search.cjs --context "task" --budget 4000  # Pack into a token budget
  *   node .nelson/search.cjs --list-sessions           # List all sessions
  *   node .nelson/search.cjs --header "Webhook"        # Find section by header
+ *   node .nelson/search.cjs "query" --explain         # Show ranking signals
+ *   node .nelson/search.cjs "query" --weights fts=1,vector=0.5,phrase=0
+ *   node .nelson/search.cjs "query" --package @acme/api  # Only one workspace package
+ *   node .nelson/search.cjs "query" --format json      # Machine-readable (also ndjson, markdown)
+ *   node .nelson/search.cjs "query" --highlight markdown  # **bold** matches (terminal, none; json defaults to none)
+ *
+ * QUERY SYNTAX (query-parser.cjs):
+ *   "exact phrase", prefix*, AND/OR/NOT, parentheses, and field filters
+ *   file:docs/ header:Webhook type:daily_log after:2026-01-01 before:2026-02-01.
+ *   Other punctuation is literal, so "ha-ha mode" or stop-hook.sh never break FTS5.
+ *
+ * MATCH LOCATIONS:
+ * Every result lists the lines that matched (FTS5 highlight(), or the query terms
+ * for vector/phrase hits) with the terms highlighted, so an expanded session or
+ * section shows where to look.
+ *
+ * OUTPUT:
+ * Results go to stdout; banners, warnings and errors go to stderr, so hooks can
+ * parse --format json/ndjson directly (schema: schemas/search-results.schema.json).
+ * With --fail-on-empty the exit code is 1 when nothing matched.
+ *
+ * SEARCH SERVER:
+ * `search.cjs serve` keeps the database, prepared statements, embedder and file
+ * contents warm behind a local socket (.nelson/search.sock). Later calls use it
+ * automatically and fall back to direct mode when it is not running
+ * (--no-server or NELSON_SEARCH_SERVER=off to skip it).
+ *
+ * MONOREPOS:
+ * Run from any package directory - the index at the repo root is used and
+ * results from the current package are boosted (search.package_boost, or
+ * --package-boost N; 1 disables). File paths are relative to the repo root.
+ *
+ * RANKING BOOSTS:
+ * Fused scores are scaled by file priority (CLAUDE.md > MEMORY.md > docs ...) and,
+ * for daily logs, by recency from the memory/YYYY-MM-DD.md date (half-life decay;
+ * --recency-weight N per query, 0 disables).
+ *
+ * Vector-only hits need a cosine similarity of at least search.min_similarity
+ * (--min-similarity N, default 0.2): nearest neighbours always exist, matches don't.
+ *
+ * Default limit, fusion weights and boosts can be set under "search" in .nelson/config.json.
  */
 
 const fs = require('fs');
 const path = require('path');
-
-const NELSON_DIR = path.join(process.cwd(), '.nelson');
+const { loadVectorExtension, loadEmbeddingProvider, toBlob } = require('./embeddings.cjs');
+const { getLanguage } = require('./code-chunker.cjs');
+const { loadConfig, reportConfigError } = require('./config.cjs');
+const { PROJECT_ROOT, loadPackages, findPackage, currentPackage } = require('./workspaces.cjs');
+const { countTokens, getTokenizer } = require('./tokenizer.cjs');
+const { parseQuery, compileFilters, hasFilters, escapeLike } = require('./query-parser.cjs');
+const { parseSessions, dailyLogDate } = require('./sessions.cjs');
+const { socketPathFor, connectServer, startServer, stopServer } = require('./search-server.cjs');
+
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
 const DB_PATH = path.join(NELSON_DIR, 'memory.db');
 const MEMORY_DIR = path.join(NELSON_DIR, 'memory');
 
+// Written by `init-db.cjs --watch`; older than this means no watcher is running
+const HEARTBEAT_PATH = path.join(NELSON_DIR, 'index-heartbeat.json');
+const HEARTBEAT_STALE_MS = 30 * 1000;
+
+/**
+ * Compare the index against disk
+ * Counts indexed files modified or deleted since they were indexed, and daily
+ * logs that were never indexed. Reports whether a watcher heartbeat is fresh.
+ */
+function checkIndexFreshness(db) {
+    const rows = db.prepare('SELECT file, indexed_at FROM indexed_files').all();
+    const indexed = new Set(rows.map(row => row.file));
+    const result = { changed: [], deleted: [], unindexed: [], watcher: null };
+
+    for (const { file, indexed_at } of rows) {
+        const fullPath = path.join(PROJECT_ROOT, file);
+        if (!fs.existsSync(fullPath)) {
+            result.deleted.push(file);
+        } else if (fs.statSync(fullPath).mtimeMs > Date.parse(indexed_at.replace(' ', 'T') + 'Z') + 1000) {
+            result.changed.push(file);
+        }
+    }
+
+    // New daily logs are the most common thing the index misses
+    if (fs.existsSync(MEMORY_DIR)) {
+        for (const name of fs.readdirSync(MEMORY_DIR)) {
+            const file = path.join('.nelson', 'memory', name);
+            if (name.endsWith('.md') && !indexed.has(file)) result.unindexed.push(file);
+        }
+    }
+
+    if (fs.existsSync(HEARTBEAT_PATH)) {
+        try {
+            const heartbeat = JSON.parse(fs.readFileSync(HEARTBEAT_PATH, 'utf-8'));
+            const age = Date.now() - Date.parse(heartbeat.updated_at);
+            result.watcher = { ...heartbeat, alive: age < HEARTBEAT_STALE_MS };
+        } catch (e) {
+            // Half-written heartbeat - treat as no watcher
+        }
+    }
+
+    result.behind = result.changed.length + result.deleted.length + result.unindexed.length > 0;
+    return result;
+}
+
+/**
+ * Print a warning (to stderr) when the index is behind disk
+ */
+function warnIfStale(freshness) {
+    if (!freshness.behind) return;
+
+    const parts = [];
+    if (freshness.changed.length > 0) parts.push(`${freshness.changed.length} changed`);
+    if (freshness.unindexed.length > 0) parts.push(`${freshness.unindexed.length} new`);
+    if (freshness.deleted.length > 0) parts.push(`${freshness.deleted.length} deleted`);
+
+    console.error(`⚠️  Index is behind disk: ${parts.join(', ')} file(s) since last index`);
+    if (freshness.watcher && freshness.watcher.alive) {
+        console.error(`   Watcher running (pid ${freshness.watcher.pid}) - results will catch up shortly`);
+    } else {
+        console.error('   Run: node .nelson/init-db.cjs (or keep it fresh with --watch)');
+    }
+    console.error('');
+}
+
+// Daily logs live directly in .nelson/memory/ (not any memory/ directory)
+const DAILY_LOG_PATH = /^\.nelson\/memory\/[^/]+\.md$/;
+
 /**
- * Check if a file is a daily log (memory/*.md)
+ * Check if a file is a daily log (.nelson/memory/*.md)
  */
 function isDailyLog(filePath) {
-    return filePath.includes('memory/') && filePath.endsWith('.md');
+    return DAILY_LOG_PATH.test(filePath.split(path.sep).join('/'));
 }
 
 /**
- * Check if a file is structured documentation (CLAUDE.md, docs/, etc.)
+ * Check if a file is structured documentation (markdown split by headers)
  */
 function isStructuredDoc(filePath) {
-    return filePath.endsWith('CLAUDE.md') ||
-           filePath.includes('docs/') ||
-           filePath.endsWith('MEMORY.md') ||
-           filePath.endsWith('NELSON_SOUL.md');
+    return filePath.endsWith('.md') && !isDailyLog(filePath);
 }
 
 /**
- * Extract the full section containing a specific line from a markdown file
- * Sections are delimited by ## or ### headers
+ * Check if a file is source code indexed by symbol (js/ts/py/go/sh/json/yaml)
+ */
+function isSourceCode(filePath) {
+    return !filePath.endsWith('.md') && getLanguage(filePath) !== null;
+}
+
+/**
+ * Get the other chunks of a code symbol that was split across chunks
+ */
+function getSymbolChunks(db, chunkId, file, symbol) {
+    try {
+        return db.prepare(`
+            SELECT id, file, line_start, line_end, content
+            FROM chunks
+            WHERE file = ? AND section_header = ? AND id != ?
+            ORDER BY line_start
+        `).all(file, symbol, chunkId);
+    } catch (e) {
+        return [];
+    }
+}
+
+// File lines by path, reused while size and mtime are unchanged (expansion
+// re-reads the same files constantly, most of all under `search.cjs serve`)
+const fileLineCache = new Map();
+const FILE_CACHE_LIMIT = 200;
+
+/**
+ * Read a file relative to the project root as lines (null when missing)
+ * Callers must not modify the returned array.
  */
-function extractSectionFromFile(filePath, lineNumber) {
-    const fullPath = path.join(process.cwd(), filePath);
+function readFileLines(filePath) {
+    const fullPath = path.join(PROJECT_ROOT, filePath);
 
-    if (!fs.existsSync(fullPath)) {
+    let stat;
+    try {
+        stat = fs.statSync(fullPath);
+    } catch (e) {
+        fileLineCache.delete(fullPath);
         return null;
     }
 
-    const content = fs.readFileSync(fullPath, 'utf-8');
-    const lines = content.split('\n');
+    const cached = fileLineCache.get(fullPath);
+    fileLineCache.delete(fullPath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        fileLineCache.set(fullPath, cached);
+        return cached.lines;
+    }
+
+    const lines = fs.readFileSync(fullPath, 'utf-8').split('\n');
+    fileLineCache.set(fullPath, { mtimeMs: stat.mtimeMs, size: stat.size, lines });
+    if (fileLineCache.size > FILE_CACHE_LIMIT) {
+        fileLineCache.delete(fileLineCache.keys().next().value);
+    }
+    return lines;
+}
+
+/**
+ * Extract the full section containing a specific line from a markdown file
+ * Sections are delimited by headers up to maxLevel (# to ### by default), so
+ * maxLevel 2 returns the enclosing ## section with its ### subsections.
+ * Lines inside ``` fences are never headers.
+ */
+function extractSectionFromFile(filePath, lineNumber, maxLevel = 3) {
+    const lines = readFileLines(filePath);
+
+    if (!lines) {
+        return null;
+    }
 
-    // Find all section boundaries (## and ### headers)
+    // Find all section boundaries (headers up to maxLevel, outside code fences)
     const sectionStarts = [];
+    const headerPattern = new RegExp(`^#{1,${maxLevel}}\\s+`);
+    let inFence = false;
     for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^#{1,3}\s+/)) {  // Match #, ##, or ### headers
+        if (/^\s*(```|~~~)/.test(lines[i])) {
+            inFence = !inFence;
+        } else if (!inFence && headerPattern.test(lines[i])) {
             sectionStarts.push({
                 line: i,
                 level: (lines[i].match(/^#+/) || [''])[0].length,
@@ -87,10 +276,10 @@ function extractSectionFromFile(filePath, lineNumber) {
         };
     }
 
-    // Find which section contains the target line
+    // Find which section contains the target line (lineNumber is 1-indexed)
     let sectionIndex = 0;
     for (let i = sectionStarts.length - 1; i >= 0; i--) {
-        if (lineNumber >= sectionStarts[i].line) {
+        if (lineNumber - 1 >= sectionStarts[i].line) {
             sectionIndex = i;
             break;
         }
@@ -123,23 +312,31 @@ function extractSectionFromFile(filePath, lineNumber) {
 
 /**
  * Get adjacent chunks for context expansion
+ * Returns up to expandBy chunks on each side, in file order (however far apart they are).
  */
 function getAdjacentChunks(db, chunkId, file, lineStart, lineEnd, expandBy = 1) {
-    // Get chunks from the same file that are adjacent
-    const sql = `
-        SELECT id, file, line_start, line_end, content
-        FROM chunks
-        WHERE file = ?
-        AND (
-            (line_end >= ? - 5 AND line_end < ?)  -- Chunk ends just before our chunk
-            OR (line_start > ? AND line_start <= ? + 5)  -- Chunk starts just after our chunk
-        )
-        ORDER BY line_start
-        LIMIT ?
-    `;
+    if (expandBy <= 0) {
+        return [];
+    }
 
     try {
-        return db.prepare(sql).all(file, lineStart, lineStart, lineEnd, lineEnd, expandBy * 2);
+        const before = db.prepare(`
+            SELECT id, file, line_start, line_end, content
+            FROM chunks
+            WHERE file = ? AND id != ? AND line_start < ?
+            ORDER BY line_start DESC
+            LIMIT ?
+        `).all(file, chunkId, lineStart, expandBy);
+
+        const after = db.prepare(`
+            SELECT id, file, line_start, line_end, content
+            FROM chunks
+            WHERE file = ? AND id != ? AND line_start > ? AND line_end > ?
+            ORDER BY line_start
+            LIMIT ?
+        `).all(file, chunkId, lineStart, lineEnd, expandBy);
+
+        return [...before.reverse(), ...after];
     } catch (e) {
         return [];
     }
@@ -168,9 +365,8 @@ function mergeChunksContent(mainChunk, adjacentChunks, originalFile) {
             // Partial overlap - extend the last chunk
             const lastChunk = merged[merged.length - 1];
             // Read from file to get the extended content
-            const fullPath = path.join(process.cwd(), originalFile);
-            if (fs.existsSync(fullPath)) {
-                const lines = fs.readFileSync(fullPath, 'utf-8').split('\n');
+            const lines = readFileLines(originalFile);
+            if (lines) {
                 lastChunk.content = lines.slice(lastChunk.line_start - 1, chunk.line_end).join('\n');
                 lastChunk.line_end = chunk.line_end;
             }
@@ -186,12 +382,16 @@ function mergeChunksContent(mainChunk, adjacentChunks, originalFile) {
  */
 function searchByHeader(db, headerQuery, options = {}) {
     const limit = options.limit || 5;
+    const types = options.type ? [].concat(options.type) : [];
+    const typeClause = types.length > 0
+        ? ` AND file IN (SELECT file FROM indexed_files WHERE file_type IN (${types.map(() => '?').join(', ')}))`
+        : '';
 
     // Search for chunks that contain headers matching the query
     const sql = `
         SELECT DISTINCT file, line_start, line_end, content
         FROM chunks
-        WHERE content LIKE ?
+        WHERE content LIKE ?${typeClause}
         ORDER BY
             CASE
                 WHEN file LIKE '%CLAUDE.md' THEN 1
@@ -203,7 +403,7 @@ function searchByHeader(db, headerQuery, options = {}) {
         LIMIT ?
     `;
 
-    const results = db.prepare(sql).all(`%# %${headerQuery}%`, limit * 2);
+    const results = db.prepare(sql).all(`%# %${headerQuery}%`, ...types, limit * 2);
 
     // Extract full sections for each match
     const sections = [];
@@ -234,15 +434,12 @@ function searchByHeader(db, headerQuery, options = {}) {
  * Sessions are delimited by "## Session:" headers
  */
 function extractSessionFromDailyLog(filePath, lineNumber) {
-    const fullPath = path.join(process.cwd(), filePath);
+    const lines = readFileLines(filePath);
 
-    if (!fs.existsSync(fullPath)) {
+    if (!lines) {
         return null;
     }
 
-    const content = fs.readFileSync(fullPath, 'utf-8');
-    const lines = content.split('\n');
-
     // Find all session boundaries
     const sessionStarts = [];
     for (let i = 0; i < lines.length; i++) {
@@ -255,16 +452,17 @@ function extractSessionFromDailyLog(filePath, lineNumber) {
     if (sessionStarts.length === 0) {
         return {
             sessionName: 'Full Document',
-            content: content,
+            content: lines.join('\n'),
             lineStart: 1,
-            lineEnd: lines.length
+            lineEnd: lines.length,
+            fullDocument: true
         };
     }
 
-    // Find which session contains the target line
+    // Find which session contains the target line (lineNumber is 1-indexed)
     let sessionIndex = 0;
     for (let i = sessionStarts.length - 1; i >= 0; i--) {
-        if (lineNumber >= sessionStarts[i]) {
+        if (lineNumber - 1 >= sessionStarts[i]) {
             sessionIndex = i;
             break;
         }
@@ -340,12 +538,134 @@ function extractSessionSummary(sessionContent) {
     return summary.join('\n');
 }
 
+// Whether chunks.package exists, per DB connection (search opens read-only,
+// so a database from before monorepo support may not be migrated yet)
+const packageColumnCache = new WeakMap();
+
+/**
+ * Column expression for a chunk's package ('NULL' on databases without the column)
+ */
+function packageColumn(db, alias = '') {
+    if (!packageColumnCache.has(db)) {
+        const columns = db.prepare('PRAGMA table_info(chunks)').all().map(c => c.name);
+        packageColumnCache.set(db, columns.includes('package'));
+    }
+    return packageColumnCache.get(db) ? `${alias}package` : 'NULL';
+}
+
+// Markers FTS5 highlight()/snippet() put around matched terms (rendered per --highlight)
+const MATCH_OPEN = '\u0001';
+const MATCH_CLOSE = '\u0002';
+
+// Tokens of context in FTS5 snippets
+const SNIPPET_TOKENS = 16;
+
+// Matching lines shown per result
+const MAX_MATCH_LINES = 3;
+
+// How matched terms are rendered: ANSI bold, markdown **bold**, or plain
+const HIGHLIGHT_MODES = ['terminal', 'markdown', 'none'];
+
+/**
+ * Find the lines of a chunk that matched the query
+ * Uses FTS5 highlight() output when the chunk came from the FTS signal, else marks
+ * the query's terms in the content. Returns [{ line, text }] with absolute line
+ * numbers and matches wrapped in MATCH_OPEN/MATCH_CLOSE.
+ */
+function findMatchLines(chunk, parsed) {
+    let lines;
+    if (chunk.highlighted) {
+        lines = chunk.highlighted.split('\n');
+    } else {
+        const terms = parsed.text.split(/\s+/).filter(term => /[\p{L}\p{N}]/u.test(term));
+        if (terms.length === 0) return [];
+        const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        lines = chunk.content.split('\n').map(line => line.replace(pattern, `${MATCH_OPEN}$1${MATCH_CLOSE}`));
+    }
+
+    const matches = [];
+    lines.forEach((text, i) => {
+        if (text.includes(MATCH_OPEN)) matches.push({ line: chunk.line_start + i, text: text.trim() });
+    });
+    return matches;
+}
+
+/**
+ * Render MATCH_OPEN/MATCH_CLOSE markers for a highlight mode
+ * In markdown, bold already in the text is escaped so it can't run into the
+ * match markers ("**Mode**:" would otherwise become "****Mode****:").
+ */
+function renderHighlight(text, mode = 'none') {
+    if (!text) return text;
+    if (mode === 'markdown') {
+        text = text.replace(/\*{2,}/g, run => run.replace(/\*/g, '\\*'));
+    }
+    const open = mode === 'terminal' ? '\x1b[1;33m' : mode === 'markdown' ? '**' : '';
+    const close = mode === 'terminal' ? '\x1b[0m' : mode === 'markdown' ? '**' : '';
+    return text.split(MATCH_OPEN).join(open).split(MATCH_CLOSE).join(close);
+}
+
+/**
+ * Shorten a highlighted line around its first match
+ */
+function clipMatchLine(text, width = 120) {
+    if (text.length <= width) return text;
+    const start = Math.max(0, text.indexOf(MATCH_OPEN) - Math.floor(width / 3));
+    const clipped = text.slice(start, start + width);
+    // Never leave a match marker unclosed
+    const balanced = clipped.split(MATCH_OPEN).length > clipped.split(MATCH_CLOSE).length ? clipped + MATCH_CLOSE : clipped;
+    return `${start > 0 ? '…' : ''}${balanced}${start + width < text.length ? '…' : ''}`;
+}
+
+/**
+ * Compress line numbers to ranges ("12, 15-17")
+ */
+function formatLineRanges(lines) {
+    const ranges = [];
+    for (const line of [...new Set(lines)].sort((a, b) => a - b)) {
+        const last = ranges[ranges.length - 1];
+        if (last && line === last[1] + 1) last[1] = line;
+        else ranges.push([line, line]);
+    }
+    return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join(', ');
+}
+
+/**
+ * Parse a query string (already parsed queries pass through)
+ * options.type (a file type or list of them) is added as a type: filter.
+ */
+function toParsedQuery(query, options = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    if (!options.type) return parsed;
+
+    const types = [].concat(options.type).filter(type => !parsed.filters.type.includes(type));
+    if (types.length === 0) return parsed;
+    return { ...parsed, filters: { ...parsed.filters, type: [...parsed.filters.type, ...types] } };
+}
+
+/**
+ * Append a parsed query's field filters and exclusions to a WHERE clause
+ */
+function appendQueryFilters(sql, params, parsed, alias = '') {
+    const { clauses, params: filterParams } = compileFilters(parsed, alias);
+    params.push(...filterParams);
+    return sql + clauses.map(clause => ` AND ${clause}`).join('');
+}
+
 /**
  * Search using FTS5 full-text search
+ * The query goes through the safe parser (see query-parser.cjs), so it never
+ * reaches MATCH unescaped. A failing query falls back to LIKE search unless
+ * options.likeFallback is false (then it returns no rows).
  */
 function searchFTS(db, query, options = {}) {
     const limit = options.limit || 5;
     const fileFilter = options.file || null;
+    const parsed = toParsedQuery(query, options);
+
+    if (!parsed.match) {
+        return [];
+    }
 
     let sql = `
         SELECT
@@ -354,37 +674,59 @@ function searchFTS(db, query, options = {}) {
             c.line_start,
             c.line_end,
             c.content,
+            c.section_header,
+            c.file_priority,
+            ${packageColumn(db, 'c.')} as package,
+            highlight(chunks_fts, 0, char(1), char(2)) as highlighted,
+            snippet(chunks_fts, 0, char(1), char(2), '…', ${SNIPPET_TOKENS}) as snippet,
             bm25(chunks_fts) as score
         FROM chunks_fts
         JOIN chunks c ON chunks_fts.rowid = c.rowid
         WHERE chunks_fts MATCH ?
     `;
 
-    const params = [query];
+    const params = [parsed.match];
 
     if (fileFilter) {
         sql += ' AND c.file LIKE ?';
         params.push(`%${fileFilter}%`);
     }
 
+    if (options.package) {
+        sql += ` AND ${packageColumn(db, 'c.')} = ?`;
+        params.push(options.package);
+    }
+
+    sql = appendQueryFilters(sql, params, parsed, 'c.');
+
     sql += ' ORDER BY score LIMIT ?';
     params.push(limit);
 
     try {
         return db.prepare(sql).all(...params);
     } catch (e) {
+        if (options.likeFallback === false) {
+            console.error(`⚠️  FTS query failed (${e.message})`);
+            return [];
+        }
         // If FTS query fails, fall back to LIKE search
-        console.log('⚠️  FTS query failed, using LIKE fallback');
-        return searchLike(db, query, options);
+        console.error(`⚠️  FTS query failed (${e.message}), using LIKE fallback`);
+        return searchLike(db, parsed, options);
     }
 }
 
 /**
  * Fallback search using LIKE (for simple queries)
+ * Matches the query's plain text; a filter-only query returns the newest matching chunks.
  */
 function searchLike(db, query, options = {}) {
     const limit = options.limit || 5;
     const fileFilter = options.file || null;
+    const parsed = toParsedQuery(query, options);
+
+    if (!parsed.text && !hasFilters(parsed)) {
+        return [];
+    }
 
     let sql = `
         SELECT
@@ -393,304 +735,1234 @@ function searchLike(db, query, options = {}) {
             line_start,
             line_end,
             content,
+            section_header,
+            file_priority,
+            ${packageColumn(db)} as package,
             0 as score
         FROM chunks
-        WHERE content LIKE ?
+        WHERE content LIKE ? ESCAPE '\\'
     `;
 
-    const params = [`%${query}%`];
+    const params = [`%${escapeLike(parsed.text)}%`];
 
     if (fileFilter) {
         sql += ' AND file LIKE ?';
         params.push(`%${fileFilter}%`);
     }
 
+    if (options.package) {
+        sql += ` AND ${packageColumn(db)} = ?`;
+        params.push(options.package);
+    }
+
+    sql = appendQueryFilters(sql, params, parsed);
+
     sql += ' ORDER BY created_at DESC LIMIT ?';
     params.push(limit);
 
     return db.prepare(sql).all(...params);
 }
 
+// Embedder per DB connection (null when vector search is unavailable)
+const embedderCache = new WeakMap();
+
 /**
- * Hybrid search combining FTS and keyword matching
+ * Resolve the embedder used to index chunks_vec (cached per connection)
+ * Returns null when sqlite-vec or the vector table is unavailable
  */
-function hybridSearch(db, query, options = {}) {
-    const limit = options.limit || 5;
-
-    // Get FTS results (semantic-ish via BM25)
-    const ftsResults = searchFTS(db, query, { ...options, limit: limit * 2 });
-
-    // Get keyword results
-    const keywordResults = searchLike(db, query, { ...options, limit: limit * 2 });
-
-    // Merge and deduplicate
-    const seen = new Set();
-    const merged = [];
+function getVectorEmbedder(db) {
+    if (embedderCache.has(db)) {
+        return embedderCache.get(db);
+    }
 
-    // FTS results get priority (weight 0.7)
-    for (const result of ftsResults) {
-        if (!seen.has(result.id)) {
-            seen.add(result.id);
-            merged.push({
-                ...result,
-                combinedScore: result.score * 0.7,
-                source: 'fts'
-            });
+    let embedder = null;
+    try {
+        try {
+            db.prepare('SELECT vec_version()').get();
+        } catch (e) {
+            if (!loadVectorExtension(db)) throw e;
         }
-    }
 
-    // Keyword results (weight 0.3)
-    for (const result of keywordResults) {
-        if (!seen.has(result.id)) {
-            seen.add(result.id);
-            merged.push({
-                ...result,
-                combinedScore: -0.3, // Negative because BM25 scores are negative (lower is better)
-                source: 'keyword'
-            });
-        } else {
-            // Boost score if found in both
-            const existing = merged.find(r => r.id === result.id);
-            if (existing) {
-                existing.combinedScore *= 1.2; // 20% boost for appearing in both
-            }
+        const meta = db.prepare("SELECT value FROM embedding_meta WHERE key = 'provider'").get();
+        const candidate = loadEmbeddingProvider();
+
+        if (meta && meta.value === `${candidate.name}:${candidate.dimensions}`) {
+            embedder = candidate;
         }
+    } catch (e) {
+        embedder = null;
     }
 
-    // Sort by combined score (lower is better for BM25)
-    merged.sort((a, b) => a.combinedScore - b.combinedScore);
-
-    return merged.slice(0, limit);
+    embedderCache.set(db, embedder);
+    return embedder;
 }
 
 /**
- * Smart search - automatically expands context based on file type
- * - Daily logs → Full session
- * - Structured docs → Full section (header to header)
- * - Other files → Context expansion (adjacent chunks)
+ * Search chunk embeddings by cosine similarity (requires sqlite-vec)
  */
-function smartSearch(db, query, options = {}) {
+function searchVector(db, query, options = {}) {
     const limit = options.limit || 5;
-    const summaryOnly = options.summaryOnly || false;
-    const expandContext = options.expand !== false;  // Default: expand
-    const sectionMode = options.section || false;
+    const fileFilter = options.file || null;
+    const embedder = options.embedder || getVectorEmbedder(db);
+    const parsed = toParsedQuery(query, options);
+    const text = options.vectorQuery || parsed.text;
 
-    // Get initial search results
-    const rawResults = hybridSearch(db, query, { limit: limit * 2 });
+    if (!embedder || !text) {
+        return [];
+    }
 
-    // Process results - expand based on file type
-    const processedResults = [];
-    const seenContexts = new Set();  // Dedupe expanded results
+    const [vector] = embedder.embed([text]);
 
-    for (const result of rawResults) {
-        if (isDailyLog(result.file)) {
-            // Daily log - extract full session
-            const session = extractSessionFromDailyLog(result.file, result.line_start);
+    // KNN needs a fixed k, so over-fetch when a filter will drop rows
+    const k = fileFilter || options.package || hasFilters(parsed) ? limit * 4 : limit;
+    const params = [toBlob(vector), k];
 
-            if (session) {
-                const contextKey = `${result.file}:session:${session.sessionName}`;
-
-                if (seenContexts.has(contextKey)) continue;
-                seenContexts.add(contextKey);
-
-                processedResults.push({
-                    ...result,
-                    type: 'session',
-                    sessionName: session.sessionName,
-                    content: summaryOnly
-                        ? extractSessionSummary(session.content)
-                        : session.content,
-                    line_start: session.lineStart,
-                    line_end: session.lineEnd,
-                    matchContext: result.content.substring(0, 200) + '...',
-                    expansionType: 'session'
-                });
-            }
-        } else if (isStructuredDoc(result.file) && (expandContext || sectionMode)) {
-            // Structured doc - extract full section
-            const section = extractSectionFromFile(result.file, result.line_start);
-
-            if (section) {
-                const contextKey = `${result.file}:section:${section.sectionName}`;
-
-                if (seenContexts.has(contextKey)) continue;
-                seenContexts.add(contextKey);
-
-                processedResults.push({
-                    ...result,
-                    type: 'section',
-                    sectionName: section.sectionName,
-                    sectionHeader: section.header,
-                    content: section.content,
-                    line_start: section.lineStart,
-                    line_end: section.lineEnd,
-                    matchContext: result.content.substring(0, 200) + '...',
-                    expansionType: 'section'
-                });
-            }
-        } else if (expandContext && !sectionMode) {
-            // Other files - expand with adjacent chunks
-            const contextKey = `${result.file}:chunk:${result.line_start}-${result.line_end}`;
+    try {
+        const sql = appendQueryFilters(`
+            SELECT
+                c.id,
+                c.file,
+                c.line_start,
+                c.line_end,
+                c.content,
+                c.section_header,
+                c.file_priority,
+                ${packageColumn(db, 'c.')} as package,
+                v.distance
+            FROM chunks_vec v
+            JOIN chunks c ON c.rowid = v.rowid
+            WHERE v.embedding MATCH ? AND k = ?
+        `, params, parsed, 'c.');
+        const rows = db.prepare(`${sql} ORDER BY v.distance`).all(...params);
+
+        return rows
+            .filter(r => !fileFilter || r.file.includes(fileFilter))
+            .filter(r => !options.package || r.package === options.package)
+            .slice(0, limit)
+            .map(r => ({ ...r, score: 1 - r.distance }));
+    } catch (e) {
+        return [];
+    }
+}
 
-            if (seenContexts.has(contextKey)) continue;
-            seenContexts.add(contextKey);
+// Default signal weights for reciprocal rank fusion
+const DEFAULT_FUSION_WEIGHTS = {
+    fts: 1.0,      // FTS5 BM25
+    vector: 1.0,   // Embedding cosine similarity
+    phrase: 0.5    // Exact phrase (LIKE) hits
+};
 
-            const adjacentChunks = getAdjacentChunks(
-                db, result.id, result.file, result.line_start, result.line_end, 1
-            );
+// RRF damping constant (standard value from Cormack et al.)
+const RRF_K = 60;
 
-            const expandedContent = adjacentChunks.length > 0
-                ? mergeChunksContent(result, adjacentChunks, result.file)
-                : result.content;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-            processedResults.push({
-                ...result,
-                type: 'expanded_chunk',
-                content: expandedContent,
-                matchContext: result.content.substring(0, 200) + '...',
-                expansionType: 'adjacent',
-                adjacentCount: adjacentChunks.length
-            });
-        } else {
-            // Raw chunk mode - no expansion
-            processedResults.push({
-                ...result,
-                type: 'chunk',
-                expansionType: 'none'
-            });
-        }
+/**
+ * Ranking multipliers for a chunk
+ * - priority → 1 + priorityWeight × (file_priority − 0.5), neutral for ordinary files
+ * - recency  → 1 + recencyWeight × 0.5^(age / halfLifeDays), daily logs only, so
+ *              yesterday's entry gets nearly the full boost and old logs fade to neutral
+ */
+function rankingBoosts(chunk, settings, now = Date.now()) {
+    const filePriority = typeof chunk.file_priority === 'number' ? chunk.file_priority : 0.5;
+    const priority = 1 + settings.priorityWeight * (filePriority - 0.5);
+
+    let recency = 1;
+    const date = dailyLogDate(chunk.file);
+    const time = date ? Date.parse(date) : NaN;
+    if (!Number.isNaN(time) && settings.recencyWeight > 0) {
+        const ageDays = Math.max(0, (now - time) / DAY_MS);
+        recency = 1 + settings.recencyWeight * Math.pow(0.5, ageDays / settings.halfLifeDays);
     }
 
-    return processedResults.slice(0, limit);
+    return { priority, recency, date };
 }
 
 /**
- * Session-level search (legacy alias for smartSearch)
+ * Parse a weights string like "fts=1,vector=0.5,phrase=0.25"
  */
-function sessionSearch(db, query, options = {}) {
-    return smartSearch(db, query, options);
+function parseWeights(spec) {
+    const weights = {};
+
+    for (const part of String(spec).split(',')) {
+        const [name, value] = part.split('=').map(p => p.trim());
+        if (!(name in DEFAULT_FUSION_WEIGHTS)) {
+            throw new Error(`Unknown signal "${name}" (expected: ${Object.keys(DEFAULT_FUSION_WEIGHTS).join(', ')})`);
+        }
+        const weight = parseFloat(value);
+        if (Number.isNaN(weight) || weight < 0) {
+            throw new Error(`Invalid weight for "${name}": ${value}`);
+        }
+        weights[name] = weight;
+    }
+
+    return weights;
 }
 
 /**
- * Format search results for display
+ * Hybrid search - reciprocal rank fusion of BM25, vector and exact-phrase hits
+ *
+ * Each signal contributes weight / (RRF_K + rank), so raw scores with
+ * different scales (negative BM25, cosine 0-1, LIKE hit) never mix directly.
+ * combinedScore is higher-is-better; `signals` records each contribution.
+ * Weights: defaults, then search.weights from config.json, then options.weights.
+ * Chunks from options.boostPackage have their score multiplied by options.packageBoost.
+ * The fused score is then scaled by file priority and daily log recency (see
+ * rankingBoosts); options.priorityWeight / options.recencyWeight override config.
+ * Vector hits below the similarity floor (options.minSimilarity, else
+ * search.min_similarity) are dropped before fusion unless another signal found
+ * the same chunk, so a query nothing matches returns nothing.
  */
-function formatResults(results, options = {}) {
-    if (results.length === 0) {
-        return 'No matches found.';
-    }
+function hybridSearch(db, query, options = {}) {
+    const limit = options.limit || 5;
+    const searchConfig = loadConfig().search;
+    const weights = { ...DEFAULT_FUSION_WEIGHTS, ...searchConfig.weights, ...(options.weights || {}) };
+    const boostSettings = {
+        priorityWeight: options.priorityWeight !== undefined ? options.priorityWeight : searchConfig.priority_weight,
+        recencyWeight: options.recencyWeight !== undefined ? options.recencyWeight : searchConfig.recency_weight,
+        halfLifeDays: searchConfig.recency_half_life_days
+    };
+    const now = options.now || Date.now();
+    const rrfK = options.rrfK || RRF_K;
+    const candidates = limit * 2;
+    const parsed = toParsedQuery(query, options);
+
+    // LIKE hits already count as the phrase signal; a failing FTS query only
+    // falls back to them when that signal is off, so they are never counted twice
+    const likeFallback = !(weights.phrase > 0);
+    const signalResults = {
+        fts: weights.fts > 0 ? searchFTS(db, parsed, { ...options, limit: candidates, likeFallback }) : [],
+        vector: weights.vector > 0 ? searchVector(db, parsed, { ...options, limit: candidates }) : [],
+        phrase: weights.phrase > 0 ? searchLike(db, parsed, { ...options, limit: candidates }) : []
+    };
 
-    let output = '';
-    const verbose = options.verbose || false;
+    // Nearest neighbours always exist: below the floor (search.min_similarity, 0.2 by
+    // default; unrelated text scores ~0.1 with the hash embedder) they are noise
+    const minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : searchConfig.min_similarity;
+    const lexical = new Set([...signalResults.fts, ...signalResults.phrase].map(result => result.id));
+    signalResults.vector = signalResults.vector.filter(result => result.score >= minSimilarity || lexical.has(result.id));
 
-    for (const result of results) {
-        output += `\n${'═'.repeat(70)}\n`;
+    const merged = new Map();
 
-        // Type-specific headers
-        if (result.type === 'session') {
-            output += `📅 SESSION: ${result.sessionName}\n`;
-            output += `   File: ${result.file}:${result.line_start}-${result.line_end}\n`;
-            output += `   Expansion: Full session retrieval\n`;
-        } else if (result.type === 'section') {
-            output += `📑 SECTION: ${result.sectionName}\n`;
-            output += `   File: ${result.file}:${result.line_start}-${result.line_end}\n`;
-            output += `   Header: ${result.sectionHeader || 'N/A'}\n`;
-            output += `   Expansion: Full section (header→header)\n`;
-        } else if (result.type === 'expanded_chunk') {
-            output += `📄 CHUNK (expanded): ${result.file}:${result.line_start}-${result.line_end}\n`;
-            output += `   Expansion: +${result.adjacentCount || 0} adjacent chunks\n`;
-        } else {
-            output += `📄 CHUNK: ${result.file}:${result.line_start}-${result.line_end}\n`;
-            output += `   Expansion: None (raw chunk)\n`;
-        }
+    for (const [signal, results] of Object.entries(signalResults)) {
+        results.forEach((result, index) => {
+            const rank = index + 1;
+            const contribution = weights[signal] / (rrfK + rank);
 
-        // Common fields
-        if (result.combinedScore !== undefined) {
-            output += `   Score: ${result.combinedScore.toFixed(3)} (${result.source || 'unknown'})\n`;
-        }
+            if (!merged.has(result.id)) {
+                const { score, distance, ...chunk } = result;
+                merged.set(result.id, { ...chunk, combinedScore: 0, signals: {} });
+            }
 
-        if (verbose && result.matchContext) {
-            output += `   Match: "${result.matchContext.trim()}"\n`;
+            const entry = merged.get(result.id);
+            entry.combinedScore += contribution;
+            entry.signals[signal] = { rank, score: result.score, contribution };
+        });
+    }
+
+    const fused = Array.from(merged.values());
+    const packageBoost = options.packageBoost || 1;
+    for (const entry of fused) {
+        entry.source = Object.keys(entry.signals).join('+');
+        entry.matches = findMatchLines(entry, parsed);
+        entry.snippet = entry.snippet
+            ? entry.snippet.replace(/\s*\n\s*/g, ' ').trim()
+            : (entry.matches.length > 0 ? entry.matches[0].text : null);
+        delete entry.highlighted;
+        if (options.boostPackage && packageBoost !== 1 && entry.package === options.boostPackage) {
+            entry.combinedScore *= packageBoost;
+            entry.packageBoost = packageBoost;
         }
 
-        output += `${'─'.repeat(70)}\n`;
-        output += result.content + '\n';
+        const boosts = rankingBoosts(entry, boostSettings, now);
+        entry.combinedScore *= boosts.priority * boosts.recency;
+        if (boosts.priority !== 1) entry.priorityBoost = boosts.priority;
+        if (boosts.recency !== 1) {
+            entry.recencyBoost = boosts.recency;
+            entry.logDate = boosts.date;
+        }
     }
 
-    return output;
+    fused.sort((a, b) => b.combinedScore - a.combinedScore);
+
+    return fused.slice(0, limit);
 }
 
-/**
- * Get context for a task (automatic retrieval)
- */
-function getContextForTask(db, taskDescription, options = {}) {
-    const limit = options.limit || 5;
+// Expansion strategies per file type (search.expansion in config.json overrides).
+// A strategy, or a list tried in order; the raw chunk is always the last resort.
+//   session      whole "## Session:" block
+//   section[:N]  enclosing section with headers up to level N (default 3)
+//   symbol       whole code symbol (function, class, declaration)
+//   adjacent[:N] N neighbouring chunks on each side (default 1)
+//   file[:N]     whole file when it has at most N lines (default 200)
+//   none         raw chunk
+const DEFAULT_EXPANSION = {
+    daily_log: ['session', 'adjacent:1'],
+    instructions: ['section', 'adjacent:1'],
+    soul: ['section', 'adjacent:1'],
+    memory: ['section', 'adjacent:1'],
+    pattern: ['section', 'adjacent:1'],
+    readme: ['section', 'adjacent:1'],
+    documentation: ['section', 'adjacent:1'],
+    code: ['symbol', 'adjacent:1'],
+    config: ['symbol', 'adjacent:1'],
+    other: ['adjacent:1']
+};
 
-    // Extract potential keywords from task
-    const keywords = taskDescription
-        .toLowerCase()
-        .replace(/[^a-z0-9\s]/g, ' ')
-        .split(/\s+/)
-        .filter(w => w.length > 3)
-        .filter(w => !['this', 'that', 'with', 'from', 'have', 'been', 'would', 'could', 'should'].includes(w));
+const EXPANSION_STRATEGY = /^(none|session|symbol|section(:[1-6])?|adjacent(:\d+)?|file(:\d+)?)$/;
 
-    // Build FTS query from keywords
-    const ftsQuery = keywords.slice(0, 5).join(' OR ');
+// Line limit for file without a count
+const SMALL_FILE_LINES = 200;
 
-    if (!ftsQuery) {
-        return [];
+/**
+ * Parse a strategy like "section:2" into { name, n, spec }
+ */
+function parseExpansionStrategy(spec) {
+    if (!EXPANSION_STRATEGY.test(spec)) {
+        throw new Error(`Unknown expansion strategy "${spec}" (expected none, session, symbol, section[:N], adjacent[:N] or file[:N])`);
     }
+    const [name, n] = spec.split(':');
+    return { name, n: n !== undefined ? parseInt(n) : null, spec };
+}
 
-    // Use session search for better context
-    return sessionSearch(db, ftsQuery, { limit, summaryOnly: true });
+/**
+ * Strategies to try for a file: its file type's, else by path (daily log, code, markdown)
+ */
+function expansionStrategies(file, fileType, configured) {
+    const strategies = { ...DEFAULT_EXPANSION, ...configured };
+    const key = strategies[fileType] ? fileType
+        : isDailyLog(file) ? 'daily_log'
+        : isSourceCode(file) ? 'code'
+        : file.endsWith('.md') ? 'documentation'
+        : 'other';
+    return [].concat(strategies[key]).map(parseExpansionStrategy);
 }
 
 /**
- * List all sessions from daily logs (for browsing)
+ * File type of each result file, from indexed_files
  */
-function listSessions(options = {}) {
-    const limit = options.limit || 20;
-    const sessions = [];
+function fileTypesFor(db, files) {
+    const unique = [...new Set(files)];
+    if (unique.length === 0) return new Map();
 
-    if (!fs.existsSync(MEMORY_DIR)) {
-        return sessions;
+    try {
+        const rows = db.prepare(`SELECT file, file_type FROM indexed_files WHERE file IN (${unique.map(() => '?').join(', ')})`).all(...unique);
+        return new Map(rows.map(row => [row.file, row.file_type]));
+    } catch (e) {
+        return new Map();
     }
+}
 
-    // Get all daily log files
+/**
+ * Apply one expansion strategy to a chunk
+ * Returns the expanded fields plus a dedupe key, or null when the strategy
+ * does not apply (no sessions, no headers, not a symbol, file too big).
+ */
+function applyExpansion(db, result, strategy) {
+    switch (strategy.name) {
+        case 'session': {
+            const session = extractSessionFromDailyLog(result.file, result.line_start);
+            if (!session || session.fullDocument) return null;
+            return {
+                key: `session:${session.sessionName}`,
+                type: 'session',
+                sessionName: session.sessionName,
+                content: session.content,
+                line_start: session.lineStart,
+                line_end: session.lineEnd
+            };
+        }
+        case 'section': {
+            if (!result.file.endsWith('.md')) return null;
+            const section = extractSectionFromFile(result.file, result.line_start, strategy.n || 3);
+            if (!section || !section.header) return null;
+            return {
+                key: `section:${section.lineStart}`,
+                type: 'section',
+                sectionName: section.sectionName,
+                sectionHeader: section.header,
+                content: section.content,
+                line_start: section.lineStart,
+                line_end: section.lineEnd
+            };
+        }
+        case 'symbol': {
+            if (!isSourceCode(result.file) || !result.section_header) return null;
+            const symbolChunks = getSymbolChunks(db, result.id, result.file, result.section_header);
+            return {
+                key: `symbol:${result.section_header}`,
+                type: 'symbol',
+                symbolName: result.section_header,
+                content: mergeChunksContent({ ...result }, symbolChunks, result.file),
+                line_start: Math.min(result.line_start, ...symbolChunks.map(c => c.line_start)),
+                line_end: Math.max(result.line_end, ...symbolChunks.map(c => c.line_end))
+            };
+        }
+        case 'adjacent': {
+            const n = strategy.n !== null ? strategy.n : 1;
+            const adjacentChunks = getAdjacentChunks(db, result.id, result.file, result.line_start, result.line_end, n);
+            return {
+                key: `chunk:${result.line_start}-${result.line_end}`,
+                type: 'expanded_chunk',
+                content: mergeChunksContent({ ...result }, adjacentChunks.map(c => ({ ...c })), result.file),
+                line_start: Math.min(result.line_start, ...adjacentChunks.map(c => c.line_start)),
+                line_end: Math.max(result.line_end, ...adjacentChunks.map(c => c.line_end)),
+                adjacentCount: adjacentChunks.length
+            };
+        }
+        case 'file': {
+            const lines = readFileLines(result.file);
+            if (!lines || lines.length > (strategy.n || SMALL_FILE_LINES)) return null;
+            return {
+                key: 'file',
+                type: 'file',
+                content: lines.join('\n'),
+                line_start: 1,
+                line_end: lines.length
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+// Words per shingle, and the share of the smaller result's shingles another
+// result must contain for the two to count as the same text
+const SHINGLE_SIZE = 5;
+const DUPLICATE_OVERLAP = 0.8;
+
+// Results with fewer shingles than this are never called duplicates
+const MIN_DUPLICATE_SHINGLES = 8;
+
+// Fields that describe what a result covers (taken over when a result is
+// widened to a same-file hit that contains it)
+const RANGE_FIELDS = ['content', 'line_start', 'line_end', 'type', 'expansionType', 'expansionStrategy',
+    'sessionName', 'sectionName', 'sectionHeader', 'symbolName', 'adjacentCount'];
+
+/**
+ * Word shingles of a result's content (lowercased, punctuation ignored)
+ */
+function contentShingles(content) {
+    const words = (content || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+}
+
+/**
+ * Share of the smaller shingle set found in the larger one (0-1)
+ * Overlap rather than Jaccard, so a copied paragraph inside a longer section
+ * still counts as a duplicate.
+ */
+function shingleOverlap(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    if (small.size < MIN_DUPLICATE_SHINGLES) return 0;
+
+    let shared = 0;
+    for (const shingle of small) {
+        if (large.has(shingle)) shared++;
+    }
+    return shared / small.size;
+}
+
+/**
+ * Fold overlapping and duplicate results into the best-ranked one
+ * - Same file, range inside a kept result (a subsection of a matched section,
+ *   overlapping chunks) → folded into it
+ * - Same file, range containing a kept result → the kept result widens to it
+ * - Same file, partial overlap → merged into one range when it stays within
+ *   maxLines (sessions and summaries are never re-sliced)
+ * - Other file, near-identical text (word shingles) → folded as a duplicate
+ * Folded hits are listed in alsoFoundIn ({ file, line_start, line_end, reason })
+ * and their match lines join the kept result's.
+ */
+function foldDuplicates(results, options = {}) {
+    const maxLines = options.maxLines || 0;
+    const kept = [];
+
+    for (const result of results) {
+        const range = resultRange(result);
+        const shingles = contentShingles(result.content);
+        let target = null;
+        let reason = null;
+
+        for (const candidate of kept) {
+            const keptRange = resultRange(candidate.result);
+            if (candidate.result.file === result.file) {
+                if (range.start > keptRange.end || range.end < keptRange.start) continue;
+
+                if (range.start >= keptRange.start && range.end <= keptRange.end) {
+                    reason = 'contained';
+                } else if (range.start <= keptRange.start && range.end >= keptRange.end) {
+                    reason = 'contains';
+                } else {
+                    const union = { start: Math.min(range.start, keptRange.start), end: Math.max(range.end, keptRange.end) };
+                    const lines = candidate.result.type !== 'session' && result.type !== 'session' ? readFileLines(result.file) : null;
+                    if (!lines || (maxLines > 0 && union.end - union.start + 1 > maxLines)) continue;
+                    reason = 'overlap';
+                    candidate.union = { ...union, content: lines.slice(union.start - 1, union.end).join('\n') };
+                }
+            } else if (shingleOverlap(shingles, candidate.shingles) >= DUPLICATE_OVERLAP) {
+                reason = 'duplicate';
+            } else {
+                continue;
+            }
+            target = candidate;
+            break;
+        }
+
+        if (!target) {
+            kept.push({ result: { ...result, alsoFoundIn: [] }, shingles });
+            continue;
+        }
+
+        // One entry per overlapping range and reason. A widening hit takes the kept
+        // result's place, so the entry records the range the kept result had before.
+        const folded = target.result;
+        const hitRange = reason === 'contains' ? resultRange(folded) : range;
+        const same = folded.alsoFoundIn.find(hit => hit.file === result.file && hit.reason === reason &&
+            hit.line_start <= hitRange.end && hitRange.start <= hit.line_end);
+        if (same) {
+            same.line_start = Math.min(same.line_start, hitRange.start);
+            same.line_end = Math.max(same.line_end, hitRange.end);
+        } else {
+            folded.alsoFoundIn.push({ file: result.file, line_start: hitRange.start, line_end: hitRange.end, reason });
+        }
+
+        if (reason === 'contains') {
+            for (const field of RANGE_FIELDS) {
+                if (result[field] !== undefined) folded[field] = result[field];
+            }
+            target.shingles = shingles;
+        } else if (reason === 'overlap') {
+            folded.content = target.union.content;
+            folded.line_start = target.union.start;
+            folded.line_end = target.union.end;
+            target.shingles = contentShingles(folded.content);
+        }
+
+        if (reason !== 'duplicate' && result.matches) {
+            const lines = new Set((folded.matches || []).map(m => m.line));
+            folded.matches = [...(folded.matches || []), ...result.matches.filter(m => !lines.has(m.line))]
+                .sort((a, b) => a.line - b.line);
+        }
+    }
+
+    return kept.map(k => k.result);
+}
+
+/**
+ * Smart search - automatically expands context based on file type
+ * Each result tries its file type's expansion strategies in order (see
+ * DEFAULT_EXPANSION); an expansion longer than maxExpandLines is skipped for
+ * the next strategy, down to the raw chunk. Overlapping and duplicate results
+ * are then folded together (see foldDuplicates).
+ * - options.section → sections (sessions for daily logs), else raw chunks
+ * - options.expand: false → raw chunks
+ * - options.maxExpandLines overrides search.max_expand_lines (0 = no limit)
+ */
+function smartSearch(db, query, options = {}) {
+    const limit = options.limit || 5;
+    const summaryOnly = options.summaryOnly || false;
+    const expandContext = options.expand !== false;  // Default: expand
+    const sectionMode = options.section || false;
+    const searchConfig = loadConfig().search;
+    const maxLines = options.maxExpandLines !== undefined ? options.maxExpandLines : searchConfig.max_expand_lines;
+
+    // Get initial search results
+    const rawResults = hybridSearch(db, query, { ...options, limit: limit * 2 });
+    const fileTypes = fileTypesFor(db, rawResults.map(r => r.file));
+
+    // Process results - expand based on file type
+    const processedResults = [];
+    const seenContexts = new Set();  // Dedupe expanded results
+
+    for (const result of rawResults) {
+        let strategies;
+        if (!expandContext) {
+            strategies = [];
+        } else if (sectionMode) {
+            strategies = (isDailyLog(result.file) ? ['session', 'section'] : ['section']).map(parseExpansionStrategy);
+        } else {
+            strategies = expansionStrategies(result.file, fileTypes.get(result.file), searchConfig.expansion);
+        }
+
+        let expansion = null;
+        let strategy = null;
+        let capped = false;
+        for (const candidate of strategies) {
+            if (candidate.name === 'none') break;
+            const expanded = applyExpansion(db, result, candidate);
+            if (!expanded) continue;
+            if (maxLines > 0 && expanded.line_end - expanded.line_start + 1 > maxLines) {
+                capped = true;
+                continue;
+            }
+            expansion = expanded;
+            strategy = candidate;
+            break;
+        }
+
+        const { key, ...fields } = expansion || { key: `chunk:${result.line_start}-${result.line_end}`, type: 'chunk' };
+        const contextKey = `${result.file}:${key}`;
+        if (seenContexts.has(contextKey)) continue;
+        seenContexts.add(contextKey);
+
+        if (fields.type === 'session' && summaryOnly) {
+            fields.content = extractSessionSummary(fields.content);
+        }
+
+        processedResults.push({
+            ...result,
+            ...fields,
+            ...(expansion ? { matchContext: result.content.substring(0, 200) + '...' } : {}),
+            expansionType: strategy ? strategy.name : 'none',
+            expansionStrategy: strategy ? strategy.spec : 'none',
+            expansionCapped: capped
+        });
+    }
+
+    return foldDuplicates(processedResults, { maxLines }).slice(0, limit);
+}
+
+/**
+ * Session-level search (legacy alias for smartSearch)
+ */
+function sessionSearch(db, query, options = {}) {
+    return smartSearch(db, query, options);
+}
+
+/**
+ * Format per-signal rank fusion contributions (--explain)
+ */
+function formatSignals(signals) {
+    const labels = { fts: 'bm25', vector: 'cosine', phrase: 'phrase' };
+    let output = '   Signals:\n';
+
+    for (const signal of Object.keys(DEFAULT_FUSION_WEIGHTS)) {
+        const detail = signals[signal];
+        if (!detail) {
+            output += `     • ${signal.padEnd(6)}  —\n`;
+            continue;
+        }
+        const raw = signal === 'phrase' ? 'hit' : `${labels[signal]} ${detail.score.toFixed(3)}`;
+        output += `     • ${signal.padEnd(6)}  rank ${String(detail.rank).padEnd(3)} ${raw.padEnd(14)} → +${detail.contribution.toFixed(4)}\n`;
+    }
+
+    return output;
+}
+
+/**
+ * Format folded hits: "CLAUDE.md:12-30 (duplicate), 40-45 (contained)"
+ * (the file is left out for hits in the result's own file)
+ */
+function formatAlsoFoundIn(hits, file) {
+    return hits.map(hit => {
+        const start = hit.line_start !== undefined ? hit.line_start : hit.lineStart;
+        const end = hit.line_end !== undefined ? hit.line_end : hit.lineEnd;
+        return `${hit.file === file ? '' : `${hit.file}:`}${start}-${end} (${hit.reason})`;
+    }).join(', ');
+}
+
+/**
+ * Format search results for display
+ */
+function formatResults(results, options = {}) {
+    if (results.length === 0) {
+        return 'No matches found.';
+    }
+
+    let output = '';
+    const verbose = options.verbose || false;
+
+    for (const result of results) {
+        output += `\n${'═'.repeat(70)}\n`;
+
+        // Type-specific headers
+        if (result.type === 'session') {
+            output += `📅 SESSION: ${result.sessionName}\n`;
+            output += `   File: ${result.file}:${result.line_start}-${result.line_end}\n`;
+            output += `   Expansion: Full session retrieval\n`;
+        } else if (result.type === 'section') {
+            output += `📑 SECTION: ${result.sectionName}\n`;
+            output += `   File: ${result.file}:${result.line_start}-${result.line_end}\n`;
+            output += `   Header: ${result.sectionHeader || 'N/A'}\n`;
+            output += `   Expansion: Full section (header→header)\n`;
+        } else if (result.type === 'symbol') {
+            output += `🧩 SYMBOL: ${result.symbolName}\n`;
+            output += `   File: ${result.file}:${result.line_start}-${result.line_end}\n`;
+            output += `   Expansion: Full symbol (declaration→end)\n`;
+        } else if (result.type === 'expanded_chunk') {
+            output += `📄 CHUNK (expanded): ${result.file}:${result.line_start}-${result.line_end}\n`;
+            output += `   Expansion: +${result.adjacentCount || 0} adjacent chunks\n`;
+        } else if (result.type === 'file') {
+            output += `📄 FILE: ${result.file}:${result.line_start}-${result.line_end}\n`;
+            output += `   Expansion: Whole file\n`;
+        } else {
+            output += `📄 CHUNK: ${result.file}:${result.line_start}-${result.line_end}\n`;
+            output += `   Expansion: None (raw chunk)\n`;
+        }
+
+        if (result.expansionStrategy) {
+            output += `   Strategy: ${result.expansionStrategy}${result.expansionCapped ? ' (larger expansions skipped: --max-expand-lines)' : ''}\n`;
+        }
+
+        // Common fields
+        if (result.combinedScore !== undefined) {
+            output += `   Score: ${result.combinedScore.toFixed(4)} (${result.source || 'unknown'})\n`;
+        }
+
+        if (result.package) {
+            output += `   Package: ${result.package}\n`;
+        }
+
+        if (result.tokens !== undefined) {
+            const note = result.truncation === 'summary' ? ' (session summary)'
+                : result.truncation === 'truncated' ? ' (truncated)' : '';
+            output += `   Tokens: ${result.tokens}${note}\n`;
+        }
+
+        if (options.explain && result.signals) {
+            output += formatSignals(result.signals);
+            if (result.packageBoost) {
+                output += `     • package ×${result.packageBoost} (current package)\n`;
+            }
+            if (result.priorityBoost) {
+                output += `     • priority ×${result.priorityBoost.toFixed(2)} (file_priority ${result.file_priority})\n`;
+            }
+            if (result.recencyBoost) {
+                output += `     • recency ×${result.recencyBoost.toFixed(2)} (daily log ${result.logDate})\n`;
+            }
+        }
+
+        if (result.matches && result.matches.length > 0) {
+            const highlight = options.highlight || 'none';
+            output += `   Matches: line ${formatLineRanges(result.matches.map(m => m.line))}\n`;
+            for (const match of result.matches.slice(0, MAX_MATCH_LINES)) {
+                output += `   › ${String(match.line).padStart(4)}: ${renderHighlight(clipMatchLine(match.text), highlight)}\n`;
+            }
+        }
+
+        if (result.alsoFoundIn && result.alsoFoundIn.length > 0) {
+            output += `   Also found in: ${formatAlsoFoundIn(result.alsoFoundIn, result.file)}\n`;
+        }
+
+        if (verbose && result.matchContext) {
+            output += `   Match: "${result.matchContext.trim()}"\n`;
+        }
+
+        output += `${'─'.repeat(70)}\n`;
+        output += result.content + '\n';
+    }
+
+    return output;
+}
+
+// Output formats for --format (text is the human-readable default)
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'markdown'];
+
+// Bumped when a field of the JSON output changes meaning or is removed
+const RESULT_SCHEMA_VERSION = 1;
+
+/**
+ * Normalize a result to the stable JSON shape (schemas/search-results.schema.json)
+ * Every key is always present; missing values are null.
+ */
+function toResultRecord(result, index, options = {}) {
+    const highlight = options.highlight || 'none';
+    const signals = {};
+    for (const signal of Object.keys(DEFAULT_FUSION_WEIGHTS)) {
+        const detail = result.signals && result.signals[signal];
+        signals[signal] = detail
+            ? { rank: detail.rank, score: detail.score, contribution: detail.contribution }
+            : null;
+    }
+
+    return {
+        rank: index + 1,
+        file: result.file,
+        lineStart: result.line_start !== undefined ? result.line_start : result.lineStart,
+        lineEnd: result.line_end !== undefined ? result.line_end : result.lineEnd,
+        type: result.type || 'chunk',
+        expansionType: result.expansionType || (result.type === 'section' ? 'section' : 'none'),
+        expansionStrategy: result.expansionStrategy || result.expansionType || (result.type === 'section' ? 'section' : 'none'),
+        expansionCapped: result.expansionCapped || false,
+        sessionName: result.sessionName || null,
+        sectionName: result.sectionName || null,
+        symbolName: result.symbolName || null,
+        header: result.section_header || result.sectionHeader || result.header || null,
+        package: result.package || null,
+        score: {
+            combined: result.combinedScore !== undefined ? result.combinedScore : null,
+            source: result.source || null,
+            signals,
+            packageBoost: result.packageBoost || null,
+            priorityBoost: result.priorityBoost || null,
+            recencyBoost: result.recencyBoost || null
+        },
+        snippet: result.snippet ? renderHighlight(result.snippet, highlight) : null,
+        matches: (result.matches || []).map(match => ({ line: match.line, text: renderHighlight(clipMatchLine(match.text), highlight) })),
+        alsoFoundIn: (result.alsoFoundIn || []).map(hit => ({
+            file: hit.file,
+            lineStart: hit.line_start,
+            lineEnd: hit.line_end,
+            reason: hit.reason
+        })),
+        tokens: result.tokens !== undefined ? result.tokens : null,
+        truncation: result.truncation || null,
+        content: result.content
+    };
+}
+
+/**
+ * Pick a code fence longer than any backtick run in the content
+ */
+function fenceFor(content) {
+    const longest = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longest + 1);
+}
+
+/**
+ * Format results as markdown (one ### heading per result, content fenced)
+ */
+function formatMarkdown(records) {
+    if (records.length === 0) {
+        return '_No matches found._';
+    }
+
+    return records.map(record => {
+        const name = record.sessionName || record.sectionName || record.symbolName;
+        const lines = [`### ${record.rank}. ${record.file}:${record.lineStart}-${record.lineEnd}${name ? ` - ${name}` : ''}`];
+        const meta = [`type: ${record.type}`, `expansion: ${record.expansionStrategy}${record.expansionCapped ? ' (capped)' : ''}`];
+        if (record.package) meta.push(`package: ${record.package}`);
+        if (record.score.combined !== null) meta.push(`score: ${record.score.combined.toFixed(4)} (${record.score.source})`);
+        lines.push('', `_${meta.join(' · ')}_`, '');
+
+        if (record.alsoFoundIn.length > 0) {
+            lines.push(`Also found in: ${formatAlsoFoundIn(record.alsoFoundIn, record.file)}`, '');
+        }
+
+        if (record.matches.length > 0) {
+            lines.push(`Matches: line ${formatLineRanges(record.matches.map(m => m.line))}`, '');
+            for (const match of record.matches.slice(0, MAX_MATCH_LINES)) {
+                lines.push(`> L${match.line}: ${match.text}`);
+            }
+            lines.push('');
+        }
+
+        const language = getLanguage(record.file) || (record.file.endsWith('.md') ? 'markdown' : '');
+        const fence = fenceFor(record.content);
+        lines.push(`${fence}${language}`, record.content, fence);
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Render results in one of OUTPUT_FORMATS
+ * meta ({ query, mode, limit, filters, budget }) goes into the JSON envelope.
+ */
+function renderResults(results, format = 'text', options = {}) {
+    if (format === 'text') {
+        return formatResults(results, options);
+    }
+
+    const records = results.map((result, index) => toResultRecord(result, index, options));
+
+    if (format === 'ndjson') {
+        return records.map(record => JSON.stringify(record)).join('\n');
+    }
+    if (format === 'markdown') {
+        return formatMarkdown(records);
+    }
+
+    return JSON.stringify({
+        version: RESULT_SCHEMA_VERSION,
+        ...(options.meta || {}),
+        count: records.length,
+        results: records
+    }, null, 2);
+}
+
+/**
+ * Resolve --package to a package name: a name, a package directory, or "." for
+ * the package containing the working directory
+ * Relative directories resolve against cwd - the client's, under `serve`.
+ * Throws when nothing matches (the message lists the known packages)
+ */
+function resolvePackageFilter(db, spec, packages, cwd = process.cwd()) {
+    if (spec === '.') {
+        const current = currentPackage(packages, cwd);
+        if (!current) throw new Error('--package . needs to run inside a workspace package directory');
+        return current.name;
+    }
+
+    const byName = packages.packages.find(p => p.name === spec);
+    if (byName) return byName.name;
+
+    const dir = path.relative(PROJECT_ROOT, path.resolve(cwd, spec));
+    const byDir = findPackage(packages, dir);
+    if (byDir && byDir.dir === dir.split(path.sep).join('/')) return byDir.name;
+
+    // Packages tagged by a previous index run (e.g. before a config change)
+    const indexed = db.prepare(`SELECT DISTINCT ${packageColumn(db)} as name FROM chunks WHERE ${packageColumn(db)} IS NOT NULL`).all();
+    if (indexed.some(row => row.name === spec)) return spec;
+
+    const known = [...new Set([...packages.packages.map(p => p.name), ...indexed.map(row => row.name)])];
+    throw new Error(`Unknown package "${spec}"` + (known.length > 0 ? ` (known: ${known.join(', ')})` : ' (no workspace packages indexed)'));
+}
+
+/**
+ * Validate --type values (comma-separated) against the file types in the index
+ * Throws when a type is unknown (the message lists the indexed types)
+ */
+function resolveTypeFilter(db, spec) {
+    const types = String(spec).split(',').map(t => t.trim()).filter(Boolean);
+    const indexed = db.prepare('SELECT DISTINCT file_type FROM indexed_files WHERE file_type IS NOT NULL')
+        .all().map(row => row.file_type);
+
+    const unknown = types.filter(type => !indexed.includes(type));
+    if (types.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown file type "${unknown[0] || spec}" (indexed: ${indexed.sort().join(', ') || 'none'})`);
+    }
+
+    return types;
+}
+
+// Same buckets as init-db.cjs's priority distribution
+const PRIORITY_LEVELS = [
+    { level: 'critical', min: 0.9 },
+    { level: 'high', min: 0.7 },
+    { level: 'medium', min: 0.5 },
+    { level: 'low', min: -Infinity }
+];
+
+/**
+ * Parse a SQLite datetime('now') value (UTC, no zone marker)
+ */
+function parseSqliteTime(value) {
+    return value ? Date.parse(value.replace(' ', 'T') + 'Z') : null;
+}
+
+/**
+ * Collect index statistics: files, chunks and tokens per file type, priority
+ * distribution, index age, files that are stale versus disk, and database size
+ */
+function getIndexStats(db) {
+    const totals = db.prepare('SELECT COUNT(*) as chunks, SUM(token_count) as tokens FROM chunks').get();
+
+    const byType = db.prepare(`
+        SELECT
+            COALESCE(f.file_type, 'unknown') as type,
+            COUNT(DISTINCT f.file) as files,
+            COUNT(c.id) as chunks,
+            COALESCE(SUM(c.token_count), 0) as tokens,
+            MAX(f.file_priority) as priority
+        FROM indexed_files f
+        LEFT JOIN chunks c ON c.file = f.file
+        GROUP BY type
+        ORDER BY priority DESC, type
+    `).all();
+
+    const priorities = db.prepare('SELECT file_priority FROM indexed_files').all();
+    const priority = PRIORITY_LEVELS.map(({ level, min }, i) => ({
+        level,
+        min: Number.isFinite(min) ? min : 0,
+        files: priorities.filter(({ file_priority: p }) =>
+            p >= min && (i === 0 || p < PRIORITY_LEVELS[i - 1].min)).length
+    }));
+
+    const range = db.prepare('SELECT MIN(indexed_at) as oldest, MAX(indexed_at) as newest FROM indexed_files').get();
+    const freshness = checkIndexFreshness(db);
+
+    let dbBytes = 0;
+    for (const suffix of ['', '-wal']) {
+        if (fs.existsSync(DB_PATH + suffix)) dbBytes += fs.statSync(DB_PATH + suffix).size;
+    }
+
+    let embeddings = null;
+    if (getVectorEmbedder(db)) {
+        embeddings = db.prepare('SELECT COUNT(*) as count FROM chunks_vec').get().count;
+    }
+
+    return {
+        files: priorities.length,
+        chunks: totals.chunks,
+        tokens: totals.tokens || 0,
+        tokenizer: getTokenizer().name,
+        embeddings,
+        byType,
+        priority,
+        age: {
+            oldest: range.oldest ? new Date(parseSqliteTime(range.oldest)).toISOString() : null,
+            newest: range.newest ? new Date(parseSqliteTime(range.newest)).toISOString() : null
+        },
+        stale: {
+            changed: freshness.changed,
+            deleted: freshness.deleted,
+            unindexed: freshness.unindexed
+        },
+        watcher: freshness.watcher ? { pid: freshness.watcher.pid, alive: freshness.watcher.alive } : null,
+        dbBytes
+    };
+}
+
+/**
+ * Describe how long ago an ISO timestamp was ("5m ago", "3d ago")
+ */
+function formatAge(iso, now = Date.now()) {
+    if (!iso) return 'never';
+    const seconds = Math.max(0, Math.round((now - Date.parse(iso)) / 1000));
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h ago`;
+    return `${Math.round(seconds / 86400)}d ago`;
+}
+
+/**
+ * Format index statistics for display (--stats)
+ */
+function formatStats(stats) {
+    const lines = [];
+    const staleCount = stats.stale.changed.length + stats.stale.deleted.length + stats.stale.unindexed.length;
+
+    lines.push('📊 Index Statistics:');
+    lines.push(`   • Files: ${stats.files}`);
+    lines.push(`   • Chunks: ${stats.chunks}`);
+    lines.push(`   • Tokens: ${stats.tokens.toLocaleString()} (${stats.tokenizer})`);
+    if (stats.embeddings !== null) lines.push(`   • Chunk embeddings: ${stats.embeddings}`);
+    lines.push(`   • Database size: ${(stats.dbBytes / 1024).toFixed(1)} KB`);
+    lines.push(`   • Last indexed: ${formatAge(stats.age.newest)} (oldest file ${formatAge(stats.age.oldest)})`);
+    if (stats.watcher) lines.push(`   • Watcher: pid ${stats.watcher.pid} (${stats.watcher.alive ? 'running' : 'stopped'})`);
+
+    lines.push('');
+    lines.push('📁 By Type:');
+    for (const row of stats.byType) {
+        lines.push(`   • ${row.type.padEnd(14)} ${String(row.files).padStart(5)} files  ${String(row.chunks).padStart(6)} chunks  ${row.tokens.toLocaleString().padStart(9)} tokens`);
+    }
+
+    lines.push('');
+    lines.push('📈 Priority Distribution:');
+    for (const { level, min, files } of stats.priority) {
+        lines.push(`   • ${level.padEnd(9)} (≥ ${min.toFixed(1)}): ${files} files`);
+    }
+
+    lines.push('');
+    if (staleCount === 0) {
+        lines.push('✅ Index is up to date with disk');
+    } else {
+        lines.push(`⚠️  Stale: ${staleCount} files differ from disk (run: node .nelson/init-db.cjs)`);
+        const show = (label, files) => {
+            for (const file of files.slice(0, 10)) lines.push(`   • ${label.padEnd(9)} ${file}`);
+            if (files.length > 10) lines.push(`     … and ${files.length - 10} more`);
+        };
+        show('changed', stats.stale.changed);
+        show('deleted', stats.stale.deleted);
+        show('new', stats.stale.unindexed);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Get context for a task (automatic retrieval)
+ */
+function getContextForTask(db, taskDescription, options = {}) {
+    const limit = options.limit || 5;
+
+    // Extract potential keywords from task
+    const keywords = taskDescription
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(w => w.length > 3)
+        .filter(w => !['this', 'that', 'with', 'from', 'have', 'been', 'would', 'could', 'should'].includes(w));
+
+    // Build FTS query from keywords
+    const ftsQuery = keywords.slice(0, 5).join(' OR ');
+
+    if (!ftsQuery) {
+        return [];
+    }
+
+    // Use session search for better context (vector signal uses the natural-language task)
+    // Sessions are summarized unless the caller packs full content itself (--budget)
+    return sessionSearch(db, ftsQuery, {
+        ...options,
+        limit,
+        summaryOnly: options.summaryOnly !== false,
+        vectorQuery: taskDescription
+    });
+}
+
+// Smallest remainder worth truncating a result into
+const MIN_TRUNCATED_TOKENS = 40;
+
+// Candidates fetched for --budget packing (unless --limit is higher)
+const BUDGET_CANDIDATES = 20;
+
+/**
+ * Line range of a result ({ start, end }, 1-indexed, inclusive)
+ */
+function resultRange(result) {
+    return {
+        start: result.line_start !== undefined ? result.line_start : result.lineStart,
+        end: result.line_end !== undefined ? result.line_end : result.lineEnd
+    };
+}
+
+/**
+ * Cut lines another packed result already covers off the start or end of a result
+ * Only applies when the content is a verbatim slice of the file (one line per line).
+ * Returns the trimmed result, or null when it is fully covered.
+ */
+function trimOverlap(result, packedRanges) {
+    let { start, end } = resultRange(result);
+
+    for (const range of packedRanges) {
+        if (range.start <= start && range.end >= end) return null;
+    }
+
+    let lines = result.content.split('\n');
+    if (lines.length !== end - start + 1) return result;
+
+    for (const range of packedRanges) {
+        if (range.start <= start && range.end >= start) {
+            lines = lines.slice(range.end - start + 1);
+            start = range.end + 1;
+        } else if (range.start <= end && range.end >= end) {
+            lines = lines.slice(0, range.start - start);
+            end = range.start - 1;
+        }
+    }
+
+    if (start === resultRange(result).start && end === resultRange(result).end) return result;
+    return { ...result, content: lines.join('\n'), line_start: start, line_end: end, trimmed: true };
+}
+
+/**
+ * Truncate content to a token budget at a line boundary
+ * Returns { content, lines } (lines kept) or null when not even one line fits.
+ */
+function truncateToTokens(content, maxTokens) {
+    const marker = '… (truncated to fit the token budget)';
+    const available = maxTokens - countTokens(marker) - 1;
+    const lines = content.split('\n');
+    const kept = [];
+    let used = 0;
+
+    for (const line of lines) {
+        const cost = countTokens(line) + 1;
+        if (used + cost > available) break;
+        kept.push(line);
+        used += cost;
+    }
+
+    if (kept.length === 0) return null;
+    return { content: [...kept, marker].join('\n'), lines: kept.length };
+}
+
+/**
+ * Pack results greedily (in rank order) into a token budget
+ *
+ * Results fully covered by an already-packed line range are dropped and partial
+ * overlaps are trimmed. The first result that does not fit is summarized
+ * (sessions, via extractSessionSummary) or truncated to the remaining budget,
+ * and packing stops there.
+ * Returns { results, used, budget, deduped, truncated }
+ */
+function packToBudget(results, budget, options = {}) {
+    const maxResults = options.limit || Infinity;
+    const packed = [];
+    const rangesByFile = new Map();
+    let used = 0;
+    let deduped = 0;
+    let truncated = null;
+
+    for (const original of results) {
+        if (packed.length >= maxResults || used >= budget) break;
+
+        const ranges = rangesByFile.get(original.file) || [];
+        const result = trimOverlap(original, ranges);
+        if (!result) {
+            deduped++;
+            continue;
+        }
+
+        let entry = { ...result, tokens: countTokens(result.content) };
+        const remaining = budget - used;
+
+        if (entry.tokens > remaining) {
+            // Last one: a session summary if it fits, else the head of the content
+            const summary = result.type === 'session' ? extractSessionSummary(result.content) : '';
+            const summaryTokens = summary ? countTokens(summary) : Infinity;
+
+            if (summaryTokens <= remaining) {
+                entry = { ...entry, content: summary, tokens: summaryTokens, truncation: 'summary' };
+            } else if (remaining >= MIN_TRUNCATED_TOKENS) {
+                const cut = truncateToTokens(result.content, remaining);
+                if (!cut) break;
+                const { start } = resultRange(result);
+                entry = {
+                    ...entry,
+                    content: cut.content,
+                    tokens: countTokens(cut.content),
+                    line_end: start + cut.lines - 1,
+                    truncation: 'truncated'
+                };
+            } else {
+                break;
+            }
+            truncated = entry.truncation;
+        }
+
+        packed.push(entry);
+        used += entry.tokens;
+        ranges.push(resultRange(entry));
+        rangesByFile.set(entry.file, ranges);
+
+        if (truncated) break;
+    }
+
+    return { results: packed, used, budget, deduped, truncated };
+}
+
+/**
+ * List all sessions from daily logs (for browsing)
+ * Parsed with sessions.cjs, the same parser that fills the sessions table
+ * (query that with `node .nelson/sessions.cjs --status ... --touching ...`).
+ */
+function listSessions(options = {}) {
+    const limit = options.limit || 20;
+    const sessions = [];
+
+    if (!fs.existsSync(MEMORY_DIR)) {
+        return sessions;
+    }
+
+    // Get all daily log files
     const files = fs.readdirSync(MEMORY_DIR)
         .filter(f => f.endsWith('.md') && f !== 'template.md')
         .sort()
         .reverse();  // Most recent first
 
     for (const file of files) {
-        const filePath = path.join(MEMORY_DIR, file);
-        const content = fs.readFileSync(filePath, 'utf-8');
-        const lines = content.split('\n');
-
-        // Find all sessions in file
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].startsWith('## Session:')) {
-                const sessionName = lines[i].replace('## Session:', '').trim();
-
-                // Get status if available
-                let status = 'Unknown';
-                for (let j = i + 1; j < Math.min(i + 10, lines.length); j++) {
-                    if (lines[j].startsWith('**Status:**')) {
-                        status = lines[j].replace('**Status:**', '').trim();
-                        break;
-                    }
-                }
-
-                sessions.push({
-                    date: file.replace('.md', ''),
-                    name: sessionName,
-                    status,
-                    file: `.nelson/memory/${file}`,
-                    line: i + 1
-                });
+        const relPath = `.nelson/memory/${file}`;
+        const lines = readFileLines(relPath);
+        if (!lines) continue;
+
+        for (const session of parseSessions(lines.join('\n'), relPath)) {
+            sessions.push({
+                date: file.replace('.md', ''),
+                name: session.name,
+                status: session.status || 'Unknown',
+                file: relPath,
+                line: session.line_start
+            });
 
-                if (sessions.length >= limit) {
-                    return sessions;
-                }
+            if (sessions.length >= limit) {
+                return sessions;
             }
         }
     }
@@ -698,67 +1970,311 @@ function listSessions(options = {}) {
     return sessions;
 }
 
+// Prepared statements kept per connection under `search.cjs serve`
+const STATEMENT_CACHE_LIMIT = 200;
+
+/**
+ * Cache db.prepare() by SQL text (least recently used statements are dropped)
+ */
+function cacheStatements(db, limit = STATEMENT_CACHE_LIMIT) {
+    const prepare = db.prepare.bind(db);
+    const statements = new Map();
+
+    db.prepare = (sql) => {
+        let statement = statements.get(sql);
+        if (statement) {
+            statements.delete(sql);
+        } else {
+            statement = prepare(sql);
+            if (statements.size >= limit) statements.delete(statements.keys().next().value);
+        }
+        statements.set(sql, statement);
+        return statement;
+    };
+    db.statementCacheSize = () => statements.size;
+
+    return db;
+}
+
+/**
+ * Run one search mode (context, header, chunk, anything else is smart search)
+ */
+function runSearch(db, mode, query, options = {}) {
+    if (mode === 'context') return getContextForTask(db, query, options);
+    if (mode === 'header') return searchByHeader(db, query, options);
+    if (mode === 'chunk') return hybridSearch(db, query, options);
+    return smartSearch(db, query, options);
+}
+
+/**
+ * Search operations over one database, shared by direct mode and `serve`
+ * Methods take and return plain JSON, so they behave the same over JSON-RPC.
+ */
+function createSearchService(getDb) {
+    return {
+        search: ({ mode, query, options }) => runSearch(getDb(), mode, query, options),
+        resolvePackage: ({ spec, cwd }) => resolvePackageFilter(getDb(), spec, loadPackages(PROJECT_ROOT, loadConfig()), cwd),
+        resolveType: ({ spec }) => resolveTypeFilter(getDb(), spec),
+        freshness: () => checkIndexFreshness(getDb()),
+        stats: () => getIndexStats(getDb())
+    };
+}
+
+/**
+ * Open the read-only database, exiting with a hint when it or better-sqlite3 is missing
+ */
+function openDatabase() {
+    if (!fs.existsSync(DB_PATH)) {
+        console.error('❌ Database not found. Run: node .nelson/init-db.cjs');
+        process.exit(1);
+    }
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        console.error('❌ better-sqlite3 not installed. Run: npm install better-sqlite3');
+        process.exit(1);
+    }
+
+    return new Database(DB_PATH, { readonly: true });
+}
+
+/**
+ * Connect to a running search server, else open the database directly
+ * Returns { call(method, params), close(), remote }.
+ */
+async function openBackend(options = {}) {
+    if (!options.direct && process.env.NELSON_SEARCH_SERVER !== 'off') {
+        const client = await connectServer(socketPathFor(NELSON_DIR));
+        if (client) {
+            return { call: client.call, close: client.close, remote: true };
+        }
+    }
+
+    const db = openDatabase();
+    const service = createSearchService(() => db);
+    return {
+        call: async (method, params = {}) => service[method](params),
+        close: () => db.close(),
+        remote: false
+    };
+}
+
+/**
+ * `search.cjs serve`: keep the database open and answer searches over a local socket
+ * The database is reopened when init-db.cjs replaces the file.
+ */
+async function serve(args) {
+    const socketPath = socketPathFor(NELSON_DIR);
+
+    if (args.includes('--stop') || args.includes('--status')) {
+        const client = await connectServer(socketPath);
+        if (!client) {
+            console.log('ℹ️  No search server running');
+            process.exit(args.includes('--status') ? 1 : 0);
+        }
+        if (args.includes('--stop')) {
+            await client.call('shutdown');
+            console.log('🛑 Search server stopped');
+        } else {
+            const info = await client.call('ping');
+            console.log(`🛰️  Search server running (pid ${info.pid})`);
+            console.log(`   Socket: ${socketPath}`);
+            console.log(`   Uptime: ${Math.round(info.uptime / 1000)}s, ${info.requests} requests`);
+            console.log(`   Cached: ${info.statements} statements, ${info.files} files`);
+        }
+        client.close();
+        return;
+    }
+
+    let db = openDatabase();
+    let dbInode = fs.statSync(DB_PATH).ino;
+    cacheStatements(db);
+
+    const getDb = () => {
+        const inode = fs.existsSync(DB_PATH) ? fs.statSync(DB_PATH).ino : null;
+        if (inode === null) throw new Error('Database not found. Run: node .nelson/init-db.cjs');
+        if (inode !== dbInode) {
+            db.close();
+            db = cacheStatements(openDatabase());
+            dbInode = inode;
+        }
+        return db;
+    };
+
+    const started = Date.now();
+    let requests = 0;
+    let server = null;
+
+    const stop = () => {
+        if (server) stopServer(server, socketPath);
+        db.close();
+        process.exit(0);
+    };
+
+    try {
+        server = await startServer(socketPath, {
+            ...createSearchService(getDb),
+            ping: () => ({
+                pid: process.pid,
+                root: PROJECT_ROOT,
+                uptime: Date.now() - started,
+                requests,
+                statements: db.statementCacheSize(),
+                files: fileLineCache.size
+            }),
+            shutdown: () => {
+                setImmediate(stop);
+                return { stopping: true };
+            }
+        }, { onRequest: () => requests++ });
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    console.log(`🛰️  Search server listening (pid ${process.pid})`);
+    console.log(`   Socket: ${socketPath}`);
+    console.log('   search.cjs calls now use this server; stop with: node .nelson/search.cjs serve --stop');
+}
+
 /**
  * Main CLI
  */
 async function main() {
     const args = process.argv.slice(2);
 
+    if (args[0] === 'serve') {
+        await serve(args.slice(1));
+        return;
+    }
+
     if (args.length === 0 || args.includes('--help')) {
-        console.log('Nelson Memory Search v3.0 - Intelligent Context Retrieval');
+        console.log('Nelson Memory Search v3.1 - Intelligent Context Retrieval');
         console.log('');
         console.log('Usage:');
         console.log('  node .nelson/search.cjs "query"             Smart search (auto-expands context)');
         console.log('  node .nelson/search.cjs "query" --section   Return full sections (header→header)');
         console.log('  node .nelson/search.cjs "query" --expand    Force context expansion');
         console.log('  node .nelson/search.cjs "query" --chunk     Raw chunks only (no expansion)');
-        console.log('  node .nelson/search.cjs "query" --limit N   Limit results (default: 5)');
+        console.log('  node .nelson/search.cjs "query" --max-expand-lines N');
+        console.log('                                              Skip expansions over N lines (default: 300, 0 = no limit)');
+        console.log('  node .nelson/search.cjs "query" --limit N   Limit results (default: 5, or search.limit in config.json)');
         console.log('  node .nelson/search.cjs "query" --file X    Filter by filename');
+        console.log('  node .nelson/search.cjs "query" --type T    Filter by file type (instructions, memory, soul,');
+        console.log('                                              pattern, daily_log, documentation, readme; comma-separated)');
+        console.log('  node .nelson/search.cjs --stats             Index statistics (types, priorities, age, stale files, size)');
         console.log('  node .nelson/search.cjs --header "Name"     Find section by header name');
         console.log('  node .nelson/search.cjs --context "task"    Auto-retrieve context for task');
+        console.log('  node .nelson/search.cjs --context "task" --budget 4000');
+        console.log('                                              Pack results into a token budget (prompt-safe)');
         console.log('  node .nelson/search.cjs --list-sessions     List all sessions');
         console.log('  node .nelson/search.cjs --verbose           Show match snippets');
+        console.log('  node .nelson/search.cjs "query" --explain   Show each ranking signal per result');
+        console.log('  node .nelson/search.cjs "query" --weights fts=1,vector=1,phrase=0.5');
+        console.log('                                              Rank fusion weights (0 disables a signal)');
+        console.log('  node .nelson/search.cjs "query" --package X Only results from workspace package X (name, dir or .)');
+        console.log('  node .nelson/search.cjs "query" --package-boost N');
+        console.log('                                              Boost for the current package (default: 1.2, 1 disables)');
+        console.log('  node .nelson/search.cjs "query" --recency-weight N');
+        console.log('                                              Boost for recent daily logs (default: 0.5, 0 disables)');
+        console.log('  node .nelson/search.cjs "query" --min-similarity N');
+        console.log('                                              Cosine floor for vector-only hits (default: 0.2, 0 disables)');
+        console.log('  node .nelson/search.cjs "query" --format F  Output: text (default), json, ndjson, markdown');
+        console.log('  node .nelson/search.cjs "query" --highlight M');
+        console.log('                                              Matched terms: terminal (ANSI), markdown (**bold**), none');
+        console.log('                                              (default: terminal on a TTY, none for json/ndjson, else markdown)');
+        console.log('  node .nelson/search.cjs serve               Keep a warm search server running (--status, --stop)');
+        console.log('  node .nelson/search.cjs "query" --no-server Search directly even when a server is running');
+        console.log('  node .nelson/search.cjs "query" --fail-on-empty');
+        console.log('                                              Exit with code 1 when nothing matches');
+        console.log('');
+        console.log('Banners, warnings and errors go to stderr; stdout carries only the results.');
+        console.log('');
+        console.log('Query Syntax:');
+        console.log('  "exact phrase"   prefix*   AND / OR / NOT   ( grouping )');
+        console.log('  file:docs/  header:Webhook  type:daily_log  after:2026-01-01  before:2026-02-01');
+        console.log('  Anything else is searched literally (ha-ha, stop-hook.sh, http://...)');
         console.log('');
         console.log('Context Expansion:');
         console.log('  • Daily logs → Returns full session (## Session: boundary)');
         console.log('  • CLAUDE.md, docs/ → Returns full section (## Header boundary)');
+        console.log('  • Source code → Returns the whole function/class (symbol)');
         console.log('  • Other files → Returns chunk + adjacent chunks');
         console.log('');
         process.exit(0);
     }
 
+    // Output options apply to every command below
+    const formatIndex = args.indexOf('--format');
+    const format = formatIndex !== -1 ? args[formatIndex + 1] : 'text';
+    const failOnEmpty = args.includes('--fail-on-empty');
+    if (!OUTPUT_FORMATS.includes(format)) {
+        console.error(`❌ Unknown --format "${format}" (expected: ${OUTPUT_FORMATS.join(', ')})`);
+        process.exit(1);
+    }
+    // JSON and NDJSON are for programs: plain text unless --highlight asks for markers
+    const highlightIndex = args.indexOf('--highlight');
+    const defaultHighlight = format === 'json' || format === 'ndjson'
+        ? 'none'
+        : (format === 'text' && process.stdout.isTTY ? 'terminal' : 'markdown');
+    const highlight = highlightIndex !== -1 ? args[highlightIndex + 1] : defaultHighlight;
+    if (!HIGHLIGHT_MODES.includes(highlight)) {
+        console.error(`❌ Unknown --highlight "${highlight}" (expected: ${HIGHLIGHT_MODES.join(', ')})`);
+        process.exit(1);
+    }
+
     // Check for list-sessions command
     if (args.includes('--list-sessions')) {
         const sessions = listSessions();
-        console.log('📚 Recent Sessions:\n');
-        for (const session of sessions) {
-            console.log(`  ${session.date} | ${session.name} | ${session.status}`);
-            console.log(`    └─ ${session.file}:${session.line}`);
+        if (format === 'json') {
+            console.log(JSON.stringify({ version: RESULT_SCHEMA_VERSION, count: sessions.length, sessions }, null, 2));
+        } else if (format === 'ndjson') {
+            for (const session of sessions) console.log(JSON.stringify(session));
+        } else if (format === 'markdown') {
+            for (const session of sessions) {
+                console.log(`- **${session.date}** ${session.name} (${session.status}) - \`${session.file}:${session.line}\``);
+            }
+        } else {
+            console.log('📚 Recent Sessions:\n');
+            for (const session of sessions) {
+                console.log(`  ${session.date} | ${session.name} | ${session.status}`);
+                console.log(`    └─ ${session.file}:${session.line}`);
+            }
+            console.log(`\nTotal: ${sessions.length} sessions`);
         }
-        console.log(`\nTotal: ${sessions.length} sessions`);
-        process.exit(0);
-    }
-
-    // Check database exists
-    if (!fs.existsSync(DB_PATH)) {
-        console.log('❌ Database not found. Run: node .nelson/init-db.cjs');
-        process.exit(1);
+        process.exit(failOnEmpty && sessions.length === 0 ? 1 : 0);
     }
 
-    // Load better-sqlite3
-    let Database;
+    let config;
     try {
-        Database = require('better-sqlite3');
+        config = loadConfig();
     } catch (e) {
-        console.log('❌ better-sqlite3 not installed. Run: npm install better-sqlite3');
+        reportConfigError(e);
         process.exit(1);
     }
 
-    const db = new Database(DB_PATH, { readonly: true });
+    // Use a running `search.cjs serve` when there is one (--no-server skips it)
+    const backend = await openBackend({ direct: args.includes('--no-server') });
+
+    // Index statistics
+    if (args.includes('--stats')) {
+        const stats = await backend.call('stats');
+        if (format === 'json' || format === 'ndjson') {
+            console.log(JSON.stringify({ version: RESULT_SCHEMA_VERSION, ...stats }, null, format === 'json' ? 2 : 0));
+        } else {
+            console.log(formatStats(stats));
+        }
+        process.exit(0);
+    }
 
-    // Parse arguments
+    // Parse arguments (defaults from config.json)
     let query = '';
-    let limit = 5;
+    let limit = config.search.limit;
     let fileFilter = null;
     let contextMode = false;
     let sectionMode = false;
@@ -766,14 +2282,35 @@ async function main() {
     let chunkMode = false;
     let headerMode = false;
     let verbose = false;
+    let explain = false;
+    let weights = {};
+    let packageSpec = null;
+    let packageBoost = config.search.package_boost;
+    let budget = null;
+    let limitSet = false;
+    let recencyWeight;
+    let maxExpandLines;
+    let minSimilarity;
+    let typeSpec = null;
 
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--limit' && args[i + 1]) {
             limit = parseInt(args[i + 1]);
+            limitSet = true;
+            i++;
+        } else if (args[i] === '--budget' && args[i + 1]) {
+            budget = parseInt(args[i + 1]);
+            if (!Number.isInteger(budget) || budget <= 0) {
+                console.error(`❌ Invalid --budget: ${args[i + 1]} (expected a positive number of tokens)`);
+                process.exit(1);
+            }
             i++;
         } else if (args[i] === '--file' && args[i + 1]) {
             fileFilter = args[i + 1];
             i++;
+        } else if (args[i] === '--type' && args[i + 1]) {
+            typeSpec = args[i + 1];
+            i++;
         } else if (args[i] === '--context') {
             contextMode = true;
         } else if (args[i] === '--section') {
@@ -786,16 +2323,72 @@ async function main() {
             headerMode = true;
         } else if (args[i] === '--verbose') {
             verbose = true;
+        } else if (args[i] === '--explain') {
+            explain = true;
+        } else if (args[i] === '--weights' && args[i + 1]) {
+            try {
+                weights = parseWeights(args[i + 1]);
+            } catch (e) {
+                console.error(`❌ ${e.message}`);
+                process.exit(1);
+            }
+            i++;
+        } else if (args[i] === '--package' && args[i + 1]) {
+            packageSpec = args[i + 1];
+            i++;
+        } else if (args[i] === '--package-boost' && args[i + 1]) {
+            packageBoost = parseFloat(args[i + 1]);
+            if (Number.isNaN(packageBoost) || packageBoost <= 0) {
+                console.error(`❌ Invalid --package-boost: ${args[i + 1]}`);
+                process.exit(1);
+            }
+            i++;
+        } else if (args[i] === '--recency-weight' && args[i + 1]) {
+            recencyWeight = parseFloat(args[i + 1]);
+            if (Number.isNaN(recencyWeight) || recencyWeight < 0) {
+                console.error(`❌ Invalid --recency-weight: ${args[i + 1]}`);
+                process.exit(1);
+            }
+            i++;
+        } else if (args[i] === '--min-similarity' && args[i + 1]) {
+            minSimilarity = parseFloat(args[i + 1]);
+            if (Number.isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+                console.error(`❌ Invalid --min-similarity: ${args[i + 1]} (expected 0-1)`);
+                process.exit(1);
+            }
+            i++;
+        } else if (args[i] === '--max-expand-lines' && args[i + 1]) {
+            maxExpandLines = parseInt(args[i + 1]);
+            if (!Number.isInteger(maxExpandLines) || maxExpandLines < 0) {
+                console.error(`❌ Invalid --max-expand-lines: ${args[i + 1]} (expected a number of lines, 0 for no limit)`);
+                process.exit(1);
+            }
+            i++;
+        } else if (args[i] === '--format' || args[i] === '--highlight') {
+            i++;  // Parsed above
+        } else if (args[i] === '--no-server') {
+            // Handled by openBackend()
         } else if (!args[i].startsWith('--')) {
             query = args[i];
         }
     }
 
     if (!query) {
-        console.log('❌ No query provided');
+        console.error('❌ No query provided');
         process.exit(1);
     }
 
+    // Check the query syntax up front (--header and --context take plain text)
+    let parsedQuery = null;
+    if (!headerMode && !contextMode) {
+        try {
+            parsedQuery = parseQuery(query);
+        } catch (e) {
+            console.error(`❌ ${e.message}`);
+            process.exit(1);
+        }
+    }
+
     // Determine mode for display
     let mode = 'smart';
     if (contextMode) mode = 'context';
@@ -804,35 +2397,107 @@ async function main() {
     else if (expandMode) mode = 'expand';
     else if (chunkMode) mode = 'chunk';
 
-    console.log(`🔍 Searching for: "${query}"`);
-    if (fileFilter) console.log(`   File filter: ${fileFilter}`);
-    console.log(`   Limit: ${limit}`);
-    console.log(`   Mode: ${mode}`);
-    console.log('');
+    // Monorepo scoping: --package filters, otherwise the current package is boosted
+    const packages = loadPackages(PROJECT_ROOT, config);
+    let packageFilter = null;
+    if (packageSpec) {
+        try {
+            packageFilter = await backend.call('resolvePackage', { spec: packageSpec, cwd: process.cwd() });
+        } catch (e) {
+            console.error(`❌ ${e.message}`);
+            process.exit(1);
+        }
+    }
+    const current = packageFilter ? null : currentPackage(packages);
+
+    let typeFilter = null;
+    if (typeSpec) {
+        try {
+            typeFilter = await backend.call('resolveType', { spec: typeSpec });
+        } catch (e) {
+            console.error(`❌ ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    const scope = {
+        type: typeFilter,
+        package: packageFilter,
+        boostPackage: current ? current.name : null,
+        packageBoost,
+        recencyWeight,
+        maxExpandLines,
+        minSimilarity
+    };
+
+    warnIfStale(await backend.call('freshness'));
+
+    // Banner on stderr so stdout stays machine-readable
+    console.error(`🔍 Searching for: "${query}"`);
+    if (explain && parsedQuery) console.error(`   FTS5: ${parsedQuery.match || '(none)'}${parsedQuery.exclude ? ` NOT ${parsedQuery.exclude}` : ''}`);
+    if (fileFilter) console.error(`   File filter: ${fileFilter}`);
+    if (typeFilter) console.error(`   Type: ${typeFilter.join(', ')}`);
+    if (packageFilter) console.error(`   Package: ${packageFilter}`);
+    if (scope.boostPackage && packageBoost !== 1) console.error(`   Boost: ${scope.boostPackage} ×${packageBoost}`);
+    console.error(`   Limit: ${budget && !limitSet ? 'none' : limit}`);
+    if (budget) console.error(`   Budget: ${budget} tokens (${getTokenizer().name})`);
+    console.error(`   Mode: ${mode}`);
+    if (backend.remote) console.error('   Server: warm (search.cjs serve)');
+    console.error('');
+
+    // With a budget, over-fetch and let packing decide how many results fit
+    // (--limit still caps the count when given)
+    const searchLimit = budget ? Math.max(limit, BUDGET_CANDIDATES) : limit;
+    const fullContent = budget ? { summaryOnly: false } : {};
 
     // Perform search
-    let results;
+    let searchOptions;
     if (contextMode) {
-        results = getContextForTask(db, query, { limit, file: fileFilter });
+        searchOptions = { limit: searchLimit, file: fileFilter, weights, ...scope, ...fullContent };
     } else if (headerMode) {
-        results = searchByHeader(db, query, { limit, file: fileFilter });
+        searchOptions = { limit: searchLimit, file: fileFilter, type: typeFilter };
     } else if (chunkMode) {
-        results = hybridSearch(db, query, { limit, file: fileFilter });
+        searchOptions = { limit: searchLimit, file: fileFilter, weights, ...scope };
     } else {
         // Smart search - auto-expands based on file type
-        results = smartSearch(db, query, {
-            limit,
+        searchOptions = {
+            limit: searchLimit,
             file: fileFilter,
+            weights,
+            ...scope,
             section: sectionMode,
             expand: !chunkMode
-        });
+        };
+    }
+    const searchMode = contextMode ? 'context' : headerMode ? 'header' : chunkMode ? 'chunk' : 'smart';
+    let results = await backend.call('search', { mode: searchMode, query, options: searchOptions });
+
+    let packing = null;
+    if (budget) {
+        packing = packToBudget(results, budget, { limit: limitSet ? limit : null });
+        results = packing.results;
     }
 
     // Display results
-    console.log(formatResults(results, { verbose }));
-    console.log(`\nFound ${results.length} results.`);
+    const meta = { query, mode, limit, filters: { file: fileFilter, type: typeFilter, package: packageFilter } };
+    if (packing) {
+        meta.budget = { tokens: budget, used: packing.used, deduped: packing.deduped, truncated: packing.truncated };
+    }
+    const output = renderResults(results, format, { verbose, explain, highlight, meta });
+    if (output) console.log(output);
+    console.error(`\nFound ${results.length} results.`);
+    if (packing) {
+        const notes = [];
+        if (packing.deduped > 0) notes.push(`${packing.deduped} overlapping dropped`);
+        if (packing.truncated) notes.push(`last ${packing.truncated === 'summary' ? 'summarized' : 'truncated'}`);
+        console.error(`📦 Context: ${packing.used}/${packing.budget} tokens${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+    }
 
-    db.close();
+    backend.close();
+
+    if (failOnEmpty && results.length === 0) {
+        process.exit(1);
+    }
 }
 
 // Export for use as module
@@ -840,13 +2505,17 @@ module.exports = {
     // Core search functions
     searchFTS,
     searchLike,
+    searchVector,
     hybridSearch,
+    rankingBoosts,
     smartSearch,
     sessionSearch,  // Legacy alias for smartSearch
     searchByHeader,
 
     // Context retrieval
     getContextForTask,
+    packToBudget,
+    truncateToTokens,
     extractSessionFromDailyLog,
     extractSessionSummary,
     extractSectionFromFile,
@@ -855,9 +2524,28 @@ module.exports = {
 
     // Utilities
     formatResults,
+    renderResults,
+    toResultRecord,
+    OUTPUT_FORMATS,
+    parseWeights,
+    resolvePackageFilter,
+    resolveTypeFilter,
+    getIndexStats,
+    createSearchService,
+    cacheStatements,
+    runSearch,
+    findMatchLines,
+    foldDuplicates,
+    renderHighlight,
+    formatStats,
+    DEFAULT_FUSION_WEIGHTS,
+    checkIndexFreshness,
     listSessions,
     isDailyLog,
-    isStructuredDoc
+    isStructuredDoc,
+    parseExpansionStrategy,
+    DEFAULT_EXPANSION,
+    isSourceCode
 };
 
 // Run if called directly
@@ -0,0 +1,547 @@
+/**
+ * Nelson Session Store v1.0
+ *
+ * STRUCTURED SESSIONS NEXT TO THE DAILY LOGS:
+ * The markdown logs in .nelson/memory/YYYY-MM-DD.md stay the source of truth;
+ * every session in them is also kept as a row in the `sessions` table of
+ * memory.db, so sessions can be queried without regex over markdown:
+ * - capture.cjs records a session as soon as it is appended
+ * - init-db.cjs re-parses a daily log whenever it changes (hand edits included)
+ *
+ * A session's id is its date and position in that day's log: 2026-10-18#2.
+ * tasks, decisions, insights, files, commits and blockers are JSON arrays.
+ *
+ * Usage:
+ *   node .nelson/sessions.cjs                                # Recent sessions
+ *   node .nelson/sessions.cjs --status BLOCKED --touching src/auth --since 2026-10-01
+ *   node .nelson/sessions.cjs show 2026-10-18#2              # One session in full
+ *   node .nelson/sessions.cjs sync                           # Rebuild from the daily logs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runMigrations, reportMigrations } = require('./migrations.cjs');
+const { escapeLike } = require('./query-parser.cjs');
+const { PROJECT_ROOT } = require('./workspaces.cjs');
+
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
+const DB_PATH = path.join(NELSON_DIR, 'memory.db');
+const MEMORY_DIR = path.join(NELSON_DIR, 'memory');
+
+// Daily logs that hold sessions (the date becomes part of each session id)
+const DAILY_LOG_FILE = /^\.nelson\/memory\/(\d{4}-\d{2}-\d{2})\.md$/;
+
+// Session name of the unfilled template (memory/template.md)
+const TEMPLATE_PLACEHOLDER = /^\[.*\]$/;
+
+// List fields stored as JSON arrays
+const LIST_FIELDS = ['tasks', 'decisions', 'insights', 'files', 'commits', 'blockers'];
+
+// "### <heading>" inside a session → field it fills (matched by prefix, case-insensitive)
+const SECTION_FIELDS = [
+    ['tasks completed', 'tasks'],
+    ['tasks', 'tasks'],
+    ['key decisions', 'decisions'],
+    ['decisions', 'decisions'],
+    ['insights', 'insights'],
+    ['key insight', 'insights'],
+    ['files modified', 'files'],
+    ['files', 'files'],
+    ['commits', 'commits'],
+    ['blockers', 'blockers'],
+    ['notes', 'notes']
+];
+
+// Ordered schema migrations for the sessions table (see migrations.cjs)
+// Never edit an applied step - append a new version instead
+const SESSIONS_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'sessions table',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id TEXT PRIMARY KEY,             -- YYYY-MM-DD#N (Nth session in that day's log)
+                    date TEXT NOT NULL,
+                    ordinal INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    status TEXT,
+                    mode TEXT,
+                    iteration INTEGER,
+                    started_at TEXT,                 -- YYYY-MM-DDTHH:MM from **Started:**
+                    captured_at TEXT,                -- Set when capture.cjs recorded it
+                    file TEXT NOT NULL,
+                    line_start INTEGER,
+                    line_end INTEGER,
+                    tasks TEXT DEFAULT '[]',
+                    decisions TEXT DEFAULT '[]',
+                    insights TEXT DEFAULT '[]',
+                    files TEXT DEFAULT '[]',
+                    commits TEXT DEFAULT '[]',       -- [{ hash, message }]
+                    blockers TEXT DEFAULT '[]',
+                    notes TEXT,
+                    updated_at TEXT DEFAULT (datetime('now'))
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_sessions_date ON sessions(date);
+                CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
+                CREATE INDEX IF NOT EXISTS idx_sessions_file ON sessions(file);
+            `);
+        }
+    }
+];
+
+/**
+ * Create or migrate the sessions table
+ */
+function initializeSessionsSchema(db) {
+    return runMigrations(db, 'sessions', SESSIONS_MIGRATIONS);
+}
+
+/**
+ * Date of a daily log from its path relative to the project root (null for other files)
+ */
+function dailyLogDate(file) {
+    const match = file.split(path.sep).join('/').match(DAILY_LOG_FILE);
+    return match ? match[1] : null;
+}
+
+/**
+ * Field a session sub-heading fills (null for headings like Goal or Verdict)
+ */
+function sectionField(heading) {
+    const text = heading.toLowerCase().replace(/[^a-z ]/g, '').trim();
+    const entry = SECTION_FIELDS.find(([prefix]) => text.startsWith(prefix));
+    return entry ? entry[1] : null;
+}
+
+/**
+ * Parse the sessions of a daily log
+ * Sessions start at "## Session:" and run to the next one. Returns records in
+ * file order with 1-indexed line_start/line_end; list fields are arrays.
+ * The unfilled template session ("## Session: [Session Name]") is skipped but
+ * still counts towards the ordinals, so ids don't shift when it is filled in.
+ */
+function parseSessions(content, file) {
+    const date = dailyLogDate(file);
+    const lines = content.split('\n');
+    const sessions = [];
+    let ordinal = 0;
+    let current = null;
+    let field = null;
+    let inFence = false;
+
+    const finish = () => {
+        if (!current || TEMPLATE_PLACEHOLDER.test(current.name)) return;
+        current.notes = current.notes.join('\n').trim() || null;
+        sessions.push(current);
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('## Session:')) {
+            finish();
+            ordinal++;
+            current = {
+                id: date ? `${date}#${ordinal}` : null,
+                date,
+                ordinal,
+                name: line.replace('## Session:', '').trim(),
+                status: null,
+                mode: null,
+                iteration: null,
+                started_at: null,
+                file,
+                line_start: i + 1,
+                line_end: i + 1,
+                tasks: [],
+                decisions: [],
+                insights: [],
+                files: [],
+                commits: [],
+                blockers: [],
+                notes: []
+            };
+            field = null;
+            inFence = false;
+            continue;
+        }
+        if (!current) continue;
+
+        const trimmed = line.trim();
+        if (trimmed.startsWith('*End of session')) continue;
+        if (trimmed && trimmed !== '---') {
+            current.line_end = i + 1;
+        }
+
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            if (field === 'notes') current.notes.push(line);
+            continue;
+        }
+        if (inFence) {
+            if (field === 'files' && trimmed) current.files.push(trimmed);
+            else if (field === 'notes') current.notes.push(line);
+            continue;
+        }
+
+        const heading = line.match(/^#{2,4}\s+(.*)$/);
+        if (heading) {
+            field = sectionField(heading[1]);
+            continue;
+        }
+
+        const meta = line.match(/^\*\*(Started|Mode|Iteration|Status):\*\*\s*(.*)$/);
+        if (meta && !field) {
+            const value = meta[2].trim();
+            if (meta[1] === 'Status') current.status = value || null;
+            if (meta[1] === 'Mode') current.mode = value || null;
+            if (meta[1] === 'Iteration') current.iteration = /^\d+$/.test(value) ? parseInt(value) : null;
+            if (meta[1] === 'Started') {
+                const time = value.match(/(\d{1,2}):(\d{2})/);
+                if (time && date) current.started_at = `${date}T${time[1].padStart(2, '0')}:${time[2]}`;
+            }
+            continue;
+        }
+
+        if (!field || trimmed === '---') continue;
+
+        if (field === 'notes') {
+            current.notes.push(line);
+        } else if (field === 'commits') {
+            const row = trimmed.match(/^\|\s*([^|]*?)\s*\|\s*(.*?)\s*\|$/);
+            if (row && row[1] && row[1] !== 'Hash' && !/^-+$/.test(row[1])) {
+                current.commits.push({ hash: row[1], message: row[2] === '-' ? null : row[2] });
+            }
+        } else if (field === 'files') {
+            const item = trimmed.match(/^(?:[-*]\s+)?`?([^`\s]+)`?$/);
+            if (item) current.files.push(item[1]);
+        } else {
+            const item = trimmed.match(/^(?:[-*+]|\d+\.)\s+(?:\[[ xX]\]\s+)?(.*)$/);
+            if (item && item[1]) current[field].push(item[1]);
+        }
+    }
+
+    finish();
+    return sessions;
+}
+
+/**
+ * Write a daily log's sessions to the table (upsert by id, drop removed ones)
+ * options.captured = ordinal of the session capture.cjs just appended.
+ * Only logs named YYYY-MM-DD.md hold sessions; other files are ignored.
+ * Returns the number of sessions recorded.
+ */
+function syncSessionsFromLog(db, file, content, options = {}) {
+    if (!dailyLogDate(file)) return 0;
+
+    const sessions = parseSessions(content, file);
+    const upsert = db.prepare(`
+        INSERT INTO sessions (id, date, ordinal, name, status, mode, iteration, started_at, captured_at, file,
+                              line_start, line_end, tasks, decisions, insights, files, commits, blockers, notes, updated_at)
+        VALUES (@id, @date, @ordinal, @name, @status, @mode, @iteration, @started_at, @captured_at, @file,
+                @line_start, @line_end, @tasks, @decisions, @insights, @files, @commits, @blockers, @notes, datetime('now'))
+        ON CONFLICT(id) DO UPDATE SET
+            name = excluded.name, status = excluded.status, mode = excluded.mode, iteration = excluded.iteration,
+            started_at = excluded.started_at, captured_at = COALESCE(excluded.captured_at, sessions.captured_at),
+            file = excluded.file, line_start = excluded.line_start, line_end = excluded.line_end,
+            tasks = excluded.tasks, decisions = excluded.decisions, insights = excluded.insights,
+            files = excluded.files, commits = excluded.commits, blockers = excluded.blockers,
+            notes = excluded.notes, updated_at = excluded.updated_at
+    `);
+
+    db.transaction(() => {
+        for (const session of sessions) {
+            const row = { ...session, captured_at: session.ordinal === options.captured ? new Date().toISOString() : null };
+            for (const list of LIST_FIELDS) row[list] = JSON.stringify(session[list]);
+            upsert.run(row);
+        }
+        db.prepare('DELETE FROM sessions WHERE file = ? AND ordinal NOT IN (SELECT value FROM json_each(?))')
+            .run(file, JSON.stringify(sessions.map(session => session.ordinal)));
+    })();
+
+    return sessions.length;
+}
+
+/**
+ * Whether a daily log already has session rows (logs indexed before the table existed don't)
+ */
+function hasSessionRecords(db, file) {
+    return !!db.prepare('SELECT 1 FROM sessions WHERE file = ? LIMIT 1').get(file);
+}
+
+/**
+ * Remove a daily log's sessions (the log was deleted or renamed)
+ */
+function removeSessions(db, file) {
+    db.prepare('DELETE FROM sessions WHERE file = ?').run(file);
+}
+
+/**
+ * Re-parse every daily log into the table
+ */
+function syncAllSessions(db) {
+    const stats = { logs: 0, sessions: 0 };
+    if (!fs.existsSync(MEMORY_DIR)) return stats;
+
+    const present = [];
+    for (const name of fs.readdirSync(MEMORY_DIR).sort()) {
+        const file = `.nelson/memory/${name}`;
+        if (!dailyLogDate(file)) continue;
+        present.push(file);
+        stats.logs++;
+        stats.sessions += syncSessionsFromLog(db, file, fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf-8'));
+    }
+
+    for (const { file } of db.prepare('SELECT DISTINCT file FROM sessions').all()) {
+        if (!present.includes(file)) removeSessions(db, file);
+    }
+    return stats;
+}
+
+/**
+ * Turn a table row back into a session record (JSON lists parsed)
+ */
+function fromRow(row) {
+    const session = { ...row };
+    for (const list of LIST_FIELDS) session[list] = JSON.parse(row[list] || '[]');
+    delete session.updated_at;
+    return session;
+}
+
+/**
+ * Query sessions, newest first
+ * Filters: status (prefix, case-insensitive), touching (substring of a modified
+ * file, case-sensitive), since/until (YYYY-MM-DD, inclusive), text (name, tasks,
+ * decisions, insights, blockers or notes), limit. % and _ match literally.
+ */
+function querySessions(db, filters = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.status) {
+        clauses.push("UPPER(status) LIKE UPPER(?) ESCAPE '\\'");
+        params.push(`${escapeLike(filters.status)}%`);
+    }
+    if (filters.touching) {
+        clauses.push('EXISTS (SELECT 1 FROM json_each(sessions.files) WHERE instr(json_each.value, ?) > 0)');
+        params.push(filters.touching);
+    }
+    if (filters.since) {
+        clauses.push('date >= ?');
+        params.push(filters.since);
+    }
+    if (filters.until) {
+        clauses.push('date <= ?');
+        params.push(filters.until);
+    }
+    if (filters.text) {
+        clauses.push(`(${['name', 'tasks', 'decisions', 'insights', 'blockers', 'notes'].map(c => `${c} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+        params.push(...Array(6).fill(`%${escapeLike(filters.text)}%`));
+    }
+
+    const sql = `
+        SELECT * FROM sessions
+        ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+        ORDER BY date DESC, ordinal DESC
+        LIMIT ?
+    `;
+    return db.prepare(sql).all(...params, filters.limit || 20).map(fromRow);
+}
+
+/**
+ * Get one session by id (null if unknown)
+ */
+function getSession(db, id) {
+    const row = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+    return row ? fromRow(row) : null;
+}
+
+/**
+ * Record the session capture.cjs just wrote to a daily log
+ * ordinal picks an updated session; by default the last one (just appended).
+ * Best effort: without memory.db or better-sqlite3 the next init-db.cjs run
+ * picks it up from the log. Returns the session id, or null.
+ */
+function recordCapturedSession(logPath, ordinal = null) {
+    if (!fs.existsSync(DB_PATH)) return null;
+
+    let db;
+    try {
+        const Database = require('better-sqlite3');
+        db = new Database(DB_PATH);
+        initializeSessionsSchema(db);
+
+        const file = path.relative(PROJECT_ROOT, logPath).split(path.sep).join('/');
+        const content = fs.readFileSync(logPath, 'utf-8');
+        const sessions = parseSessions(content, file);
+        const captured = ordinal ? sessions.find(session => session.ordinal === ordinal) : sessions.pop();
+        if (!captured) return null;
+        syncSessionsFromLog(db, file, content, { captured: captured.ordinal });
+        return captured.id;
+    } catch (e) {
+        console.log(`⚠️ Session not recorded in memory.db (${e.message}) - run: node .nelson/init-db.cjs`);
+        return null;
+    } finally {
+        if (db) db.close();
+    }
+}
+
+/**
+ * Format sessions for the terminal, one line each
+ */
+function formatSessions(sessions) {
+    if (sessions.length === 0) {
+        return 'No sessions found.';
+    }
+
+    return sessions.map(s => {
+        const extras = [];
+        if (s.files.length > 0) extras.push(`${s.files.length} files`);
+        if (s.blockers.length > 0) extras.push(`${s.blockers.length} blockers`);
+        return `  ${s.id.padEnd(14)} ${(s.status || '-').padEnd(12)} ${s.name}` +
+            (extras.length > 0 ? `  (${extras.join(', ')})` : '');
+    }).join('\n');
+}
+
+/**
+ * Format one session in full
+ */
+function formatSession(session) {
+    const lines = [
+        `📅 ${session.id}: ${session.name}`,
+        `   File: ${session.file}:${session.line_start}-${session.line_end}`,
+        `   Status: ${session.status || '-'}   Mode: ${session.mode || '-'}` +
+            (session.iteration ? `   Iteration: ${session.iteration}` : ''),
+        `   Started: ${session.started_at || '-'}` + (session.captured_at ? `   Captured: ${session.captured_at}` : '')
+    ];
+
+    const lists = [
+        ['Tasks', session.tasks],
+        ['Decisions', session.decisions],
+        ['Insights', session.insights],
+        ['Files', session.files],
+        ['Commits', session.commits.map(c => c.message ? `${c.hash} ${c.message}` : c.hash)],
+        ['Blockers', session.blockers]
+    ];
+    for (const [label, items] of lists) {
+        if (items.length === 0) continue;
+        lines.push('', `   ${label}:`, ...items.map(item => `     • ${item}`));
+    }
+    if (session.notes) {
+        lines.push('', '   Notes:', ...session.notes.split('\n').map(line => `     ${line}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Main CLI
+ */
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help')) {
+        console.log('Nelson Session Store v1.0');
+        console.log('');
+        console.log('Usage:');
+        console.log('  node .nelson/sessions.cjs                      Recent sessions');
+        console.log('  node .nelson/sessions.cjs --status BLOCKED     Sessions whose status starts with BLOCKED');
+        console.log('  node .nelson/sessions.cjs --touching src/auth  Sessions that modified matching files');
+        console.log('  node .nelson/sessions.cjs --since 2026-10-01   On or after a date (--until for before)');
+        console.log('  node .nelson/sessions.cjs --text "webhook"     Name, tasks, decisions, insights, blockers, notes');
+        console.log('  node .nelson/sessions.cjs --limit N            Maximum sessions (default: 20)');
+        console.log('  node .nelson/sessions.cjs --json               JSON output');
+        console.log('  node .nelson/sessions.cjs show <id>            One session in full (id: 2026-10-18#2)');
+        console.log('  node .nelson/sessions.cjs sync                 Rebuild the table from the daily logs');
+        process.exit(0);
+    }
+
+    if (!fs.existsSync(DB_PATH)) {
+        console.error('❌ Database not found. Run: node .nelson/init-db.cjs');
+        process.exit(1);
+    }
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        console.error('❌ better-sqlite3 not installed. Run: npm install better-sqlite3');
+        process.exit(1);
+    }
+
+    const db = new Database(DB_PATH);
+    const result = initializeSessionsSchema(db);
+    if (result.applied.length > 0) reportMigrations('sessions', result);
+
+    const json = args.includes('--json');
+
+    if (args[0] === 'sync') {
+        const stats = syncAllSessions(db);
+        console.log(`✅ Synced ${stats.sessions} sessions from ${stats.logs} daily logs`);
+        db.close();
+        return;
+    }
+
+    if (args[0] === 'show') {
+        const session = args[1] ? getSession(db, args[1]) : null;
+        db.close();
+        if (!session) {
+            console.error(`❌ Unknown session "${args[1] || ''}" (ids look like 2026-10-18#2)`);
+            process.exit(1);
+        }
+        console.log(json ? JSON.stringify(session, null, 2) : formatSession(session));
+        return;
+    }
+
+    const filters = {};
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i].replace(/^--/, '');
+        if (['status', 'touching', 'since', 'until', 'text'].includes(flag) && args[i + 1]) {
+            filters[flag] = args[i + 1];
+            i++;
+        } else if (flag === 'limit' && args[i + 1]) {
+            filters.limit = parseInt(args[i + 1]);
+            i++;
+        }
+    }
+
+    for (const key of ['since', 'until']) {
+        if (filters[key] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
+            console.error(`❌ Invalid --${key}: ${filters[key]} (expected YYYY-MM-DD)`);
+            process.exit(1);
+        }
+    }
+
+    const sessions = querySessions(db, filters);
+    db.close();
+
+    if (json) {
+        console.log(JSON.stringify({ count: sessions.length, sessions }, null, 2));
+    } else {
+        console.log(formatSessions(sessions));
+    }
+}
+
+// Export for use as module
+module.exports = {
+    SESSIONS_MIGRATIONS,
+    initializeSessionsSchema,
+    parseSessions,
+    sectionField,
+    syncSessionsFromLog,
+    syncAllSessions,
+    hasSessionRecords,
+    removeSessions,
+    querySessions,
+    getSession,
+    recordCapturedSession,
+    formatSessions,
+    formatSession,
+    dailyLogDate
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -440,9 +440,11 @@ fi
 echo "File types indexed (by priority):"
 echo "  1. CLAUDE.md         (instructions) - priority 1.0"
 echo "  2. .nelson/*.md      (memory/soul)  - priority 0.8-0.95"
-echo "  3. docs/**/*.md      (documentation)- priority 0.6-0.7"
+echo "  3. docs/**/*.md      (documentation)- priority 0.6"
 echo "  4. README.md         (overview)     - priority 0.75"
 echo "  5. **/*.md           (other)        - priority 0.5"
+echo "  6. Source code       (code)         - priority 0.4"
+echo "  7. JSON/YAML         (config)       - priority 0.3"
 echo ""
 echo "Nelson Protocol v4.0 is ready! 🎯"
 echo ""
@@ -0,0 +1,142 @@
+/**
+ * capture.cjs git helpers against a temporary repository
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createProject, removeProject } = require('./helpers.cjs');
+
+const root = createProject();
+let capture;
+const hashes = {};
+
+const gitEnv = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'Ada',
+    GIT_AUTHOR_EMAIL: 'ada@example.com',
+    GIT_COMMITTER_NAME: 'Ada',
+    GIT_COMMITTER_EMAIL: 'ada@example.com'
+};
+
+function git(args, env = {}) {
+    return execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], {
+        cwd: root,
+        encoding: 'utf-8',
+        env: { ...gitEnv, ...env }
+    }).trim();
+}
+
+function write(file, content) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+}
+
+function commit(message, env) {
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', message], env);
+    return git(['rev-parse', 'HEAD']);
+}
+
+before(() => {
+    git(['init', '-q']);
+    fs.writeFileSync(path.join(root, '.gitignore'), '.nelson/\n');
+
+    const threeDaysAgo = new Date(Date.now() - 3 * 24 * 3600 * 1000).toISOString();
+    const old = { GIT_AUTHOR_DATE: threeDaysAgo, GIT_COMMITTER_DATE: threeDaysAgo };
+    write('src/app.js', 'one\ntwo\n');
+    hashes.initial = commit('chore: initial import', old);
+
+    write('src/app.js', 'one\ntwo\nthree\nfour\n');
+    write('logo.png', Buffer.from([0, 1, 2, 3, 0, 255]));
+    hashes.feat = commit('feat(app): add three and four');
+
+    git(['mv', 'src/app.js', 'src/main.js']);
+    write('src/main.js', 'one\nTWO\nthree\nfour\n');
+    hashes.fix = commit('fix: uppercase two');
+
+    // Uncommitted: a modified tracked file and an untracked one
+    write('src/main.js', 'one\nTWO\nthree\nfour\nfive\n');
+    write('notes/todo.txt', 'later\n');
+
+    process.chdir(root);
+    capture = require(path.join(root, '.nelson', 'capture.cjs'));
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('gitWindow resolves a ref to the commits after it', () => {
+    const window = capture.gitWindow(hashes.feat.slice(0, 10));
+    assert.deepEqual(window.range, [`${hashes.feat}..HEAD`]);
+    assert.match(window.label, new RegExp(hashes.feat.slice(0, 7)));
+});
+
+test('gitWindow falls back to a date for anything that is not a ref', () => {
+    const window = capture.gitWindow('2 hours ago');
+    assert.equal(window.range[1], 'HEAD');
+    assert.match(window.range[0], /^--since=\d{4}-\d{2}-\d{2}T/);
+
+    const since = Date.parse(window.range[0].slice('--since='.length));
+    assert.ok(Math.abs(Date.now() - 2 * 3600 * 1000 - since) < 60 * 1000);
+});
+
+test('gitWindow rejects text that is neither a ref nor a date', () => {
+    assert.throws(() => capture.gitWindow('no-such-branch'), /Unknown ref or date "no-such-branch"/);
+});
+
+test('gitCommits returns the window newest first with author, type and numstat', () => {
+    const commits = capture.gitCommits(capture.gitWindow('1 day ago').range);
+    assert.deepEqual(commits.map(c => c.hash), [hashes.fix, hashes.feat]);
+
+    const [fix, feat] = commits;
+    assert.equal(fix.author, 'Ada');
+    assert.equal(fix.type, 'fix');
+    assert.equal(feat.type, 'feat');
+    assert.equal(feat.subject, 'feat(app): add three and four');
+    assert.equal(feat.shallow, false);
+
+    assert.deepEqual(feat.stats.get('src/app.js'), { added: 2, deleted: 0, binary: false });
+    assert.equal(feat.stats.get('logo.png').binary, true);
+    // The rename is reported under its new name
+    assert.deepEqual(fix.stats.get('src/main.js'), { added: 1, deleted: 1, binary: false });
+});
+
+test('gitCommits types non-conventional subjects as other', () => {
+    git(['commit', '-q', '--allow-empty', '-m', 'Tidy up']);
+    const commits = capture.gitCommits([`${hashes.initial}..HEAD`]);
+    assert.equal(commits.length, 3);
+    assert.equal(commits[0].type, 'other');
+    git(['reset', '-q', '--soft', 'HEAD~1']);
+});
+
+test('addNumstat merges rename forms and binary lines', () => {
+    const stats = new Map();
+    capture.addNumstat(stats, [
+        '3\t1\tsrc/{old => new}/file.js',
+        '2\t0\tsrc/new/file.js',
+        '0\t4\told.md => docs/new.md',
+        '-\t-\tassets/icon.png',
+        'not a numstat line'
+    ]);
+
+    assert.deepEqual(stats.get('src/new/file.js'), { added: 5, deleted: 1, binary: false });
+    assert.deepEqual(stats.get('docs/new.md'), { added: 0, deleted: 4, binary: false });
+    assert.deepEqual(stats.get('assets/icon.png'), { added: 0, deleted: 0, binary: true });
+    assert.equal(stats.size, 3);
+});
+
+test('gitWorkingTree lists modified and untracked files with diffstat', () => {
+    const changes = capture.gitWorkingTree();
+    const byFile = Object.fromEntries(changes.map(change => [change.file, change]));
+
+    assert.equal(byFile['src/main.js'].status, 'M');
+    assert.deepEqual(byFile['src/main.js'].stat, { added: 1, deleted: 0, binary: false });
+    assert.equal(byFile['notes/todo.txt'].status, '??');
+    assert.equal(byFile['notes/todo.txt'].stat, null);
+    assert.equal(changes.length, 2);
+});
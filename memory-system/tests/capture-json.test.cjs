@@ -0,0 +1,123 @@
+/**
+ * capture.cjs session input - repeatable list flags, --from-json and status validation
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, removeProject, run } = require('./helpers.cjs');
+
+const root = createProject();
+const logDir = path.join(root, '.nelson', 'memory');
+let capture;
+let parseSessions;
+
+function todaysLog() {
+    const log = fs.readdirSync(logDir).find(file => /^\d{4}-\d{2}-\d{2}\.md$/.test(file));
+    return log ? { file: `.nelson/memory/${log}`, content: fs.readFileSync(path.join(logDir, log), 'utf-8') } : null;
+}
+
+/**
+ * The session captured last, as parsed back from today's log
+ */
+function lastSession() {
+    const { file, content } = todaysLog();
+    return parseSessions(content, file).pop();
+}
+
+before(() => {
+    process.chdir(root);
+    capture = require(path.join(root, '.nelson', 'capture.cjs'));
+    ({ parseSessions } = require(path.join(root, '.nelson', 'sessions.cjs')));
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('list flags can be repeated and each lands in its section', () => {
+    const result = run(root, 'capture.cjs', ['Wire retries', 'COMPLETE',
+        '--decision', 'Use exponential backoff', '--decision', 'Cap at 5 attempts',
+        '--insight', 'The queue stalls on 429s',
+        '--file', 'src/retry.js', '--file', 'src/queue.js',
+        '--blocker', 'Needs staging keys']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const session = lastSession();
+    assert.equal(session.name, 'Wire retries');
+    assert.equal(session.status, 'COMPLETE');
+    assert.deepEqual(session.decisions, ['Use exponential backoff', 'Cap at 5 attempts']);
+    assert.deepEqual(session.insights, ['The queue stalls on 429s']);
+    assert.deepEqual(session.files, ['src/retry.js', 'src/queue.js']);
+    assert.deepEqual(session.blockers, ['Needs staging keys']);
+});
+
+test('--from-json - reads a whole session from stdin, and flags add to its lists', () => {
+    const input = JSON.stringify({
+        name: 'Tune the cache',
+        status: 'in progress',
+        tasks: ['Profile evictions'],
+        decisions: ['Keep LRU'],
+        notes: 'Hit rate is 80%.'
+    });
+    const result = run(root, 'capture.cjs', ['--from-json', '-', '--decision', 'Raise the size limit', '--new'], { input });
+    assert.equal(result.status, 0, result.stderr);
+
+    const session = lastSession();
+    assert.equal(session.name, 'Tune the cache');
+    assert.equal(session.status, 'IN_PROGRESS');
+    assert.deepEqual(session.tasks, ['Profile evictions']);
+    assert.deepEqual(session.decisions, ['Keep LRU', 'Raise the size limit']);
+    assert.equal(session.notes, 'Hit rate is 80%.');
+});
+
+test('--from-json reads a file, and the positional name and status override it', () => {
+    fs.writeFileSync(path.join(root, 'session.json'), JSON.stringify({ name: 'From file', status: 'COMPLETE', blockers: ['Waiting on review'] }));
+    const result = run(root, 'capture.cjs', ['Renamed', 'blocked', '--from-json', 'session.json', '--new']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const session = lastSession();
+    assert.equal(session.name, 'Renamed');
+    assert.equal(session.status, 'BLOCKED');
+    assert.deepEqual(session.blockers, ['Waiting on review']);
+});
+
+test('a status outside the vocabulary is rejected and nothing is written', () => {
+    const log = todaysLog().content;
+
+    const flag = run(root, 'capture.cjs', ['Ship it', 'DONE']);
+    assert.equal(flag.status, 1);
+    assert.match(flag.stderr, /❌ Invalid session\n {3}• session\.status: must be one of "IN_PROGRESS", "COMPLETE", "BLOCKED"/);
+
+    const json = run(root, 'capture.cjs', ['--from-json', '-'], { input: '{"name": "Ship it", "status": "FINISHED", "colour": "red"}' });
+    assert.equal(json.status, 1);
+    assert.match(json.stderr, /session\.status: must be one of/);
+    assert.match(json.stderr, /session: unknown key "colour"/);
+
+    assert.equal(todaysLog().content, log);
+});
+
+test('--from-json refuses input that is not a JSON object', () => {
+    for (const input of ['[{"name": "x"}]', 'null', '"Ship it"', '42']) {
+        const result = run(root, 'capture.cjs', ['--from-json', '-'], { input });
+        assert.equal(result.status, 1, input);
+        assert.match(result.stderr, /--from-json expects a JSON object \(a session\)/, input);
+    }
+
+    const broken = run(root, 'capture.cjs', ['--from-json', '-'], { input: '{"name": ' });
+    assert.equal(broken.status, 1);
+    assert.match(broken.stderr, /Invalid JSON in stdin/);
+
+    const missing = run(root, 'capture.cjs', ['--from-json', 'no-such-session.json']);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /ENOENT/);
+});
+
+test('normalizeStatus accepts spacing and case variants only', () => {
+    assert.equal(capture.normalizeStatus('in progress'), 'IN_PROGRESS');
+    assert.equal(capture.normalizeStatus(' in-progress '), 'IN_PROGRESS');
+    assert.equal(capture.normalizeStatus('Complete'), 'COMPLETE');
+    assert.throws(() => capture.normalizeStatus('done'), /Invalid status "done" \(expected IN_PROGRESS, COMPLETE, BLOCKED\)/);
+});
@@ -0,0 +1,108 @@
+/**
+ * capture.cjs session updates - same-name merges, --new and --session <id>
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, removeProject, run } = require('./helpers.cjs');
+
+const root = createProject();
+const logDir = path.join(root, '.nelson', 'memory');
+let parseSessions;
+let logDate = null;
+
+function capture(args) {
+    const result = run(root, 'capture.cjs', args);
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+}
+
+function todaysLog() {
+    const log = fs.readdirSync(logDir).find(file => /^\d{4}-\d{2}-\d{2}\.md$/.test(file));
+    logDate = log.slice(0, 10);
+    return fs.readFileSync(path.join(logDir, log), 'utf-8');
+}
+
+/**
+ * Today's sessions as [ordinal, name, status] plus the full records
+ * The log template's placeholder session is #1, so captures start at #2.
+ */
+function todaysSessions() {
+    const sessions = parseSessions(todaysLog(), `.nelson/memory/${logDate}.md`);
+    return { summary: sessions.map(s => [s.ordinal, s.name, s.status]), sessions };
+}
+
+before(() => {
+    process.chdir(root);
+    ({ parseSessions } = require(path.join(root, '.nelson', 'sessions.cjs')));
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('a capture named like the open session merges into it', () => {
+    assert.match(capture(['Wire retries', '--add-task', 'Add backoff', '--file', 'src/retry.ts']), /Session captured: "Wire retries"/);
+
+    const output = capture(['wire retries', 'COMPLETE', '--add-task', 'Add jitter', '--add-task', 'Add backoff', '--file', 'src/retry.ts']);
+    assert.match(output, /Session updated: "Wire retries"/);
+
+    const { summary, sessions } = todaysSessions();
+    assert.deepEqual(summary, [[2, 'Wire retries', 'COMPLETE']]);
+    assert.deepEqual(sessions[0].tasks, ['Add backoff', 'Add jitter']);
+    assert.deepEqual(sessions[0].files, ['src/retry.ts']);
+    assert.equal(todaysLog().match(/^## Session: Wire retries$/gim).length, 1);
+});
+
+test('a completed session is not reopened; --new appends next to an open one', () => {
+    capture(['Wire retries', 'IN_PROGRESS', '--add-task', 'Cap attempts']);
+    capture(['Wire retries', 'IN_PROGRESS', '--new', '--add-task', 'Log attempts']);
+
+    const { summary, sessions } = todaysSessions();
+    assert.deepEqual(summary, [
+        [2, 'Wire retries', 'COMPLETE'],
+        [3, 'Wire retries', 'IN_PROGRESS'],
+        [4, 'Wire retries', 'IN_PROGRESS']
+    ]);
+    assert.deepEqual(sessions[1].tasks, ['Cap attempts']);
+    assert.deepEqual(sessions[2].tasks, ['Log attempts']);
+
+    // The latest open session of that name is the one a closing capture updates
+    capture(['Wire retries', 'COMPLETE']);
+    assert.deepEqual(todaysSessions().summary.map(([, , status]) => status), ['COMPLETE', 'IN_PROGRESS', 'COMPLETE']);
+});
+
+test('--session <id> updates that session in place and keeps every ordinal', () => {
+    const previous = todaysSessions().sessions;
+
+    const output = capture(['--session', `${logDate}#3`, '--status', 'blocked', '--blocker', 'Needs staging keys', '--add-task', 'Cap attempts', '--add-task', 'Retry on 503']);
+    assert.match(output, /Session updated: "Wire retries"/);
+
+    const { summary, sessions } = todaysSessions();
+    assert.deepEqual(summary, [
+        [2, 'Wire retries', 'COMPLETE'],
+        [3, 'Wire retries', 'BLOCKED'],
+        [4, 'Wire retries', 'COMPLETE']
+    ]);
+    assert.deepEqual(sessions[1].tasks, ['Cap attempts', 'Retry on 503']);
+    assert.deepEqual(sessions[1].blockers, ['Needs staging keys']);
+    assert.deepEqual(sessions[0], previous[0]);
+    assert.deepEqual({ ...sessions[2], line_start: 0, line_end: 0 }, { ...previous[2], line_start: 0, line_end: 0 });
+});
+
+test('--session with an unknown or malformed id fails without touching the log', () => {
+    const content = todaysLog();
+
+    const unknown = run(root, 'capture.cjs', ['--session', `${logDate}#9`, '--status', 'COMPLETE']);
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, new RegExp(`Unknown session "${logDate}#9"`));
+
+    const malformed = run(root, 'capture.cjs', ['--session', 'latest', '--status', 'COMPLETE']);
+    assert.equal(malformed.status, 1);
+    assert.match(malformed.stderr, /session\.session: must match/);
+
+    assert.equal(todaysLog(), content);
+});
@@ -0,0 +1,103 @@
+/**
+ * init-db.cjs chunkContent - token-sized chunks that never split a code fence or a table
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, removeProject } = require('./helpers.cjs');
+
+// One token per word keeps chunk sizes predictable
+const WORD_COUNTER = { name: 'words', count: (text) => text.split(/\s+/).filter(Boolean).length };
+const CHUNKING = { chunkTokens: 40, overlapTokens: 8, tokenizer: WORD_COUNTER };
+
+const prose = (label, count) => Array.from({ length: count }, (_, i) => `${label} sentence ${i + 1} has a few words.`);
+
+const FENCE = ['```js', ...Array.from({ length: 20 }, (_, i) => `const step${i} = run(${i}); # not a header`), '```'];
+const TILDE_FENCE = ['~~~~', '```', 'nested backticks stay inside', '```', '~~~~'];
+const TABLE = ['| Flag | Meaning |', '|------|---------|', ...Array.from({ length: 12 }, (_, i) => `| --flag-${i} | does thing number ${i} |`)];
+
+const DOC = [
+    '# Runbook',
+    '',
+    ...prose('Intro', 6),
+    '',
+    ...FENCE,
+    '',
+    ...prose('Middle', 4),
+    '',
+    ...TABLE,
+    '',
+    ...TILDE_FENCE,
+    '',
+    ...prose('Outro', 6)
+].join('\n');
+
+const root = createProject();
+let chunkContent;
+let chunks;
+
+/**
+ * Whether a chunk holds a block whole, or none of it
+ * (judged by the block's lines that appear nowhere else, as fence markers repeat)
+ */
+function wholeOrAbsent(chunk, block) {
+    const docLines = DOC.split('\n');
+    const own = block.filter(line => docLines.filter(l => l === line).length === 1);
+    const lines = chunk.content.split('\n');
+    return !own.some(line => lines.includes(line)) || chunk.content.includes(block.join('\n'));
+}
+
+before(() => {
+    process.chdir(root);
+    ({ chunkContent } = require(path.join(root, '.nelson', 'init-db.cjs')));
+    chunks = chunkContent(DOC, 'docs/runbook.md', 0.5, CHUNKING);
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('a large section is split into several chunks', () => {
+    assert.ok(chunks.length >= 4, `${chunks.length} chunks`);
+    assert.ok(chunks.every(chunk => chunk.section_header === 'Runbook'));
+});
+
+test('code fences and tables are never split', () => {
+    for (const chunk of chunks) {
+        assert.ok(wholeOrAbsent(chunk, FENCE), `fence split in ${chunk.id}`);
+        assert.ok(wholeOrAbsent(chunk, TABLE), `table split in ${chunk.id}`);
+        assert.ok(wholeOrAbsent(chunk, TILDE_FENCE), `~~~~ fence split in ${chunk.id}`);
+    }
+    assert.ok(chunks.some(chunk => chunk.content.includes(FENCE.join('\n'))));
+    assert.ok(chunks.some(chunk => chunk.content.includes(TABLE.join('\n'))));
+    assert.ok(chunks.some(chunk => chunk.content.includes(TILDE_FENCE.join('\n'))));
+});
+
+test('a block bigger than the chunk size becomes one oversized chunk', () => {
+    const fenceChunk = chunks.find(chunk => chunk.content.includes(FENCE[1]));
+    assert.ok(fenceChunk.token_count > CHUNKING.chunkTokens);
+    assert.equal(fenceChunk.token_count, WORD_COUNTER.count(fenceChunk.content));
+});
+
+test('a # line inside a fence is not a section header', () => {
+    assert.deepEqual([...new Set(chunks.map(chunk => chunk.section_header))], ['Runbook']);
+});
+
+test('line ranges match the content and consecutive chunks overlap', () => {
+    const lines = DOC.split('\n');
+    for (const chunk of chunks) {
+        assert.equal(chunk.content, lines.slice(chunk.line_start - 1, chunk.line_end).join('\n'), chunk.id);
+    }
+    const intro = chunks.filter(chunk => chunk.content.includes('Intro sentence'));
+    assert.ok(intro.length >= 2);
+    assert.ok(intro[1].line_start <= intro[0].line_end, 'overlap carried into the next chunk');
+});
+
+test('a section within the chunk size stays one chunk', () => {
+    const small = chunkContent('# Notes\n\n| a | b |\n|---|---|\n| 1 | 2 |\n', 'docs/notes.md', 0.5, CHUNKING);
+    assert.equal(small.length, 1);
+    assert.equal(small[0].line_start, 1);
+    assert.equal(small[0].line_end, 6);
+});
@@ -0,0 +1,100 @@
+/**
+ * config.cjs - .nelson/config.json validation errors and the effective config
+ * shared by init-db.cjs, search.cjs and tools-indexer.cjs
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, removeProject, run } = require('./helpers.cjs');
+
+const INVALID_CONFIG = {
+    index: { chunk: { size: 10, overlap: -1 }, colour: 'blue', patterns: [{ glob: 'docs/**', priority: 2 }] },
+    search: { limit: '5', weights: { fts: -1, bogus: 1 } }
+};
+
+const EXPECTED_ERRORS = [
+    'config.index.chunk.size: must be >= 50',
+    'config.index.chunk.overlap: must be >= 0',
+    'config.index.patterns[0].priority: must be <= 1',
+    'config.index: unknown key "colour"',
+    'config.search.limit: expected integer',
+    'config.search.weights.fts: must be >= 0',
+    'config.search.weights: unknown key "bogus"'
+];
+
+const projects = [];
+
+function projectWithConfig(config) {
+    const root = createProject({
+        '.nelson/config.json': typeof config === 'string' ? config : JSON.stringify(config),
+        'docs/guide.md': '# Guide\n'
+    });
+    projects.push(root);
+    return root;
+}
+
+/**
+ * The "• problem" lines a CLI printed to stderr
+ */
+function problems(stderr) {
+    return stderr.split('\n').filter(line => line.startsWith('   • ')).map(line => line.slice(5));
+}
+
+after(() => {
+    for (const root of projects) removeProject(root);
+});
+
+test('every schema violation is reported, one per line', () => {
+    const root = projectWithConfig(INVALID_CONFIG);
+    const result = run(root, 'config.cjs');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /❌ \.nelson\/config\.json does not match the config schema/);
+    assert.deepEqual(problems(result.stderr).sort(), [...EXPECTED_ERRORS].sort());
+});
+
+test('init-db.cjs, search.cjs and tools-indexer.cjs refuse an invalid config the same way', () => {
+    const root = projectWithConfig({ search: { limit: 0 } });
+
+    for (const [script, args] of [['init-db.cjs', []], ['search.cjs', ['webhook', '--no-server']], ['tools-indexer.cjs', ['list']]]) {
+        const result = run(root, script, args);
+        assert.equal(result.status, 1, `${script}: ${result.stdout}`);
+        assert.deepEqual(problems(result.stderr), ['config.search.limit: must be >= 1'], script);
+    }
+});
+
+test('invalid JSON names the file', () => {
+    const root = projectWithConfig('{ "index": ');
+    const result = run(root, 'config.cjs');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /❌ Invalid JSON in \.nelson\/config\.json: /);
+});
+
+test('a valid config is merged over the defaults', () => {
+    const root = projectWithConfig({
+        index: { patterns: [{ glob: 'docs/**/*.md', priority: 0.9, file_type: 'runbook' }], chunk: { size: 300 } },
+        search: { weights: { vector: 0.5 } }
+    });
+
+    const result = run(root, 'config.cjs');
+    assert.equal(result.status, 0, result.stderr);
+    const config = JSON.parse(result.stdout.slice(result.stdout.indexOf('{')));
+    assert.deepEqual(config.index.chunk, { size: 300, overlap: 100 });
+    assert.deepEqual(config.search.weights, { vector: 0.5 });
+    assert.equal(config.search.limit, 5);
+
+    // Patterns decide priority and file type at indexing time
+    const explain = run(root, 'init-db.cjs', ['--explain-skip', path.join('docs', 'guide.md')]);
+    assert.match(explain.stdout, /would be indexed \(priority: 0\.90, type: runbook\)/);
+});
+
+test('no config.json means the defaults', () => {
+    const root = createProject();
+    projects.push(root);
+
+    const result = run(root, 'config.cjs');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /No \.nelson\/config\.json - using defaults/);
+    assert.equal(JSON.parse(result.stdout.slice(result.stdout.indexOf('{'))).index.chunk.size, 600);
+});
@@ -0,0 +1,122 @@
+/**
+ * search.cjs packToBudget and --budget - greedy packing, overlap dedupe,
+ * summaries and truncation for the result that does not fit
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+
+const root = createProject();
+let search;
+let countTokens;
+let indexed = null;
+
+/**
+ * A result covering lines start..end of a file, one line of text per line
+ */
+function result(file, start, end, extra = {}) {
+    const content = Array.from({ length: end - start + 1 }, (_, i) => `${file} line ${start + i} explains one more detail.`).join('\n');
+    return { file, line_start: start, line_end: end, content, type: 'section', ...extra };
+}
+
+const SESSION = [
+    '## Session: Wire retries',
+    '',
+    '### Goal',
+    '',
+    'Retry failed webhook deliveries.',
+    '',
+    '## Tasks Completed',
+    '',
+    '- [x] Add backoff',
+    '',
+    '## Notes',
+    '',
+    ...Array.from({ length: 40 }, (_, i) => `Long note ${i} about the retry queue and its many details.`)
+].join('\n');
+
+before(() => {
+    process.chdir(root);
+    search = require(path.join(root, '.nelson', 'search.cjs'));
+    ({ countTokens } = require(path.join(root, '.nelson', 'tokenizer.cjs')));
+    if (!skip) indexed = createIndexedProject();
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+    if (indexed) removeProject(indexed);
+});
+
+test('results are packed in rank order and every token is counted', () => {
+    const results = [result('a.md', 1, 3), result('b.md', 1, 3), result('c.md', 1, 3)];
+    const packing = search.packToBudget(results, 10000);
+
+    assert.deepEqual(packing.results.map(r => r.file), ['a.md', 'b.md', 'c.md']);
+    assert.equal(packing.used, results.reduce((sum, r) => sum + countTokens(r.content), 0));
+    assert.equal(packing.truncated, null);
+    assert.deepEqual(packing.results.map(r => r.tokens), results.map(r => countTokens(r.content)));
+});
+
+test('a range already packed is dropped and a partial overlap is trimmed', () => {
+    const packing = search.packToBudget([result('a.md', 1, 10), result('a.md', 3, 6), result('a.md', 8, 14), result('b.md', 3, 6)], 10000);
+
+    assert.equal(packing.deduped, 1);
+    assert.deepEqual(packing.results.map(r => [r.file, r.line_start, r.line_end]), [['a.md', 1, 10], ['a.md', 11, 14], ['b.md', 3, 6]]);
+    assert.equal(packing.results[1].trimmed, true);
+    assert.equal(packing.results[1].content, result('a.md', 11, 14).content);
+});
+
+test('the first result that does not fit is truncated and packing stops', () => {
+    const first = result('a.md', 1, 4);
+    const budget = countTokens(first.content) + 60;
+    const packing = search.packToBudget([first, result('b.md', 1, 40), result('c.md', 1, 2)], budget);
+
+    assert.deepEqual(packing.results.map(r => r.file), ['a.md', 'b.md']);
+    const cut = packing.results[1];
+    assert.equal(cut.truncation, 'truncated');
+    assert.equal(packing.truncated, 'truncated');
+    assert.match(cut.content, /… \(truncated to fit the token budget\)$/);
+    assert.equal(cut.line_end, cut.line_start + cut.content.split('\n').length - 2);
+    assert.ok(packing.used <= budget, `${packing.used} <= ${budget}`);
+});
+
+test('a session that does not fit is replaced by its summary', () => {
+    const session = { file: '.nelson/memory/2026-03-01.md', line_start: 1, line_end: 52, content: SESSION, type: 'session' };
+    const summary = search.extractSessionSummary(SESSION);
+    const packing = search.packToBudget([session], countTokens(summary) + 5);
+
+    assert.equal(packing.results.length, 1);
+    assert.equal(packing.results[0].truncation, 'summary');
+    assert.equal(packing.results[0].content, summary);
+    assert.doesNotMatch(summary, /Long note/);
+});
+
+test('a remainder too small to truncate into is left unused, and limit caps the count', () => {
+    const first = result('a.md', 1, 4);
+    const tight = search.packToBudget([first, result('b.md', 1, 40)], countTokens(first.content) + 10);
+    assert.deepEqual(tight.results.map(r => r.file), ['a.md']);
+    assert.equal(tight.truncated, null);
+
+    const limited = search.packToBudget([result('a.md', 1, 2), result('b.md', 1, 2), result('c.md', 1, 2)], 10000, { limit: 2 });
+    assert.equal(limited.results.length, 2);
+});
+
+test('--context --budget reports the tokens used in the JSON envelope', { skip }, () => {
+    const output = run(indexed, 'search.cjs', ['--context', 'webhook retries', '--budget', '80', '--format', 'json', '--no-server']);
+    assert.equal(output.status, 0, output.stderr);
+
+    const { budget, results } = JSON.parse(output.stdout);
+    assert.equal(budget.tokens, 80);
+    assert.ok(budget.used > 0 && budget.used <= 80, `${budget.used} tokens used`);
+    assert.equal(budget.used, results.reduce((sum, r) => sum + r.tokens, 0));
+    assert.match(output.stderr, new RegExp(`📦 Context: ${budget.used}/80 tokens`));
+
+    const invalid = run(indexed, 'search.cjs', ['--context', 'webhook', '--budget', 'lots', '--no-server']);
+    assert.equal(invalid.status, 1);
+    assert.match(invalid.stderr, /Invalid --budget: lots/);
+});
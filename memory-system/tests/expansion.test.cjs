@@ -0,0 +1,123 @@
+/**
+ * search.cjs expansion strategies - daily log path matching, per-type
+ * strategies from config.json, --max-expand-lines and the strategy reported
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+
+const FAILOVER = Array.from({ length: 60 }, (_, i) =>
+    i === 30 ? 'Promote the zeppelin replica before draining the primary.' : `Step ${i + 1}: check the dashboard panel number ${i + 1} for errors.`);
+
+const FILES = {
+    'docs/runbook.md': `# Runbook\n\n## Failover\n\n${FAILOVER.join('\n')}\n\n## Backups\n\nNightly snapshots.\n`,
+    'src/memory/notes.md': '# Cache notes\n\n## Session: not a daily log\n\nThe quokka cache evicts least recently used keys.\n',
+    '.nelson/memory/2026-03-01.md': '# 2026-03-01\n\n## Session: Tune the cache\n\n**Status:** COMPLETE\n\n### Goal\n\nMake the quokka cache faster.\n'
+};
+
+const bare = createProject();
+let search;
+let root = null;
+
+function results(args, projectRoot = root) {
+    const result = run(projectRoot, 'search.cjs', [...args, '--format', 'json', '--no-server']);
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout).results;
+}
+
+function find(records, file) {
+    const record = records.find(r => r.file === file);
+    assert.ok(record, `no result from ${file}`);
+    return record;
+}
+
+before(() => {
+    process.chdir(bare);
+    search = require(path.join(bare, '.nelson', 'search.cjs'));
+    if (!skip) root = createIndexedProject(FILES);
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(bare);
+    if (root) removeProject(root);
+});
+
+test('only markdown files directly in .nelson/memory/ are daily logs', () => {
+    assert.equal(search.isDailyLog('.nelson/memory/2026-03-01.md'), true);
+    assert.equal(search.isDailyLog(path.join('.nelson', 'memory', '2026-03-01.md')), true);
+
+    for (const file of ['src/memory/notes.md', 'memory/2026-03-01.md', '.nelson/memory/archive/2026-01-01.md', '.nelson/memory/index.json']) {
+        assert.equal(search.isDailyLog(file), false, file);
+    }
+    assert.equal(search.isStructuredDoc('src/memory/notes.md'), true);
+});
+
+test('expansion strategies parse with their counts and reject unknown names', () => {
+    assert.deepEqual(search.parseExpansionStrategy('section:2'), { name: 'section', n: 2, spec: 'section:2' });
+    assert.deepEqual(search.parseExpansionStrategy('adjacent'), { name: 'adjacent', n: null, spec: 'adjacent' });
+    assert.deepEqual(search.parseExpansionStrategy('file:50'), { name: 'file', n: 50, spec: 'file:50' });
+
+    for (const spec of ['section:7', 'paragraph', 'adjacent:x', '']) {
+        assert.throws(() => search.parseExpansionStrategy(spec), /Unknown expansion strategy/, spec);
+    }
+});
+
+test('each result reports the strategy its file type applied', { skip }, () => {
+    assert.equal(find(results(['zeppelin replica']), 'docs/runbook.md').expansionStrategy, 'section');
+
+    const records = results(['quokka cache']);
+    const log = find(records, '.nelson/memory/2026-03-01.md');
+    assert.equal(log.expansionStrategy, 'session');
+    assert.equal(log.sessionName, 'Tune the cache');
+
+    // A memory/ directory elsewhere is not a daily log, so its sessions are not expanded
+    const notes = find(records, 'src/memory/notes.md');
+    assert.equal(notes.expansionStrategy, 'adjacent:1');
+    assert.notEqual(notes.type, 'session');
+    assert.equal(notes.sessionName, null);
+
+    const sections = results(['quokka cache', '--section']);
+    assert.equal(find(sections, '.nelson/memory/2026-03-01.md').type, 'session');
+    assert.equal(find(sections, 'src/memory/notes.md').type, 'section');
+});
+
+test('--max-expand-lines skips an expansion that is too long for the next strategy', { skip }, () => {
+    const uncapped = find(results(['zeppelin replica']), 'docs/runbook.md');
+    assert.ok(uncapped.lineEnd - uncapped.lineStart + 1 > 40);
+    assert.equal(uncapped.expansionCapped, false);
+
+    const capped = find(results(['zeppelin replica', '--max-expand-lines', '40']), 'docs/runbook.md');
+    assert.notEqual(capped.expansionStrategy, 'section');
+    assert.equal(capped.expansionCapped, true);
+    assert.ok(capped.lineEnd - capped.lineStart + 1 <= 40, `${capped.lineStart}-${capped.lineEnd}`);
+
+    const text = run(root, 'search.cjs', ['zeppelin replica', '--max-expand-lines', '40', '--no-server']);
+    assert.match(text.stdout, /Strategy: .* \(larger expansions skipped: --max-expand-lines\)/);
+
+    const invalid = run(root, 'search.cjs', ['zeppelin', '--max-expand-lines', '-1', '--no-server']);
+    assert.equal(invalid.status, 1);
+    assert.match(invalid.stderr, /Invalid --max-expand-lines: -1/);
+});
+
+test('search.expansion in config.json sets the strategies per file type', { skip }, () => {
+    fs.writeFileSync(path.join(root, '.nelson', 'config.json'), JSON.stringify({
+        search: { expansion: { documentation: ['file:20', 'adjacent:2'], other: 'file', daily_log: 'none' } }
+    }));
+
+    try {
+        // The runbook is over 20 lines, so the second strategy applies
+        assert.equal(find(results(['zeppelin replica']), 'docs/runbook.md').expansionStrategy, 'adjacent:2');
+
+        const records = results(['quokka cache']);
+        assert.equal(find(records, 'src/memory/notes.md').expansionStrategy, 'file');
+        assert.equal(find(records, '.nelson/memory/2026-03-01.md').expansionStrategy, 'none');
+    } finally {
+        fs.unlinkSync(path.join(root, '.nelson', 'config.json'));
+    }
+});
@@ -0,0 +1,102 @@
+/**
+ * search.cjs foldDuplicates - contained, contains, overlap and cross-file duplicates
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, removeProject } = require('./helpers.cjs');
+
+const LINES = Array.from({ length: 40 }, (_, i) => `Line ${i + 1} of the deployment guide, step ${i + 1}.`);
+const PARAGRAPH = 'Roll back by redeploying the previous image tag from the release dashboard, then page the on-call engineer.';
+
+const root = createProject({
+    'docs/guide.md': LINES.join('\n') + '\n',
+    'docs/rollback.md': `# Rollback\n\n${PARAGRAPH}\n`,
+    'CLAUDE.md': `# Notes\n\n${PARAGRAPH}\n`
+});
+let search;
+
+/**
+ * A search result for a line range of docs/guide.md
+ */
+function hit(start, end, extra = {}) {
+    return {
+        file: 'docs/guide.md',
+        line_start: start,
+        line_end: end,
+        content: LINES.slice(start - 1, end).join('\n'),
+        type: 'section',
+        ...extra
+    };
+}
+
+before(() => {
+    process.chdir(root);
+    search = require(path.join(root, '.nelson', 'search.cjs'));
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('a hit inside a kept result folds into it as contained', () => {
+    const [kept, ...rest] = search.foldDuplicates([hit(1, 20), hit(5, 8)]);
+
+    assert.equal(rest.length, 0);
+    assert.equal(kept.line_start, 1);
+    assert.equal(kept.line_end, 20);
+    assert.deepEqual(kept.alsoFoundIn, [{ file: 'docs/guide.md', line_start: 5, line_end: 8, reason: 'contained' }]);
+});
+
+test('a hit containing a kept result widens it and records the range it had before', () => {
+    const [kept, ...rest] = search.foldDuplicates([hit(5, 8, { sectionName: 'Step 5' }), hit(1, 20, { sectionName: 'Guide' })]);
+
+    assert.equal(rest.length, 0);
+    assert.equal(kept.line_start, 1);
+    assert.equal(kept.line_end, 20);
+    assert.equal(kept.sectionName, 'Guide');
+    assert.equal(kept.content, LINES.slice(0, 20).join('\n'));
+    assert.deepEqual(kept.alsoFoundIn, [{ file: 'docs/guide.md', line_start: 5, line_end: 8, reason: 'contains' }]);
+});
+
+test('"Also found in" never repeats the result\'s own range', () => {
+    const [kept] = search.foldDuplicates([hit(1, 8), hit(1, 30)]);
+    const output = search.renderResults([kept], 'text', { highlight: 'none' });
+
+    assert.match(output, /Also found in: 1-8 \(contains\)/);
+    assert.doesNotMatch(output, /Also found in: 1-30/);
+});
+
+test('partially overlapping hits merge into one range from the file', () => {
+    const [kept, ...rest] = search.foldDuplicates([hit(1, 10), hit(8, 15)], { maxLines: 50 });
+
+    assert.equal(rest.length, 0);
+    assert.equal(kept.line_start, 1);
+    assert.equal(kept.line_end, 15);
+    assert.equal(kept.content, LINES.slice(0, 15).join('\n'));
+    assert.deepEqual(kept.alsoFoundIn, [{ file: 'docs/guide.md', line_start: 8, line_end: 15, reason: 'overlap' }]);
+});
+
+test('an overlap that would exceed maxLines stays a separate result', () => {
+    const results = search.foldDuplicates([hit(1, 10), hit(8, 15)], { maxLines: 12 });
+    assert.deepEqual(results.map(r => [r.line_start, r.line_end]), [[1, 10], [8, 15]]);
+});
+
+test('hits in different places of a file are kept apart', () => {
+    const results = search.foldDuplicates([hit(1, 5), hit(20, 25)]);
+    assert.equal(results.length, 2);
+    assert.deepEqual(results[0].alsoFoundIn, []);
+});
+
+test('near-identical text in another file folds as a duplicate', () => {
+    const results = search.foldDuplicates([
+        { file: 'docs/rollback.md', line_start: 3, line_end: 3, content: PARAGRAPH },
+        { file: 'CLAUDE.md', line_start: 3, line_end: 3, content: PARAGRAPH },
+        hit(1, 5)
+    ]);
+
+    assert.deepEqual(results.map(r => r.file), ['docs/rollback.md', 'docs/guide.md']);
+    assert.deepEqual(results[0].alsoFoundIn, [{ file: 'CLAUDE.md', line_start: 3, line_end: 3, reason: 'duplicate' }]);
+});
@@ -0,0 +1,104 @@
+/**
+ * Test helpers - throwaway Nelson projects
+ *
+ * Every module finds PROJECT_ROOT from the working directory when it is first
+ * required, so each project is a temp directory whose .nelson/ links to the
+ * modules under test. Run a CLI with run(), or process.chdir() into the project
+ * before requiring a module in-process (node --test runs each file in its own process).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const MODULE_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const RUN_TIMEOUT_MS = 60000;
+
+/**
+ * Create a temp project with .nelson/ (module symlinks, memory/ with the log template)
+ * files maps project-relative paths to content; options.fixture copies a
+ * directory of tests/fixtures in first.
+ */
+function createProject(files = {}, options = {}) {
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'nelson-test-')));
+    const nelsonDir = path.join(root, '.nelson');
+    fs.mkdirSync(path.join(nelsonDir, 'memory'), { recursive: true });
+
+    for (const file of fs.readdirSync(MODULE_DIR).filter(f => f.endsWith('.cjs'))) {
+        fs.symlinkSync(path.join(MODULE_DIR, file), path.join(nelsonDir, file));
+    }
+    fs.copyFileSync(path.join(MODULE_DIR, 'memory', 'template.md'), path.join(nelsonDir, 'memory', 'template.md'));
+
+    if (options.fixture) {
+        fs.cpSync(fixture(options.fixture), root, { recursive: true });
+    }
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    }
+    return root;
+}
+
+/**
+ * Remove a project created by createProject
+ */
+function removeProject(root) {
+    fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * Run a .nelson/ script in the project: { status, stdout, stderr }
+ * options.cwd is relative to the project root.
+ */
+function run(root, script, args = [], options = {}) {
+    return spawnSync(process.execPath, [path.join(root, '.nelson', script), ...args], {
+        cwd: path.join(root, options.cwd || ''),
+        encoding: 'utf-8',
+        input: options.input,
+        env: { ...process.env, ...options.env },
+        timeout: options.timeout || RUN_TIMEOUT_MS
+    });
+}
+
+/**
+ * Create a project from a tests/fixtures directory (default: project) and index it with init-db.cjs
+ */
+function createIndexedProject(files = {}, options = {}) {
+    const root = createProject(files, { fixture: options.fixture || 'project' });
+    const result = run(root, 'init-db.cjs');
+    if (result.status !== 0) {
+        removeProject(root);
+        throw new Error(`init-db.cjs failed: ${result.stderr || result.stdout}`);
+    }
+    return root;
+}
+
+/**
+ * Whether better-sqlite3 can be loaded (tests that index skip without it)
+ */
+function hasSqlite() {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Path of a file in tests/fixtures
+ */
+function fixture(name) {
+    return path.join(FIXTURES_DIR, name);
+}
+
+module.exports = {
+    createProject,
+    createIndexedProject,
+    removeProject,
+    run,
+    hasSqlite,
+    fixture
+};
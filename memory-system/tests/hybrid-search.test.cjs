@@ -0,0 +1,120 @@
+/**
+ * search.cjs hybridSearch - reciprocal rank fusion of BM25, vector and phrase
+ * signals, configurable weights and the vector similarity floor
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+function hasSqliteVec() {
+    try {
+        require('sqlite-vec');
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+const skipVector = skip || (!hasSqliteVec() && 'sqlite-vec is not installed');
+const RRF_K = 60;
+// Priority and recency multipliers off: combinedScore is the fused score alone
+const NO_BOOSTS = { priorityWeight: 0, recencyWeight: 0 };
+
+let root = null;
+let search;
+let db;
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} ≈ ${expected}`);
+}
+
+before(() => {
+    if (skip) return;
+    root = createIndexedProject({
+        'docs/queues.md': '# Queues\n\n## Retries\n\nFailed webhook deliveries are retried by the queue worker.\n'
+    });
+    process.chdir(root);
+    search = require(path.join(root, '.nelson', 'search.cjs'));
+    const Database = require('better-sqlite3');
+    db = new Database(path.join(root, '.nelson', 'memory.db'), { readonly: true });
+});
+
+after(() => {
+    if (db) db.close();
+    process.chdir(__dirname);
+    if (root) removeProject(root);
+});
+
+test('each signal contributes weight / (60 + rank) and results sort by the sum', { skip }, () => {
+    const results = search.hybridSearch(db, 'webhook retries', { ...NO_BOOSTS, limit: 10 });
+    assert.ok(results.length > 1);
+
+    for (const result of results) {
+        let sum = 0;
+        for (const [signal, detail] of Object.entries(result.signals)) {
+            close(detail.contribution, search.DEFAULT_FUSION_WEIGHTS[signal] / (RRF_K + detail.rank));
+            sum += detail.contribution;
+        }
+        close(result.combinedScore, sum);
+        assert.equal(result.source, Object.keys(result.signals).join('+'));
+    }
+    for (let i = 1; i < results.length; i++) {
+        assert.ok(results[i - 1].combinedScore >= results[i].combinedScore);
+    }
+});
+
+test('weights scale or switch off a signal', { skip }, () => {
+    const ftsOnly = search.hybridSearch(db, 'webhook', { ...NO_BOOSTS, limit: 10, weights: { fts: 2, vector: 0, phrase: 0 } });
+    assert.ok(ftsOnly.length > 1);
+    ftsOnly.forEach((result, index) => {
+        assert.equal(result.source, 'fts');
+        assert.equal(result.signals.fts.rank, index + 1);
+        close(result.combinedScore, 2 / (RRF_K + index + 1));
+    });
+
+    const phraseOnly = search.hybridSearch(db, 'queue worker', { ...NO_BOOSTS, weights: { fts: 0, vector: 0, phrase: 1 } });
+    assert.deepEqual(phraseOnly.map(r => [r.file, r.source]), [['docs/queues.md', 'phrase']]);
+});
+
+test('a chunk found by several signals outranks one found by fewer', { skip }, () => {
+    const results = search.hybridSearch(db, 'queue worker', { ...NO_BOOSTS, limit: 10, weights: { vector: 0 } });
+    assert.equal(results[0].file, 'docs/queues.md');
+    assert.equal(results[0].source, 'fts+phrase');
+    assert.ok(results.slice(1).every(r => r.source === 'fts'));
+});
+
+test('priority and recency multiply the fused score', { skip }, () => {
+    const plain = search.hybridSearch(db, 'billing', { ...NO_BOOSTS, weights: { vector: 0, phrase: 0 } });
+    const boosted = search.hybridSearch(db, 'billing', { priorityWeight: 1, recencyWeight: 0, weights: { vector: 0, phrase: 0 } });
+    const claude = (results) => results.find(r => r.file === 'CLAUDE.md');
+
+    assert.ok(claude(boosted).priorityBoost > 1);
+    close(claude(boosted).combinedScore, claude(plain).combinedScore * claude(boosted).priorityBoost);
+});
+
+test('vector hits under min_similarity are dropped unless another signal found them', { skip: skipVector }, () => {
+    // Nearest neighbours exist for any query; nothing in the index is about this
+    const query = 'zeppelin quasar marmalade';
+    assert.deepEqual(search.hybridSearch(db, query, NO_BOOSTS), []);
+
+    const unfiltered = search.hybridSearch(db, query, { ...NO_BOOSTS, minSimilarity: 0 });
+    assert.ok(unfiltered.length > 0);
+    assert.ok(unfiltered.every(r => r.source === 'vector' && r.signals.vector.score < 0.2));
+
+    // A strict floor keeps the lexical hits and their vector signal
+    const strict = search.hybridSearch(db, 'webhook signature', { ...NO_BOOSTS, limit: 10, minSimilarity: 0.99 });
+    assert.ok(strict.length > 0);
+    assert.ok(strict.every(r => r.signals.fts || r.signals.phrase));
+    assert.ok(strict.some(r => r.signals.vector));
+});
+
+test('--explain prints each signal\'s rank and contribution', { skip }, () => {
+    const result = run(root, 'search.cjs', ['queue worker', '--chunk', '--explain', '--no-server', '--highlight', 'none']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Signals:/);
+    assert.match(result.stdout, /• fts\s+rank 1\s+bm25 -?\d+\.\d{3}\s+→ \+0\.0164/);
+    assert.match(result.stdout, /• phrase\s+rank 1\s+hit\s+→ \+0\.0082/);
+});
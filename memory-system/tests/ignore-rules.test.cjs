@@ -0,0 +1,93 @@
+/**
+ * .gitignore / .nelsonignore during indexing - negation, parent exclusion,
+ * nested ignore files and ** globs, checked through init-db.cjs --explain-skip
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+
+const root = createProject({
+    '.gitignore': 'generated/\n*.secret.md\n!keep.secret.md\n!generated/keep.md\ndocs/**/draft-*.md\n',
+    '.nelsonignore': 'notes/private.md\n',
+    'docs/sub/.gitignore': 'local.md\n',
+    'docs/sub/local.md': '# Local\n',
+    'docs/sub/guide.md': '# Guide\n',
+    'docs/a/b/draft-intro.md': '# Draft\n',
+    'generated/api.md': '# API\n',
+    'generated/keep.md': '# Keep\n',
+    'notes/a.secret.md': '# Secret\n',
+    'notes/keep.secret.md': '# Not secret\n',
+    'notes/private.md': '# Private\n',
+    'node_modules/pkg/README.md': '# Package\n'
+});
+
+/**
+ * Run --explain-skip: { skipped, reason, detail }
+ */
+function explain(target, options = {}) {
+    const result = run(root, 'init-db.cjs', ['--explain-skip', target], options);
+    assert.equal(result.status, 0, result.stderr);
+    const [summary, detail] = result.stdout.trim().split('\n');
+    const reason = summary.match(/skipped \((\w+)\)$/);
+    return { skipped: Boolean(reason), reason: reason ? reason[1] : null, detail: detail.trim() };
+}
+
+after(() => {
+    removeProject(root);
+});
+
+test('the rule that excluded a file is reported with its source and line', () => {
+    assert.deepEqual(explain('notes/a.secret.md'), { skipped: true, reason: 'ignored', detail: '.gitignore:2: *.secret.md' });
+    assert.deepEqual(explain('notes/private.md'), { skipped: true, reason: 'ignored', detail: '.nelsonignore:1: notes/private.md' });
+    assert.deepEqual(explain('docs/a/b/draft-intro.md'), { skipped: true, reason: 'ignored', detail: '.gitignore:5: docs/**/draft-*.md' });
+});
+
+test('a negation re-includes a file', () => {
+    const result = explain('notes/keep.secret.md');
+    assert.equal(result.skipped, false);
+    assert.match(result.detail, /would be indexed/);
+});
+
+test('a negation cannot re-include a file whose parent directory is ignored', () => {
+    for (const file of ['generated/api.md', 'generated/keep.md']) {
+        assert.deepEqual(explain(file), {
+            skipped: true,
+            reason: 'ignored',
+            detail: '.gitignore:1: generated/ (parent directory generated/ is ignored)'
+        });
+    }
+});
+
+test('a nested .gitignore applies to its own directory only', () => {
+    assert.deepEqual(explain('docs/sub/local.md'), { skipped: true, reason: 'ignored', detail: 'docs/sub/.gitignore:1: local.md' });
+    assert.equal(explain('docs/sub/guide.md').skipped, false);
+    // Paths are relative to where the command runs
+    assert.equal(explain('local.md', { cwd: 'docs/sub' }).detail, 'docs/sub/.gitignore:1: local.md');
+});
+
+test('built-in excluded directories and missing files', () => {
+    assert.deepEqual(explain('node_modules/pkg/README.md'), {
+        skipped: true,
+        reason: 'excluded_dir',
+        detail: 'built-in excluded directory "node_modules/"'
+    });
+    assert.equal(explain('missing.md').reason, 'not_found');
+});
+
+test('indexing leaves out exactly the ignored files', { skip }, () => {
+    const result = run(root, 'init-db.cjs');
+    assert.equal(result.status, 0, result.stderr);
+
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(root, '.nelson', 'memory.db'), { readonly: true });
+    try {
+        const files = db.prepare("SELECT file FROM indexed_files WHERE file NOT LIKE '.nelson/%' ORDER BY file").all().map(row => row.file);
+        assert.deepEqual(files, ['docs/sub/guide.md', 'notes/keep.secret.md']);
+    } finally {
+        db.close();
+    }
+});
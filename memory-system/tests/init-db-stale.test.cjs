@@ -0,0 +1,101 @@
+/**
+ * init-db.cjs across runs - deleted, renamed and newly ignored files leave the index
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+let root = null;
+
+function initDb() {
+    const result = run(root, 'init-db.cjs');
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+}
+
+/**
+ * Indexed files, chunk rowids per file and FTS hits for a word
+ */
+function snapshot(word) {
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(root, '.nelson', 'memory.db'), { readonly: true });
+    try {
+        // .nelson/memory/template.md is indexed too; only project files matter here
+        const files = db.prepare("SELECT file FROM indexed_files WHERE file NOT LIKE '.nelson/%' ORDER BY file").all().map(row => row.file);
+        const rowids = {};
+        for (const { file, rowid } of db.prepare('SELECT file, rowid FROM chunks ORDER BY rowid').all()) {
+            (rowids[file] = rowids[file] || []).push(rowid);
+        }
+        const hits = word
+            ? db.prepare('SELECT DISTINCT c.file FROM chunks_fts f JOIN chunks c ON c.rowid = f.rowid WHERE chunks_fts MATCH ?').all(word).map(row => row.file)
+            : [];
+        return { files, rowids, hits };
+    } finally {
+        db.close();
+    }
+}
+
+before(() => {
+    if (!skip) root = createIndexedProject();
+});
+
+after(() => {
+    if (root) removeProject(root);
+});
+
+test('a renamed file keeps its chunks and a deleted one is purged', { skip }, () => {
+    const start = snapshot();
+    assert.deepEqual(start.files, ['CLAUDE.md', 'docs/deploy.md', 'docs/webhooks.md']);
+
+    fs.renameSync(path.join(root, 'docs', 'deploy.md'), path.join(root, 'docs', 'release.md'));
+    fs.unlinkSync(path.join(root, 'docs', 'webhooks.md'));
+    const output = initDb();
+
+    assert.match(output, /↻ docs\/deploy\.md → docs\/release\.md \(renamed\)/);
+    assert.match(output, /✗ docs\/webhooks\.md \(removed\)/);
+    assert.match(output, /Removed: 1 files/);
+    assert.match(output, /Renamed: 1 files/);
+
+    const end = snapshot('signature');
+    assert.deepEqual(end.files, ['CLAUDE.md', 'docs/release.md']);
+    // Same rows under the new name - nothing re-chunked
+    assert.deepEqual(end.rowids['docs/release.md'], start.rowids['docs/deploy.md']);
+    assert.equal(end.rowids['docs/webhooks.md'], undefined);
+    assert.deepEqual(end.hits, []);
+});
+
+test('a run with nothing changed removes nothing', { skip }, () => {
+    const start = snapshot();
+    const output = initDb();
+    assert.match(output, /Removed: 0 files/);
+    assert.doesNotMatch(output, /renamed\)/);
+    assert.deepEqual(snapshot(), start);
+});
+
+test('a renamed file whose content also changed is a removal plus a new file', { skip }, () => {
+    const content = fs.readFileSync(path.join(root, 'docs', 'release.md'), 'utf-8');
+    fs.unlinkSync(path.join(root, 'docs', 'release.md'));
+    fs.writeFileSync(path.join(root, 'docs', 'shipping.md'), content + '\n## Hotfixes\n\nCherry-pick onto the release branch.\n');
+
+    const output = initDb();
+    assert.match(output, /✗ docs\/release\.md \(removed\)/);
+    assert.deepEqual(snapshot().files, ['CLAUDE.md', 'docs/shipping.md']);
+    assert.deepEqual(snapshot('hotfixes').hits, ['docs/shipping.md']);
+});
+
+test('files that become ignored are purged, CLAUDE.md included', { skip }, () => {
+    fs.writeFileSync(path.join(root, '.nelsonignore'), 'CLAUDE.md\ndocs/\n');
+
+    const output = initDb();
+    assert.match(output, /✗ CLAUDE\.md \(removed\)/);
+    assert.match(output, /✗ docs\/shipping\.md \(removed\)/);
+    assert.deepEqual(snapshot('billing').files, []);
+
+    fs.unlinkSync(path.join(root, '.nelsonignore'));
+    initDb();
+    assert.deepEqual(snapshot().files, ['CLAUDE.md', 'docs/shipping.md']);
+});
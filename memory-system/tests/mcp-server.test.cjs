@@ -0,0 +1,116 @@
+/**
+ * mcp-server.cjs over stdio - a minimal MCP client against a fixture index
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProject, createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+const { PROTOCOL_VERSIONS } = require('../mcp-server.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+let root = null;
+
+// Protocol handling never touches the index
+const bare = createProject();
+
+/**
+ * Send messages (objects, or raw strings) as one stdio session; returns the
+ * responses by id (parse errors have id null) and the exit status
+ */
+function exchange(projectRoot, messages) {
+    const input = messages.map(m => (typeof m === 'string' ? m : JSON.stringify(m))).join('\n') + '\n';
+    const result = run(projectRoot, 'mcp-server.cjs', [], { input });
+
+    const lines = result.stdout.split('\n').filter(line => line.trim());
+    const responses = lines.map(line => JSON.parse(line));
+    const byId = new Map(responses.map(response => [response.id, response]));
+    return { status: result.status, responses, byId, stderr: result.stderr };
+}
+
+function call(id, name, args) {
+    return { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } };
+}
+
+before(() => {
+    if (!skip) root = createIndexedProject();
+});
+
+after(() => {
+    if (root) removeProject(root);
+    removeProject(bare);
+});
+
+test('initialize → tools/list → tools/call(search_memory)', { skip }, () => {
+    const { status, responses, byId, stderr } = exchange(root, [
+        { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '0' } } },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+        call(3, 'search_memory', { query: 'webhook signature', mode: 'chunk', limit: 3 }),
+        call(4, 'search_memory', { query: 'webhook signature', mode: 'chunk', format: 'json' })
+    ]);
+
+    assert.equal(status, 0, stderr);
+    // The notification gets no response; stdout holds nothing but protocol messages
+    assert.equal(responses.length, 4);
+
+    const init = byId.get(1).result;
+    assert.equal(init.protocolVersion, '2025-06-18');
+    assert.equal(init.serverInfo.name, 'nelson-memory');
+    assert.deepEqual(init.capabilities, { tools: { listChanged: false } });
+
+    const tools = byId.get(2).result.tools;
+    assert.ok(tools.some(tool => tool.name === 'search_memory' && tool.inputSchema.required.includes('query')));
+
+    const markdown = byId.get(3).result;
+    assert.equal(markdown.isError, undefined);
+    assert.match(markdown.content[0].text, /docs\/webhooks\.md/);
+
+    const json = JSON.parse(byId.get(4).result.content[0].text);
+    assert.ok(json.count > 0);
+    assert.equal(json.results[0].file, 'docs/webhooks.md');
+});
+
+test('an unsupported protocol version gets the server\'s latest', () => {
+    const { byId } = exchange(bare, [
+        { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '1999-01-01' } }
+    ]);
+    assert.equal(byId.get(1).result.protocolVersion, PROTOCOL_VERSIONS[0]);
+});
+
+test('JSON-RPC errors: parse error, invalid request, unknown method, invalid params', () => {
+    const { status, responses, byId } = exchange(bare, [
+        '{"jsonrpc": "2.0", "id": 1, "method": ',
+        { jsonrpc: '1.0', id: 2, method: 'ping' },
+        { jsonrpc: '2.0', id: 3, method: 'resources/list' },
+        call(4, 'search_memory', {}),
+        call(5, 'search_memory', { query: 'x', limit: 500, colour: 'red' }),
+        call(6, 'no_such_tool', {}),
+        { jsonrpc: '2.0', id: 7, method: 'ping' }
+    ]);
+
+    // The server keeps going after every error
+    assert.equal(status, 0);
+    assert.equal(responses.length, 7);
+
+    assert.deepEqual(byId.get(null).error, { code: -32700, message: 'Parse error' });
+    assert.equal(byId.get(2).error.code, -32600);
+    assert.equal(byId.get(3).error.code, -32601);
+    assert.match(byId.get(3).error.message, /resources\/list/);
+
+    assert.equal(byId.get(4).error.code, -32602);
+    assert.match(byId.get(4).error.message, /query/);
+    assert.equal(byId.get(5).error.code, -32602);
+    assert.match(byId.get(5).error.message, /limit/);
+    assert.match(byId.get(5).error.message, /colour/);
+    assert.equal(byId.get(6).error.code, -32602);
+
+    assert.deepEqual(byId.get(7).result, {});
+});
+
+test('a failure inside a tool is an isError result, not a protocol error', () => {
+    const { byId } = exchange(bare, [call(1, 'search_memory', { query: 'webhook' })]);
+    const response = byId.get(1);
+    assert.equal(response.error, undefined);
+    assert.equal(response.result.isError, true);
+    assert.match(response.result.content[0].text, /Database not found/);
+});
@@ -0,0 +1,134 @@
+/**
+ * query-parser.cjs - tokenizing, FTS5 compilation and SQL filters for user input
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, compileFilters, tokenize } = require('../query-parser.cjs');
+const { hasSqlite } = require('./helpers.cjs');
+
+const NO_FILTERS = { file: [], header: [], type: [], after: null, before: null };
+
+// Queries a user might type mid-edit; none may reach FTS5 as a syntax error
+const AWKWARD_QUERIES = [
+    '"exact phr', 'webhook NOT', 'OR webhook OR', '(a OR b', 'a )b(', 'a AND', 'NOT', 'OR', '""', '*',
+    'ha-ha stop-hook.sh http://x.io/a', '-x', 'a-', 'file:', 'after:', 'pre*fix*', 'a**', 'say "hi"*', 'it\'s "quoted ""'
+];
+
+test('terms are quoted so -, . and : stay literal', () => {
+    assert.equal(parseQuery('ha-ha stop-hook.sh http://x.io/a').match, '("ha-ha" AND "stop-hook.sh" AND "http://x.io/a")');
+    assert.equal(parseQuery('-x').match, '"-x"');
+    assert.equal(parseQuery('foo:bar').match, '"foo:bar"');
+    // A field name with nothing after it is a term
+    assert.equal(parseQuery('file:').match, '"file:"');
+    assert.deepEqual(parseQuery('file:').filters, NO_FILTERS);
+});
+
+test('a trailing * is a prefix query for terms and phrases', () => {
+    assert.equal(parseQuery('deploy*').match, '"deploy"*');
+    assert.equal(parseQuery('a**').match, '"a"*');
+    assert.equal(parseQuery('"exact phr"*').match, '"exact phr"*');
+    // Only a trailing * counts; a lone * has nothing to search for
+    assert.equal(parseQuery('pre*fix').match, '"pre*fix"');
+    assert.equal(parseQuery('*').match, null);
+});
+
+test('an unbalanced quote runs to the end of the query', () => {
+    assert.deepEqual(tokenize('webhook "exact phr'), [
+        { type: 'term', value: 'webhook', prefix: false },
+        { type: 'phrase', value: 'exact phr', prefix: false }
+    ]);
+    assert.equal(parseQuery('"exact phr').match, '"exact phr"');
+    assert.deepEqual(parseQuery('header:"Security Ru').filters.header, ['Security Ru']);
+    assert.equal(parseQuery('""').match, null);
+});
+
+test('bare and dangling operators are ignored', () => {
+    for (const query of ['NOT', 'OR', 'AND', 'OR AND NOT']) {
+        const parsed = parseQuery(query);
+        assert.equal(parsed.match, null, query);
+        assert.equal(parsed.exclude, null, query);
+    }
+    assert.equal(parseQuery('webhook NOT').match, '"webhook"');
+    assert.equal(parseQuery('OR webhook OR').match, '"webhook"');
+    assert.equal(parseQuery('a AND').match, '"a"');
+    // Lowercase operators are ordinary words
+    assert.equal(parseQuery('not or and').match, '("not" AND "or" AND "and")');
+});
+
+test('unbalanced parentheses are closed or skipped', () => {
+    assert.equal(parseQuery('(a OR b').match, '("a" OR "b")');
+    assert.equal(parseQuery('a )b(').match, '("a" AND "b")');
+    assert.equal(parseQuery('a OR b c').match, '("a" OR ("b" AND "c"))');
+});
+
+test('top-level NOT terms become an exclusion for every signal', () => {
+    const parsed = parseQuery('webhook NOT stripe NOT (paypal OR adyen)');
+    assert.equal(parsed.match, '"webhook"');
+    assert.equal(parsed.exclude, '"stripe" OR ("paypal" OR "adyen")');
+    assert.equal(parsed.text, 'webhook');
+
+    const only = parseQuery('NOT stripe');
+    assert.equal(only.match, null);
+    assert.equal(only.exclude, '"stripe"');
+});
+
+test('a NOT with nothing to exclude from inside OR is an error, not an FTS5 syntax error', () => {
+    assert.throws(() => parseQuery('a OR NOT b'), /NOT needs a term to exclude from/);
+});
+
+test('field filters are collected wherever they appear', () => {
+    const parsed = parseQuery('header:"Security Rules" file:docs/ retries file:src/ type:daily_log after:2026-01-01 before:2026-02-01');
+    assert.equal(parsed.match, '"retries"');
+    assert.deepEqual(parsed.filters, {
+        file: ['docs/', 'src/'],
+        header: ['Security Rules'],
+        type: ['daily_log'],
+        after: '2026-01-01',
+        before: '2026-02-01'
+    });
+});
+
+test('after: and before: reject anything but a real YYYY-MM-DD date', () => {
+    for (const value of ['yesterday', '2026-1-1', '2026-13-01', '2026-02-30', '2026-04-31', '20260101']) {
+        assert.throws(() => parseQuery(`webhook after:${value}`), new RegExp(`Invalid after: date "${value}"`));
+        assert.throws(() => parseQuery(`before:${value}`), /expected YYYY-MM-DD/);
+    }
+    assert.equal(parseQuery('after:2024-02-29').filters.after, '2024-02-29');
+});
+
+test('compileFilters escapes LIKE wildcards and prefixes the table alias', () => {
+    const { clauses, params } = compileFilters(parseQuery('file:50%_off header:Retries NOT stripe before:2026-02-01'), 'c.');
+
+    assert.equal(clauses.length, 4);
+    assert.equal(clauses[0], "(c.file LIKE ? ESCAPE '\\')");
+    assert.equal(clauses[1], "(c.section_header LIKE ? ESCAPE '\\')");
+    assert.match(clauses[2], /c\.updated_at.*< \?$/s);
+    assert.equal(clauses[3], 'c.rowid NOT IN (SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH ?)');
+    assert.deepEqual(params, ['%50\\%\\_off%', '%Retries%', '2026-02-01', '"stripe"']);
+
+    const repeated = compileFilters(parseQuery('type:daily_log type:doc'));
+    assert.match(repeated.clauses[0], /file_type IN \(\?, \?\)/);
+    assert.deepEqual(repeated.params, ['daily_log', 'doc']);
+
+    assert.deepEqual(compileFilters(parseQuery('webhook')), { clauses: [], params: [] });
+});
+
+test('every compiled query is valid FTS5', { skip: !hasSqlite() && 'better-sqlite3 is not installed' }, () => {
+    const Database = require('better-sqlite3');
+    const db = new Database(':memory:');
+    try {
+        db.exec("CREATE VIRTUAL TABLE chunks_fts USING fts5(content); INSERT INTO chunks_fts VALUES ('ha-ha stop-hook.sh exact phrase');");
+        const search = db.prepare('SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH ?');
+
+        for (const query of AWKWARD_QUERIES) {
+            const { match, exclude } = parseQuery(query);
+            for (const expression of [match, exclude].filter(Boolean)) {
+                assert.doesNotThrow(() => search.all(expression), `${query} → ${expression}`);
+            }
+        }
+        assert.equal(search.all(parseQuery('ha-ha "exact phr"*').match).length, 1);
+    } finally {
+        db.close();
+    }
+});
@@ -0,0 +1,48 @@
+/**
+ * search.cjs rankingBoosts - file priority and daily log recency multipliers
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, removeProject } = require('./helpers.cjs');
+
+const SETTINGS = { priorityWeight: 0.5, recencyWeight: 0.5, halfLifeDays: 14 };
+const NOW = Date.parse('2026-03-15T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const root = createProject();
+let search;
+
+before(() => {
+    process.chdir(root);
+    search = require(path.join(root, '.nelson', 'search.cjs'));
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('a daily log gets a recency boost that halves every half-life', () => {
+    const fresh = search.rankingBoosts({ file: path.join('.nelson', 'memory', '2026-03-15.md') }, SETTINGS, NOW);
+    const older = search.rankingBoosts({ file: path.join('.nelson', 'memory', '2026-03-01.md') }, SETTINGS, NOW);
+
+    assert.equal(fresh.date, '2026-03-15');
+    const ageDays = (NOW - Date.parse('2026-03-01')) / DAY_MS;
+    assert.equal(older.recency, 1 + 0.5 * Math.pow(0.5, ageDays / 14));
+    assert.ok(fresh.recency > older.recency && older.recency > 1);
+});
+
+test('other files, impossible dates and a zero weight get no recency boost', () => {
+    for (const file of ['docs/2026-03-15.md', path.join('.nelson', 'memory', '2026-13-45.md')]) {
+        assert.equal(search.rankingBoosts({ file }, SETTINGS, NOW).recency, 1);
+    }
+    const file = path.join('.nelson', 'memory', '2026-03-15.md');
+    assert.equal(search.rankingBoosts({ file }, { ...SETTINGS, recencyWeight: 0 }, NOW).recency, 1);
+});
+
+test('file priority scales around a neutral 0.5', () => {
+    assert.equal(search.rankingBoosts({ file: 'CLAUDE.md', file_priority: 1 }, SETTINGS, NOW).priority, 1.25);
+    assert.equal(search.rankingBoosts({ file: 'notes.md' }, SETTINGS, NOW).priority, 1);
+});
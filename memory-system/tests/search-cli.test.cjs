@@ -0,0 +1,72 @@
+/**
+ * search.cjs --fail-on-empty: exit code and machine-readable output with no results
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+const UNMATCHED = 'zzqqxx nonexistentterm';
+
+let root = null;
+
+function search(args) {
+    // --no-server: never pick up a search server from another test
+    return run(root, 'search.cjs', [...args, '--no-server']);
+}
+
+before(() => {
+    if (!skip) root = createIndexedProject();
+});
+
+after(() => {
+    if (root) removeProject(root);
+});
+
+for (const modeArgs of [[], ['--chunk'], ['--section']]) {
+    const label = modeArgs[0] || 'smart';
+
+    test(`${label}: an unmatched query exits 1 with a valid empty JSON envelope`, { skip }, () => {
+        const result = search([UNMATCHED, ...modeArgs, '--format', 'json', '--fail-on-empty']);
+        assert.equal(result.status, 1, result.stderr);
+
+        const output = JSON.parse(result.stdout);
+        assert.equal(output.count, 0);
+        assert.deepEqual(output.results, []);
+        assert.equal(output.query, UNMATCHED);
+        assert.match(result.stderr, /Found 0 results/);
+    });
+
+    test(`${label}: an unmatched query exits 1 with empty NDJSON`, { skip }, () => {
+        const result = search([UNMATCHED, ...modeArgs, '--format', 'ndjson', '--fail-on-empty']);
+        assert.equal(result.status, 1, result.stderr);
+        // Zero results is zero lines - nothing a line-by-line reader could fail on
+        assert.equal(result.stdout.trim(), '');
+    });
+}
+
+test('a query with results exits 0 under --fail-on-empty', { skip }, () => {
+    const result = search(['webhook retries', '--format', 'ndjson', '--fail-on-empty']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const records = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(records.length > 0);
+    assert.equal(records[0].file, 'docs/webhooks.md');
+});
+
+test('without --fail-on-empty an unmatched query exits 0', { skip }, () => {
+    const result = search([UNMATCHED, '--format', 'json']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(JSON.parse(result.stdout).count, 0);
+});
+
+test('--list-sessions with no sessions exits 1 under --fail-on-empty', { skip }, () => {
+    const json = search(['--list-sessions', '--format', 'json', '--fail-on-empty']);
+    assert.equal(json.status, 1, json.stderr);
+    assert.deepEqual(JSON.parse(json.stdout).sessions, []);
+
+    const ndjson = search(['--list-sessions', '--format', 'ndjson', '--fail-on-empty']);
+    assert.equal(ndjson.status, 1, ndjson.stderr);
+    assert.equal(ndjson.stdout.trim(), '');
+});
@@ -0,0 +1,60 @@
+/**
+ * search.cjs --highlight - defaults per format and markdown bold already in the text
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+const MODES_DOC = '# Modes\n\n**Mode**: Standard loop with verification.\n';
+
+let root = null;
+
+function search(args) {
+    const result = run(root, 'search.cjs', ['verification', '--chunk', '--no-server', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+}
+
+function modesRecord(output) {
+    return JSON.parse(output).results.find(r => r.file === 'docs/modes.md');
+}
+
+before(() => {
+    if (!skip) root = createIndexedProject({ 'docs/modes.md': MODES_DOC });
+});
+
+after(() => {
+    if (root) removeProject(root);
+});
+
+test('markdown escapes bold already in the text so it stays apart from the match markers', () => {
+    const { renderHighlight } = require(path.join(__dirname, '..', 'search.cjs'));
+    const text = '**Mode**: Standard \u0001loop\u0002 and \u0001**Mode**\u0002';
+
+    assert.equal(renderHighlight(text, 'markdown'), '\\*\\*Mode\\*\\*: Standard **loop** and **\\*\\*Mode\\*\\***');
+    assert.equal(renderHighlight('a * b', 'markdown'), 'a * b');
+    assert.equal(renderHighlight(text, 'none'), '**Mode**: Standard loop and **Mode**');
+});
+
+test('JSON and NDJSON have no highlight markers unless --highlight asks for them', { skip }, () => {
+    const json = modesRecord(search(['--format', 'json']));
+    assert.ok(json, 'docs/modes.md is a result');
+    assert.ok(json.matches.length > 0);
+    for (const match of json.matches) assert.equal(match.text, '**Mode**: Standard loop with verification.');
+
+    const ndjson = search(['--format', 'ndjson']).trim().split('\n').map(line => JSON.parse(line));
+    const record = ndjson.find(r => r.file === 'docs/modes.md');
+    assert.equal(record.matches[0].text, '**Mode**: Standard loop with verification.');
+
+    const marked = modesRecord(search(['--format', 'json', '--highlight', 'markdown']));
+    assert.equal(marked.matches[0].text, '\\*\\*Mode\\*\\*: Standard loop with **verification**.');
+});
+
+test('text output off a terminal still defaults to markdown', { skip }, () => {
+    const output = search([]);
+    assert.match(output, /\\\*\\\*Mode\\\*\\\*: Standard loop with \*\*verification\*\*\./);
+    assert.doesNotMatch(output, /\*{4}/);
+});
@@ -0,0 +1,106 @@
+/**
+ * search.cjs --package scoping in a monorepo, directly and through `search.cjs serve`
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+let root = null;
+
+function search(args, options = {}) {
+    const result = run(root, 'search.cjs', ['rate limiting', '--format', 'json', ...args], options);
+    assert.equal(result.status, 0, result.stderr);
+    return { ...JSON.parse(result.stdout), warm: result.stderr.includes('Server: warm') };
+}
+
+function packagesOf(output) {
+    return [...new Set(output.results.map(result => result.package))];
+}
+
+before(() => {
+    if (!skip) root = createIndexedProject({}, { fixture: 'monorepo' });
+});
+
+after(() => {
+    if (root) removeProject(root);
+});
+
+test('--package takes a name, a directory or "." and filters to that package', { skip }, () => {
+    assert.deepEqual(packagesOf(search(['--package', '@acme/api', '--no-server'])), ['@acme/api']);
+    assert.deepEqual(packagesOf(search(['--package', 'packages/web', '--no-server'])), ['@acme/web']);
+    assert.deepEqual(packagesOf(search(['--package', '.', '--no-server'], { cwd: 'packages/api' })), ['@acme/api']);
+    assert.deepEqual(packagesOf(search(['--package', '../web', '--no-server'], { cwd: 'packages/api' })), ['@acme/web']);
+});
+
+test('without --package every package is searched', { skip }, () => {
+    const output = search(['--no-server']);
+    assert.ok(packagesOf(output).includes('@acme/api'));
+    assert.ok(packagesOf(output).includes('@acme/web'));
+});
+
+test('chunks are tagged with their package; files outside every package have none', { skip }, () => {
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(root, '.nelson', 'memory.db'), { readonly: true });
+    try {
+        const rows = db.prepare("SELECT DISTINCT file, package FROM chunks WHERE file LIKE '%README.md' ORDER BY file").all();
+        assert.deepEqual(rows, [
+            { file: 'README.md', package: null },
+            { file: 'packages/api/README.md', package: '@acme/api' },
+            { file: 'packages/web/README.md', package: '@acme/web' }
+        ]);
+    } finally {
+        db.close();
+    }
+});
+
+test('results from the current package are boosted', { skip }, () => {
+    for (const [dir, name] of [['packages/api', '@acme/api'], ['packages/web', '@acme/web']]) {
+        const output = search(['--package-boost', '10', '--no-server'], { cwd: dir });
+        assert.equal(output.results[0].package, name);
+        assert.equal(output.results[0].score.packageBoost, 10);
+        assert.ok(output.results.slice(1).every(result => result.score.packageBoost === null));
+    }
+
+    const unboosted = search(['--package-boost', '1', '--no-server'], { cwd: 'packages/web' });
+    assert.ok(unboosted.results.every(result => result.score.packageBoost === null));
+});
+
+test('an unknown package is an error that lists the known ones', { skip }, () => {
+    const result = run(root, 'search.cjs', ['rate limiting', '--package', '@acme/nope', '--no-server']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown package "@acme\/nope" \(known: .*@acme\/api/);
+});
+
+test('relative --package paths resolve against the client, not the search server', { skip }, async () => {
+    // The server runs from the project root; the client from inside packages/api
+    const server = spawn(process.execPath, [path.join(root, '.nelson', 'search.cjs'), 'serve'], {
+        cwd: root,
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    try {
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('search.cjs serve did not start')), 20000);
+            server.stdout.on('data', (data) => {
+                if (String(data).includes('Search server listening')) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+
+        const current = search(['--package', '.'], { cwd: 'packages/api' });
+        assert.equal(current.warm, true);
+        assert.deepEqual(packagesOf(current), ['@acme/api']);
+
+        const sibling = search(['--package', '../web'], { cwd: 'packages/api' });
+        assert.equal(sibling.warm, true);
+        assert.deepEqual(packagesOf(sibling), ['@acme/web']);
+    } finally {
+        server.kill('SIGTERM');
+        await new Promise(resolve => (server.exitCode !== null ? resolve() : server.once('exit', resolve)));
+    }
+});
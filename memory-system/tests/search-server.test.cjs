@@ -0,0 +1,187 @@
+/**
+ * search.cjs serve - round trip through the warm server, DB reopen, --status/--stop
+ * and the fallback to direct search when the socket is stale
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+const { socketPathFor } = require('../search-server.cjs');
+
+const skip = (!hasSqlite() && 'better-sqlite3 is not installed') ||
+    (process.platform === 'win32' && 'uses a Unix socket file');
+const START_TIMEOUT_MS = 20000;
+
+let root = null;
+let socketPath = null;
+let server = null;
+
+/**
+ * Start `search.cjs serve` and wait until it is listening
+ */
+function startServe() {
+    const child = spawn(process.execPath, [path.join(root, '.nelson', 'search.cjs'), 'serve'], {
+        cwd: root,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`search.cjs serve did not start:\n${output}`));
+        }, START_TIMEOUT_MS);
+
+        const onData = (data) => {
+            output += data;
+            if (output.includes('Search server listening')) {
+                clearTimeout(timer);
+                resolve(child);
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`search.cjs serve exited (${code}):\n${output}`));
+        });
+    });
+}
+
+/**
+ * Wait for a child process to exit; resolves with its exit code
+ */
+function exited(child) {
+    if (child.exitCode !== null) return Promise.resolve(child.exitCode);
+    return new Promise(resolve => child.once('exit', code => resolve(code)));
+}
+
+function search(query, args = []) {
+    const result = run(root, 'search.cjs', [query, '--format', 'json', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return { ...JSON.parse(result.stdout), warm: result.stderr.includes('Server: warm') };
+}
+
+/**
+ * Send raw lines over the socket; resolves with the parsed responses
+ */
+function sendRaw(lines) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(socketPath);
+        let buffer = '';
+        socket.setEncoding('utf-8');
+        socket.on('error', reject);
+        socket.on('data', (data) => {
+            buffer += data;
+            const responses = buffer.split('\n').filter(line => line.trim());
+            if (responses.length === lines.length) {
+                socket.end();
+                resolve(responses.map(line => JSON.parse(line)));
+            }
+        });
+        socket.write(lines.map(line => line + '\n').join(''));
+    });
+}
+
+function requestCount() {
+    const status = run(root, 'search.cjs', ['serve', '--status']);
+    assert.equal(status.status, 0, status.stderr);
+    return parseInt(status.stdout.match(/(\d+) requests/)[1]);
+}
+
+before(() => {
+    if (skip) return;
+    root = createIndexedProject();
+    socketPath = socketPathFor(path.join(root, '.nelson'));
+});
+
+after(() => {
+    if (server && server.exitCode === null) server.kill();
+    if (root) removeProject(root);
+});
+
+test('searches go through a running server and --status reports it', { skip }, async () => {
+    server = await startServe();
+
+    const status = run(root, 'search.cjs', ['serve', '--status']);
+    assert.equal(status.status, 0, status.stderr);
+    assert.match(status.stdout, new RegExp(`Search server running \\(pid ${server.pid}\\)`));
+    assert.ok(status.stdout.includes(socketPath));
+
+    const count = requestCount();
+    const result = search('webhook signature');
+    assert.equal(result.warm, true);
+    assert.equal(result.results[0].file, 'docs/webhooks.md');
+    assert.ok(requestCount() > count + 1);
+
+    // --no-server always searches directly
+    const direct = search('webhook signature', ['--no-server']);
+    assert.equal(direct.warm, false);
+    assert.deepEqual(direct.results.map(r => r.file), result.results.map(r => r.file));
+});
+
+test('the socket is private to the owner', { skip }, () => {
+    assert.equal(fs.statSync(socketPath).mode & 0o777, 0o600);
+});
+
+test('malformed requests get JSON-RPC errors and the server keeps running', { skip }, async () => {
+    const responses = await sendRaw(['null', '42', '{"id": 3}', '{"jsonrpc": "2.0", "id": 4, "method": "nope"}', 'not json']);
+
+    assert.deepEqual(responses.map(response => response.error.code), [-32600, -32600, -32600, -32601, -32700]);
+    assert.equal(responses[2].id, 3);
+    assert.equal(server.exitCode, null);
+    assert.equal(search('webhook signature').warm, true);
+});
+
+test('the server reopens the database when init-db.cjs replaces it', { skip }, async () => {
+    assert.equal(search('zeppelin').count, 0);
+
+    fs.writeFileSync(path.join(root, 'docs', 'queues.md'), '# Queues\n\nThe zeppelin worker drains the webhook queue every minute.\n');
+    fs.unlinkSync(path.join(root, '.nelson', 'memory.db'));
+    const rebuild = run(root, 'init-db.cjs');
+    assert.equal(rebuild.status, 0, rebuild.stderr);
+
+    const result = search('zeppelin');
+    assert.equal(result.warm, true);
+    assert.equal(result.results[0].file, 'docs/queues.md');
+    assert.equal(server.exitCode, null);
+});
+
+test('--stop shuts the server down and removes its socket', { skip }, async () => {
+    const stop = run(root, 'search.cjs', ['serve', '--stop']);
+    assert.equal(stop.status, 0, stop.stderr);
+    assert.match(stop.stdout, /Search server stopped/);
+
+    assert.equal(await exited(server), 0);
+    assert.equal(fs.existsSync(socketPath), false);
+
+    const status = run(root, 'search.cjs', ['serve', '--status']);
+    assert.equal(status.status, 1);
+    assert.match(status.stdout, /No search server running/);
+
+    // Stopping when nothing runs is not an error
+    assert.equal(run(root, 'search.cjs', ['serve', '--stop']).status, 0);
+});
+
+test('a stale socket falls back to direct search and is replaced by the next serve', { skip }, async () => {
+    // A server that died without cleaning up leaves its socket file behind
+    spawnSync(process.execPath, ['-e', `require('net').createServer().listen(${JSON.stringify(socketPath)}, () => process.kill(process.pid, 'SIGKILL'))`], {
+        timeout: START_TIMEOUT_MS
+    });
+    assert.equal(fs.existsSync(socketPath), true);
+
+    const result = search('webhook signature');
+    assert.equal(result.warm, false);
+    assert.equal(result.results[0].file, 'docs/webhooks.md');
+
+    server = await startServe();
+    assert.equal(search('webhook signature').warm, true);
+
+    server.kill('SIGTERM');
+    assert.equal(await exited(server), 0);
+    assert.equal(fs.existsSync(socketPath), false);
+});
@@ -0,0 +1,88 @@
+/**
+ * search.cjs --type and --stats - filtering by indexed file type and the index report
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+
+let root = null;
+
+function search(args) {
+    return run(root, 'search.cjs', [...args, '--no-server']);
+}
+
+function files(args) {
+    const result = search([...args, '--format', 'json']);
+    assert.equal(result.status, 0, result.stderr);
+    return [...new Set(JSON.parse(result.stdout).results.map(r => r.file))];
+}
+
+function stats() {
+    const result = search(['--stats', '--format', 'json']);
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+}
+
+before(() => {
+    if (!skip) root = createIndexedProject({ 'README.md': '# Acme Billing\n\nWebhook deliveries are retried for a day.\n' });
+});
+
+after(() => {
+    if (root) removeProject(root);
+});
+
+test('--type keeps only results from files of that type', { skip }, () => {
+    assert.deepEqual(files(['webhook', '--chunk']).sort(), ['CLAUDE.md', 'README.md', 'docs/webhooks.md']);
+
+    assert.deepEqual(files(['webhook', '--chunk', '--type', 'instructions']), ['CLAUDE.md']);
+    assert.deepEqual(files(['webhook', '--chunk', '--type', 'documentation']), ['docs/webhooks.md']);
+    assert.deepEqual(files(['webhook', '--chunk', '--type', 'readme, instructions']).sort(), ['CLAUDE.md', 'README.md']);
+});
+
+test('--type rejects a type that is not in the index', { skip }, () => {
+    const result = search(['webhook', '--type', 'soul']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown file type "soul" \(indexed: .*documentation.*instructions.*readme/);
+});
+
+test('--stats counts files and chunks per type and the priority distribution', { skip }, () => {
+    const report = stats();
+    const byType = Object.fromEntries(report.byType.map(row => [row.type, row]));
+
+    assert.equal(byType.instructions.files, 1);
+    assert.equal(byType.documentation.files, 2);
+    assert.equal(byType.readme.files, 1);
+    assert.equal(report.files, report.byType.reduce((sum, row) => sum + row.files, 0));
+    assert.equal(report.chunks, report.byType.reduce((sum, row) => sum + row.chunks, 0));
+    assert.equal(report.files, report.priority.reduce((sum, level) => sum + level.files, 0));
+    assert.deepEqual(report.priority.map(level => level.level), ['critical', 'high', 'medium', 'low']);
+
+    assert.ok(report.dbBytes > 0);
+    assert.ok(Date.parse(report.age.newest) <= Date.now());
+    assert.deepEqual(report.stale, { changed: [], deleted: [], unindexed: [] });
+});
+
+test('--stats lists files that differ from disk', { skip }, () => {
+    const deploy = path.join(root, 'docs', 'deploy.md');
+    fs.appendFileSync(deploy, '\nDeploys are frozen on Fridays.\n');
+    // Changes within a second of indexing are not told apart from the index run
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(deploy, later, later);
+    fs.unlinkSync(path.join(root, 'README.md'));
+    // New daily logs are the unindexed files --stats looks for
+    fs.writeFileSync(path.join(root, '.nelson', 'memory', '2026-03-02.md'), '# 2026-03-02\n\n## Session: Queues\n');
+
+    assert.deepEqual(stats().stale, { changed: ['docs/deploy.md'], deleted: ['README.md'], unindexed: ['.nelson/memory/2026-03-02.md'] });
+
+    const text = search(['--stats']);
+    assert.equal(text.status, 0, text.stderr);
+    assert.match(text.stdout, /📊 Index Statistics:/);
+    assert.match(text.stdout, /📁 By Type:\n(.*\n)*\s+• instructions\s+1 files/);
+    assert.match(text.stdout, /⚠️ {2}Stale: 3 files differ from disk/);
+    assert.match(text.stdout, /• deleted\s+README\.md/);
+});
@@ -0,0 +1,105 @@
+/**
+ * sessions.cjs querySessions - status, touching, date range, text and limit filters
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, removeProject, hasSqlite } = require('./helpers.cjs');
+
+const skip = !hasSqlite() && 'better-sqlite3 is not installed';
+
+/**
+ * Markdown for one session in a daily log
+ */
+function session({ name, status, files, tasks, notes = '' }) {
+    return [
+        `## Session: ${name}`,
+        '',
+        '**Started:** 09:00',
+        '**Mode:** Standard',
+        `**Status:** ${status}`,
+        '',
+        '### Tasks Completed',
+        '',
+        ...tasks.map(task => `- [x] ${task}`),
+        '',
+        '### Files Modified',
+        '',
+        '```',
+        ...files,
+        '```',
+        '',
+        '### Notes',
+        '',
+        notes,
+        ''
+    ].join('\n');
+}
+
+const LOGS = {
+    '2026-03-01': [
+        session({ name: 'Fix 100% CPU in poller', status: 'COMPLETE', files: ['src/Poller.ts', 'src/poll_utils.ts'], tasks: ['Cap the poll loop'] }),
+        session({ name: 'Rename user_id column', status: 'BLOCKED', files: ['db/001_user_id.sql', 'src/poller.ts'], tasks: ['Write the migration'] })
+    ],
+    '2026-03-05': [
+        session({ name: 'Docs pass', status: 'IN_PROGRESS', files: ['docs/README.md'], tasks: ['Document the user id lookup'], notes: 'Reviewed 100 pages.' })
+    ]
+};
+
+const root = createProject();
+let sessions;
+let db;
+
+function names(filters) {
+    return sessions.querySessions(db, filters).map(s => s.name);
+}
+
+before(() => {
+    if (skip) return;
+    process.chdir(root);
+    sessions = require(path.join(root, '.nelson', 'sessions.cjs'));
+    const Database = require('better-sqlite3');
+    db = new Database(':memory:');
+    sessions.initializeSessionsSchema(db);
+    for (const [date, entries] of Object.entries(LOGS)) {
+        sessions.syncSessionsFromLog(db, `.nelson/memory/${date}.md`, `# Daily Log: ${date}\n\n${entries.join('\n---\n\n')}`);
+    }
+});
+
+after(() => {
+    if (db) db.close();
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('without filters every session is listed, newest first', { skip }, () => {
+    assert.deepEqual(names({}), ['Docs pass', 'Rename user_id column', 'Fix 100% CPU in poller']);
+    assert.deepEqual(names({ limit: 1 }), ['Docs pass']);
+});
+
+test('status is a case-insensitive prefix', { skip }, () => {
+    assert.deepEqual(names({ status: 'complete' }), ['Fix 100% CPU in poller']);
+    assert.deepEqual(names({ status: 'in_' }), ['Docs pass']);
+    assert.deepEqual(names({ status: '%' }), []);
+});
+
+test('touching is a case-sensitive substring of a modified file', { skip }, () => {
+    assert.deepEqual(names({ touching: 'Poller.ts' }), ['Fix 100% CPU in poller']);
+    assert.deepEqual(names({ touching: 'poller.ts' }), ['Rename user_id column']);
+    assert.deepEqual(names({ touching: 'poll_' }), ['Fix 100% CPU in poller']);
+    assert.deepEqual(names({ touching: 'src/%' }), []);
+});
+
+test('text matches % and _ literally', { skip }, () => {
+    assert.deepEqual(names({ text: '100%' }), ['Fix 100% CPU in poller']);
+    assert.deepEqual(names({ text: 'user_id' }), ['Rename user_id column']);
+    assert.deepEqual(names({ text: 'lookup' }), ['Docs pass']);
+});
+
+test('since and until are inclusive dates', { skip }, () => {
+    assert.deepEqual(names({ since: '2026-03-05' }), ['Docs pass']);
+    assert.deepEqual(names({ until: '2026-03-01' }), ['Rename user_id column', 'Fix 100% CPU in poller']);
+    assert.deepEqual(names({ since: '2026-03-02', until: '2026-03-04' }), []);
+    assert.deepEqual(names({ since: '2026-03-01', touching: 'src/' }), ['Rename user_id column', 'Fix 100% CPU in poller']);
+});
@@ -0,0 +1,158 @@
+/**
+ * transcript.cjs parsing and capture.cjs --from-transcript import
+ *
+ * Fixtures use __PROJECT__ for the project directory; it is filled in with the
+ * temp project so edited files come out project-relative.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, removeProject, run, fixture } = require('./helpers.cjs');
+
+const root = createProject();
+let transcriptModule;
+let parseSessions;
+
+/**
+ * Fixture content with __PROJECT__ replaced; written into the project when asked
+ */
+function loadFixture(name, options = {}) {
+    const content = fs.readFileSync(fixture(name), 'utf-8').split('__PROJECT__').join(root);
+    if (options.write) {
+        const target = path.join(root, name);
+        fs.writeFileSync(target, content);
+        return target;
+    }
+    return content;
+}
+
+function todaysSessions() {
+    const logDir = path.join(root, '.nelson', 'memory');
+    const log = fs.readdirSync(logDir).find(file => /^\d{4}-\d{2}-\d{2}\.md$/.test(file));
+    if (!log) return [];
+    return parseSessions(fs.readFileSync(path.join(logDir, log), 'utf-8'), `.nelson/memory/${log}`);
+}
+
+before(() => {
+    process.chdir(root);
+    transcriptModule = require(path.join(root, '.nelson', 'transcript.cjs'));
+    ({ parseSessions } = require(path.join(root, '.nelson', 'sessions.cjs')));
+});
+
+after(() => {
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('parseTranscript names the session after the slash command arguments', () => {
+    const transcript = transcriptModule.parseTranscript(loadFixture('transcript-session.jsonl'));
+    assert.equal(transcript.name, 'Fix the login redirect loop');
+});
+
+test('parseTranscript records successful edits once, project-relative', () => {
+    const transcript = transcriptModule.parseTranscript(loadFixture('transcript-session.jsonl'));
+
+    // The failed edit and the sidechain (subagent) edit are left out; outside files stay absolute
+    assert.deepEqual(transcript.files, ['src/auth.js', 'test/auth.test.js', '/tmp/scratch/notes.md']);
+});
+
+test('parseTranscript pairs tool_use blocks with their results', () => {
+    const transcript = transcriptModule.parseTranscript(loadFixture('transcript-session.jsonl'));
+
+    // The last Bash call never got a result, so it is not counted
+    assert.deepEqual(transcript.commands, [
+        'npm test',
+        'npm test',
+        'git add -A && git commit -m "fix: stop the login redirect loop"'
+    ]);
+    assert.deepEqual(transcript.tests, [
+        { command: 'npm test', passed: false, counts: '10 passed, 2 failed' },
+        { command: 'npm test', passed: true, counts: '12 passed, 0 failed' }
+    ]);
+    assert.deepEqual(transcript.commits, [{ hash: '3f2a9c1', message: 'fix: stop the login redirect loop' }]);
+    assert.deepEqual(transcript.tasks, ['Reproduce the loop', 'Fix the redirect']);
+    assert.equal(transcript.summary, '## Done\nThe redirect loop is fixed and covered by a regression test.');
+});
+
+test('parseTranscript skips malformed lines', () => {
+    const content = [
+        '{"type":"user","message":{"role":"user","content":"Tidy the README"}}',
+        '{"type":"assistant","message":',
+        '[1, 2, 3]',
+        'null',
+        '{"type":"assistant","message":{"role":"assistant","content":[{"type":"tool_use","id":"a"}]}}',
+        '{"type":"user","message":{"role":"user","content":[{"type":"tool_result","tool_use_id":"a","content":"ok"}]}}',
+        '{"type":"assistant","message":{"role":"assistant","content":"Tidied."}}'
+    ].join('\n');
+
+    const transcript = transcriptModule.parseTranscript(content);
+    assert.equal(transcript.name, 'Tidy the README');
+    assert.equal(transcript.summary, 'Tidied.');
+    assert.deepEqual(transcript.commands, []);
+    assert.deepEqual(transcript.files, []);
+});
+
+test('sessionFromTranscript puts outcomes in notes and only blocks on a test whose last run failed', () => {
+    const transcript = transcriptModule.parseTranscript(loadFixture('transcript-session.jsonl'));
+    const session = transcriptModule.sessionFromTranscript(transcript);
+
+    assert.equal(session.name, 'Fix the login redirect loop');
+    assert.deepEqual(session.blockers, []);
+    // A heading in the summary would end the Notes section of the log
+    assert.match(session.notes, /\*\*Summary:\*\* \*\*Done\*\*\nThe redirect loop is fixed/);
+    assert.match(session.notes, /- `npm test` → failed \(10 passed, 2 failed\)\n- `npm test` → passed/);
+    assert.match(session.notes, /\*\*Commands run:\*\* 3\n```/);
+
+    const failing = transcriptModule.sessionFromTranscript({
+        ...transcript,
+        tests: [...transcript.tests, { command: 'npm test', passed: false, counts: '11 passed, 1 failed' }]
+    });
+    assert.deepEqual(failing.blockers, ['Tests failing: `npm test` (11 passed, 1 failed)']);
+});
+
+test('an empty transcript yields no session', () => {
+    const transcript = transcriptModule.parseTranscript(loadFixture('transcript-empty.jsonl'));
+    assert.equal(transcriptModule.isEmptyTranscript(transcript), true);
+    assert.equal(transcriptModule.readTranscriptSession(fixture('transcript-empty.jsonl')), null);
+    assert.equal(transcriptModule.isEmptyTranscript(transcriptModule.parseTranscript('')), true);
+});
+
+test('capture.cjs --from-transcript writes the session, then updates it on the next stop', () => {
+    const transcriptPath = loadFixture('transcript-session.jsonl', { write: true });
+
+    const first = run(root, 'capture.cjs', ['--from-transcript', transcriptPath, '--iteration', '1']);
+    assert.equal(first.status, 0, first.stderr);
+
+    let sessions = todaysSessions();
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].name, 'Fix the login redirect loop');
+    assert.match(sessions[0].status, /^IN_PROGRESS/);
+    assert.deepEqual(sessions[0].files, ['src/auth.js', 'test/auth.test.js', '/tmp/scratch/notes.md']);
+    assert.deepEqual(sessions[0].commits, [{ hash: '3f2a9c1', message: 'fix: stop the login redirect loop' }]);
+
+    const second = run(root, 'capture.cjs', ['--from-transcript', transcriptPath, '--status', 'COMPLETE']);
+    assert.equal(second.status, 0, second.stderr);
+
+    sessions = todaysSessions();
+    assert.equal(sessions.length, 1);
+    assert.match(sessions[0].status, /^COMPLETE/);
+    // Notes are replaced, not appended again
+    assert.equal(sessions[0].notes.split('**Summary:**').length, 2);
+});
+
+test('capture.cjs --from-transcript captures nothing from an empty transcript', () => {
+    const count = todaysSessions().length;
+    const result = run(root, 'capture.cjs', ['--from-transcript', fixture('transcript-empty.jsonl')]);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Nothing to capture from transcript/);
+    assert.equal(todaysSessions().length, count);
+});
+
+test('capture.cjs --from-transcript fails on a missing file', () => {
+    const result = run(root, 'capture.cjs', ['--from-transcript', path.join(root, 'nope.jsonl')]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Transcript not found/);
+});
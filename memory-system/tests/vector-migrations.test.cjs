@@ -0,0 +1,110 @@
+/**
+ * embeddings.cjs vector tables - migrated as the "vectors" component when sqlite-vec loads
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProject, createIndexedProject, removeProject, run, hasSqlite } = require('./helpers.cjs');
+
+function hasSqliteVec() {
+    try {
+        require('sqlite-vec');
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+const skip = (!hasSqlite() && 'better-sqlite3 is not installed') ||
+    (!hasSqliteVec() && 'sqlite-vec is not installed');
+
+// A provider with different dimensions than the default hash embedder
+const TINY_EMBEDDER = `module.exports = {
+    name: 'tiny',
+    dimensions: 8,
+    embed: (texts) => texts.map(() => new Float32Array(8).fill(0.5))
+};
+`;
+
+let root = null;
+
+function openDb() {
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(root, '.nelson', 'memory.db'));
+    require('sqlite-vec').load(db);
+    return db;
+}
+
+function initDb(args = [], env = {}) {
+    const result = run(root, 'init-db.cjs', args, { env });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+}
+
+before(() => {
+    if (!skip) root = createIndexedProject({ 'tiny-embedder.cjs': TINY_EMBEDDER });
+});
+
+after(() => {
+    if (root) removeProject(root);
+});
+
+test('migrate --dry-run lists the vector tables for a database that does not exist yet', { skip }, () => {
+    const fresh = createProject();
+    try {
+        const result = run(fresh, 'init-db.cjs', ['migrate', '--dry-run']);
+        assert.equal(result.status, 0, result.stderr);
+        assert.match(result.stdout, /vectors: v0 → v1 \(1 pending\)/);
+        assert.match(result.stdout, /v1: embedding_meta table and chunks_vec vector table/);
+    } finally {
+        removeProject(fresh);
+    }
+});
+
+test('indexing records the vectors migration and fills chunks_vec', { skip }, () => {
+    const db = openDb();
+    try {
+        const row = db.prepare("SELECT MAX(version) as version FROM schema_version WHERE component = 'vectors'").get();
+        assert.equal(row.version, 1);
+        const vectors = db.prepare('SELECT COUNT(*) as count FROM chunks_vec').get().count;
+        assert.equal(vectors, db.prepare('SELECT COUNT(*) as count FROM chunks').get().count);
+    } finally {
+        db.close();
+    }
+
+    assert.match(initDb(['migrate', '--dry-run']), /vectors: up to date \(v1\)/);
+});
+
+test('tables created before the migration existed are adopted with their vectors', { skip }, () => {
+    const db = openDb();
+    const count = db.prepare('SELECT COUNT(*) as count FROM chunks_vec').get().count;
+    db.prepare("DELETE FROM schema_version WHERE component = 'vectors'").run();
+    db.close();
+
+    const output = initDb();
+    assert.match(output, /vectors: v0 → v1 \(1 applied\)/);
+    assert.match(output, /Embedded: 0 chunks/);
+
+    const reopened = openDb();
+    try {
+        assert.equal(reopened.prepare('SELECT COUNT(*) as count FROM chunks_vec').get().count, count);
+    } finally {
+        reopened.close();
+    }
+});
+
+test('a provider change rebuilds chunks_vec with the new dimensions', { skip }, () => {
+    const output = initDb([], { NELSON_EMBEDDING_PROVIDER: './tiny-embedder.cjs' });
+    assert.match(output, /Embedding provider changed - vectors will be rebuilt/);
+
+    const db = openDb();
+    try {
+        const meta = db.prepare("SELECT value FROM embedding_meta WHERE key = 'provider'").get();
+        assert.equal(meta.value, 'tiny:8');
+        const { embedding } = db.prepare('SELECT embedding FROM chunks_vec LIMIT 1').get();
+        assert.equal(embedding.length, 8 * 4);
+    } finally {
+        db.close();
+    }
+});
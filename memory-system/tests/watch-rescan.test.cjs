@@ -0,0 +1,78 @@
+/**
+ * init-db.cjs startWatchers - per-directory watchers follow ignore rule reloads
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, removeProject } = require('./helpers.cjs');
+
+const skip = (process.platform === 'darwin' || process.platform === 'win32') && 'watches the root recursively';
+const SETTLE_MS = 500;
+
+const root = createProject({
+    '.gitignore': 'drafts/\n',
+    'docs/guide.md': '# Guide\n',
+    'drafts/out/report.md': '# Report\n'
+});
+let initDb;
+let ignoreRules;
+let ignore;
+let watchers = null;
+const changes = new Set();
+
+/**
+ * Write files and collect the paths the watchers report for them
+ */
+async function changesFrom(files) {
+    changes.clear();
+    for (const [file, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(root, file), content);
+    }
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+    return [...changes].filter(file => file in files).sort();
+}
+
+function setGitignore(content) {
+    fs.writeFileSync(path.join(root, '.gitignore'), content);
+    ignore = ignoreRules.createIgnoreMatcher(root);
+}
+
+before(() => {
+    process.chdir(root);
+    initDb = require(path.join(root, '.nelson', 'init-db.cjs'));
+    ignoreRules = require(path.join(root, '.nelson', 'ignore-rules.cjs'));
+    ignore = ignoreRules.createIgnoreMatcher(root);
+});
+
+after(() => {
+    if (watchers) watchers.close();
+    process.chdir(__dirname);
+    removeProject(root);
+});
+
+test('rescan watches newly un-ignored directories and stops watching newly ignored ones', { skip }, async () => {
+    watchers = initDb.startWatchers(root, () => ignore, relativePath => changes.add(relativePath));
+
+    assert.deepEqual(await changesFrom({ 'docs/a.md': 'a', 'drafts/out/a.md': 'a' }), ['docs/a.md']);
+
+    setGitignore('docs/\n');
+    watchers.rescan();
+    assert.deepEqual(await changesFrom({ 'docs/b.md': 'b', 'drafts/out/b.md': 'b' }), [path.join('drafts', 'out', 'b.md')]);
+
+    // A rescan with unchanged rules keeps the same watchers
+    watchers.rescan();
+    assert.deepEqual(await changesFrom({ 'docs/c.md': 'c', 'drafts/out/c.md': 'c' }), [path.join('drafts', 'out', 'c.md')]);
+});
+
+test('directories created after a rescan are watched under the new rules', { skip }, async () => {
+    fs.mkdirSync(path.join(root, 'drafts', 'cache'));
+    fs.mkdirSync(path.join(root, 'docs', 'api'));
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+
+    assert.deepEqual(
+        await changesFrom({ 'drafts/cache/d.md': 'd', 'docs/api/d.md': 'd' }),
+        [path.join('drafts', 'cache', 'd.md')]
+    );
+});
@@ -0,0 +1,196 @@
+/**
+ * Nelson Tokenizer v1.0
+ *
+ * ONE TOKEN COUNTER FOR EVERY MODULE:
+ * - init-db.cjs                  → chunk size and overlap
+ * - context-optimizer.cjs        → CLAUDE.md and context budgets
+ * - mcp-skill-docs-extractor.cjs → tool_docs.token_count
+ *
+ * Counters (NELSON_TOKENIZER, default "auto"):
+ * - auto      → cl100k BPE from `js-tiktoken` or `gpt-tokenizer` when installed
+ *               (both ship their vocabulary, no network needed), else estimate
+ * - bpe       → require one of the BPE packages above
+ * - estimate  → Offline estimator that splits text like a BPE pre-tokenizer
+ *               (words, digit groups, punctuation runs, whitespace, CJK characters)
+ * - Custom    → Any .cjs exporting { name, count(text) }
+ *
+ * Usage:
+ *   node .nelson/tokenizer.cjs CLAUDE.md docs/guide.md   # Count tokens per file
+ *   echo "some text" | node .nelson/tokenizer.cjs        # Count stdin
+ *   NELSON_TOKENIZER=./my-counter.cjs node .nelson/init-db.cjs
+ *
+ * Counter contract (synchronous):
+ *   module.exports = { name: 'my-tokenizer', count: (text) => 42 }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TOKENIZER = 'auto';
+
+// Same shape as the cl100k pre-tokenizer: contractions, words with their
+// leading space, 1-3 digit groups, punctuation runs, newlines, other whitespace
+const PRETOKENIZE = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const LATIN = /^[\s\p{Script=Latin}]+$/u;
+
+/**
+ * Estimate BPE tokens for one pre-tokenized piece
+ */
+function estimatePiece(piece) {
+    const word = piece.trimStart();
+    if (!word) return 1;
+
+    // Ideographic scripts: roughly one token per character
+    if (CJK.test(word)) {
+        let count = 0;
+        for (const ch of word) count += CJK.test(ch) ? 1 : 0.5;
+        return Math.ceil(count);
+    }
+
+    if (/^\p{L}+$/u.test(word)) {
+        // Common words are single tokens; long identifiers split every few letters
+        if (LATIN.test(word)) return word.length <= 6 ? 1 : Math.ceil(word.length / 5);
+        // Cyrillic, Greek, Arabic, ... merge far less often
+        return Math.ceil(word.length / 2);
+    }
+
+    if (/^\p{N}+$/u.test(word)) return 1;
+
+    // Punctuation and operator runs merge in pairs
+    return Math.ceil(word.replace(/[\r\n]+$/, '').length / 2) || 1;
+}
+
+/**
+ * Create the offline estimator
+ */
+function createEstimator() {
+    return {
+        name: 'estimate',
+        count: (text) => {
+            if (!text) return 0;
+            let count = 0;
+            for (const [piece] of text.matchAll(PRETOKENIZE)) {
+                count += estimatePiece(piece);
+            }
+            return count;
+        }
+    };
+}
+
+/**
+ * Create a cl100k BPE counter from an installed package (null when none is)
+ */
+function createBpeCounter() {
+    try {
+        const encoding = require('js-tiktoken').getEncoding('cl100k_base');
+        return { name: 'cl100k (js-tiktoken)', count: (text) => text ? encoding.encode(text).length : 0 };
+    } catch (e) {
+        // Not installed - try the next package
+    }
+
+    try {
+        const { encode } = require('gpt-tokenizer/encoding/cl100k_base');
+        return { name: 'cl100k (gpt-tokenizer)', count: (text) => text ? encode(text).length : 0 };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Resolve a token counter by name or module path
+ * Reads NELSON_TOKENIZER when no spec is given
+ */
+function loadTokenizer(spec = process.env.NELSON_TOKENIZER || DEFAULT_TOKENIZER) {
+    if (spec === 'estimate') {
+        return createEstimator();
+    }
+
+    if (spec === 'auto' || spec === 'bpe') {
+        const bpe = createBpeCounter();
+        if (bpe) return bpe;
+        if (spec === 'bpe') {
+            throw new Error('NELSON_TOKENIZER=bpe needs a BPE package: npm install js-tiktoken');
+        }
+        return createEstimator();
+    }
+
+    const modulePath = path.isAbsolute(spec) ? spec : path.join(process.cwd(), spec);
+    const counter = require(modulePath);
+
+    if (!counter || typeof counter.count !== 'function') {
+        throw new Error(`Invalid tokenizer "${spec}": expected { name, count(text) }`);
+    }
+
+    return {
+        name: counter.name || path.basename(spec),
+        count: counter.count
+    };
+}
+
+let defaultTokenizer = null;
+
+/**
+ * Get the shared tokenizer for this process (loaded once)
+ */
+function getTokenizer() {
+    if (!defaultTokenizer) {
+        defaultTokenizer = loadTokenizer();
+    }
+    return defaultTokenizer;
+}
+
+/**
+ * Count tokens with the shared tokenizer
+ */
+function countTokens(text) {
+    return getTokenizer().count(text || '');
+}
+
+/**
+ * CLI: count tokens in files (or stdin)
+ */
+async function main() {
+    const files = process.argv.slice(2);
+    const tokenizer = getTokenizer();
+
+    if (files.length === 0) {
+        if (process.stdin.isTTY) {
+            console.log('Usage: node .nelson/tokenizer.cjs <file...>  (or pipe text on stdin)');
+            process.exit(1);
+        }
+        const text = fs.readFileSync(0, 'utf-8');
+        console.log(`${tokenizer.count(text).toLocaleString()} tokens (${tokenizer.name})`);
+        return;
+    }
+
+    console.log(`🔢 Token counts (${tokenizer.name}):`);
+    let total = 0;
+    for (const file of files) {
+        if (!fs.existsSync(file)) {
+            console.log(`   ✗ ${file} (not found)`);
+            continue;
+        }
+        const text = fs.readFileSync(file, 'utf-8');
+        const tokens = tokenizer.count(text);
+        total += tokens;
+        console.log(`   • ${file}: ${tokens.toLocaleString()} tokens (${(text.length / Math.max(tokens, 1)).toFixed(1)} chars/token)`);
+    }
+    if (files.length > 1) {
+        console.log(`   Total: ${total.toLocaleString()} tokens`);
+    }
+}
+
+// Export for use as module
+module.exports = {
+    loadTokenizer,
+    getTokenizer,
+    countTokens,
+    createEstimator
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
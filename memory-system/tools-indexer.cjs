@@ -19,24 +19,30 @@
  *   node .nelson/tools-indexer.cjs recommend "task description"  # Get tool recommendations
  *   node .nelson/tools-indexer.cjs list          # List all indexed tools
  *   node .nelson/tools-indexer.cjs watch         # Watch for changes (runs once)
+ *
+ * Extra MCP config files and skill directories can be listed under "tools"
+ * in .nelson/config.json (config_paths, skill_paths).
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { loadConfig, resolveProjectPath, reportConfigError } = require('./config.cjs');
+const { runMigrations, reportMigrations } = require('./migrations.cjs');
+const { PROJECT_ROOT } = require('./workspaces.cjs');
 
-const NELSON_DIR = path.join(process.cwd(), '.nelson');
+const NELSON_DIR = path.join(PROJECT_ROOT, '.nelson');
 const DB_PATH = path.join(NELSON_DIR, 'memory.db');
 
 // Paths to check for MCPs and skills
 const CLAUDE_CONFIG_PATHS = [
     path.join(os.homedir(), '.claude.json'),                    // Global config
-    path.join(process.cwd(), '.mcp.json'),                       // Project-level MCP config
-    path.join(process.cwd(), '.claude', 'mcp.json'),             // Alternative project config
+    path.join(PROJECT_ROOT, '.mcp.json'),                        // Project-level MCP config
+    path.join(PROJECT_ROOT, '.claude', 'mcp.json'),              // Alternative project config
 ];
 
 const SKILL_PATHS = [
-    path.join(process.cwd(), '.claude', 'skills'),               // Project skills
+    path.join(PROJECT_ROOT, '.claude', 'skills'),                // Project skills
     path.join(os.homedir(), '.claude', 'skills'),                // Global skills
 ];
 
@@ -83,67 +89,85 @@ const STOP_WORDS = new Set([
     'this', 'that', 'these', 'those', 'such', 'when', 'where', 'why', 'how',
 ]);
 
+// Ordered schema migrations for the tools tables (see migrations.cjs)
+// Never edit an applied step - append a new version instead
+const TOOLS_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'tools table and FTS5 index',
+        up: (db) => {
+            db.exec(`
+                -- Tools/MCPs/Skills table
+                CREATE TABLE IF NOT EXISTS tools (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    type TEXT NOT NULL,              -- 'mcp' | 'skill' | 'builtin'
+                    source TEXT NOT NULL,            -- File path or 'builtin'
+                    domain TEXT,                     -- 'payment', 'voice', 'deployment', etc.
+                    description TEXT,
+                    keywords TEXT,                   -- JSON array of keywords
+                    parameters TEXT,                 -- JSON schema of parameters
+                    examples TEXT,                   -- Usage examples
+                    priority REAL DEFAULT 0.5,       -- Tool importance (0-1)
+                    last_used TEXT,                  -- Last time tool was recommended
+                    use_count INTEGER DEFAULT 0,     -- How many times recommended
+                    content_hash TEXT,               -- For change detection
+                    indexed_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now'))
+                );
+
+                -- FTS for tool search
+                CREATE VIRTUAL TABLE IF NOT EXISTS tools_fts USING fts5(
+                    name,
+                    description,
+                    keywords,
+                    domain,
+                    content='tools',
+                    content_rowid='rowid'
+                );
+
+                -- Triggers to keep FTS in sync
+                CREATE TRIGGER IF NOT EXISTS tools_ai AFTER INSERT ON tools BEGIN
+                    INSERT INTO tools_fts(rowid, name, description, keywords, domain)
+                    VALUES (new.rowid, new.name, new.description, new.keywords, new.domain);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS tools_ad AFTER DELETE ON tools BEGIN
+                    INSERT INTO tools_fts(tools_fts, rowid, name, description, keywords, domain)
+                    VALUES('delete', old.rowid, old.name, old.description, old.keywords, old.domain);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS tools_au AFTER UPDATE ON tools BEGIN
+                    INSERT INTO tools_fts(tools_fts, rowid, name, description, keywords, domain)
+                    VALUES('delete', old.rowid, old.name, old.description, old.keywords, old.domain);
+                    INSERT INTO tools_fts(rowid, name, description, keywords, domain)
+                    VALUES (new.rowid, new.name, new.description, new.keywords, new.domain);
+                END;
+
+                -- Index for efficient querying
+                CREATE INDEX IF NOT EXISTS idx_tools_type ON tools(type);
+                CREATE INDEX IF NOT EXISTS idx_tools_domain ON tools(domain);
+                CREATE INDEX IF NOT EXISTS idx_tools_priority ON tools(priority DESC);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'rebuild tools FTS index (stale rows left by INSERT OR REPLACE)',
+        up: (db) => {
+            db.exec(`INSERT INTO tools_fts(tools_fts) VALUES('rebuild');`);
+        }
+    }
+];
+
 /**
- * Initialize the tools table in the database
+ * Initialize the tools table in the database (applies pending migrations)
  */
 function initializeToolsSchema(db) {
-    console.log('📊 Creating tools schema...');
-
-    db.exec(`
-        -- Tools/MCPs/Skills table
-        CREATE TABLE IF NOT EXISTS tools (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            type TEXT NOT NULL,              -- 'mcp' | 'skill' | 'builtin'
-            source TEXT NOT NULL,            -- File path or 'builtin'
-            domain TEXT,                     -- 'payment', 'voice', 'deployment', etc.
-            description TEXT,
-            keywords TEXT,                   -- JSON array of keywords
-            parameters TEXT,                 -- JSON schema of parameters
-            examples TEXT,                   -- Usage examples
-            priority REAL DEFAULT 0.5,       -- Tool importance (0-1)
-            last_used TEXT,                  -- Last time tool was recommended
-            use_count INTEGER DEFAULT 0,     -- How many times recommended
-            content_hash TEXT,               -- For change detection
-            indexed_at TEXT DEFAULT (datetime('now')),
-            updated_at TEXT DEFAULT (datetime('now'))
-        );
-
-        -- FTS for tool search
-        CREATE VIRTUAL TABLE IF NOT EXISTS tools_fts USING fts5(
-            name,
-            description,
-            keywords,
-            domain,
-            content='tools',
-            content_rowid='rowid'
-        );
-
-        -- Triggers to keep FTS in sync
-        CREATE TRIGGER IF NOT EXISTS tools_ai AFTER INSERT ON tools BEGIN
-            INSERT INTO tools_fts(rowid, name, description, keywords, domain)
-            VALUES (new.rowid, new.name, new.description, new.keywords, new.domain);
-        END;
-
-        CREATE TRIGGER IF NOT EXISTS tools_ad AFTER DELETE ON tools BEGIN
-            INSERT INTO tools_fts(tools_fts, rowid, name, description, keywords, domain)
-            VALUES('delete', old.rowid, old.name, old.description, old.keywords, old.domain);
-        END;
-
-        CREATE TRIGGER IF NOT EXISTS tools_au AFTER UPDATE ON tools BEGIN
-            INSERT INTO tools_fts(tools_fts, rowid, name, description, keywords, domain)
-            VALUES('delete', old.rowid, old.name, old.description, old.keywords, old.domain);
-            INSERT INTO tools_fts(rowid, name, description, keywords, domain)
-            VALUES (new.rowid, new.name, new.description, new.keywords, new.domain);
-        END;
-
-        -- Index for efficient querying
-        CREATE INDEX IF NOT EXISTS idx_tools_type ON tools(type);
-        CREATE INDEX IF NOT EXISTS idx_tools_domain ON tools(domain);
-        CREATE INDEX IF NOT EXISTS idx_tools_priority ON tools(priority DESC);
-    `);
-
-    console.log('   ✓ Tools schema created');
+    console.log('📊 Migrating tools schema...');
+
+    const result = runMigrations(db, 'tools', TOOLS_MIGRATIONS);
+    reportMigrations('tools', result);
 }
 
 /**
@@ -244,13 +268,27 @@ function hashContent(content) {
     return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').substring(0, 16);
 }
 
+/**
+ * MCP config files to scan (built-in locations + tools.config_paths)
+ */
+function getConfigPaths() {
+    return [...CLAUDE_CONFIG_PATHS, ...loadConfig().tools.config_paths.map(resolveProjectPath)];
+}
+
+/**
+ * Skill directories to scan (built-in locations + tools.skill_paths)
+ */
+function getSkillPaths() {
+    return [...SKILL_PATHS, ...loadConfig().tools.skill_paths.map(resolveProjectPath)];
+}
+
 /**
  * Parse MCP configuration from ~/.claude.json
  */
 function parseMCPConfig() {
     const mcps = [];
 
-    for (const configPath of CLAUDE_CONFIG_PATHS) {
+    for (const configPath of getConfigPaths()) {
         if (!fs.existsSync(configPath)) continue;
 
         try {
@@ -303,7 +341,7 @@ function parseMCPConfig() {
 function parseSkills() {
     const skills = [];
 
-    for (const skillPath of SKILL_PATHS) {
+    for (const skillPath of getSkillPaths()) {
         if (!fs.existsSync(skillPath)) continue;
 
         const files = fs.readdirSync(skillPath);
@@ -396,11 +434,23 @@ function indexTool(db, tool) {
     if (tool.type === 'mcp') priority = 0.7;  // MCPs are direct API access
     if (domain !== 'general') priority += 0.1;  // Domain-specific tools are more useful
 
-    // Upsert tool
+    // Upsert tool (use_count, last_used and indexed_at survive definition changes)
     db.prepare(`
-        INSERT OR REPLACE INTO tools
+        INSERT INTO tools
         (id, name, type, source, domain, description, keywords, parameters, examples, priority, content_hash, updated_at)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(id) DO UPDATE SET
+            name = excluded.name,
+            type = excluded.type,
+            source = excluded.source,
+            domain = excluded.domain,
+            description = excluded.description,
+            keywords = excluded.keywords,
+            parameters = excluded.parameters,
+            examples = excluded.examples,
+            priority = excluded.priority,
+            content_hash = excluded.content_hash,
+            updated_at = excluded.updated_at
     `).run(
         tool.id,
         tool.name,
@@ -647,6 +697,13 @@ async function main() {
         process.exit(0);
     }
 
+    try {
+        loadConfig();
+    } catch (e) {
+        reportConfigError(e);
+        process.exit(1);
+    }
+
     // Check database exists
     if (!fs.existsSync(DB_PATH) && command !== 'sync') {
         console.log('❌ Database not found. Run: node .nelson/init-db.cjs');
@@ -779,6 +836,7 @@ async function main() {
 // Export for use as module
 module.exports = {
     initializeToolsSchema,
+    TOOLS_MIGRATIONS,
     extractKeywords,
     determineDomain,
     parseMCPConfig,
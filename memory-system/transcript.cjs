@@ -0,0 +1,326 @@
+/**
+ * Nelson Transcript Reader v1.0
+ *
+ * SESSIONS FROM WHAT ACTUALLY HAPPENED:
+ * Claude Code writes every conversation to a JSONL transcript (the stop hook
+ * gets its path as `transcript_path`). This reads one back into a session for
+ * capture.cjs, so memory doesn't depend on the agent remembering to capture:
+ * - Files edited   ← successful Edit / MultiEdit / Write / NotebookEdit calls
+ * - Commands run   ← Bash calls (test runs get their outcome)
+ * - Commits        ← `[branch abc1234] message` lines in git commit output
+ * - Tasks          ← todos marked completed in the last TodoWrite
+ * - Summary        ← the final assistant message
+ *
+ * Unreadable lines are skipped; sidechain (subagent) messages are ignored.
+ * An empty transcript captures nothing.
+ *
+ * Usage:
+ *   node .nelson/capture.cjs --from-transcript ~/.claude/projects/<project>/<id>.jsonl
+ *   node .nelson/transcript.cjs <transcript.jsonl>     # Print what would be captured
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROJECT_ROOT } = require('./workspaces.cjs');
+
+// Tools whose input names a file they changed
+const EDIT_TOOLS = {
+    Edit: 'file_path',
+    MultiEdit: 'file_path',
+    Write: 'file_path',
+    NotebookEdit: 'notebook_path'
+};
+
+// Commands that run a test suite
+const TEST_COMMAND = /\b(npm (run )?test|npm t|yarn test|pnpm test|bun test|jest|vitest|mocha|pytest|go test|cargo test|phpunit|rspec)\b|node --test/;
+
+// "[main 1a2b3c4] Message" (and "[main (root-commit) 1a2b3c4] Message") in git commit output
+const COMMIT_LINE = /^\[[^\]\s]+(?: \([^)]*\))? ([0-9a-f]{7,40})\] (.+)$/m;
+
+// Pass/fail counts printed by common test runners ("12 passed", "2 failing", node --test's "# pass 12")
+const TEST_COUNTS = [
+    [/(\d+) (?:tests? )?pass(?:ed|ing)?\b|^# pass (\d+)/im, 'passed'],
+    [/(\d+) (?:tests? )?fail(?:ed|ing|ures?)?\b|^# fail (\d+)/im, 'failed']
+];
+
+// Limits for what ends up in the daily log
+const MAX_COMMANDS = 20;
+const MAX_COMMAND_LENGTH = 120;
+const MAX_NAME_LENGTH = 80;
+const MAX_SUMMARY_LENGTH = 1500;
+
+/**
+ * Text of a message's content (a string, or text blocks)
+ */
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * Text of a tool_result block
+ */
+function resultText(block) {
+    return typeof block.content === 'string' ? block.content : contentText(block.content);
+}
+
+/**
+ * Session name from the first prompt (the arguments of a slash command)
+ */
+function nameFromPrompt(text) {
+    const args = text.match(/<command-args>([\s\S]*?)<\/command-args>/);
+    const command = text.match(/<command-name>([\s\S]*?)<\/command-name>/);
+    const prompt = (args && args[1].trim()) || (command && command[1].trim()) || text;
+
+    const line = prompt.split('\n').map(l => l.trim()).find(l => l) || '';
+    return line.length > MAX_NAME_LENGTH ? `${line.slice(0, MAX_NAME_LENGTH - 1).trimEnd()}…` : line;
+}
+
+/**
+ * Path relative to the project when it is inside it
+ */
+function projectPath(filePath, cwd) {
+    const absolute = path.resolve(cwd || PROJECT_ROOT, filePath);
+    const relative = path.relative(PROJECT_ROOT, absolute);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+        ? relative.split(path.sep).join('/')
+        : absolute;
+}
+
+/**
+ * Outcome of a test command from its output
+ */
+function testOutcome(output, isError) {
+    const counts = [];
+    let failed = isError;
+    for (const [pattern, label] of TEST_COUNTS) {
+        const match = output.match(pattern);
+        if (match) {
+            const count = match[1] || match[2];
+            counts.push(`${count} ${label}`);
+            if (label === 'failed' && parseInt(count) > 0) failed = true;
+        }
+    }
+    return { passed: !failed, counts: counts.join(', ') };
+}
+
+/**
+ * Parse a Claude Code JSONL transcript
+ * Returns { name, files, commands, tests, commits, tasks, summary };
+ * tests are { command, passed, counts } in run order.
+ */
+function parseTranscript(content) {
+    const transcript = {
+        name: null,
+        files: [],
+        commands: [],
+        tests: [],
+        commits: [],
+        tasks: [],
+        summary: null
+    };
+
+    // tool_use id → the call, until its result arrives
+    const calls = new Map();
+
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            continue;
+        }
+        if (!entry || !entry.message || entry.isSidechain) continue;
+
+        const blocks = Array.isArray(entry.message.content) ? entry.message.content : [];
+
+        if (entry.type === 'assistant') {
+            const text = contentText(entry.message.content).trim();
+            if (text) transcript.summary = text;
+
+            for (const block of blocks) {
+                if (block.type !== 'tool_use' || !block.input) continue;
+                calls.set(block.id, { name: block.name, input: block.input, cwd: entry.cwd });
+
+                if (block.name === 'TodoWrite' && Array.isArray(block.input.todos)) {
+                    transcript.tasks = block.input.todos
+                        .filter(todo => todo.status === 'completed' && todo.content)
+                        .map(todo => todo.content);
+                }
+            }
+            continue;
+        }
+
+        if (entry.type !== 'user') continue;
+
+        if (!transcript.name && !entry.isMeta) {
+            const prompt = contentText(entry.message.content).trim();
+            if (prompt && !blocks.some(block => block.type === 'tool_result')) {
+                transcript.name = nameFromPrompt(prompt) || null;
+            }
+        }
+
+        for (const block of blocks) {
+            if (block.type !== 'tool_result') continue;
+            const call = calls.get(block.tool_use_id);
+            if (!call) continue;
+            calls.delete(block.tool_use_id);
+
+            const output = resultText(block);
+            const isError = block.is_error === true;
+
+            if (EDIT_TOOLS[call.name] && !isError) {
+                const filePath = call.input[EDIT_TOOLS[call.name]];
+                if (filePath) {
+                    const file = projectPath(filePath, call.cwd);
+                    if (!transcript.files.includes(file)) transcript.files.push(file);
+                }
+            }
+
+            if (call.name === 'Bash' && typeof call.input.command === 'string') {
+                const command = call.input.command.trim();
+                transcript.commands.push(command);
+
+                if (TEST_COMMAND.test(command)) {
+                    transcript.tests.push({ command, ...testOutcome(output, isError) });
+                }
+
+                const commit = /\bgit\b[\s\S]*\bcommit\b/.test(command) && !isError ? output.match(COMMIT_LINE) : null;
+                if (commit && !transcript.commits.some(c => c.hash === commit[1])) {
+                    transcript.commits.push({ hash: commit[1], message: commit[2].trim() });
+                }
+            }
+        }
+    }
+
+    return transcript;
+}
+
+/**
+ * One-line form of a command for the log
+ */
+function shortCommand(command) {
+    const line = command.split('\n')[0].trim();
+    const more = command.includes('\n') ? ' …' : '';
+    return line.length > MAX_COMMAND_LENGTH ? `${line.slice(0, MAX_COMMAND_LENGTH - 1)}…` : line + more;
+}
+
+/**
+ * Session fields for capture.cjs from a parsed transcript
+ * Test outcomes and commands go to notes; a test command whose last run
+ * failed becomes a blocker.
+ */
+function sessionFromTranscript(transcript) {
+    const notes = [];
+
+    if (transcript.summary) {
+        // Headings would end the session's Notes section in the log
+        const summary = (transcript.summary.length > MAX_SUMMARY_LENGTH
+            ? `${transcript.summary.slice(0, MAX_SUMMARY_LENGTH).trimEnd()}…`
+            : transcript.summary).replace(/^#{1,6}\s+(.+)$/gm, '**$1**');
+        notes.push(`**Summary:** ${summary}`);
+    }
+
+    if (transcript.tests.length > 0) {
+        notes.push([
+            '**Test runs:**',
+            ...transcript.tests.map(test =>
+                `- \`${shortCommand(test.command)}\` → ${test.passed ? 'passed' : 'failed'}${test.counts ? ` (${test.counts})` : ''}`)
+        ].join('\n'));
+    }
+
+    if (transcript.commands.length > 0) {
+        const commands = transcript.commands.slice(-MAX_COMMANDS);
+        const skipped = transcript.commands.length - commands.length;
+        notes.push([
+            `**Commands run:** ${transcript.commands.length}${skipped > 0 ? ` (last ${commands.length} shown)` : ''}`,
+            '```',
+            ...commands.map(shortCommand),
+            '```'
+        ].join('\n'));
+    }
+
+    // Last outcome per test command
+    const lastRuns = new Map();
+    for (const test of transcript.tests) lastRuns.set(shortCommand(test.command), test);
+    const blockers = [...lastRuns.values()]
+        .filter(test => !test.passed)
+        .map(test => `Tests failing: \`${shortCommand(test.command)}\`${test.counts ? ` (${test.counts})` : ''}`);
+
+    return {
+        name: transcript.name || 'Transcript Session',
+        tasks: transcript.tasks,
+        files: transcript.files,
+        commits: transcript.commits,
+        blockers,
+        notes: notes.join('\n\n')
+    };
+}
+
+/**
+ * Whether a parsed transcript holds nothing worth a session (no prompt, tool calls or reply)
+ */
+function isEmptyTranscript(transcript) {
+    return !transcript.name && !transcript.summary &&
+        ['files', 'commands', 'commits', 'tasks'].every(field => transcript[field].length === 0);
+}
+
+/**
+ * Read and parse a transcript file into session fields
+ * Returns null for an empty transcript.
+ */
+function readTranscriptSession(transcriptPath) {
+    const resolved = path.resolve(process.cwd(), transcriptPath.replace(/^~(?=$|\/)/, process.env.HOME || '~'));
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Transcript not found: ${transcriptPath}`);
+    }
+    const transcript = parseTranscript(fs.readFileSync(resolved, 'utf-8'));
+    return isEmptyTranscript(transcript) ? null : sessionFromTranscript(transcript);
+}
+
+/**
+ * Main CLI
+ */
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0 || args.includes('--help')) {
+        console.log('Nelson Transcript Reader');
+        console.log('');
+        console.log('Usage:');
+        console.log('  node .nelson/transcript.cjs <transcript.jsonl>   Print the session it would capture (JSON)');
+        console.log('  node .nelson/capture.cjs --from-transcript <transcript.jsonl>   Capture it');
+        process.exit(0);
+    }
+
+    try {
+        const session = readTranscriptSession(args[0]);
+        if (!session) {
+            console.log('⚠️ Nothing to capture (empty transcript)');
+            return;
+        }
+        console.log(JSON.stringify(session, null, 2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = {
+    parseTranscript,
+    sessionFromTranscript,
+    isEmptyTranscript,
+    readTranscriptSession
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
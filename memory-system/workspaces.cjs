@@ -0,0 +1,263 @@
+/**
+ * Nelson Workspaces v1.0
+ *
+ * ONE MEMORY DATABASE FOR A WHOLE MONOREPO:
+ * - Project root  → nearest directory above the working directory with a `.nelson/`
+ *                   (never past the enclosing git repository or $HOME), so scripts
+ *                   behave the same from the repo root and from any package
+ * - Packages      → index.workspaces globs in .nelson/config.json, else
+ *                   npm/yarn `workspaces`, pnpm-workspace.yaml or lerna.json
+ *
+ * Every chunk is tagged with the package that contains its file (nested
+ * packages win over their parents; files outside every package are untagged).
+ *
+ * Usage:
+ *   node .nelson/workspaces.cjs            # List detected packages
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { globToRegex } = require('./ignore-rules.cjs');
+
+// Workspace manifests at the project root
+const WORKSPACE_FILES = ['package.json', 'pnpm-workspace.yaml', 'lerna.json'];
+
+// Never looked into when expanding package globs
+const SKIPPED_DIRS = ['node_modules', '.git', '.nelson', 'dist', 'build', 'coverage'];
+
+// How deep "**" package globs are expanded
+const MAX_PACKAGE_DEPTH = 6;
+
+/**
+ * Find the project root: the nearest ancestor with a .nelson/ directory
+ * Stops at the enclosing git repository root and never climbs into $HOME,
+ * falling back to the start directory (where a new .nelson/ would be created).
+ */
+function findProjectRoot(start = process.cwd()) {
+    const home = os.homedir();
+    let dir = path.resolve(start);
+
+    while (true) {
+        if (dir === home && dir !== path.resolve(start)) break;
+        if (fs.existsSync(path.join(dir, '.nelson'))) return dir;
+        if (fs.existsSync(path.join(dir, '.git'))) break;
+
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+
+    return path.resolve(start);
+}
+
+const PROJECT_ROOT = findProjectRoot();
+
+/**
+ * Read the `packages:` list from pnpm-workspace.yaml (no YAML dependency)
+ */
+function parsePnpmWorkspace(content) {
+    const globs = [];
+    let inPackages = false;
+
+    for (const line of content.split(/\r?\n/)) {
+        if (/^packages\s*:/.test(line)) {
+            inPackages = true;
+            continue;
+        }
+        if (!inPackages) continue;
+        if (/^\S/.test(line)) break;   // Next top-level key
+
+        const item = line.match(/^\s*-\s*(['"]?)(.+?)\1\s*(#.*)?$/);
+        if (item) globs.push(item[2]);
+    }
+
+    return globs;
+}
+
+/**
+ * Read workspace globs from the manifests at the project root
+ * Returns { source, globs } (globs empty when the project is not a monorepo)
+ */
+function readWorkspaceGlobs(root) {
+    const readJson = (name) => {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(root, name), 'utf-8'));
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const pkg = readJson('package.json');
+    if (pkg && pkg.workspaces) {
+        const globs = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces.packages || [];
+        if (globs.length > 0) return { source: 'package.json workspaces', globs };
+    }
+
+    const pnpmPath = path.join(root, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmPath)) {
+        const globs = parsePnpmWorkspace(fs.readFileSync(pnpmPath, 'utf-8'));
+        if (globs.length > 0) return { source: 'pnpm-workspace.yaml', globs };
+    }
+
+    const lerna = readJson('lerna.json');
+    if (lerna && Array.isArray(lerna.packages) && lerna.packages.length > 0) {
+        return { source: 'lerna.json', globs: lerna.packages };
+    }
+
+    return { source: null, globs: [] };
+}
+
+/**
+ * Expand package globs ("packages/*", "apps/**", "!packages/legacy") to directories
+ * Manifest globs only match directories with a package.json; config globs match any directory.
+ */
+function expandPackageGlobs(root, globs, options = {}) {
+    const include = [];
+    const exclude = [];
+    for (const glob of globs) {
+        const clean = glob.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+        const regex = new RegExp(`^${globToRegex(clean)}$`);
+        (glob.startsWith('!') ? exclude : include).push(regex);
+    }
+
+    const dirs = [];
+    const walk = (dir, depth) => {
+        if (depth > MAX_PACKAGE_DEPTH) return;
+
+        let items;
+        try {
+            items = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+
+        for (const item of items) {
+            if (!item.isDirectory() || SKIPPED_DIRS.includes(item.name)) continue;
+
+            const fullPath = path.join(dir, item.name);
+            const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+
+            if (include.some(r => r.test(relativePath)) && !exclude.some(r => r.test(relativePath)) &&
+                (!options.requireManifest || fs.existsSync(path.join(fullPath, 'package.json')))) {
+                dirs.push(relativePath);
+            }
+            walk(fullPath, depth + 1);
+        }
+    };
+
+    walk(root, 1);
+    return dirs.sort();
+}
+
+/**
+ * Name a package directory: package.json "name", else the directory name
+ */
+function packageName(root, dir) {
+    try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(root, dir, 'package.json'), 'utf-8'));
+        if (pkg.name) return pkg.name;
+    } catch (e) {
+        // No manifest - fall back to the directory name
+    }
+    return path.basename(dir);
+}
+
+const packageCache = new Map();
+
+/**
+ * Detect the packages of a project
+ * Returns { source, packages: [{ name, dir }] } - dir is relative to the root, '/'-separated.
+ * Cached per root and index.workspaces setting; pass options.refresh to re-scan.
+ */
+function loadPackages(root = PROJECT_ROOT, config = null, options = {}) {
+    const configured = config && config.index.workspaces ? config.index.workspaces : [];
+    const key = `${root}\0${JSON.stringify(configured)}`;
+    if (!options.refresh && packageCache.has(key)) {
+        return packageCache.get(key);
+    }
+
+    const workspace = configured.length > 0
+        ? { source: '.nelson/config.json index.workspaces', globs: configured }
+        : readWorkspaceGlobs(root);
+    const dirs = expandPackageGlobs(root, workspace.globs, { requireManifest: configured.length === 0 });
+
+    const result = {
+        source: workspace.source,
+        packages: dirs.map(dir => ({ name: packageName(root, dir), dir }))
+    };
+
+    packageCache.set(key, result);
+    return result;
+}
+
+/**
+ * Find the package containing a path relative to the project root (null when none)
+ * The deepest package wins, so nested packages shadow their parents.
+ */
+function findPackage(packages, relativePath) {
+    const normalized = relativePath.split(path.sep).join('/');
+    let match = null;
+
+    for (const pkg of packages.packages || packages) {
+        if (normalized === pkg.dir || normalized.startsWith(pkg.dir + '/')) {
+            if (!match || pkg.dir.length > match.dir.length) match = pkg;
+        }
+    }
+
+    return match;
+}
+
+/**
+ * Find the package the working directory is in (null at the root or outside packages)
+ */
+function currentPackage(packages, cwd = process.cwd(), root = PROJECT_ROOT) {
+    const relativePath = path.relative(root, cwd);
+    if (!relativePath || relativePath.startsWith('..')) return null;
+    return findPackage(packages, relativePath);
+}
+
+/**
+ * CLI: list detected packages
+ */
+async function main() {
+    let config = null;
+    try {
+        config = require('./config.cjs').loadConfig();
+    } catch (e) {
+        require('./config.cjs').reportConfigError(e);
+        process.exit(1);
+    }
+
+    const { source, packages } = loadPackages(PROJECT_ROOT, config);
+    console.log(`📁 Project root: ${PROJECT_ROOT}`);
+
+    if (packages.length === 0) {
+        console.log('ℹ️  No workspace packages found (single-package project)');
+        console.log('   Declare them with index.workspaces in .nelson/config.json');
+        return;
+    }
+
+    const current = currentPackage({ packages });
+    console.log(`📦 ${packages.length} packages (from ${source}):`);
+    for (const pkg of packages) {
+        const marker = current && current.dir === pkg.dir ? ' ← current' : '';
+        console.log(`   • ${pkg.name.padEnd(30)} ${pkg.dir}${marker}`);
+    }
+}
+
+// Export for use as module
+module.exports = {
+    findProjectRoot,
+    loadPackages,
+    findPackage,
+    currentPackage,
+    parsePnpmWorkspace,
+    WORKSPACE_FILES,
+    PROJECT_ROOT
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}